@@ -17,77 +17,35 @@ const fs = require('fs').promises;
 const path = require('path');
 const { MigrationHelper } = require('../lib/migration-helper');
 const { SpecParser } = require('../lib/spec-parser');
+const { FrontMatterParser } = require('../lib/front-matter');
+const { OpenAPIConverter } = require('../lib/openapi');
+const { createDefaultRegistry } = require('../lib/blueprint-types');
+const { BlueprintGranularity } = require('../lib/blueprint-granularity');
+const { CodeReferenceScanner } = require('../lib/code-references');
+const { ProjectIndexer } = require('../lib/project-indexer');
 
 class BlueprintDecomposer {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.blueprintIdCounter = 1;
     this.migrationHelper = null;
 
-    // Evidence requirements by blueprint type
-    this.evidenceRequirements = {
-      database: {
-        required: [
-          { type: 'output', description: 'Migration applied successfully' },
-          { type: 'test', description: 'Database tests passing' },
-          { type: 'metric', description: 'Query performance <100ms (EXPLAIN output)' }
-        ],
-        optional: [
-          { type: 'screenshot', description: 'Supabase dashboard showing table' }
-        ]
-      },
-      api: {
-        required: [
-          { type: 'test', description: 'API endpoint tests passing' },
-          { type: 'metric', description: 'Response time <200ms' },
-          { type: 'output', description: 'Auth validation working' }
-        ],
-        optional: [
-          { type: 'output', description: 'API documentation updated' }
-        ]
-      },
-      service: {
-        required: [
-          { type: 'test', description: 'Service unit tests passing' },
-          { type: 'output', description: 'TypeScript types correct' }
-        ],
-        optional: [
-          { type: 'metric', description: 'Performance benchmarks' }
-        ]
-      },
-      'ui-component': {
-        required: [
-          { type: 'screenshot', description: 'Component rendering (default state)' },
-          { type: 'screenshot', description: 'Loading state' },
-          { type: 'screenshot', description: 'Error state' },
-          { type: 'screenshot', description: 'Mobile responsive (375px width)' },
-          { type: 'test', description: 'Component tests passing' }
-        ],
-        optional: [
-          { type: 'screenshot', description: 'Empty state' },
-          { type: 'output', description: 'Accessibility audit (axe-core)' }
-        ]
-      },
-      'ui-page': {
-        required: [
-          { type: 'screenshot', description: 'Page rendering with data' },
-          { type: 'screenshot', description: 'Page empty state' },
-          { type: 'screenshot', description: 'Mobile responsive (375px width)' },
-          { type: 'test', description: 'Page tests passing' },
-          { type: 'output', description: 'Route accessible and protected correctly' }
-        ],
-        optional: [
-          { type: 'screenshot', description: 'Tablet view (768px)' },
-          { type: 'output', description: 'SEO metadata present' }
-        ]
-      }
-    };
+    // Blueprint types (built-ins plus project types from .dev-framework/blueprint-types.js)
+    this.blueprintTypes = options.blueprintTypes || createDefaultRegistry();
+
+    // coarse | normal | fine (a spec's own granularity wins)
+    this.granularity = options.granularity || 'normal';
+    this.lastGranularityReport = null;
+
+    // Index of the existing project (options.indexProject: false skips it)
+    this.projectIndex = null;
   }
 
   /**
    * Get evidence requirements for a blueprint type
    */
   getEvidenceRequirements(blueprintType) {
-    return this.evidenceRequirements[blueprintType] || this.evidenceRequirements.api;
+    return this.blueprintTypes.getEvidenceRequirements(blueprintType);
   }
 
   /**
@@ -125,8 +83,9 @@ class BlueprintDecomposer {
     console.log('\n📋 [Blueprint Decomposer] Analyzing feature spec...');
     console.log(`   Feature: ${spec.name}\n`);
 
-    // Load current migration number
+    // Load current migration number and the project's blueprint types
     await this.loadMigrationCounter(projectPath);
+    await this.blueprintTypes.loadProjectTypes(projectPath);
 
     // Parse spec and extract requirements
     const requirements = await this.parseSpec(spec);
@@ -145,6 +104,12 @@ class BlueprintDecomposer {
       let bp;
       if (dbChange.operation === 'create_function') {
         bp = await this.createFunctionBlueprint(dbChange, blueprints);
+      } else if (dbChange.operation === 'create_enum') {
+        bp = await this.createEnumBlueprint(dbChange, blueprints);
+      } else if (dbChange.operation === 'create_type') {
+        bp = await this.createCompositeTypeBlueprint(dbChange, blueprints);
+      } else if (dbChange.operation === 'create_view') {
+        bp = await this.createViewBlueprint(dbChange, blueprints);
       } else {
         bp = await this.createDatabaseBlueprint(dbChange, blueprints);
       }
@@ -184,22 +149,40 @@ class BlueprintDecomposer {
       blueprints.push(bp);
     }
 
+    // 3b. Triggers (after the table and the trigger function both exist)
+    for (const trigger of requirements.triggers || []) {
+      const bp = await this.createTriggerBlueprint(trigger, blueprints);
+      blueprints.push(bp);
+    }
+
+    // 3c. Indexes (after their table)
+    for (const index of requirements.indexes || []) {
+      const bp = await this.createIndexBlueprint(index, blueprints);
+      blueprints.push(bp);
+    }
+
+    // Code snippets behind service, API and UI blueprints (for data-flow edges)
+    const codeSources = new Map();
+
     // 4. Service functions (after database)
     for (const service of requirements.services) {
       const bp = this.createServiceBlueprint(service, blueprints);
       blueprints.push(bp);
+      codeSources.set(bp.id, service);
     }
 
     // 5. API routes (after services)
     for (const route of requirements.api) {
       const bp = this.createAPIBlueprint(route, blueprints);
       blueprints.push(bp);
+      codeSources.set(bp.id, route);
     }
 
     // 6. UI components (after API)
     for (const component of requirements.ui) {
       const bp = this.createUIBlueprint(component, blueprints);
       blueprints.push(bp);
+      codeSources.set(bp.id, component);
     }
 
     // 7. UI Pages (after components) - Create page blueprints for routes
@@ -208,6 +191,17 @@ class BlueprintDecomposer {
       blueprints.push(bp);
     }
 
+    // 8. Project blueprint types (registered in .dev-framework/blueprint-types.js)
+    for (const [typeName, items] of Object.entries(requirements.custom || {})) {
+      for (const item of items) {
+        const bp = this.createRegisteredBlueprint(typeName, item, blueprints);
+        blueprints.push(bp);
+      }
+    }
+
+    // 9. Dependencies from what the code snippets actually call
+    this.inferCodeDependencies(blueprints, codeSources);
+
     console.log(`   Generated ${blueprints.length} prescriptive blueprints\n`);
 
     // ========================================
@@ -242,6 +236,9 @@ class BlueprintDecomposer {
       });
     }
 
+    // Trace acceptance criteria to the blueprints that implement them
+    this.traceAcceptanceCriteria(blueprints, requirements);
+
     // Add evidence requirements to all blueprints
     for (const bp of blueprints) {
       if (!bp.evidenceRequired) {
@@ -249,9 +246,849 @@ class BlueprintDecomposer {
       }
     }
 
+    const result = this.applyGranularity(blueprints, spec.granularity || this.granularity);
+
+    // Existing files: create vs modify, hashes, dependents to re-verify
+    await this.annotateBrownfield(result, projectPath);
+    this.annotateAccessModes(result);
+
+    return result;
+  }
+
+  /**
+   * Build blueprints from an expanded template (BlueprintMatcher.expandTemplate)
+   *
+   * Each template item goes through the creator a spec entry of the same
+   * type uses, so evidence, UI states and migration numbering match a
+   * decomposed spec. The item's name, description, estimatedMinutes,
+   * resources and specifications are layered on top, and its dependsOn keys
+   * add edges next to the ones the creators infer. Every blueprint records
+   * the template id, version and item key it came from.
+   * @param {Object} expansion - { template, parameters, blueprints }
+   * @param {string} projectPath
+   * @param {Object} [options] - { granularity }
+   */
+  async decomposeTemplate(expansion, projectPath, options = {}) {
+    const { template } = expansion;
+    console.log('\n📋 [Blueprint Decomposer] Expanding blueprint template...');
+    console.log(`   Template: ${template.name} (${template.id} v${template.version})\n`);
+
+    await this.loadMigrationCounter(projectPath);
+    await this.blueprintTypes.loadProjectTypes(projectPath);
+
+    const blueprints = [];
+    const byKey = new Map();
+
+    for (const item of expansion.blueprints) {
+      const bp = await this.createTemplateBlueprint(item, blueprints);
+      bp.template = { id: template.id, version: template.version, key: item.key };
+      blueprints.push(bp);
+      byKey.set(item.key, bp);
+    }
+
+    const byId = new Map(blueprints.map(bp => [bp.id, bp]));
+    for (const item of expansion.blueprints) {
+      for (const key of item.dependsOn || []) {
+        const target = byKey.get(key);
+        if (!target) {
+          throw new Error(`Template ${template.id}: ${item.key} depends on unknown blueprint ${key}`);
+        }
+        this.addDependency(byId, byKey.get(item.key), target, `template ${template.id}: ${item.key} after ${key}`);
+      }
+    }
+
+    for (const bp of blueprints) {
+      if (!bp.evidenceRequired) {
+        bp.evidenceRequired = this.getEvidenceRequirements(bp.type);
+      }
+    }
+
+    console.log(`   Generated ${blueprints.length} prescriptive blueprints\n`);
+
+    const result = this.applyGranularity(blueprints, options.granularity || this.granularity);
+    await this.annotateBrownfield(result, projectPath);
+    this.annotateAccessModes(result);
+
+    return result;
+  }
+
+  /**
+   * Create one blueprint from a rendered template item
+   */
+  async createTemplateBlueprint(item, existingBlueprints) {
+    const input = item.input || {};
+    let bp;
+
+    switch (item.type) {
+      case 'database': {
+        // Columns (or raw sql) normalize like a structured spec table
+        const table = new SpecParser().normalizeStructuredTable({
+          name: input.tableName,
+          columns: input.columns,
+          constraints: input.constraints,
+          sql: input.sql
+        });
+        bp = await this.createDatabaseBlueprint({
+          operation: input.operation || 'create_table',
+          tableName: table.name,
+          columns: table.columns,
+          constraints: table.constraints,
+          sql: table.sql
+        }, existingBlueprints);
+        break;
+      }
+      case 'rls':
+        bp = await this.createRLSBlueprint(input.tableName, existingBlueprints);
+        break;
+      case 'service':
+        bp = this.createServiceBlueprint(input, existingBlueprints);
+        break;
+      case 'api':
+        bp = this.createAPIBlueprint(input, existingBlueprints);
+        break;
+      case 'ui-component':
+        bp = this.createUIBlueprint(input, existingBlueprints);
+        break;
+      case 'ui-page':
+        bp = this.createUIPageBlueprint(input, existingBlueprints);
+        break;
+      default:
+        // Other types need a registered resources(item) hook
+        if (!this.blueprintTypes.get(item.type)?.resources) {
+          throw new Error(`Template blueprint ${item.key} has unsupported type: ${item.type}`);
+        }
+        bp = this.createRegisteredBlueprint(item.type, input, existingBlueprints);
+    }
+
+    for (const field of ['name', 'description', 'estimatedMinutes']) {
+      if (item[field] !== undefined) bp[field] = item[field];
+    }
+    for (const [key, values] of Object.entries(item.resources || {})) {
+      bp.resources[key] = key === 'access'
+        ? { ...bp.resources.access, ...values }
+        : [...new Set([...(bp.resources[key] || []), ...values])];
+    }
+    if (item.specifications) {
+      bp.specifications = { ...bp.specifications, ...item.specifications };
+    }
+
+    return bp;
+  }
+
+  /**
+   * Merge tiny related blueprints and split oversized pages
+   * The report is kept in this.lastGranularityReport for the plan.
+   */
+  applyGranularity(blueprints, level) {
+    const granularity = new BlueprintGranularity({
+      level,
+      blueprintTypes: this.blueprintTypes,
+      nextBlueprintId: () => this.getNextBlueprintId(),
+      createComponentBlueprint: (component, existing) => this.createUIBlueprint(component, existing)
+    });
+
+    const { blueprints: result, report } = granularity.apply(blueprints);
+    this.lastGranularityReport = report;
+
+    if (report.merges.length > 0 || report.splits.length > 0) {
+      console.log(`   Granularity (${level}): ${report.before} → ${report.after} blueprints`);
+      for (const merge of report.merges) {
+        console.log(`     - Merged ${[merge.into, ...merge.absorbed].join(', ')}: ${merge.reason}`);
+      }
+      for (const split of report.splits) {
+        console.log(`     - Split ${split.blueprint} into ${split.into.join(', ')}: ${split.reason}`);
+      }
+      console.log('');
+    }
+
+    return result;
+  }
+
+  /**
+   * Add dependsOn edges from the data flow in service, API and UI snippets
+   *
+   * `.from('table')` depends on the blueprints creating the table (or view)
+   * and its RLS, `.rpc('fn')` on the function's blueprint, `fetch('/api/..')`
+   * on the matching route handler, and imports on the service or component
+   * blueprint they resolve to. Each edge is recorded with its reason in
+   * bp.dependencyReasons; edges that would close a cycle are skipped.
+   * @param {Array} blueprints
+   * @param {Map} codeSources - Blueprint ID -> spec entry with implementation/imports
+   */
+  inferCodeDependencies(blueprints, codeSources) {
+    const scanner = new CodeReferenceScanner();
+    const byId = new Map(blueprints.map(bp => [bp.id, bp]));
+    let added = 0;
+
+    const link = (bp, target, reason) => {
+      if (this.addDependency(byId, bp, target, reason)) added++;
+    };
+
+    const specOf = bp => bp.specifications || {};
+    const normalizePath = file => file.replace(/^@\//, 'src/').replace(/^\.\//, '').replace(/\.(tsx?|jsx?)$/, '');
+
+    for (const [bpId, entry] of codeSources) {
+      const bp = byId.get(bpId);
+      const body = entry.implementation;
+      if (!bp || !body) continue;
+
+      const refs = scanner.scan(body);
+
+      for (const table of refs.tables) {
+        for (const target of blueprints.filter(b =>
+          ['create_table', 'create_view'].includes(specOf(b).operation) &&
+          (specOf(b).tableName === table || specOf(b).viewName === table))) {
+          link(bp, target, `.from('${table}') reads ${specOf(target).operation === 'create_view' ? 'view' : 'table'} ${table}`);
+        }
+        for (const target of blueprints.filter(b => specOf(b).operation === 'add_rls' && specOf(b).tableName === table)) {
+          link(bp, target, `.from('${table}') is subject to ${table} RLS policies`);
+        }
+      }
+
+      for (const fn of refs.rpcs) {
+        const target =
+          blueprints.find(b => specOf(b).operation === 'create_rpc_function' && specOf(b).functionName === fn) ||
+          blueprints.find(b => specOf(b).operation === 'create_function' && specOf(b).functionName === fn);
+        link(bp, target, `.rpc('${fn}') calls function ${fn}`);
+      }
+
+      for (const call of refs.fetches) {
+        const routes = blueprints.filter(b =>
+          specOf(b).operation === 'create_api_route' && scanner.routeMatches(call.route, specOf(b).route)
+        );
+        const sameMethod = routes.filter(b => specOf(b).method === call.method);
+        for (const target of sameMethod.length > 0 ? sameMethod : routes) {
+          link(bp, target, `fetch('${call.route}') calls ${specOf(target).method} ${specOf(target).route}`);
+        }
+      }
+
+      // Imports only count when the snippet uses an imported name
+      for (const imported of entry.imports || []) {
+        const used = imported.names.filter(name => new RegExp(`\\b${name}\\b`).test(body));
+        if (used.length === 0 || !/^[@.]/.test(imported.source)) continue;
+
+        const modulePath = normalizePath(imported.source);
+        for (const target of blueprints.filter(b => ['create_service', 'create_component'].includes(specOf(b).operation))) {
+          const spec = specOf(target);
+          const exportsUsed = used.filter(name => name === spec.functionName || name === spec.componentName);
+          const pathMatches = spec.filePath && normalizePath(spec.filePath).endsWith(modulePath.replace(/^(\.\.\/)+/, ''));
+          if (exportsUsed.length > 0 || pathMatches) {
+            link(bp, target, `imports ${(exportsUsed.length > 0 ? exportsUsed : used).join(', ')} from '${imported.source}'`);
+          }
+        }
+      }
+    }
+
+    if (added > 0) {
+      console.log(`   → Inferred ${added} dependencies from code references`);
+    }
+  }
+
+  /**
+   * Make bp depend on target and record why
+   * Skipped (with a warning) when target already depends on bp.
+   * @returns {boolean} True if a new dependsOn edge was added
+   */
+  addDependency(byId, bp, target, reason) {
+    if (!target || target.id === bp.id) return false;
+
+    const stack = [target.id];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === bp.id) {
+        console.log(`   ⚠️  Skipped ${bp.id} → ${target.id} (${reason}): would create a cycle`);
+        return false;
+      }
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...(byId.get(id)?.dependsOn || []));
+    }
+
+    bp.dependencyReasons = bp.dependencyReasons || [];
+    if (!bp.dependencyReasons.some(r => r.dependsOn === target.id && r.reason === reason)) {
+      bp.dependencyReasons.push({ dependsOn: target.id, reason });
+    }
+
+    if (bp.dependsOn.includes(target.id)) return false;
+    bp.dependsOn.push(target.id);
+    return true;
+  }
+
+  /**
+   * Record how each blueprint accesses its resources in resources.access
+   * ("table:orders" -> read | write | alter | create), so blueprints that
+   * only read a table run in parallel and only writers serialize
+   */
+  annotateAccessModes(blueprints) {
+    for (const bp of blueprints) {
+      bp.resources.access = this.blueprintTypes.accessModesOf(bp);
+    }
+  }
+
+  /**
+   * Compare blueprints with the existing project (brownfield changes)
+   *
+   * Pages and route handlers are matched by URL route and components by
+   * path or unique export name, so a blueprint modifying existing code
+   * points at the real file. Each blueprint gets:
+   * - change: 'create' or 'modify'
+   * - fileHashes: sha256 of each existing file it touches (checked again
+   *   before execution)
+   * - reverify: files outside the plan that import a modified file
+   * Blueprints modifying a file another blueprint's file imports depend on
+   * that blueprint. Creating a table that migrations already create is
+   * flagged in existingMigration.
+   */
+  async annotateBrownfield(blueprints, projectPath) {
+    if (!projectPath || this.options.indexProject === false) return;
+
+    if (!this.projectIndex || this.projectIndex.projectPath !== projectPath) {
+      const indexer = new ProjectIndexer(projectPath);
+      this.projectIndex = { projectPath, indexer, index: await indexer.build() };
+    }
+    const { indexer, index } = this.projectIndex;
+    const byId = new Map(blueprints.map(bp => [bp.id, bp]));
+
+    // 1. Point blueprints at the files that already exist
+    for (const bp of blueprints) {
+      if (bp.isPlaceholder) continue;
+      this.retargetExistingFile(bp, index, indexer);
+    }
+
+    // 2. create vs modify, and the hashes of what is being modified
+    const owners = new Map();
+    for (const bp of blueprints) {
+      if (bp.isPlaceholder) continue;
+
+      const files = this.blueprintFiles(bp);
+      files.forEach(file => owners.set(file, bp));
+
+      bp.fileHashes = {};
+      for (const file of files) {
+        const entry = index.files.get(file);
+        if (entry) bp.fileHashes[file] = entry.hash;
+      }
+      bp.change = Object.keys(bp.fileHashes).length > 0 ? 'modify' : 'create';
+
+      const table = bp.specifications?.operation === 'create_table' && bp.specifications.tableName;
+      if (table && index.tables.has(table)) {
+        bp.existingMigration = index.tables.get(table);
+        console.log(`   ⚠️  ${bp.id}: table ${table} already exists (${bp.existingMigration}) - consider an ALTER TABLE`);
+      }
+    }
+
+    // 3. Importers of modified files: plan blueprints wait, the rest is re-verified
+    let modified = 0;
+    for (const bp of blueprints.filter(b => b.change === 'modify')) {
+      modified++;
+      bp.reverify = [];
+
+      for (const file of Object.keys(bp.fileHashes)) {
+        for (const dependent of indexer.dependentsOf(index, file)) {
+          const owner = owners.get(dependent.path);
+          if (owner && owner.id !== bp.id) {
+            this.addDependency(byId, owner, bp, `${dependent.path} imports ${dependent.via} (existing code)`);
+          } else if (!owner && !bp.reverify.some(r => r.path === dependent.path)) {
+            bp.reverify.push(dependent);
+          }
+        }
+      }
+    }
+
+    if (modified > 0) {
+      console.log(`   → Brownfield: ${modified} blueprint(s) modify existing files`);
+    }
+  }
+
+  /**
+   * Swap a guessed file path for the existing file serving the same route
+   * or component
+   */
+  retargetExistingFile(bp, index, indexer) {
+    const spec = bp.specifications || {};
+    if (!spec.filePath || index.files.has(spec.filePath)) return;
+
+    let existing = null;
+    if (spec.operation === 'create_api_route' || spec.operation === 'create_page') {
+      const route = spec.route || bp.resources.routes.find(r => r.startsWith('/')) || indexer.routeFor(spec.filePath);
+      const file = route && index.routes.get(route);
+      const kind = spec.operation === 'create_api_route' ? 'route' : 'page';
+      if (file && index.files.get(file).kind === kind) existing = file;
+    }
+
+    if (!existing && spec.componentName) {
+      const candidates = (index.components.get(spec.componentName) || [])
+        .filter(file => index.files.get(file).kind === 'component');
+      if (candidates.length === 1) existing = candidates[0];
+    }
+
+    if (!existing) return;
+
+    for (const key of ['components', 'functions']) {
+      bp.resources[key] = bp.resources[key].map(file => file === spec.filePath ? existing : file);
+    }
+    spec.filePath = existing;
+  }
+
+  /**
+   * Source files a blueprint writes
+   */
+  blueprintFiles(bp) {
+    const files = [
+      bp.specifications?.filePath,
+      ...bp.resources.components,
+      ...bp.resources.functions,
+      ...(bp.resources.files || [])
+    ];
+    return Array.from(new Set(files.filter(file => typeof file === 'string' && /\.(tsx?|jsx?)$/.test(file))));
+  }
+
+  /**
+   * Attach user stories and acceptance criteria to blueprints
+   *
+   * A criterion goes to every blueprint whose tables, routes, components or
+   * functions it mentions. Criteria that mention none go to the UI
+   * blueprints (or API, then all blueprints) so each one is owned by at
+   * least one blueprint and ends up in a generated test.
+   */
+  traceAcceptanceCriteria(blueprints, requirements) {
+    const criteria = requirements.acceptanceCriteria || [];
+    const stories = requirements.userStories || [];
+    if (criteria.length === 0 && stories.length === 0) return;
+
+    const candidates = blueprints.filter(bp => !bp.isPlaceholder);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const keywordsFor = (bp) => {
+      const spec = bp.specifications || {};
+      const words = [
+        ...bp.resources.tables,
+        ...bp.resources.tables.map(t => t.replace(/_/g, ' ')),
+        ...bp.resources.routes,
+        spec.componentName,
+        spec.functionName
+      ].filter(Boolean);
+      return words.map(w => new RegExp(`(^|[^\\w/])${escape(w)}($|[^\\w/])`, 'i'));
+    };
+
+    const owners = new Map(criteria.map(c => [c.id, []]));
+
+    for (const bp of candidates) {
+      const patterns = keywordsFor(bp);
+      bp.acceptanceCriteria = criteria.filter(criterion => {
+        const text = [criterion.text, ...(criterion.given || []), ...(criterion.when || []), ...(criterion.then || [])].join(' ');
+        const matched = patterns.some(pattern => pattern.test(text));
+        if (matched) owners.get(criterion.id).push(bp.id);
+        return matched;
+      });
+    }
+
+    const fallback = [
+      candidates.filter(bp => bp.type === 'ui-component' || bp.type === 'ui-page'),
+      candidates.filter(bp => bp.specifications?.operation === 'create_api_route'),
+      candidates
+    ].find(group => group.length > 0) || [];
+
+    for (const criterion of criteria) {
+      if (owners.get(criterion.id).length > 0) continue;
+      for (const bp of fallback) {
+        bp.acceptanceCriteria.push(criterion);
+      }
+    }
+
+    for (const bp of candidates) {
+      const storyIds = new Set(bp.acceptanceCriteria.map(c => c.storyId).filter(Boolean));
+      bp.userStories = stories.filter(story =>
+        storyIds.has(story.id) || (story.acceptanceCriteria.length === 0 && fallback.includes(bp))
+      );
+    }
+  }
+
+  /**
+   * Decompose a spec revision into delta blueprints
+   *
+   * Only what the diff touches gets a blueprint: new tables are created,
+   * column changes become one ALTER TABLE migration per table, changed
+   * policies are dropped and recreated, and code artifacts are created,
+   * updated or removed. Enums, composite types, functions, views, triggers
+   * and indexes are created, replaced (dropped and recreated from the
+   * revised SQL) or dropped. Migration numbers sort in creation order (see
+   * MigrationHelper), so types come before the tables using them and
+   * dependents are dropped before what they depend on. Blueprint IDs continue after existingBlueprints so they
+   * stay unique next to the original plan.
+   * @param {Object} diff - Result of SpecParser.diff()
+   * @param {Object} spec - Revised spec ({ name, path|content })
+   * @param {string} projectPath
+   * @param {Array} existingBlueprints - Blueprints of the plan being revised
+   */
+  async decomposeSpecDelta(diff, spec, projectPath, existingBlueprints = []) {
+    console.log('\n📋 [Blueprint Decomposer] Planning spec revision...');
+    console.log(`   Feature: ${spec.name}`);
+    console.log(`   Changes: +${diff.summary.added} / -${diff.summary.removed} / ~${diff.summary.changed}\n`);
+
+    await this.loadMigrationCounter(projectPath);
+
+    const highestId = existingBlueprints
+      .map(bp => parseInt(String(bp.id).replace(/^bp-/, ''), 10))
+      .filter(n => !isNaN(n))
+      .reduce((max, n) => Math.max(max, n), 0);
+    this.blueprintIdCounter = Math.max(this.blueprintIdCounter, highestId + 1);
+
+    const parser = new SpecParser();
+    const blueprints = [];
+    const markDelta = (bp, change, key, fields = []) => {
+      bp.delta = { change, key, fields };
+      blueprints.push(bp);
+      return bp;
+    };
+    // Turn a create blueprint into one that replaces or drops the object
+    const redefine = (bp, name, operation, sql, destructive = false) => {
+      bp.name = name;
+      bp.specifications.operation = operation;
+      bp.specifications.sql = sql;
+      if (destructive) bp.specifications.destructive = true;
+      return bp;
+    };
+    const qualified = (schema, name) => `${schema ? `${schema}.` : ''}${name}`;
+    const tableRemoved = name => diff.tables.removed.some(t => t.name === name);
+    const category = name => diff[name] || { added: [], removed: [], changed: [] };
+
+    // 0. Types the revised tables may use; dependents of objects that change or go away
+    for (const enumType of category('enums').added) {
+      markDelta(await this.createEnumBlueprint(this.enumRequirement(enumType), blueprints), 'added', enumType.name);
+    }
+    for (const change of category('enums').changed) {
+      const bp = await this.createEnumBlueprint(this.enumRequirement(change.new), blueprints);
+      const added = this.buildAlterEnumSQL(change);
+      if (added) {
+        redefine(bp, `Add values to ${change.key} enum`, 'alter_enum', added);
+      } else {
+        // Removed or reordered values: Postgres can only recreate the type
+        redefine(bp, `Replace ${change.key} enum`, 'replace_enum',
+          `DROP TYPE IF EXISTS ${qualified(change.old.schema, change.key)};\n${change.new.sql}`, true);
+      }
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+
+    for (const type of category('types').added) {
+      markDelta(await this.createCompositeTypeBlueprint(this.compositeTypeRequirement(type), blueprints), 'added', type.name);
+    }
+    for (const change of category('types').changed) {
+      const bp = await this.createCompositeTypeBlueprint(this.compositeTypeRequirement(change.new), blueprints);
+      redefine(bp, `Replace ${change.key} type`, 'replace_type',
+        `DROP TYPE IF EXISTS ${qualified(change.old.schema, change.key)};\n${change.new.sql}`, true);
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+
+    for (const view of category('views').removed) {
+      const bp = await this.createViewBlueprint(this.viewRequirement(view), blueprints);
+      redefine(bp, `Drop ${view.name} view`, 'drop_view',
+        `DROP ${view.materialized ? 'MATERIALIZED ' : ''}VIEW IF EXISTS ${qualified(view.schema, view.name)};`, true);
+      markDelta(bp, 'removed', view.name);
+    }
+
+    for (const trigger of category('triggers').removed) {
+      // Triggers on a dropped table go away with the table
+      if (tableRemoved(trigger.table)) continue;
+      const bp = await this.createTriggerBlueprint(this.triggerRequirement(trigger), blueprints);
+      redefine(bp, `Drop ${trigger.name} trigger on ${trigger.table}`, 'drop_trigger',
+        `DROP TRIGGER IF EXISTS ${trigger.name} ON ${qualified(trigger.schema, trigger.table)};`, true);
+      markDelta(bp, 'removed', `${trigger.table}.${trigger.name}`);
+    }
+
+    // 1. Tables: create new, alter changed, drop removed
+    for (const table of diff.tables.added) {
+      const bp = await this.createDatabaseBlueprint({
+        operation: 'create_table',
+        tableName: table.name,
+        columns: table.columns,
+        constraints: table.constraints,
+        sql: table.sql
+      }, blueprints);
+      markDelta(bp, 'added', table.name);
+    }
+
+    for (const change of diff.tables.changed) {
+      const sql = this.buildAlterTableSQL(change, parser);
+      if (!sql) continue;
+
+      const bp = await this.createDatabaseBlueprint({
+        operation: 'alter_table',
+        tableName: change.key,
+        columns: change.new.columns,
+        constraints: change.new.constraints,
+        alteration: change.fields.join(', '),
+        sql
+      }, blueprints);
+      bp.specifications.columnChanges = change.columns;
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+
+    for (const table of diff.tables.removed) {
+      const bp = await this.createDatabaseBlueprint({
+        operation: 'drop_table',
+        tableName: table.name,
+        sql: `DROP TABLE IF EXISTS ${table.schema ? `${table.schema}.` : ''}${table.name};`
+      }, blueprints);
+      bp.name = `Drop ${table.name} table`;
+      bp.specifications.destructive = true;
+      markDelta(bp, 'removed', table.name);
+    }
+
+    // 2. RLS policies: one migration per table, changed policies are replaced
+    const policyChangesByTable = {};
+    const policyBucket = table => {
+      if (!policyChangesByTable[table]) {
+        policyChangesByTable[table] = { policies: [], drop: [], changes: [] };
+      }
+      return policyChangesByTable[table];
+    };
+
+    for (const policy of diff.policies.added) {
+      policyBucket(policy.table).policies.push(policy);
+      policyBucket(policy.table).changes.push({ change: 'added', key: policy.name });
+    }
+    for (const change of diff.policies.changed) {
+      policyBucket(change.new.table).policies.push(change.new);
+      policyBucket(change.new.table).drop.push(change.new.name);
+      policyBucket(change.new.table).changes.push({ change: 'changed', key: change.new.name, fields: change.fields });
+    }
+    for (const policy of diff.policies.removed) {
+      // Policies on a dropped table go away with the table
+      if (diff.tables.removed.some(t => t.name === policy.table)) continue;
+      policyBucket(policy.table).drop.push(policy.name);
+      policyBucket(policy.table).changes.push({ change: 'removed', key: policy.name });
+    }
+
+    for (const [tableName, bucket] of Object.entries(policyChangesByTable)) {
+      const bp = await this.createRLSBlueprintFromActualPolicies(tableName, bucket.policies, blueprints);
+      bp.name = `Update RLS policies for ${tableName}`;
+      bp.specifications.dropPolicies = bucket.drop;
+      bp.specifications.enableRLS = diff.tables.added.some(t => t.name === tableName);
+      bp.delta = { change: 'changed', key: tableName, fields: [], policies: bucket.changes };
+      blueprints.push(bp);
+    }
+
+    // 3. RPC functions: CREATE OR REPLACE covers added and changed
+    for (const rpcFunc of diff.rpcFunctions.added) {
+      markDelta(await this.createRPCFunctionBlueprint(rpcFunc, blueprints), 'added', rpcFunc.name);
+    }
+    for (const change of diff.rpcFunctions.changed) {
+      const bp = await this.createRPCFunctionBlueprint(change.new, blueprints);
+      bp.name = `Update RPC function ${change.key}`;
+      if (change.new.fullDefinition) {
+        bp.specifications.sql = this.buildReplaceFunctionSQL(change, change.new.fullDefinition);
+      }
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+    for (const rpcFunc of diff.rpcFunctions.removed) {
+      const bp = await this.createRPCFunctionBlueprint(rpcFunc, blueprints);
+      redefine(bp, `Drop RPC function ${rpcFunc.name}`, 'drop_rpc_function',
+        `DROP FUNCTION IF EXISTS ${this.functionSignature(rpcFunc)};`, true);
+      markDelta(bp, 'removed', rpcFunc.name);
+    }
+
+    // 3b. Other functions (trigger functions), views, triggers and indexes
+    for (const func of category('functions').added) {
+      markDelta(await this.createFunctionBlueprint(this.functionRequirement(func), blueprints), 'added', func.name);
+    }
+    for (const change of category('functions').changed) {
+      const bp = await this.createFunctionBlueprint(this.functionRequirement(change.new), blueprints);
+      redefine(bp, `Update ${change.key} function`, 'replace_function',
+        this.buildReplaceFunctionSQL(change, change.new.sql));
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+
+    for (const view of category('views').added) {
+      markDelta(await this.createViewBlueprint(this.viewRequirement(view), blueprints), 'added', view.name);
+    }
+    for (const change of category('views').changed) {
+      const bp = await this.createViewBlueprint(this.viewRequirement(change.new), blueprints);
+      // CREATE OR REPLACE VIEW cannot drop or retype columns
+      redefine(bp, `Replace ${change.key} view`, 'replace_view',
+        `DROP ${change.old.materialized ? 'MATERIALIZED ' : ''}VIEW IF EXISTS ${qualified(change.old.schema, change.key)};\n${change.new.sql}`);
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+
+    for (const trigger of category('triggers').added) {
+      markDelta(await this.createTriggerBlueprint(this.triggerRequirement(trigger), blueprints), 'added', `${trigger.table}.${trigger.name}`);
+    }
+    for (const change of category('triggers').changed) {
+      const bp = await this.createTriggerBlueprint(this.triggerRequirement(change.new), blueprints);
+      redefine(bp, `Replace ${change.new.name} trigger on ${change.new.table}`, 'replace_trigger',
+        `DROP TRIGGER IF EXISTS ${change.old.name} ON ${qualified(change.old.schema, change.old.table)};\n${change.new.sql}`);
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+
+    for (const index of category('indexes').added) {
+      markDelta(await this.createIndexBlueprint(this.indexRequirement(index), blueprints), 'added', index.name);
+    }
+    for (const change of category('indexes').changed) {
+      const bp = await this.createIndexBlueprint(this.indexRequirement(change.new), blueprints);
+      redefine(bp, `Replace ${change.key} index`, 'replace_index',
+        `DROP INDEX IF EXISTS ${qualified(change.old.schema, change.key)};\n${change.new.sql}`);
+      markDelta(bp, 'changed', change.key, change.fields);
+    }
+    for (const index of category('indexes').removed) {
+      // Indexes of a dropped table go away with the table
+      if (tableRemoved(index.table)) continue;
+      const bp = await this.createIndexBlueprint(this.indexRequirement(index), blueprints);
+      redefine(bp, `Drop ${index.name} index`, 'drop_index',
+        `DROP INDEX IF EXISTS ${qualified(index.schema, index.name)};`, true);
+      markDelta(bp, 'removed', index.name);
+    }
+
+    // 3c. Functions and types nothing uses any more, after the tables and triggers that did
+    for (const func of category('functions').removed) {
+      const bp = await this.createFunctionBlueprint(this.functionRequirement(func), blueprints);
+      redefine(bp, `Drop ${func.name} function`, 'drop_function',
+        `DROP FUNCTION IF EXISTS ${this.functionSignature(func)};`, true);
+      markDelta(bp, 'removed', func.name);
+    }
+    for (const enumType of category('enums').removed) {
+      const bp = await this.createEnumBlueprint(this.enumRequirement(enumType), blueprints);
+      redefine(bp, `Drop ${enumType.name} enum`, 'drop_enum',
+        `DROP TYPE IF EXISTS ${qualified(enumType.schema, enumType.name)};`, true);
+      markDelta(bp, 'removed', enumType.name);
+    }
+    for (const type of category('types').removed) {
+      const bp = await this.createCompositeTypeBlueprint(this.compositeTypeRequirement(type), blueprints);
+      redefine(bp, `Drop ${type.name} type`, 'drop_type',
+        `DROP TYPE IF EXISTS ${qualified(type.schema, type.name)};`, true);
+      markDelta(bp, 'removed', type.name);
+    }
+
+    // 4-6. Services, API routes and UI components
+    const codeArtifacts = [
+      { diff: diff.services, create: s => this.createServiceBlueprint(s, blueprints), key: s => s.name },
+      { diff: diff.endpoints, create: e => this.createAPIBlueprint(e, blueprints), key: e => `${e.method} ${e.route}` },
+      { diff: diff.components, create: c => this.createUIBlueprint(c, blueprints), key: c => c.name }
+    ];
+
+    for (const artifact of codeArtifacts) {
+      for (const entry of artifact.diff.added) {
+        markDelta(artifact.create(entry), 'added', artifact.key(entry));
+      }
+      for (const change of artifact.diff.changed) {
+        const bp = artifact.create(change.new);
+        bp.name = `Update ${bp.name}`;
+        bp.specifications.operation = bp.specifications.operation.replace(/^create_/, 'update_');
+        markDelta(bp, 'changed', change.key, change.fields);
+      }
+      for (const entry of artifact.diff.removed) {
+        const bp = artifact.create(entry);
+        bp.name = `Remove ${bp.name}`;
+        bp.estimatedMinutes = 3;
+        bp.specifications.operation = bp.specifications.operation.replace(/^create_/, 'remove_');
+        bp.specifications.destructive = true;
+        markDelta(bp, 'removed', artifact.key(entry));
+      }
+    }
+
+    for (const bp of blueprints) {
+      if (!bp.evidenceRequired) {
+        bp.evidenceRequired = this.getEvidenceRequirements(bp.type);
+      }
+    }
+
+    await this.annotateBrownfield(blueprints, projectPath);
+    this.annotateAccessModes(blueprints);
+
+    console.log(`   Generated ${blueprints.length} delta blueprints\n`);
+
     return blueprints;
   }
 
+  /**
+   * ALTER TYPE statements adding an enum's new values in place
+   * @returns {string|null} null when values were removed or reordered
+   */
+  buildAlterEnumSQL(change) {
+    const oldValues = change.old.values;
+    const newValues = change.new.values;
+    const kept = newValues.filter(value => oldValues.includes(value));
+    if (kept.length !== oldValues.length || kept.some((value, i) => value !== oldValues[i])) {
+      return null;
+    }
+
+    const type = `${change.new.schema ? `${change.new.schema}.` : ''}${change.key}`;
+    const quote = value => `'${value.replace(/'/g, "''")}'`;
+
+    return newValues
+      .map((value, i) => {
+        if (oldValues.includes(value)) return null;
+        // The value before it is old or added by the statement before this one
+        const position = i > 0 ? ` AFTER ${quote(newValues[i - 1])}` : ` BEFORE ${quote(oldValues[0])}`;
+        return `ALTER TYPE ${type} ADD VALUE IF NOT EXISTS ${quote(value)}${oldValues.length > 0 ? position : ''};`;
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * SQL replacing a changed function: a new signature or return type needs
+   * the old function dropped first, otherwise CREATE OR REPLACE is enough
+   */
+  buildReplaceFunctionSQL(change, sql) {
+    const replace = sql.replace(/^(\s*)CREATE\s+(?!OR\s+REPLACE\b)/i, '$1CREATE OR REPLACE ');
+    if (!change.fields.includes('parameters') && !change.fields.includes('returnType')) {
+      return replace;
+    }
+    return `DROP FUNCTION IF EXISTS ${this.functionSignature(change.old)};\n${replace}`;
+  }
+
+  /**
+   * name(argument types) identifying a function for DROP FUNCTION
+   */
+  functionSignature(func) {
+    const types = (func.parameters || [])
+      .filter(p => p.mode !== 'OUT')
+      .map(p => p.type);
+    return `${func.schema ? `${func.schema}.` : ''}${func.name}(${types.join(', ')})`;
+  }
+
+  /**
+   * ALTER TABLE statement for a changed table's column diff
+   * @returns {string|null} null when only non-column fields changed
+   */
+  buildAlterTableSQL(change, parser) {
+    const columns = change.columns;
+    if (!columns) return null;
+
+    const table = `${change.new.schema ? `${change.new.schema}.` : ''}${change.key}`;
+    const actions = [];
+
+    for (const column of columns.added) {
+      actions.push(`ADD COLUMN ${parser.formatColumnDefinition(column)}`);
+    }
+
+    for (const { key, old: previous, new: column, fields } of columns.changed) {
+      if (fields.includes('type')) {
+        actions.push(`ALTER COLUMN ${key} TYPE ${column.type} USING ${key}::${column.type}`);
+      }
+      if (fields.includes('nullable')) {
+        actions.push(`ALTER COLUMN ${key} ${column.nullable ? 'DROP' : 'SET'} NOT NULL`);
+      }
+      if (fields.includes('defaultValue')) {
+        actions.push(column.defaultValue
+          ? `ALTER COLUMN ${key} SET DEFAULT ${column.defaultValue}`
+          : `ALTER COLUMN ${key} DROP DEFAULT`);
+      }
+      if (fields.includes('references') && column.references && !previous.references) {
+        actions.push(`ADD FOREIGN KEY (${key}) REFERENCES ${column.references.table}(${column.references.column || 'id'})`);
+      }
+    }
+
+    for (const column of columns.removed) {
+      actions.push(`DROP COLUMN IF EXISTS ${column.name}`);
+    }
+
+    if (actions.length === 0) return null;
+
+    return `ALTER TABLE ${table}\n  ${actions.join(',\n  ')};`;
+  }
+
   /**
    * Parse spec file and extract requirements
    *
@@ -262,10 +1099,28 @@ class BlueprintDecomposer {
     console.log(`   → Reading spec file: ${spec.path || 'inline spec'}`);
 
     let specContent;
+    let structured = spec.structured || null;
+    let openapi = spec.openapi || null;
 
     // Read spec file if path provided
     if (spec.path && await this.fileExists(spec.path)) {
       specContent = await fs.readFile(spec.path, 'utf8');
+
+      // Sibling spec.json / spec.yaml declares entries explicitly
+      const sibling = await new FrontMatterParser().loadSibling(spec.path);
+      if (sibling) {
+        console.log(`   → Merging structured spec: ${sibling.path}`);
+        structured = sibling.data;
+      }
+
+      // openapi.json / openapi.yaml is the API contract when present
+      if (!openapi) {
+        const contract = await new OpenAPIConverter().loadSibling(spec.path);
+        if (contract) {
+          console.log(`   → Importing OpenAPI contract: ${contract.path}`);
+          openapi = contract.doc;
+        }
+      }
     } else if (spec.content) {
       specContent = spec.content;
     } else {
@@ -274,7 +1129,11 @@ class BlueprintDecomposer {
 
     // Use the new SpecParser for semantic extraction
     const parser = new SpecParser();
-    const parsed = parser.parse(specContent);
+    if (typeof openapi === 'string') {
+      openapi = await new OpenAPIConverter().loadDocument(openapi);
+    }
+
+    const parsed = parser.parse(specContent, { structured, openapi });
 
     // Transform parsed data into requirements format
     const requirements = {
@@ -284,12 +1143,24 @@ class BlueprintDecomposer {
       ui: parsed.ui || [],
       rpcFunctions: parsed.rpcFunctions || [],
       rlsPolicies: parsed.rlsPolicies || [],
+      triggers: [],
+      indexes: [],
       security: parsed.security || {},
-      performance: parsed.performance || {}
+      performance: parsed.performance || {},
+      userStories: parsed.userStories || [],
+      acceptanceCriteria: parsed.acceptanceCriteria || []
     };
 
     // Process database schema
     if (parsed.database) {
+      // Enum types first - table columns may use them
+      for (const enumType of parsed.database.enums || []) {
+        requirements.database.push(this.enumRequirement(enumType));
+      }
+      for (const type of parsed.database.types || []) {
+        requirements.database.push(this.compositeTypeRequirement(type));
+      }
+
       // Add tables
       for (const table of parsed.database.tables) {
         requirements.database.push({
@@ -307,37 +1178,124 @@ class BlueprintDecomposer {
           operation: 'alter_table',
           tableName: alteration.table,
           alteration: alteration.alteration,
+          actions: alteration.actions,
           sql: alteration.sql
         });
       }
 
-      // Add functions (especially SECURITY DEFINER ones)
+      // Add functions (especially SECURITY DEFINER ones, and any a trigger executes)
+      const triggerFunctions = new Set((parsed.database.triggers || []).map(t => t.function));
       for (const func of parsed.database.functions) {
-        if (func.securityDefiner || func.name.includes('get_') || func.name.includes('grant_')) {
-          requirements.database.push({
-            operation: 'create_function',
-            functionName: func.name,
-            parameters: func.parameters,
-            returnType: func.returnType,
-            securityDefiner: func.securityDefiner,
-            language: func.language,
-            sql: func.sql
-          });
+        if (func.securityDefiner || func.name.includes('get_') || func.name.includes('grant_') ||
+            triggerFunctions.has(func.name)) {
+          requirements.database.push(this.functionRequirement(func));
         }
       }
+
+      // Views read from the tables above
+      for (const view of parsed.database.views || []) {
+        requirements.database.push(this.viewRequirement(view));
+      }
+
+      for (const trigger of parsed.database.triggers || []) {
+        requirements.triggers.push(this.triggerRequirement(trigger));
+      }
+
+      for (const index of parsed.database.indexes || []) {
+        requirements.indexes.push(this.indexRequirement(index));
+      }
+    }
+
+    // Project blueprint types extract their own entries
+    requirements.custom = {};
+    for (const type of this.blueprintTypes.extractable()) {
+      const items = await type.extract({ content: specContent, parsed, requirements });
+      requirements.custom[type.name] = Array.isArray(items) ? items : [];
     }
 
     console.log(`   → Extracted requirements from spec:`);
     console.log(`     - Database changes: ${requirements.database.length}`);
     console.log(`     - RPC functions: ${requirements.rpcFunctions.length}`);
     console.log(`     - RLS policies: ${requirements.rlsPolicies.length}`);
+    console.log(`     - Triggers: ${requirements.triggers.length}`);
     console.log(`     - Service functions: ${requirements.services.length}`);
     console.log(`     - API routes: ${requirements.api.length}`);
     console.log(`     - UI components: ${requirements.ui.length}`);
+    console.log(`     - User stories: ${requirements.userStories.length} (${requirements.acceptanceCriteria.length} acceptance criteria)`);
+    for (const [typeName, items] of Object.entries(requirements.custom)) {
+      console.log(`     - ${typeName}: ${items.length}`);
+    }
 
     return requirements;
   }
 
+  // Parsed schema objects -> the database changes the blueprint builders take
+
+  enumRequirement(enumType) {
+    return {
+      operation: 'create_enum',
+      typeName: enumType.name,
+      values: enumType.values,
+      sql: enumType.sql
+    };
+  }
+
+  compositeTypeRequirement(type) {
+    return {
+      operation: 'create_type',
+      typeName: type.name,
+      fields: type.fields,
+      sql: type.sql
+    };
+  }
+
+  functionRequirement(func) {
+    return {
+      operation: 'create_function',
+      functionName: func.name,
+      parameters: func.parameters,
+      returnType: func.returnType,
+      securityDefiner: func.securityDefiner,
+      language: func.language,
+      sql: func.sql
+    };
+  }
+
+  viewRequirement(view) {
+    return {
+      operation: 'create_view',
+      viewName: view.name,
+      materialized: view.materialized,
+      sourceTables: view.dependencies,
+      columns: view.columns,
+      sql: view.sql
+    };
+  }
+
+  triggerRequirement(trigger) {
+    return {
+      operation: 'create_trigger',
+      triggerName: trigger.name,
+      tableName: trigger.table,
+      functionName: trigger.function,
+      timing: trigger.timing,
+      events: trigger.events.map(e => e.event),
+      forEach: trigger.forEach,
+      sql: trigger.sql
+    };
+  }
+
+  indexRequirement(index) {
+    return {
+      operation: 'create_index',
+      indexName: index.name,
+      tableName: index.table,
+      columns: index.columns,
+      unique: index.unique,
+      sql: index.sql
+    };
+  }
+
   /**
    * Check if file exists
    */
@@ -754,6 +1712,7 @@ class BlueprintDecomposer {
         tableName: dbChange.tableName,
         columns: dbChange.columns,
         constraints: dbChange.constraints,
+        actions: dbChange.actions,
         sql: dbChange.sql,  // Use actual SQL from spec
         migrationNumber,
         fileName: `${migrationNumber}_${fileSuffix}.sql`,
@@ -783,6 +1742,7 @@ class BlueprintDecomposer {
       description: `RLS policies for ${tableName} table (user can only access their own data)`,
       estimatedMinutes: 5,
       dependsOn: dependencies,
+      type: 'rls',
       resources: {
         tables: [tableName],
         migrations: [`${migrationNumber}_${tableName}_rls.sql`],
@@ -842,6 +1802,7 @@ class BlueprintDecomposer {
       description: `Service function to ${service.name}`,
       estimatedMinutes: 8,
       dependsOn: dependencies,
+      type: 'service',
       resources: {
         tables: serviceDeps,
         migrations: [],
@@ -885,6 +1846,7 @@ class BlueprintDecomposer {
       description: `API endpoint: ${route.method} ${route.route}`,
       estimatedMinutes: 8,
       dependsOn: dependencies,
+      type: 'api',
       resources: {
         tables: routeDeps.filter(d => typeof d === 'string' && !d.startsWith('send')),
         migrations: [],
@@ -898,8 +1860,12 @@ class BlueprintDecomposer {
         method: route.method,
         handler: route.handler,
         filePath: routePath,
-        authentication: 'required',
-        csrfProtection: true
+        authentication: route.contract?.requiresAuth === false ? 'none' : 'required',
+        csrfProtection: true,
+        requestType: route.requestType || null,
+        responseType: route.responseType || null,
+        // JSON Schema request/response contract (OpenAPI or spec interfaces)
+        contract: route.contract || null
       }
     };
   }
@@ -1031,6 +1997,7 @@ class BlueprintDecomposer {
         pageName: page.name,
         filePath: page.path,
         route: page.route,
+        components: childComponents,
         layout: page.layout || '(app)/layout.tsx',
         protected: page.protected !== false,
 
@@ -1069,6 +2036,49 @@ class BlueprintDecomposer {
     };
   }
 
+  /**
+   * Create a blueprint for a project-registered type from one extracted item
+   *
+   * The type's resources(item) declares the footprint; without a dependsOn
+   * hook the blueprint depends on whatever creates the tables it touches.
+   */
+  createRegisteredBlueprint(typeName, item, existingBlueprints) {
+    const type = this.blueprintTypes.get(typeName);
+    if (!type) {
+      throw new Error(`Unknown blueprint type: ${typeName}`);
+    }
+
+    const label = type.label ? type.label(item) : (item.name || typeName);
+    const resources = this.blueprintTypes.normalizeResources(type.resources(item));
+
+    let dependencies;
+    if (type.dependsOn) {
+      dependencies = type.dependsOn(item, existingBlueprints) || [];
+    } else {
+      dependencies = existingBlueprints
+        .filter(bp =>
+          ['create_table', 'create_view'].includes(bp.specifications?.operation) &&
+          bp.resources.tables.some(t => resources.tables.includes(t))
+        )
+        .map(bp => bp.id);
+    }
+
+    const blueprint = {
+      id: this.getNextBlueprintId(),
+      name: `Create ${typeName} ${label}`,
+      description: item.description || `${type.description}: ${label}`,
+      dependsOn: Array.from(new Set(dependencies)),
+      type: typeName,
+      resources,
+      specifications: type.specifications
+        ? type.specifications(item)
+        : { operation: `create_${typeName.replace(/-/g, '_')}`, ...item }
+    };
+    blueprint.estimatedMinutes = this.blueprintTypes.estimateMinutes(blueprint);
+
+    return blueprint;
+  }
+
   /**
    * Create function blueprint (for SECURITY DEFINER functions)
    */
@@ -1092,7 +2102,7 @@ class BlueprintDecomposer {
       description: `${func.securityDefiner ? 'SECURITY DEFINER ' : ''}function ${func.functionName}`,
       estimatedMinutes: 5,
       dependsOn: dependencies,
-      type: 'database',
+      type: 'function',
       resources: {
         tables: [],
         migrations: [`${migrationNumber}_create_function_${func.functionName}.sql`],
@@ -1115,6 +2125,264 @@ class BlueprintDecomposer {
     };
   }
 
+  /**
+   * Create enum type blueprint
+   */
+  async createEnumBlueprint(enumType, existingBlueprints) {
+    const blueprintId = this.getNextBlueprintId();
+    const migrationNumber = await this.getNextMigrationNumber();
+    const fileName = `${migrationNumber}_create_type_${enumType.typeName}.sql`;
+
+    const dependencies = [];
+    const previousMigration = existingBlueprints
+      .filter(bp => bp.resources.migrations.length > 0)
+      .slice(-1)[0];
+
+    if (previousMigration) {
+      dependencies.push(previousMigration.id);
+    }
+
+    return {
+      id: blueprintId,
+      name: `Create ${enumType.typeName} enum`,
+      description: `Enum type ${enumType.typeName} (${enumType.values.join(', ')})`,
+      estimatedMinutes: 3,
+      dependsOn: dependencies,
+      type: 'enum',
+      resources: {
+        tables: [],
+        migrations: [fileName],
+        routes: [],
+        components: [],
+        functions: [],
+        enums: [enumType.typeName]
+      },
+      specifications: {
+        operation: 'create_enum',
+        typeName: enumType.typeName,
+        values: enumType.values,
+        sql: enumType.sql,
+        migrationNumber,
+        fileName,
+        filePath: `supabase/migrations/${fileName}`
+      }
+    };
+  }
+
+  /**
+   * Create composite type blueprint
+   */
+  async createCompositeTypeBlueprint(type, existingBlueprints) {
+    const blueprintId = this.getNextBlueprintId();
+    const migrationNumber = await this.getNextMigrationNumber();
+    const fileName = `${migrationNumber}_create_type_${type.typeName}.sql`;
+
+    const dependencies = [];
+    const previousMigration = existingBlueprints
+      .filter(bp => bp.resources.migrations.length > 0)
+      .slice(-1)[0];
+
+    if (previousMigration) {
+      dependencies.push(previousMigration.id);
+    }
+
+    return {
+      id: blueprintId,
+      name: `Create ${type.typeName} type`,
+      description: `Composite type ${type.typeName} (${type.fields.map(f => f.name).join(', ')})`,
+      estimatedMinutes: 3,
+      dependsOn: dependencies,
+      type: 'database',
+      resources: {
+        tables: [],
+        migrations: [fileName],
+        routes: [],
+        components: [],
+        functions: []
+      },
+      specifications: {
+        operation: 'create_type',
+        typeName: type.typeName,
+        fields: type.fields,
+        sql: type.sql,
+        migrationNumber,
+        fileName,
+        filePath: `supabase/migrations/${fileName}`
+      }
+    };
+  }
+
+  /**
+   * Create index blueprint
+   */
+  async createIndexBlueprint(index, existingBlueprints) {
+    const blueprintId = this.getNextBlueprintId();
+    const migrationNumber = await this.getNextMigrationNumber();
+    const fileName = `${migrationNumber}_create_index_${index.indexName}.sql`;
+
+    const dependencies = new Set();
+
+    const tableBlueprint = existingBlueprints.find(bp =>
+      bp.specifications?.operation === 'create_table' && bp.specifications.tableName === index.tableName
+    );
+    if (tableBlueprint) dependencies.add(tableBlueprint.id);
+
+    const previousMigration = existingBlueprints
+      .filter(bp => bp.resources.migrations.length > 0)
+      .slice(-1)[0];
+
+    if (previousMigration) {
+      dependencies.add(previousMigration.id);
+    }
+
+    return {
+      id: blueprintId,
+      name: `Create ${index.indexName} index on ${index.tableName}`,
+      description: `${index.unique ? 'Unique index' : 'Index'} on ${index.tableName} (${index.columns.join(', ')})`,
+      estimatedMinutes: 3,
+      dependsOn: Array.from(dependencies),
+      type: 'database',
+      resources: {
+        tables: [index.tableName],
+        migrations: [fileName],
+        routes: [],
+        components: [],
+        functions: []
+      },
+      specifications: {
+        operation: 'create_index',
+        indexName: index.indexName,
+        tableName: index.tableName,
+        columns: index.columns,
+        unique: index.unique,
+        sql: index.sql,
+        migrationNumber,
+        fileName,
+        filePath: `supabase/migrations/${fileName}`
+      }
+    };
+  }
+
+  /**
+   * Create view / materialized view blueprint
+   */
+  async createViewBlueprint(view, existingBlueprints) {
+    const blueprintId = this.getNextBlueprintId();
+    const migrationNumber = await this.getNextMigrationNumber();
+    const fileName = `${migrationNumber}_create_view_${view.viewName}.sql`;
+
+    // Views depend on the blueprints creating the tables and views they select from
+    const dependencies = new Set();
+    for (const source of view.sourceTables) {
+      const creator = existingBlueprints.find(bp =>
+        (bp.specifications?.operation === 'create_table' && bp.specifications.tableName === source) ||
+        (bp.specifications?.operation === 'create_view' && bp.specifications.viewName === source)
+      );
+      if (creator) dependencies.add(creator.id);
+    }
+
+    const previousMigration = existingBlueprints
+      .filter(bp => bp.resources.migrations.length > 0)
+      .slice(-1)[0];
+
+    if (previousMigration) {
+      dependencies.add(previousMigration.id);
+    }
+
+    const kind = view.materialized ? 'materialized view' : 'view';
+
+    return {
+      id: blueprintId,
+      name: `Create ${view.viewName} ${kind}`,
+      description: `${view.materialized ? 'Materialized view' : 'View'} ${view.viewName} over ${view.sourceTables.join(', ') || 'no tables'}`,
+      estimatedMinutes: 5,
+      dependsOn: Array.from(dependencies),
+      type: 'view',
+      resources: {
+        tables: [],
+        migrations: [fileName],
+        routes: [],
+        components: [],
+        functions: [],
+        views: [view.viewName]
+      },
+      specifications: {
+        operation: 'create_view',
+        viewName: view.viewName,
+        materialized: view.materialized,
+        sourceTables: view.sourceTables,
+        columns: view.columns,
+        sql: view.sql,
+        migrationNumber,
+        fileName,
+        filePath: `supabase/migrations/${fileName}`
+      }
+    };
+  }
+
+  /**
+   * Create trigger blueprint
+   *
+   * A trigger depends on the blueprint creating its table and the one
+   * creating the function it executes.
+   */
+  async createTriggerBlueprint(trigger, existingBlueprints) {
+    const blueprintId = this.getNextBlueprintId();
+    const migrationNumber = await this.getNextMigrationNumber();
+    const fileName = `${migrationNumber}_create_trigger_${trigger.triggerName}.sql`;
+
+    const dependencies = new Set();
+
+    const tableBlueprint = existingBlueprints.find(bp =>
+      bp.specifications?.operation === 'create_table' && bp.specifications.tableName === trigger.tableName
+    );
+    if (tableBlueprint) dependencies.add(tableBlueprint.id);
+
+    const functionBlueprint = existingBlueprints.find(bp =>
+      ['create_function', 'create_rpc_function'].includes(bp.specifications?.operation) &&
+      bp.specifications.functionName === trigger.functionName
+    );
+    if (functionBlueprint) dependencies.add(functionBlueprint.id);
+
+    const previousMigration = existingBlueprints
+      .filter(bp => bp.resources.migrations.length > 0)
+      .slice(-1)[0];
+
+    if (previousMigration) {
+      dependencies.add(previousMigration.id);
+    }
+
+    return {
+      id: blueprintId,
+      name: `Create ${trigger.triggerName} trigger on ${trigger.tableName}`,
+      description: `${trigger.timing} ${trigger.events.join(' OR ')} trigger on ${trigger.tableName} executing ${trigger.functionName}()`,
+      estimatedMinutes: 4,
+      dependsOn: Array.from(dependencies),
+      type: 'trigger',
+      resources: {
+        tables: [trigger.tableName],
+        migrations: [fileName],
+        routes: [],
+        components: [],
+        functions: [],
+        triggers: [`${trigger.tableName}.${trigger.triggerName}`]
+      },
+      specifications: {
+        operation: 'create_trigger',
+        triggerName: trigger.triggerName,
+        tableName: trigger.tableName,
+        functionName: trigger.functionName,
+        timing: trigger.timing,
+        events: trigger.events,
+        forEach: trigger.forEach,
+        sql: trigger.sql,
+        migrationNumber,
+        fileName,
+        filePath: `supabase/migrations/${fileName}`
+      }
+    };
+  }
+
   /**
    * Create RLS blueprint from actual policies in spec
    */
@@ -1128,15 +2396,26 @@ class BlueprintDecomposer {
       (bp.specifications?.operation === 'create_table' || bp.specifications?.tableName === tableName)
     );
 
-    const dependencies = tableMigration ? [tableMigration.id] : [];
+    const dependencies = new Set(tableMigration ? [tableMigration.id] : []);
+
+    // Policy expressions that read other tables need those tables first
+    for (const referenced of new Set(policies.flatMap(p => p.referencedTables || []))) {
+      const creator = existingBlueprints.find(bp =>
+        bp.specifications?.operation === 'create_table' && bp.specifications.tableName === referenced
+      );
+      if (creator) dependencies.add(creator.id);
+    }
 
     // Format policies for the blueprint
     const formattedPolicies = policies.map(policy => ({
       name: policy.name,
       operation: policy.operation,
+      permissive: policy.permissive !== false,
+      roles: policy.roles || ['authenticated'],
       role: policy.role || 'authenticated',
       using: policy.using,
       withCheck: policy.withCheck,
+      referencedTables: policy.referencedTables || [],
       sql: policy.sql
     }));
 
@@ -1145,8 +2424,8 @@ class BlueprintDecomposer {
       name: `Add RLS policies for ${tableName}`,
       description: `Row Level Security policies for ${tableName} table (from spec)`,
       estimatedMinutes: 5,
-      dependsOn: dependencies,
-      type: 'database',
+      dependsOn: Array.from(dependencies),
+      type: 'rls',
       resources: {
         tables: [tableName],
         migrations: [`${migrationNumber}_${tableName}_rls.sql`],
@@ -1189,7 +2468,7 @@ class BlueprintDecomposer {
       description: `${rpcFunc.securityDefiner ? 'SECURITY DEFINER ' : ''}RPC function: ${rpcFunc.name}`,
       estimatedMinutes: 8,
       dependsOn: dependencies,
-      type: 'database',
+      type: 'rpc',
       resources: {
         tables: [],
         migrations: [`${migrationNumber}_rpc_${rpcFunc.name}.sql`],
@@ -16,6 +16,9 @@
  */
 
 const { DependencyGraphBuilder } = require('../lib/orchestration/dependency-graph-builder');
+const { SpecParser } = require('../lib/spec-parser');
+const { CodeReferenceScanner, HTTP_METHODS } = require('../lib/code-references');
+const { createDefaultRegistry } = require('../lib/blueprint-types');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
@@ -26,7 +29,11 @@ class MasterOrchestrator {
       ...options
     };
 
-    this.dagBuilder = new DependencyGraphBuilder();
+    // options.dependencyRules: per-plan overrides of the implicit dependency rules
+    this.dagBuilder = new DependencyGraphBuilder({ rules: this.options.dependencyRules });
+
+    // Shared with every decomposer so project types load once
+    this.blueprintTypes = options.blueprintTypes || createDefaultRegistry();
   }
 
   /**
@@ -45,131 +52,572 @@ class MasterOrchestrator {
 
       console.log(`   Generated ${blueprints.length} blueprints\n`);
 
-      // 2. Build dependency graph
-      console.log('🔗 Step 2: Building dependency graph...');
-      for (const bp of blueprints) {
-        this.dagBuilder.addBlueprint(bp);
+      // 2-3. Build dependency graph, layers and estimates
+      const analysis = this.analyzeBlueprints(blueprints, this.dagBuilder);
+      const { layers } = analysis;
+
+      // 4. Calculate spec checksum for staleness detection
+      // (the content snapshot lets validatePlan diff a later revision)
+      const specContent = await this.readSpecContent(spec);
+      const specChecksum = this.checksumContent(specContent);
+
+      // 5. Build and return execution plan
+      const plan = {
+        id: `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        createdAt: new Date().toISOString(),
+
+        spec: {
+          name: spec.name,
+          path: spec.path,
+          checksum: specChecksum,
+          content: specContent
+        },
+
+        blueprints,
+        layers,
+        dependencies: analysis.dependencies,
+        implicitDependencies: analysis.implicitDependencies,
+        dependencyRules: analysis.dependencyRules,
+
+        metadata: this.buildPlanMetadata(blueprints, analysis),
+
+        // Merges and splits applied for the granularity level
+        granularity: this.lastGranularityReport,
+
+        executionStrategy: 'Start each blueprint as soon as its dependencies finish, longest critical path first'
+      };
+
+      console.log('✅ Execution plan created successfully\n');
+
+      // Display plan summary
+      this.displayPlanSummary(plan);
+
+      return plan;
+
+    } catch (error) {
+      console.error('\n❌ [Master Orchestrator] Plan creation failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan a feature from a blueprint template instead of a spec
+   *
+   * The brief is matched against the template library (BlueprintMatcher),
+   * or options.template names the template to use. The template's blanks
+   * are filled from the brief, and the plan records the template id,
+   * version and checksum plus the parameter values it was expanded with.
+   * @param {Object} brief - { title, description, requirements, type, parameters }
+   * @param {string} projectPath
+   * @param {Object} [options] - { template, blueprintDir }
+   */
+  async orchestrateFromTemplate(brief, projectPath, options = {}) {
+    console.log('\n🎯 [Master Orchestrator] Creating execution plan from template');
+    console.log(`   Feature: ${brief.title || brief.description}`);
+    console.log(`   Project: ${projectPath}\n`);
+
+    const BlueprintMatcher = require('../testing-framework/blueprint-matcher');
+    const { BlueprintDecomposer } = require('./blueprint-decomposer');
+
+    try {
+      // 1. Match the brief to a template and fill in its parameters
+      console.log('📋 Step 1: Expanding blueprint template...');
+      const matcher = new BlueprintMatcher({
+        blueprintDir: options.blueprintDir || path.join(projectPath, 'blueprints')
+      });
+      const template = await matcher.findMatchingTemplate(brief, options.template || null);
+      if (!template) {
+        throw new Error('No blueprint template matches the brief');
       }
 
-      this.dagBuilder.detectResourceConflicts();
+      const expansion = matcher.expandTemplate(template, brief);
+      for (const [name, value] of Object.entries(expansion.parameters)) {
+        if (expansion.parameterSources[name] === 'derived') continue;
+        console.log(`   ${name} = ${JSON.stringify(value)} (${expansion.parameterSources[name]})`);
+      }
+
+      const decomposer = new BlueprintDecomposer({ blueprintTypes: this.blueprintTypes, granularity: this.options.granularity });
+      const blueprints = await decomposer.decomposeTemplate(expansion, projectPath);
+      this.lastGranularityReport = decomposer.lastGranularityReport;
+
+      console.log(`   Generated ${blueprints.length} blueprints\n`);
+
+      // 2-3. Build dependency graph, layers and estimates
+      const analysis = this.analyzeBlueprints(blueprints, this.dagBuilder);
+
+      // The brief stands in for the spec (no path, so never stale)
+      const briefContent = JSON.stringify(brief, null, 2);
+
+      const plan = {
+        id: `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        createdAt: new Date().toISOString(),
+
+        spec: {
+          name: brief.title || expansion.template.name,
+          path: null,
+          checksum: this.checksumContent(briefContent),
+          content: briefContent
+        },
+
+        // Which template version produced this plan, and with what values
+        template: {
+          ...expansion.template,
+          parameters: expansion.parameters,
+          parameterSources: expansion.parameterSources
+        },
+
+        blueprints,
+        layers: analysis.layers,
+        dependencies: analysis.dependencies,
+        implicitDependencies: analysis.implicitDependencies,
+        dependencyRules: analysis.dependencyRules,
+
+        metadata: this.buildPlanMetadata(blueprints, analysis),
+        granularity: this.lastGranularityReport,
+
+        executionStrategy: 'Start each blueprint as soon as its dependencies finish, longest critical path first'
+      };
+
+      console.log('✅ Execution plan created successfully\n');
+
+      this.displayPlanSummary(plan);
+
+      return plan;
 
-      const cycles = this.dagBuilder.detectCycles();
-      if (cycles.length > 0) {
-        throw new Error(`Circular dependencies detected: ${JSON.stringify(cycles)}`);
+    } catch (error) {
+      console.error('\n❌ [Master Orchestrator] Plan creation failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Orchestrate several specs (an epic split across files) as one plan
+   *
+   * Specs are decomposed with a shared decomposer so blueprint IDs stay
+   * unique. A table created by more than one spec is an error. Blueprints
+   * that declare a reference to another spec's tables (foreign keys) or API
+   * routes (UI apiEndpoints) depend on the blueprints that provide them, and
+   * specs are ordered so providers come first; specs that need each other
+   * are an error. Each spec keeps its own checksum for staleness checks.
+   * @param {Object|string} bundle - { name, specs: [spec|path] } or a directory of specs
+   * @param {string} projectPath
+   */
+  async orchestrateBundle(bundle, projectPath) {
+    const { name, specs } = await this.loadBundle(bundle);
+
+    console.log('\n🎯 [Master Orchestrator] Creating bundle execution plan');
+    console.log(`   Bundle: ${name} (${specs.length} specs)`);
+    console.log(`   Project: ${projectPath}\n`);
+
+    try {
+      // 1. Decompose every spec with one decomposer
+      console.log('📋 Step 1: Decomposing specs into blueprints...');
+      const { BlueprintDecomposer } = require('./blueprint-decomposer');
+      const decomposer = new BlueprintDecomposer({ blueprintTypes: this.blueprintTypes, granularity: this.options.granularity });
+      const entries = [];
+
+      for (const spec of specs) {
+        const content = await this.readSpecContent(spec);
+        const blueprints = await decomposer.decomposeSpec({ ...spec, content }, projectPath);
+        for (const bp of blueprints) {
+          bp.spec = spec.name;
+        }
+        entries.push({ spec, content, blueprints, granularity: decomposer.lastGranularityReport });
       }
 
-      const layers = this.dagBuilder.generateExecutionLayers();
-      console.log(`   Created ${layers.length} execution layers\n`);
+      // 1b. Duplicate tables and cross-spec references
+      const duplicates = this.findDuplicateTables(entries);
+      if (duplicates.length > 0) {
+        const details = duplicates.map(d => `${d.table} (${d.specs.join(', ')})`).join('; ');
+        throw new Error(`Tables defined in more than one spec: ${details}`);
+      }
 
-      this.dagBuilder.visualizeLayers(layers);
+      const crossSpecDependencies = this.resolveCrossSpecDependencies(entries);
+      const ordered = this.orderSpecsByDependencies(entries, crossSpecDependencies);
+      const blueprints = ordered.flatMap(entry => entry.blueprints);
 
-      // 3. Calculate estimates
-      console.log('📊 Step 3: Calculating estimates...');
-      const estimatedTime = this.calculateEstimatedTime(blueprints, layers);
-      const parallelizationPotential = this.calculateParallelizationPotential(layers);
-      const maxParallelism = Math.max(...layers.map(l => l.length));
+      console.log(`   Generated ${blueprints.length} blueprints`);
+      console.log(`   Cross-spec dependencies: ${crossSpecDependencies.length}\n`);
 
-      console.log(`   Estimated time: ${estimatedTime} minutes`);
-      console.log(`   Parallelization potential: ${Math.round(parallelizationPotential * 100)}%`);
-      console.log(`   Max parallel blueprints: ${maxParallelism}\n`);
+      // 2-3. Build dependency graph, layers and estimates
+      const analysis = this.analyzeBlueprints(blueprints, this.dagBuilder);
 
-      // 4. Calculate spec checksum for staleness detection
-      const specChecksum = await this.calculateSpecChecksum(spec);
+      // 4. Per-spec checksums for staleness detection
+      const specEntries = ordered.map(entry => ({
+        name: entry.spec.name,
+        path: entry.spec.path,
+        checksum: this.checksumContent(entry.content),
+        content: entry.content,
+        blueprintIds: entry.blueprints.map(bp => bp.id),
+        granularity: entry.granularity
+      }));
 
-      // 5. Build and return execution plan
       const plan = {
         id: `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         createdAt: new Date().toISOString(),
 
         spec: {
-          name: spec.name,
-          path: spec.path,
-          checksum: specChecksum
+          name,
+          bundle: true,
+          checksum: this.checksumContent(specEntries.map(s => s.checksum).join(''))
         },
+        specs: specEntries,
+        crossSpecDependencies,
 
         blueprints,
-        layers,
+        layers: analysis.layers,
+        dependencies: analysis.dependencies,
+        implicitDependencies: analysis.implicitDependencies,
+        dependencyRules: analysis.dependencyRules,
 
         metadata: {
-          totalBlueprints: blueprints.length,
-          totalLayers: layers.length,
-          estimatedMinutes: estimatedTime,
-          parallelizationPotential,
-          maxParallelism,
-
-          // Breakdown by type
-          databaseBlueprints: blueprints.filter(bp => bp.type === 'database').length,
-          apiBlueprints: blueprints.filter(bp => bp.type === 'api').length,
-          uiBlueprints: blueprints.filter(bp => bp.type === 'ui').length,
-          serviceBlueprints: blueprints.filter(bp => bp.type === 'service').length
+          ...this.buildPlanMetadata(blueprints, analysis),
+          totalSpecs: specEntries.length
         },
 
-        executionStrategy: 'Execute layers sequentially, blueprints in parallel within each layer'
+        executionStrategy: 'Start each blueprint as soon as its dependencies finish, longest critical path first'
       };
 
-      console.log('✅ Execution plan created successfully\n');
+      console.log('✅ Bundle execution plan created successfully\n');
 
-      // Display plan summary
       this.displayPlanSummary(plan);
 
       return plan;
 
     } catch (error) {
-      console.error('\n❌ [Master Orchestrator] Plan creation failed:', error.message);
+      console.error('\n❌ [Master Orchestrator] Bundle plan creation failed:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Normalize a bundle definition
+   *
+   * A directory is read as every *.md spec in it (sorted), or the specs
+   * listed in its bundle.json ({ name, specs: ["a.md", ...] }).
+   * @returns {Promise<{ name: string, specs: Array<Object> }>}
+   */
+  async loadBundle(bundle) {
+    const toSpec = (entry, baseDir) => {
+      if (typeof entry !== 'string') return entry;
+      const specPath = baseDir ? path.resolve(baseDir, entry) : entry;
+      return { name: path.basename(specPath).replace(/\.(md|markdown)$/i, ''), path: specPath };
+    };
+
+    if (typeof bundle === 'string') {
+      const dir = bundle;
+      let manifest = null;
+
+      try {
+        manifest = JSON.parse(await fs.readFile(path.join(dir, 'bundle.json'), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Invalid bundle.json in ${dir}: ${error.message}`);
+        }
+      }
+
+      const files = manifest && Array.isArray(manifest.specs)
+        ? manifest.specs
+        : (await fs.readdir(dir)).filter(f => /\.(md|markdown)$/i.test(f) && !/^readme\./i.test(f)).sort();
+
+      return {
+        name: (manifest && manifest.name) || path.basename(path.resolve(dir)),
+        specs: files.map(f => toSpec(f, dir))
+      };
+    }
+
+    if (!bundle || !Array.isArray(bundle.specs) || bundle.specs.length === 0) {
+      throw new Error('Bundle must be a directory or { name, specs: [...] } with at least one spec');
+    }
+
+    const specs = bundle.specs.map(entry => toSpec(entry, null));
+    const names = new Set();
+    for (const spec of specs) {
+      if (names.has(spec.name)) {
+        throw new Error(`Bundle contains two specs named ${spec.name}`);
+      }
+      names.add(spec.name);
+    }
+
+    return { name: bundle.name || specs.map(s => s.name).join('+'), specs };
+  }
+
+  /**
+   * Tables created by more than one spec in a bundle
+   */
+  findDuplicateTables(entries) {
+    const creators = new Map();
+
+    for (const { spec, blueprints } of entries) {
+      for (const bp of blueprints) {
+        if (bp.specifications?.operation !== 'create_table') continue;
+        const table = bp.specifications.tableName;
+        if (!creators.has(table)) creators.set(table, new Set());
+        creators.get(table).add(spec.name);
+      }
+    }
+
+    return [...creators.entries()]
+      .filter(([, specNames]) => specNames.size > 1)
+      .map(([table, specNames]) => ({ table, specs: [...specNames] }));
+  }
+
+  /**
+   * Add dependencies for blueprints that use another spec's resources
+   *
+   * A table is provided by the spec that creates it, together with that
+   * spec's migrations on the table (RLS, alterations). Routes come from API
+   * blueprints. A blueprint uses a resource only when it declares the
+   * reference: a foreign key REFERENCES the table, or a UI blueprint lists
+   * the route in its apiEndpoints. Prose that merely names a resource adds
+   * no edge.
+   * @returns {Array<Object>} [{ from, to, fromSpec, toSpec, resource }]
+   */
+  resolveCrossSpecDependencies(entries) {
+    const providers = [];
+
+    for (const { spec, blueprints } of entries) {
+      const created = blueprints
+        .filter(bp => bp.specifications?.operation === 'create_table')
+        .map(bp => bp.specifications.tableName);
+
+      for (const table of created) {
+        const ids = blueprints
+          .filter(bp => bp.resources.tables.includes(table) && bp.resources.migrations.length > 0)
+          .map(bp => bp.id);
+        providers.push({ spec: spec.name, resource: `table:${table}`, name: table, ids });
+      }
+
+      for (const bp of blueprints) {
+        if (bp.specifications?.operation === 'create_api_route') {
+          providers.push({ spec: spec.name, resource: `route:${bp.specifications.route}`, name: bp.specifications.route, ids: [bp.id] });
+        }
+      }
+    }
+
+    const scanner = new CodeReferenceScanner();
+    const dependencies = [];
+
+    for (const { spec, blueprints } of entries) {
+      for (const bp of blueprints) {
+        const { tables, routes } = this.declaredReferences(bp);
+
+        for (const provider of providers) {
+          if (provider.spec === spec.name) continue;
+
+          const uses = provider.resource.startsWith('route:')
+            ? routes.some(route => scanner.routeMatches(route, provider.name))
+            : tables.includes(provider.name);
+
+          if (!uses) continue;
+
+          for (const id of provider.ids) {
+            if (!bp.dependsOn.includes(id)) {
+              bp.dependsOn.push(id);
+            }
+            dependencies.push({ from: bp.id, to: id, fromSpec: spec.name, toSpec: provider.spec, resource: provider.resource });
+          }
+        }
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Tables a blueprint's foreign keys reference and API routes its UI
+   * declares it calls (merged parts included)
+   * @returns {{ tables: string[], routes: string[] }}
+   */
+  declaredReferences(bp) {
+    const tables = new Set();
+    const routes = new Set();
+    const specs = [bp.specifications || {}, ...(bp.specifications?.merged || []).map(part => part.specifications || {})];
+
+    for (const spec of specs) {
+      const columns = [
+        ...(spec.columns || []),
+        ...(spec.actions || []).filter(action => action.column).map(action => action.column)
+      ];
+      const constraints = [
+        ...(spec.constraints || []),
+        ...(spec.actions || []).filter(action => action.constraint).map(action => action.constraint)
+      ];
+      for (const item of [...columns, ...constraints]) {
+        if (item.references?.table) tables.add(item.references.table);
+      }
+
+      // "GET /api/orders" or "/api/orders"
+      for (const endpoint of spec.apiEndpoints || []) {
+        const [first, second] = String(endpoint).trim().split(/\s+/);
+        routes.add(second && HTTP_METHODS.includes(first.toUpperCase()) ? second : first);
+      }
+    }
+
+    return { tables: [...tables], routes: [...routes] };
+  }
+
+  /**
+   * Order bundle entries so specs that provide resources come first
+   * Specs that depend on each other are a bundle error naming the cycle
+   * and the references that form it.
+   */
+  orderSpecsByDependencies(entries, dependencies) {
+    const needs = new Map(entries.map(e => [e.spec.name, new Set()]));
+    for (const dep of dependencies) {
+      needs.get(dep.fromSpec).add(dep.toSpec);
+    }
+
+    const ordered = [];
+    const placed = new Set();
+
+    while (ordered.length < entries.length) {
+      const next = entries.find(e =>
+        !placed.has(e.spec.name) && [...needs.get(e.spec.name)].every(n => placed.has(n))
+      );
+
+      if (!next) {
+        // Every unplaced spec waits on another unplaced one: walk until a spec repeats
+        const cycle = [entries.find(e => !placed.has(e.spec.name)).spec.name];
+        while (!cycle.slice(0, -1).includes(cycle[cycle.length - 1])) {
+          cycle.push([...needs.get(cycle[cycle.length - 1])].find(n => !placed.has(n)));
+        }
+        const loop = cycle.slice(cycle.indexOf(cycle[cycle.length - 1]));
+        const details = loop.slice(0, -1).map((from, i) => {
+          const resources = new Set(dependencies
+            .filter(d => d.fromSpec === from && d.toSpec === loop[i + 1])
+            .map(d => d.resource));
+          return `${from} uses ${[...resources].join(', ')} from ${loop[i + 1]}`;
+        });
+        throw new Error(`Specs depend on each other (${loop.join(' → ')}): ${details.join('; ')}`);
+      }
+
+      ordered.push(next);
+      placed.add(next.spec.name);
+    }
+
+    return ordered;
+  }
+
   /**
    * Decompose feature into prescriptive blueprints
    */
   async decomposeFeature(spec, projectPath) {
     const { BlueprintDecomposer } = require('./blueprint-decomposer');
 
-    const decomposer = new BlueprintDecomposer();
+    const decomposer = new BlueprintDecomposer({ blueprintTypes: this.blueprintTypes, granularity: this.options.granularity });
     const blueprints = await decomposer.decomposeSpec(spec, projectPath);
+    this.lastGranularityReport = decomposer.lastGranularityReport;
 
     return blueprints;
   }
 
   /**
-   * Calculate estimated time for execution
-   * Based on blueprint complexity and parallelization
+   * Build the dependency graph for blueprints and derive layers and estimates
+   * @returns {Object} { layers, dependencies, implicitDependencies, dependencyRules, estimatedTime, parallelizationPotential, maxParallelism }
+   */
+  analyzeBlueprints(blueprints, dagBuilder = new DependencyGraphBuilder({ rules: this.options.dependencyRules })) {
+    console.log('🔗 Step 2: Building dependency graph...');
+    for (const bp of blueprints) {
+      dagBuilder.addBlueprint(bp);
+    }
+
+    dagBuilder.detectResourceConflicts();
+
+    const cycles = dagBuilder.detectCycles();
+    if (cycles.length > 0) {
+      throw new Error(`Circular dependencies detected: ${JSON.stringify(cycles)}`);
+    }
+
+    const layers = dagBuilder.generateExecutionLayers();
+    console.log(`   Created ${layers.length} execution layers\n`);
+
+    dagBuilder.visualizeLayers(layers);
+
+    console.log('📊 Step 3: Calculating estimates...');
+    const estimatedTime = this.calculateEstimatedTime(blueprints, dagBuilder);
+    const parallelizationPotential = this.calculateParallelizationPotential(layers);
+    const maxParallelism = layers.length > 0 ? Math.max(...layers.map(l => l.length)) : 0;
+
+    console.log(`   Estimated time: ${estimatedTime} minutes`);
+    console.log(`   Parallelization potential: ${Math.round(parallelizationPotential * 100)}%`);
+    console.log(`   Max parallel blueprints: ${maxParallelism}\n`);
+
+    // Every edge, implicit ones included, so the runner schedules on the same graph
+    const dependencies = dagBuilder.getDependencyMap();
+    const implicitDependencies = dagBuilder.getImplicitDependencies();
+
+    return {
+      layers,
+      dependencies,
+      implicitDependencies,
+      dependencyRules: dagBuilder.rules,
+      estimatedTime,
+      parallelizationPotential,
+      maxParallelism
+    };
+  }
+
+  /**
+   * Re-plan an existing plan's implicit dependencies with rule overrides,
+   * e.g. to let two blueprints that only read a table run in parallel
+   * @param {Object} plan
+   * @param {Array} rules - Replaces plan.dependencyRules (see DependencyGraphBuilder)
+   * @returns {Object} The plan with layers, dependencies and estimates recomputed
    */
-  calculateEstimatedTime(blueprints, layers) {
-    // Base time per blueprint type (minutes)
-    const timeEstimates = {
-      database: 8,    // Migrations + RLS
-      api: 7,         // API routes with validation
-      service: 6,     // Service functions
-      ui: 10,         // UI components + styling
-      test: 5,        // Test files
-      other: 7        // Default
+  applyDependencyRules(plan, rules = []) {
+    const analysis = this.analyzeBlueprints(plan.blueprints, new DependencyGraphBuilder({ rules }));
+
+    return {
+      ...plan,
+      layers: analysis.layers,
+      dependencies: analysis.dependencies,
+      implicitDependencies: analysis.implicitDependencies,
+      dependencyRules: analysis.dependencyRules,
+      metadata: {
+        ...plan.metadata,
+        ...this.buildPlanMetadata(plan.blueprints, analysis)
+      }
     };
+  }
 
-    // Calculate sequential time (if no parallelization)
-    let sequentialTime = 0;
+  /**
+   * Plan metadata from blueprints and analyzeBlueprints() output
+   */
+  buildPlanMetadata(blueprints, analysis) {
+    const countBy = (category) =>
+      blueprints.filter(bp => this.blueprintTypes.categoryOf(bp.type) === category).length;
+    const byType = {};
     for (const bp of blueprints) {
-      const baseTime = timeEstimates[bp.type] || timeEstimates.other;
-      sequentialTime += baseTime;
+      byType[bp.type || 'other'] = (byType[bp.type || 'other'] || 0) + 1;
     }
 
-    // Calculate parallel time (accounting for layers)
-    let parallelTime = 0;
-    for (const layer of layers) {
-      // Time for layer = time of longest blueprint in that layer
-      const layerTime = Math.max(
-        ...layer.map(bpId => {
-          const bp = blueprints.find(b => b.id === bpId);
-          if (!bp) {
-            console.warn(`   ⚠️  Blueprint not found: ${bpId}`);
-            return timeEstimates.other;
-          }
-          return timeEstimates[bp.type] || timeEstimates.other;
-        })
-      );
-      parallelTime += layerTime;
-    }
+    return {
+      totalBlueprints: blueprints.length,
+      totalLayers: analysis.layers.length,
+      estimatedMinutes: analysis.estimatedTime,
+      parallelizationPotential: analysis.parallelizationPotential,
+      maxParallelism: analysis.maxParallelism,
+
+      // Breakdown by category and by type
+      databaseBlueprints: countBy('database'),
+      apiBlueprints: countBy('api'),
+      uiBlueprints: countBy('ui'),
+      serviceBlueprints: countBy('service'),
+      byType
+    };
+  }
+
+  /**
+   * Calculate estimated time for execution
+   * Based on blueprint complexity and ready-queue scheduling: blueprints
+   * start when their dependencies finish, up to maxConcurrent at once
+   */
+  calculateEstimatedTime(blueprints, dagBuilder) {
+    // Base time per blueprint type (minutes) comes from the type registry
+    const estimate = (bp) => bp.estimatedMinutes || this.blueprintTypes.estimateMinutes(bp);
+
+    const parallelTime = dagBuilder.estimateScheduleMinutes(estimate, this.options.maxConcurrent || 5);
 
     // Add overhead for reviews (2 min per blueprint)
     const reviewTime = blueprints.length * 2;
@@ -199,24 +647,31 @@ class MasterOrchestrator {
    * Calculate checksum of spec content for staleness detection
    */
   async calculateSpecChecksum(spec) {
-    let content = '';
+    return this.checksumContent(await this.readSpecContent(spec));
+  }
 
+  checksumContent(content) {
+    return crypto
+      .createHash('sha256')
+      .update(content)
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Read spec content from path, falling back to inline content
+   */
+  async readSpecContent(spec) {
     if (spec.path) {
       try {
-        content = await fs.readFile(spec.path, 'utf8');
+        return await fs.readFile(spec.path, 'utf8');
       } catch (error) {
         console.warn(`   ⚠️  Could not read spec file: ${error.message}`);
-        content = spec.content || '';
+        return spec.content || '';
       }
-    } else {
-      content = spec.content || '';
     }
 
-    return crypto
-      .createHash('sha256')
-      .update(content)
-      .digest('hex')
-      .substring(0, 16);
+    return spec.content || '';
   }
 
   /**
@@ -231,12 +686,22 @@ class MasterOrchestrator {
     console.log(`   Parallelization: ${Math.round(plan.metadata.parallelizationPotential * 100)}%`);
     console.log(`   Max concurrent: ${plan.metadata.maxParallelism} blueprints\n`);
 
+    if (plan.template) {
+      console.log(`🧱 Template: ${plan.template.name} (${plan.template.id} v${plan.template.version})\n`);
+    }
+
     console.log('📋 Blueprint Breakdown:');
     console.log(`   Database: ${plan.metadata.databaseBlueprints}`);
     console.log(`   API: ${plan.metadata.apiBlueprints}`);
     console.log(`   Services: ${plan.metadata.serviceBlueprints}`);
     console.log(`   UI: ${plan.metadata.uiBlueprints}\n`);
 
+    const granularity = plan.granularity;
+    if (granularity && (granularity.merges.length > 0 || granularity.splits.length > 0)) {
+      console.log(`🧩 Granularity (${granularity.level}): ${granularity.merges.length} merge(s), ${granularity.splits.length} split(s)`);
+      console.log(`   ${granularity.before} → ${granularity.after} blueprints\n`);
+    }
+
     console.log('🔀 Execution Layers:');
     for (let i = 0; i < plan.layers.length; i++) {
       const layer = plan.layers[i];
@@ -253,27 +718,58 @@ class MasterOrchestrator {
     console.log('');
   }
 
+  /**
+   * Dry-run a plan against a simulated agent before spending agent time
+   * @param {Object} plan
+   * @param {Object} [options] - PlanSimulator options (runs, maxRetries, seed, types, ...)
+   * @returns {Promise<Object>} Simulation report
+   */
+  async simulatePlan(plan, options = {}) {
+    const { PlanSimulator } = require('../lib/orchestration/plan-simulator');
+
+    console.log(`\n🎲 Simulating plan ${plan.id} (${options.runs || 200} runs)...`);
+
+    const simulator = new PlanSimulator({ blueprintTypes: this.blueprintTypes, ...options });
+    const report = await simulator.simulate(plan);
+    simulator.displayReport(report);
+
+    return report;
+  }
+
   /**
    * Validate plan before execution
    * Checks if spec has changed since plan was created
+   *
+   * When the plan carries a spec snapshot, a stale result includes the
+   * SpecParser diff so callers can plan the delta (planSpecRevision).
    */
   async validatePlan(plan) {
+    if (Array.isArray(plan.specs)) {
+      return this.validateBundlePlan(plan);
+    }
+
     if (!plan.spec.path) {
       return { valid: true };
     }
 
     try {
-      const currentChecksum = await this.calculateSpecChecksum({
-        path: plan.spec.path
-      });
+      const currentContent = await fs.readFile(plan.spec.path, 'utf8');
+      const currentChecksum = this.checksumContent(currentContent);
 
       if (currentChecksum !== plan.spec.checksum) {
-        return {
+        const result = {
           valid: false,
           reason: 'Spec has changed since plan was created',
           currentChecksum,
           planChecksum: plan.spec.checksum
         };
+
+        if (typeof plan.spec.content === 'string') {
+          result.diff = new SpecParser().diff(plan.spec.content, currentContent);
+          result.currentContent = currentContent;
+        }
+
+        return result;
       }
 
       return { valid: true };
@@ -284,29 +780,216 @@ class MasterOrchestrator {
       };
     }
   }
+
+  /**
+   * Validate a bundle plan spec by spec
+   * staleSpecs lists every spec whose checksum changed (with its diff).
+   */
+  async validateBundlePlan(plan) {
+    const staleSpecs = [];
+
+    for (const spec of plan.specs) {
+      if (!spec.path) continue;
+
+      let currentContent;
+      try {
+        currentContent = await fs.readFile(spec.path, 'utf8');
+      } catch (error) {
+        staleSpecs.push({ name: spec.name, path: spec.path, reason: `Could not read spec: ${error.message}` });
+        continue;
+      }
+
+      const currentChecksum = this.checksumContent(currentContent);
+      if (currentChecksum === spec.checksum) continue;
+
+      staleSpecs.push({
+        name: spec.name,
+        path: spec.path,
+        reason: 'Spec has changed since plan was created',
+        currentChecksum,
+        planChecksum: spec.checksum,
+        blueprintIds: spec.blueprintIds,
+        diff: typeof spec.content === 'string' ? new SpecParser().diff(spec.content, currentContent) : null
+      });
+    }
+
+    if (staleSpecs.length === 0) {
+      return { valid: true };
+    }
+
+    return {
+      valid: false,
+      reason: `Bundle specs changed since plan was created: ${staleSpecs.map(s => s.name).join(', ')}`,
+      staleSpecs
+    };
+  }
+
+  /**
+   * Build a delta plan for a spec that changed after planning
+   *
+   * Only the blueprints the revision needs are generated, so a spec edit
+   * mid-BUILD does not force a full re-plan. The delta plan is executed
+   * after (or alongside the remainder of) the parent plan.
+   * @param {Object} plan - Plan whose spec has changed
+   * @param {string} projectPath
+   * @returns {Object|null} Delta plan, or null when the plan is still current
+   */
+  async planSpecRevision(plan, projectPath) {
+    const validation = await this.validatePlan(plan);
+
+    if (validation.valid) {
+      return null;
+    }
+
+    if (validation.staleSpecs) {
+      throw new Error('Spec revisions of bundle plans are not supported yet; re-plan the bundle');
+    }
+
+    if (!validation.diff) {
+      throw new Error(`Cannot plan spec revision: ${validation.reason}${plan.spec.content === undefined ? ' (plan has no spec snapshot)' : ''}`);
+    }
+
+    const { diff } = validation;
+
+    console.log('\n🎯 [Master Orchestrator] Planning spec revision');
+    console.log(`   Parent plan: ${plan.id}`);
+    console.log(`   Changes: +${diff.summary.added} / -${diff.summary.removed} / ~${diff.summary.changed}\n`);
+
+    const { BlueprintDecomposer } = require('./blueprint-decomposer');
+    const decomposer = new BlueprintDecomposer({ blueprintTypes: this.blueprintTypes, granularity: this.options.granularity });
+    const spec = { name: plan.spec.name, path: plan.spec.path };
+    const blueprints = diff.changed
+      ? await decomposer.decomposeSpecDelta(diff, spec, projectPath, plan.blueprints)
+      : [];
+
+    const analysis = this.analyzeBlueprints(blueprints, new DependencyGraphBuilder({
+      rules: plan.dependencyRules || this.options.dependencyRules
+    }));
+
+    const deltaPlan = {
+      id: `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: new Date().toISOString(),
+      parentPlanId: plan.id,
+      revision: (plan.revision || 0) + 1,
+
+      spec: {
+        name: plan.spec.name,
+        path: plan.spec.path,
+        checksum: validation.currentChecksum,
+        content: validation.currentContent,
+        previousChecksum: plan.spec.checksum
+      },
+
+      diff: {
+        summary: diff.summary,
+        tables: this.summarizeDiffCategory(diff.tables),
+        enums: this.summarizeDiffCategory(diff.enums),
+        types: this.summarizeDiffCategory(diff.types),
+        functions: this.summarizeDiffCategory(diff.functions),
+        views: this.summarizeDiffCategory(diff.views),
+        triggers: this.summarizeDiffCategory(diff.triggers),
+        indexes: this.summarizeDiffCategory(diff.indexes),
+        policies: this.summarizeDiffCategory(diff.policies),
+        rpcFunctions: this.summarizeDiffCategory(diff.rpcFunctions),
+        services: this.summarizeDiffCategory(diff.services),
+        endpoints: this.summarizeDiffCategory(diff.endpoints),
+        components: this.summarizeDiffCategory(diff.components)
+      },
+
+      blueprints,
+      layers: analysis.layers,
+      dependencies: analysis.dependencies,
+      implicitDependencies: analysis.implicitDependencies,
+      dependencyRules: analysis.dependencyRules,
+
+      metadata: this.buildPlanMetadata(blueprints, analysis),
+
+      executionStrategy: 'Delta plan: execute after the parent plan, each blueprint as soon as its dependencies finish'
+    };
+
+    this.displayPlanSummary(deltaPlan);
+
+    return deltaPlan;
+  }
+
+  /**
+   * Reduce a diff category to keys for storing in a plan
+   */
+  summarizeDiffCategory(category) {
+    const keyOf = entry => entry.name || (entry.method ? `${entry.method} ${entry.route}` : null);
+
+    return {
+      added: category.added.map(keyOf),
+      removed: category.removed.map(keyOf),
+      changed: category.changed.map(c => ({ key: c.key, fields: c.fields }))
+    };
+  }
 }
 
 // CLI entry point (for testing)
 if (require.main === module) {
+  const args = process.argv.slice(2);
+  const granularityArg = args.find(arg => arg.startsWith('--granularity='));
+  const briefArg = args.find(arg => arg.startsWith('--brief='));
+  const templateArg = args.find(arg => arg.startsWith('--template='));
+  const simulateArg = args.find(arg => arg === '--simulate' || arg.startsWith('--simulate='));
+  const exportArg = args.find(arg => arg === '--export' || arg.startsWith('--export='));
+  const rulesArg = args.find(arg => arg.startsWith('--rules='));
+
   const spec = {
     name: 'Test Feature',
-    path: process.argv[2] || './spec.md',
+    path: args.find(arg => !arg.startsWith('--')) || './spec.md',
     content: 'Test spec content'
   };
 
   const projectPath = process.cwd();
 
-  const orchestrator = new MasterOrchestrator();
-  orchestrator.orchestrateFeature(spec, projectPath)
-    .then(plan => {
+  // A directory argument is orchestrated as a multi-spec bundle
+  const isBundle = require('fs').existsSync(spec.path) && require('fs').statSync(spec.path).isDirectory();
+
+  // --rules=rules.json overrides implicit dependency rules for this plan
+  const rulesData = rulesArg ? JSON.parse(require('fs').readFileSync(rulesArg.split('=')[1], 'utf8')) : null;
+
+  const orchestrator = new MasterOrchestrator({
+    granularity: granularityArg ? granularityArg.split('=')[1] : undefined,
+    dependencyRules: rulesData ? (Array.isArray(rulesData) ? rulesData : rulesData.rules) : undefined
+  });
+  let planning;
+  if (briefArg) {
+    // --brief=brief.json plans from the template library
+    const brief = JSON.parse(require('fs').readFileSync(briefArg.split('=')[1], 'utf8'));
+    planning = orchestrator.orchestrateFromTemplate(brief, projectPath, {
+      template: templateArg ? templateArg.split('=')[1] : null
+    });
+  } else {
+    planning = isBundle ? orchestrator.orchestrateBundle(spec.path, projectPath) : orchestrator.orchestrateFeature(spec, projectPath);
+  }
+
+  planning
+    .then(async plan => {
       console.log('✅ Plan created successfully');
 
+      // --simulate[=runs] dry-runs the plan against a simulated agent
+      if (simulateArg) {
+        const runs = parseInt(simulateArg.split('=')[1], 10);
+        plan.simulation = await orchestrator.simulatePlan(plan, runs > 0 ? { runs } : {});
+      }
+
       // Save plan to file
       const planPath = path.join(projectPath, '.dev-framework', 'plans', `${plan.id}.json`);
       require('fs').mkdirSync(path.dirname(planPath), { recursive: true });
       require('fs').writeFileSync(planPath, JSON.stringify(plan, null, 2));
 
       console.log(`\n💾 Plan saved to: ${planPath}`);
+
+      // --export[=mermaid,dot,html] renders the graph next to the plan
+      if (exportArg) {
+        const { PlanVisualizer } = require('../lib/orchestration/plan-visualizer');
+        const formats = exportArg.includes('=') ? exportArg.split('=')[1].split(',') : undefined;
+        const visualizer = new PlanVisualizer({ blueprintTypes: orchestrator.blueprintTypes });
+        const written = await visualizer.exportPlan(plan, planPath.replace(/\.json$/, ''), formats);
+        written.forEach(file => console.log(`🖼️  Exported: ${file}`));
+      }
       process.exit(0);
     })
     .catch(err => {
@@ -28,6 +28,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { StateManager } = require('../lib/state-manager');
+const { createDefaultRegistry } = require('../lib/blueprint-types');
+const { WorkspaceTracker, declaresFile } = require('../lib/orchestration/workspace-snapshot');
 
 class UnifiedOrchestrator {
   constructor(options = {}) {
@@ -35,6 +37,7 @@ class UnifiedOrchestrator {
       maxRetries: 3,
       maxFixIterations: 5,
       enableCodexPreValidation: true,
+      enableSpecValidation: true,
       enableParallelExecution: true,
       maxParallelAgents: 5,
       ...options
@@ -42,6 +45,7 @@ class UnifiedOrchestrator {
 
     this.stateManager = new StateManager();
     this.sessionId = this.generateSessionId();
+    this.blueprintTypes = options.blueprintTypes || createDefaultRegistry();
 
     // Hierarchical todo tracking
     this.todos = {
@@ -531,6 +535,13 @@ Respond with:
       throw new Error('Design could not be approved after maximum retries');
     }
 
+    // Gate on structural validation before planning - a spec the parser
+    // cannot read produces an empty or partial plan
+    if (this.options.enableSpecValidation) {
+      console.log('  → Validating spec structure...');
+      currentSpec = await this.gateSpecValidation(currentSpec);
+    }
+
     this.updateTodo('spec', 'spec-3', 'completed');
 
     // Step 4: Generate execution plan (blueprints)
@@ -538,7 +549,7 @@ Respond with:
     console.log('  → Generating execution plan...');
 
     const { MasterOrchestrator } = require('./master-orchestrator');
-    const planner = new MasterOrchestrator();
+    const planner = new MasterOrchestrator({ blueprintTypes: this.blueprintTypes });
 
     const specObj = {
       name: 'Feature Spec',
@@ -569,6 +580,45 @@ Respond with:
     return { spec: currentSpec, testStrategy, plan };
   }
 
+  /**
+   * Run SpecParser.validate and send errors back to spec-writer until the
+   * spec is clean or retries run out
+   *
+   * @param {string} spec - Spec content
+   * @returns {Promise<string>} The (possibly refined) spec
+   */
+  async gateSpecValidation(spec) {
+    const { SpecParser, formatDiagnostic } = require('../lib/spec-parser');
+    let currentSpec = spec;
+
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      const report = new SpecParser().validate(currentSpec);
+
+      report.diagnostics
+        .filter(d => d.severity === 'warning')
+        .forEach(d => console.log(`    ⚠️ ${formatDiagnostic('spec', d)}`));
+
+      if (report.valid) {
+        console.log(`  ✅ Spec validation passed (${report.warningCount} warnings)`);
+        return currentSpec;
+      }
+
+      const errors = report.diagnostics.filter(d => d.severity === 'error');
+      errors.forEach(d => console.log(`    ❌ ${formatDiagnostic('spec', d)}`));
+
+      if (attempt === this.options.maxRetries) break;
+
+      console.log(`  ⚠️ Spec has ${errors.length} validation errors (attempt ${attempt + 1}/${this.options.maxRetries})`);
+      currentSpec = await this.invokeAgent('spec-writer', {
+        action: 'fix-spec-diagnostics',
+        currentSpec,
+        diagnostics: errors
+      });
+    }
+
+    throw new Error('Spec failed structural validation after maximum retries');
+  }
+
   // ============================================
   // PHASE 3: BUILD
   // ============================================
@@ -580,6 +630,12 @@ Respond with:
 
     const results = [];
 
+    // Real file changes per blueprint, from working tree snapshots around each agent call
+    const tracker = new WorkspaceTracker(process.cwd(), {
+      declares: (blueprintId, filePath) =>
+        this.declaresFile(plan.blueprints.find(bp => bp.id === blueprintId), filePath)
+    });
+
     // Process each layer sequentially
     for (let layerIndex = 0; layerIndex < plan.layers.length; layerIndex++) {
       const layer = plan.layers[layerIndex];
@@ -627,17 +683,21 @@ Respond with:
           this.updateBlueprintTodo(blueprintId, `${blueprintId}-execute`, 'in_progress');
 
           try {
+            await tracker.start(blueprintId);
+
             // Execute with rich context capsule
             const result = await this.executeBlueprint(blueprint, spec, {
               allBlueprints: plan.blueprints,
               currentBatch: batch,
               agentIndex
             });
+            result.changedFiles = await tracker.finish(blueprintId);
             this.updateBlueprintTodo(blueprintId, `${blueprintId}-execute`, 'completed');
             return result;
           } catch (error) {
             console.error(`    ❌ Blueprint ${blueprint.name} failed: ${error.message}`);
-            return { blueprintId, blueprint, success: false, error: error.message };
+            const changedFiles = await tracker.finish(blueprintId);
+            return { blueprintId, blueprint, success: false, error: error.message, changedFiles };
           }
         });
 
@@ -649,7 +709,8 @@ Respond with:
         // Cross-reference agents for integration issues (AGENTS.md pattern)
         // ========================================
         console.log('    → Cross-referencing agent results...');
-        const crossRef = await this.crossReferenceAgents(batchResults, plan.blueprints);
+        const crossRef = await this.crossReferenceAgents(batchResults, plan.blueprints, tracker);
+        this.recordChanges(batchResults, crossRef);
 
         if (crossRef.conflicts.length > 0) {
           console.log(`    ⚠️ Integration conflicts detected:`);
@@ -693,10 +754,8 @@ Respond with:
       console.log(`  ✅ Layer ${layerIndex + 1} complete`);
 
       // Check for missing UI after all layers
-      const hasUIBlueprints = results.some(r =>
-        r?.blueprint?.type === 'ui-component' || r?.blueprint?.type === 'ui-page'
-      );
-      const hasAPIBlueprints = results.some(r => r?.blueprint?.type === 'api');
+      const hasUIBlueprints = results.some(r => this.categoryOf(r) === 'ui');
+      const hasAPIBlueprints = results.some(r => this.categoryOf(r) === 'api');
 
       if (hasAPIBlueprints && !hasUIBlueprints && layerIndex === plan.layers.length - 1) {
         console.log('\n  ⚠️ WARNING: API implemented but no UI components. Consider adding UI blueprints.');
@@ -1157,7 +1216,7 @@ ${evidenceList || '  □ [TEST] Tests passing\n  □ [OUTPUT] Implementation com
     }
 
     // Check for screenshot requirements (UI components)
-    if (blueprint.type === 'ui-component' || blueprint.type === 'ui-page') {
+    if (this.blueprintTypes.categoryOf(blueprint.type) === 'ui') {
       const screenshotsMentioned = summaryLower.includes('screenshot') ||
                                    summaryLower.includes('captured') ||
                                    summaryLower.includes('state');
@@ -1175,20 +1234,58 @@ ${evidenceList || '  □ [TEST] Tests passing\n  □ [OUTPUT] Implementation com
     };
   }
 
+  /**
+   * Category of the blueprint behind an agent result
+   */
+  categoryOf(result) {
+    return this.blueprintTypes.categoryOf(result?.blueprint?.type);
+  }
+
+  /**
+   * Whether a file is one the blueprint may write: its declared resources
+   * or its evidence directory
+   */
+  declaresFile(blueprint, filePath) {
+    if (!blueprint) return false;
+    // Paths are relative to the repository top level, which may be above the cwd
+    return declaresFile(blueprint.resources, filePath) ||
+      `/${filePath}`.includes(`/evidence/${this.sessionId}/${blueprint.id}/`);
+  }
+
+  /**
+   * Save each agent's real file changes (and the problems found) to feature state
+   */
+  recordChanges(batchResults, crossRef) {
+    for (const result of batchResults) {
+      if (!result?.changedFiles) continue;
+
+      const involved = conflict => (conflict.agents || []).includes(result.blueprintId);
+      this.stateManager.logChanges({
+        blueprintId: result.blueprintId,
+        files: result.changedFiles,
+        undeclaredWrites: crossRef.conflicts.filter(c => c.type === 'undeclared-write' && involved(c)).map(c => c.file),
+        overlaps: crossRef.conflicts.filter(c => c.type.endsWith('file-conflict') && involved(c))
+      });
+    }
+  }
+
   /**
    * Cross-reference agent results for integration issues
    * Based on AGENTS.md verification patterns
+   *
+   * @param {Array} batchResults - Results of one batch of parallel agents
+   * @param {Array} allBlueprints - Every blueprint in the plan
+   * @param {WorkspaceTracker} [tracker] - Real file changes; without it (or
+   *   outside git) file conflicts are guessed from declared resources
    */
-  async crossReferenceAgents(batchResults, allBlueprints) {
+  async crossReferenceAgents(batchResults, allBlueprints, tracker = null) {
     const conflicts = [];
     const integrationPoints = [];
 
-    // Group results by type
-    const dbResults = batchResults.filter(r => r?.blueprint?.type === 'database');
-    const apiResults = batchResults.filter(r => r?.blueprint?.type === 'api');
-    const uiResults = batchResults.filter(r =>
-      r?.blueprint?.type === 'ui-component' || r?.blueprint?.type === 'ui-page'
-    );
+    // Group results by type category (project types declare theirs)
+    const dbResults = batchResults.filter(r => this.categoryOf(r) === 'database');
+    const apiResults = batchResults.filter(r => this.categoryOf(r) === 'api');
+    const uiResults = batchResults.filter(r => this.categoryOf(r) === 'ui');
 
     // Check Database ↔ API integration
     for (const dbResult of dbResults) {
@@ -1230,21 +1327,53 @@ ${evidenceList || '  □ [TEST] Tests passing\n  □ [OUTPUT] Implementation com
     }
 
     // Check for potential conflicts
-    // 1. Multiple agents creating same file
-    const filePaths = new Map();
-    for (const result of batchResults) {
-      const files = result.blueprint?.resources?.functions ||
-                   result.blueprint?.resources?.components || [];
-      for (const file of files) {
-        if (filePaths.has(file)) {
-          conflicts.push({
-            type: 'file-conflict',
-            file,
-            agents: [filePaths.get(file), result.blueprintId],
-            message: `Multiple agents creating/modifying ${file}`
-          });
-        } else {
-          filePaths.set(file, result.blueprintId);
+    // 1. Multiple agents changing the same file, and writes outside declared resources
+    if (tracker?.available) {
+      const batchIds = batchResults.filter(Boolean).map(r => r.blueprintId);
+
+      for (const overlap of tracker.overlaps(batchIds)) {
+        const definite = overlap.kind === 'overlap';
+        conflicts.push({
+          type: definite ? 'file-conflict' : 'possible-file-conflict',
+          file: overlap.file,
+          agents: overlap.blueprints,
+          message: definite
+            ? `Multiple agents modified ${overlap.file} (${overlap.blueprints.join(', ')})`
+            : `${overlap.file} changed while ${overlap.blueprints.join(', ')} ran; more than one may have modified it`,
+          ...(definite ? {} : { severity: 'warning' })
+        });
+      }
+
+      for (const write of tracker.undeclaredWrites(batchIds)) {
+        conflicts.push({
+          type: 'undeclared-write',
+          file: write.file,
+          agents: write.blueprints,
+          message: `${write.file} changed by ${write.blueprints.join(' or ')} but not in declared resources`,
+          severity: 'warning'
+        });
+      }
+    } else {
+      // No snapshots: guess from declared resources
+      const filePaths = new Map();
+      for (const result of batchResults) {
+        const resources = result.blueprint?.resources || {};
+        const files = [
+          ...(resources.functions || []),
+          ...(resources.components || []),
+          ...(resources.files || [])
+        ];
+        for (const file of files) {
+          if (filePaths.has(file)) {
+            conflicts.push({
+              type: 'file-conflict',
+              file,
+              agents: [filePaths.get(file), result.blueprintId],
+              message: `Multiple agents creating/modifying ${file}`
+            });
+          } else {
+            filePaths.set(file, result.blueprintId);
+          }
         }
       }
     }
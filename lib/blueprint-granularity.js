@@ -0,0 +1,472 @@
+/**
+ * @fileoverview Blueprint Granularity
+ *
+ * BlueprintDecomposer makes one blueprint per table, policy, trigger,
+ * service, route and component. That floods the plan for small features
+ * and leaves large pages as one oversized task. This pass reshapes the
+ * decomposed blueprints for a granularity level:
+ *
+ * - coarse: merge each table with its alterations, RLS, triggers, indexes
+ *   and the enums only it uses (generous size budget), and merge API
+ *   blueprints on one route.
+ * - normal: the same table merges while the result stays small; split very
+ *   large pages.
+ * - fine:   no merges; split every page into layout, data hook and
+ *   sub-component blueprints.
+ *
+ * Merges keep the first blueprint's ID and rewire dependents to it; a merge
+ * that would create a dependency cycle is skipped. Every merge, split and
+ * skipped merge is recorded in the report.
+ */
+
+const path = require('path');
+const { ACCESS_MODES } = require('./blueprint-types');
+
+const GRANULARITY_LEVELS = {
+  coarse: { mergeDatabase: true, mergeRoutes: true, maxMergedMinutes: 30, splitPageMinutes: Infinity },
+  normal: { mergeDatabase: true, mergeRoutes: false, maxMergedMinutes: 15, splitPageMinutes: 25 },
+  fine: { mergeDatabase: false, mergeRoutes: false, maxMergedMinutes: 0, splitPageMinutes: 15 }
+};
+
+const HOOK_MINUTES = 5;
+const LAYOUT_MINUTES = 5;
+
+class BlueprintGranularity {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - coarse | normal | fine
+   * @param {Object} options.blueprintTypes - BlueprintTypeRegistry
+   * @param {Function} options.nextBlueprintId - () => new blueprint ID
+   * @param {Function} options.createComponentBlueprint - (component, blueprints) => ui blueprint
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'normal';
+    this.settings = GRANULARITY_LEVELS[this.level];
+    if (!this.settings) {
+      throw new Error(`Unknown granularity "${this.level}" (expected ${Object.keys(GRANULARITY_LEVELS).join(', ')})`);
+    }
+
+    this.blueprintTypes = options.blueprintTypes;
+    this.nextBlueprintId = options.nextBlueprintId;
+    this.createComponentBlueprint = options.createComponentBlueprint;
+  }
+
+  /**
+   * Merge and split blueprints for the configured level
+   * @returns {Object} { blueprints, report }
+   */
+  apply(blueprints) {
+    const report = {
+      level: this.level,
+      before: blueprints.length,
+      after: blueprints.length,
+      merges: [],
+      splits: [],
+      skipped: []
+    };
+
+    let result = blueprints.slice();
+
+    if (this.settings.mergeDatabase) {
+      for (const group of this.findDatabaseGroups(result)) {
+        result = this.tryMerge(result, group.ids, group.describe, report);
+      }
+    }
+
+    if (this.settings.mergeRoutes) {
+      for (const group of this.findRouteGroups(result)) {
+        result = this.tryMerge(result, group.ids, group.describe, report);
+      }
+    }
+
+    for (const page of result.filter(bp => bp.type === 'ui-page' && !bp.isPlaceholder)) {
+      const size = this.estimatePageSize(page);
+      if (size >= this.settings.splitPageMinutes) {
+        result = this.splitPage(result, page, size, report);
+      }
+    }
+
+    report.after = result.length;
+    return { blueprints: result, report };
+  }
+
+  /**
+   * Table blueprints with their alterations, RLS, triggers, indexes and the
+   * enums only they use
+   *
+   * Each group is { ids, describe }, where describe(acceptedIds) words the
+   * merge reason for the members that actually made it in.
+   */
+  findDatabaseGroups(blueprints) {
+    const groups = [];
+    const enumUsers = new Map();
+
+    const tables = blueprints.filter(bp => bp.specifications?.operation === 'create_table');
+    for (const table of tables) {
+      for (const typeName of this.columnTypes(table)) {
+        if (!enumUsers.has(typeName)) enumUsers.set(typeName, new Set());
+        enumUsers.get(typeName).add(table.id);
+      }
+    }
+
+    for (const table of tables) {
+      const tableName = table.specifications.tableName;
+      const parts = [];
+
+      for (const bp of blueprints) {
+        if (bp.type === 'enum') {
+          const users = enumUsers.get(String(bp.specifications?.typeName).toLowerCase().split('.').pop());
+          if (users && users.size === 1 && users.has(table.id)) parts.push(bp);
+        } else if ((bp.type === 'rls' || bp.type === 'trigger') && bp.resources.tables.includes(tableName)) {
+          parts.push(bp);
+        } else if (['alter_table', 'create_index'].includes(bp.specifications?.operation) && bp.specifications.tableName === tableName) {
+          parts.push(bp);
+        }
+      }
+
+      if (parts.length === 0) continue;
+
+      const labels = new Map(parts.map(bp => [
+        bp.id,
+        bp.type === 'rls' ? 'RLS'
+          : bp.specifications?.operation === 'alter_table' ? 'alterations'
+          : bp.specifications?.operation === 'create_index' ? 'indexes'
+          : bp.type
+      ]));
+      groups.push({
+        ids: [table.id, ...parts.map(bp => bp.id)],
+        describe: (accepted) => {
+          const included = Array.from(new Set(accepted.filter(id => labels.has(id)).map(id => labels.get(id))));
+          return `${tableName} table with its ${included.join(', ')}`;
+        }
+      });
+    }
+
+    return groups;
+  }
+
+  /**
+   * Lower-cased column types of a table blueprint (schema and [] stripped)
+   */
+  columnTypes(table) {
+    return (table.specifications.columns || [])
+      .filter(column => column.type)
+      .map(column => column.type.toLowerCase().replace(/\[\]$/, '').split('.').pop());
+  }
+
+  /**
+   * API blueprints for different methods on the same route
+   */
+  findRouteGroups(blueprints) {
+    const byRoute = new Map();
+    for (const bp of blueprints) {
+      if (bp.specifications?.operation !== 'create_api_route') continue;
+      const route = bp.specifications.route;
+      if (!byRoute.has(route)) byRoute.set(route, []);
+      byRoute.get(route).push(bp.id);
+    }
+
+    return Array.from(byRoute.entries())
+      .filter(([, ids]) => ids.length > 1)
+      .map(([route, ids]) => ({ ids, describe: (accepted) => `${accepted.length} handlers for ${route}` }));
+  }
+
+  /**
+   * Merge a group if it fits the size budget and creates no cycle
+   *
+   * Members are added one at a time so an oversized or cyclic member is
+   * left out without giving up the whole group.
+   * @param {Function} describe - (acceptedIds) => merge reason
+   */
+  tryMerge(blueprints, ids, describe, report) {
+    const byId = new Map(blueprints.map(bp => [bp.id, bp]));
+    const [primaryId, ...candidates] = ids.filter(id => byId.has(id));
+    if (!primaryId || candidates.length === 0) return blueprints;
+
+    const accepted = [primaryId];
+    let minutes = byId.get(primaryId).estimatedMinutes || 0;
+
+    for (const id of candidates) {
+      const bp = byId.get(id);
+      const total = minutes + (bp.estimatedMinutes || 0);
+
+      if (total > this.settings.maxMergedMinutes) {
+        report.skipped.push({ ids: [...accepted, id], reason: `${total} min exceeds the ${this.settings.maxMergedMinutes} min budget` });
+        continue;
+      }
+      if (this.createsCycle(byId, [...accepted, id])) {
+        report.skipped.push({ ids: [...accepted, id], reason: 'merging would create a dependency cycle' });
+        continue;
+      }
+
+      accepted.push(id);
+      minutes = total;
+    }
+
+    if (accepted.length === 1) return blueprints;
+
+    const merged = this.mergeBlueprints(accepted.map(id => byId.get(id)));
+    report.merges.push({
+      into: merged.id,
+      absorbed: accepted.slice(1),
+      names: accepted.map(id => byId.get(id).name),
+      estimatedMinutes: merged.estimatedMinutes,
+      reason: describe(accepted)
+    });
+
+    const absorbed = new Set(accepted.slice(1));
+    return blueprints
+      .filter(bp => !absorbed.has(bp.id))
+      .map(bp => {
+        if (bp.id === merged.id) return merged;
+        if (!bp.dependsOn.some(dep => absorbed.has(dep))) return bp;
+        const remap = dep => absorbed.has(dep) ? merged.id : dep;
+        const rewired = { ...bp, dependsOn: Array.from(new Set(bp.dependsOn.map(remap))) };
+        if (bp.dependencyReasons) {
+          rewired.dependencyReasons = bp.dependencyReasons.map(r => ({ ...r, dependsOn: remap(r.dependsOn) }));
+        }
+        return rewired;
+      });
+  }
+
+  /**
+   * Would collapsing ids into one node create a cycle?
+   * True when a dependency outside the group leads back into it.
+   */
+  createsCycle(byId, ids) {
+    const group = new Set(ids);
+    const visited = new Set();
+    const stack = ids.flatMap(id => byId.get(id).dependsOn.filter(dep => !group.has(dep)));
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (visited.has(id)) continue;
+      visited.add(id);
+
+      const bp = byId.get(id);
+      if (!bp) continue;
+      for (const dep of bp.dependsOn) {
+        if (group.has(dep)) return true;
+        stack.push(dep);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * One blueprint doing the work of several
+   *
+   * The first part is the primary: the merged blueprint keeps its ID, type
+   * and specifications. The others go under specifications.merged in
+   * dependency order; those that have to run before the primary (an enum
+   * its table uses) are marked before: true.
+   */
+  mergeBlueprints(parts) {
+    const [primary] = parts;
+    const ids = new Set(parts.map(bp => bp.id));
+    const ordered = this.orderByDependency(parts);
+    const primaryIndex = ordered.indexOf(primary);
+
+    const resources = {};
+    for (const bp of parts) {
+      for (const [key, values] of Object.entries(bp.resources)) {
+        if (key === 'access') continue;
+        resources[key] = Array.from(new Set([...(resources[key] || []), ...values]));
+      }
+    }
+
+    // Each part's modes are resolved before merging (an enum part creates
+    // its type, which the table primary would only alter), and a resource
+    // two parts access keeps the stronger mode
+    const accessOf = bp => this.blueprintTypes ? this.blueprintTypes.accessModesOf(bp) : (bp.resources.access || {});
+    const partAccess = parts.map(accessOf);
+    if (partAccess.some(access => Object.keys(access).length > 0)) {
+      resources.access = {};
+      for (const [resource, mode] of partAccess.flatMap(access => Object.entries(access))) {
+        const current = resources.access[resource];
+        if (!current || ACCESS_MODES.indexOf(mode) > ACCESS_MODES.indexOf(current)) {
+          resources.access[resource] = mode;
+        }
+      }
+    }
+
+    const merged = {
+      ...primary,
+      name: parts.map(bp => bp.name).join(' + '),
+      description: parts.map(bp => bp.description).join('; '),
+      estimatedMinutes: parts.reduce((sum, bp) => sum + (bp.estimatedMinutes || 0), 0),
+      dependsOn: Array.from(new Set(parts.flatMap(bp => bp.dependsOn))).filter(id => !ids.has(id)),
+      resources,
+      specifications: {
+        ...primary.specifications,
+        merged: ordered.filter(bp => bp !== primary).map(bp => ({
+          id: bp.id,
+          type: bp.type,
+          name: bp.name,
+          before: ordered.indexOf(bp) < primaryIndex,
+          specifications: bp.specifications
+        }))
+      },
+      mergedFrom: parts.map(bp => bp.id),
+      evidenceRequired: this.mergeEvidence(parts)
+    };
+
+    if (parts.some(bp => bp.dependencyReasons)) {
+      merged.dependencyReasons = parts
+        .flatMap(bp => bp.dependencyReasons || [])
+        .filter(r => !ids.has(r.dependsOn));
+    }
+
+    if (parts.some(bp => bp.acceptanceCriteria)) {
+      merged.acceptanceCriteria = this.uniqueById(parts.flatMap(bp => bp.acceptanceCriteria || []));
+      merged.userStories = this.uniqueById(parts.flatMap(bp => bp.userStories || []));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Parts sorted so each comes after the parts it depends on, otherwise
+   * keeping their given order
+   */
+  orderByDependency(parts) {
+    const remaining = parts.slice();
+    const placed = new Set();
+    const ordered = [];
+
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(bp =>
+        bp.dependsOn.every(dep => placed.has(dep) || !remaining.some(other => other.id === dep))
+      );
+      // tryMerge never accepts a cyclic group; keep the given order if it happens
+      const [next] = remaining.splice(index === -1 ? 0 : index, 1);
+      placed.add(next.id);
+      ordered.push(next);
+    }
+
+    return ordered;
+  }
+
+  mergeEvidence(parts) {
+    const merge = (key) => {
+      const seen = new Set();
+      return parts.flatMap(bp => bp.evidenceRequired?.[key] || []).filter(item => {
+        const signature = `${item.type}:${item.description}`;
+        if (seen.has(signature)) return false;
+        seen.add(signature);
+        return true;
+      });
+    };
+    return { required: merge('required'), optional: merge('optional') };
+  }
+
+  uniqueById(items) {
+    const seen = new Set();
+    return items.filter(item => !seen.has(item.id) && seen.add(item.id));
+  }
+
+  /**
+   * Page size in minutes: the page itself plus what it has to wire up
+   */
+  estimatePageSize(page) {
+    const spec = page.specifications || {};
+    return (page.estimatedMinutes || 0) +
+      4 * (spec.components || []).length +
+      3 * (spec.apiEndpoints || []).length +
+      2 * (page.acceptanceCriteria || []).length;
+  }
+
+  /**
+   * Split a page into a data hook, sub-components and the page layout
+   *
+   * The page keeps its ID (dependents are unaffected) and becomes the
+   * layout that composes the new blueprints. Child components that already
+   * have blueprints are reused; a page without declared children gets one
+   * content component.
+   */
+  splitPage(blueprints, page, size, report) {
+    const spec = page.specifications;
+    const pageName = (spec.pageName || spec.componentName || page.name).replace(/\s*page$/i, '').replace(/Page$/, '');
+    const pascal = pageName.replace(/(^|[^a-zA-Z0-9])([a-zA-Z0-9])/g, (_, __, c) => c.toUpperCase());
+    const slug = pascal.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+    const byId = new Map(blueprints.map(bp => [bp.id, bp]));
+    const apiDependencies = page.dependsOn.filter(id => byId.get(id)?.specifications?.operation === 'create_api_route');
+
+    // 1. Data hook (owns the API calls)
+    const hookPath = `src/hooks/use${pascal}Data.ts`;
+    const hook = {
+      id: this.nextBlueprintId(),
+      name: `use${pascal}Data hook`,
+      description: `Data fetching hook for the ${pageName} page`,
+      estimatedMinutes: HOOK_MINUTES,
+      dependsOn: apiDependencies,
+      type: 'ui-hook',
+      resources: { tables: [], migrations: [], routes: [], components: [hookPath], functions: [] },
+      specifications: {
+        operation: 'create_data_hook',
+        hookName: `use${pascal}Data`,
+        filePath: hookPath,
+        page: page.id,
+        apiEndpoints: spec.apiEndpoints || [],
+        dataFetching: spec.dataFetching || null
+      },
+      evidenceRequired: this.blueprintTypes.getEvidenceRequirements('ui-hook')
+    };
+
+    // 2. Sub-components without blueprints of their own
+    const existing = new Set(blueprints.map(bp => bp.specifications?.componentName).filter(Boolean));
+    const childNames = (spec.components || []).length > 0 ? spec.components : [`${pascal}Content`];
+    const created = [];
+    for (const name of childNames.filter(child => !existing.has(child))) {
+      const component = this.createComponentBlueprint(
+        { name, path: path.posix.join('src/components', slug, `${name}.tsx`), apiEndpoints: [] },
+        blueprints
+      );
+      component.dependsOn = [];
+      created.push(component);
+    }
+
+    const reused = blueprints
+      .filter(bp => bp.id !== page.id && childNames.includes(bp.specifications?.componentName))
+      .map(bp => bp.id);
+
+    // 3. The page becomes the layout composing the parts
+    const parts = [hook, ...created];
+    for (const part of parts) {
+      part.splitFrom = page.id;
+      if (page.acceptanceCriteria) {
+        part.acceptanceCriteria = [];
+        part.userStories = [];
+      }
+    }
+
+    const layout = {
+      ...page,
+      name: `${page.name} layout`,
+      estimatedMinutes: LAYOUT_MINUTES,
+      dependsOn: Array.from(new Set([...page.dependsOn, ...parts.map(p => p.id), ...reused])),
+      specifications: {
+        ...spec,
+        split: {
+          dataHook: hookPath,
+          subComponents: [...created.map(p => p.specifications.filePath), ...reused.map(id => byId.get(id).specifications.filePath)]
+        }
+      }
+    };
+
+    report.splits.push({
+      blueprint: page.id,
+      name: page.name,
+      size,
+      into: [page.id, ...parts.map(p => p.id)],
+      reason: `page size ${size} min reaches the ${this.settings.splitPageMinutes} min split threshold`
+    });
+
+    const index = blueprints.indexOf(page);
+    return [...blueprints.slice(0, index), ...parts, layout, ...blueprints.slice(index + 1)];
+  }
+}
+
+module.exports = { BlueprintGranularity, GRANULARITY_LEVELS };
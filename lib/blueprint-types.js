@@ -0,0 +1,490 @@
+/**
+ * @fileoverview Blueprint Type Registry
+ *
+ * Single source of truth for what each blueprint type means: its category,
+ * the evidence it must produce, the instructions its agent gets and how long
+ * it takes. BlueprintDecomposer, ExecutionRunner, MasterOrchestrator and
+ * UnifiedOrchestrator all ask the registry instead of switching on type.
+ *
+ * Projects add their own types (edge-function, cron-job, email-template,
+ * storage-bucket, ...) in .dev-framework/blueprint-types.js. A project type
+ * also declares a spec extractor and a resource footprint, which is all
+ * BlueprintDecomposer needs to turn it into blueprints.
+ *
+ * @example
+ * // .dev-framework/blueprint-types.js
+ * module.exports = (registry) => {
+ *   registry.register('edge-function', {
+ *     category: 'service',
+ *     extract: ({ content }) => [...content.matchAll(/^### Edge Function: (\S+)/gm)].map(m => ({ name: m[1] })),
+ *     resources: (item) => ({ functions: [`supabase/functions/${item.name}/index.ts`] }),
+ *     evidence: { required: [{ type: 'test', description: 'Function invoked locally' }], optional: [] },
+ *     instructions: 'Create the Supabase Edge Function at the specified path.',
+ *     estimatedMinutes: 6
+ *   });
+ * };
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BLUEPRINT_CATEGORIES = ['database', 'api', 'service', 'ui', 'other'];
+
+// Every blueprint carries these resource arrays (DependencyGraphBuilder relies on it)
+const RESOURCE_KEYS = ['tables', 'migrations', 'routes', 'components', 'functions'];
+
+// How a blueprint accesses a resource, weakest first. Only read is shared:
+// readers run in parallel, every other mode serializes with any access.
+const ACCESS_MODES = ['read', 'write', 'alter', 'create'];
+
+// Resource array -> kind used in resources.access keys ("table:orders")
+const ACCESS_KINDS = [
+  ['tables', 'table'],
+  ['routes', 'route'],
+  ['components', 'component'],
+  ['functions', 'function'],
+  ['files', 'file'],
+  ['enums', 'enum'],
+  ['views', 'view'],
+  ['triggers', 'trigger']
+];
+
+// Database operation -> the kind of object it creates (it alters the rest)
+const CREATED_KIND = {
+  create_table: 'table',
+  create_enum: 'enum',
+  create_view: 'view',
+  create_trigger: 'trigger',
+  create_function: 'function',
+  create_rpc_function: 'function'
+};
+
+const DEFAULT_ESTIMATED_MINUTES = 7;
+
+class BlueprintTypeRegistry {
+  constructor() {
+    this.types = new Map();
+    this.loadedProjects = new Set();
+  }
+
+  /**
+   * Register a blueprint type
+   * @param {string} name - Blueprint type (blueprint.type)
+   * @param {Object} definition
+   * @param {string} definition.category - One of BLUEPRINT_CATEGORIES
+   * @param {Object} definition.evidence - { required: [], optional: [] }
+   * @param {string|Function} definition.instructions - Task instructions, or (blueprint) => string
+   * @param {number|Function} definition.estimatedMinutes - Minutes, or (blueprint) => number
+   * @param {Function} [definition.extract] - ({ content, parsed, requirements }) => items
+   * @param {Function} [definition.resources] - (item) => resource footprint (required with extract)
+   * @param {Function} [definition.label] - (item) => blueprint name
+   * @param {Function} [definition.specifications] - (item) => blueprint specifications
+   * @param {Function} [definition.dependsOn] - (item, blueprints) => blueprint IDs
+   * @param {Object|Function} [definition.access] - Resource kind -> access mode, or (blueprint) => that
+   * @param {boolean} [definition.override] - Replace an existing type
+   */
+  register(name, definition = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Blueprint type name must be a non-empty string');
+    }
+
+    if (this.types.has(name) && !definition.override) {
+      throw new Error(`Blueprint type "${name}" is already registered (pass override: true to replace it)`);
+    }
+
+    const category = definition.category || 'other';
+    if (!BLUEPRINT_CATEGORIES.includes(category)) {
+      throw new Error(`Blueprint type "${name}" has unknown category "${category}" (expected ${BLUEPRINT_CATEGORIES.join(', ')})`);
+    }
+
+    if (definition.extract && typeof definition.extract !== 'function') {
+      throw new Error(`Blueprint type "${name}": extract must be a function`);
+    }
+
+    if (definition.extract && typeof definition.resources !== 'function') {
+      throw new Error(`Blueprint type "${name}": a type with an extractor must declare resources(item)`);
+    }
+
+    this.types.set(name, {
+      name,
+      category,
+      description: definition.description || name,
+      evidence: {
+        required: definition.evidence?.required || [],
+        optional: definition.evidence?.optional || []
+      },
+      instructions: definition.instructions || 'Execute the blueprint according to the specifications.',
+      estimatedMinutes: definition.estimatedMinutes ?? DEFAULT_ESTIMATED_MINUTES,
+      extract: definition.extract || null,
+      resources: definition.resources || null,
+      label: definition.label || null,
+      specifications: definition.specifications || null,
+      dependsOn: definition.dependsOn || null,
+      access: definition.access || null,
+      builtIn: Boolean(definition.builtIn)
+    });
+
+    return this;
+  }
+
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  has(name) {
+    return this.types.has(name);
+  }
+
+  list() {
+    return Array.from(this.types.values());
+  }
+
+  /**
+   * Types BlueprintDecomposer extracts from specs itself (registration order)
+   */
+  extractable() {
+    return this.list().filter(type => type.extract);
+  }
+
+  categoryOf(typeName) {
+    return this.get(typeName)?.category || 'other';
+  }
+
+  /**
+   * Evidence requirements for a type (unknown types get the api requirements)
+   */
+  getEvidenceRequirements(typeName) {
+    const type = this.get(typeName) || this.get('api');
+    return type ? type.evidence : { required: [], optional: [] };
+  }
+
+  getTaskInstructions(blueprint) {
+    const type = this.get(blueprint.type);
+    if (!type) return 'Execute the blueprint according to the specifications.';
+    return typeof type.instructions === 'function' ? type.instructions(blueprint) : type.instructions;
+  }
+
+  /**
+   * Minutes one blueprint of this type takes (before review overhead)
+   */
+  estimateMinutes(blueprint) {
+    const type = this.get(blueprint.type);
+    if (!type) return DEFAULT_ESTIMATED_MINUTES;
+    return typeof type.estimatedMinutes === 'function'
+      ? type.estimatedMinutes(blueprint)
+      : type.estimatedMinutes;
+  }
+
+  /**
+   * How a blueprint accesses each of its resources (see ACCESS_MODES)
+   *
+   * Explicit resources.access entries win, then the type's access
+   * declaration, then the category default: database blueprints create the
+   * object their operation creates and alter everything else they touch;
+   * other blueprints read tables and write their own files, routes and
+   * components.
+   * @returns {Object} "kind:name" -> access mode
+   */
+  accessModesOf(blueprint) {
+    const type = this.get(blueprint.type);
+    const declared = typeof type?.access === 'function' ? type.access(blueprint) : (type?.access || {});
+    const isDatabase = this.categoryOf(blueprint.type) === 'database';
+    const created = CREATED_KIND[blueprint.specifications?.operation];
+    const access = {};
+
+    for (const [key, kind] of ACCESS_KINDS) {
+      for (const name of blueprint.resources?.[key] || []) {
+        const resource = `${kind}:${name}`;
+        let mode = blueprint.resources.access?.[resource] || declared[kind];
+        if (!mode) {
+          if (isDatabase) mode = created === kind ? 'create' : 'alter';
+          else mode = kind === 'table' ? 'read' : 'write';
+        }
+
+        if (!ACCESS_MODES.includes(mode)) {
+          throw new Error(`Blueprint ${blueprint.id}: unknown access mode "${mode}" for ${resource} (expected ${ACCESS_MODES.join(', ')})`);
+        }
+        access[resource] = mode;
+      }
+    }
+
+    return access;
+  }
+
+  /**
+   * Fill in the resource arrays every blueprint must have
+   */
+  normalizeResources(resources = {}) {
+    const normalized = { ...resources };
+    for (const key of RESOURCE_KEYS) {
+      normalized[key] = Array.isArray(resources[key]) ? resources[key] : [];
+    }
+    return normalized;
+  }
+
+  /**
+   * Register the project's types from .dev-framework/blueprint-types.js
+   *
+   * The module exports either a function (registry) => void, an array of
+   * { name, ...definition }, or an object mapping names to definitions.
+   * Each project is loaded once per registry.
+   * @returns {Promise<string[]>} Names of the types registered
+   */
+  async loadProjectTypes(projectPath) {
+    const modulePath = path.resolve(projectPath, '.dev-framework', 'blueprint-types.js');
+    if (this.loadedProjects.has(modulePath) || !fs.existsSync(modulePath)) {
+      return [];
+    }
+
+    this.loadedProjects.add(modulePath);
+    const before = new Set(this.types.keys());
+
+    let exported;
+    try {
+      exported = require(modulePath);
+    } catch (error) {
+      throw new Error(`Failed to load blueprint types from ${modulePath}: ${error.message}`);
+    }
+
+    if (typeof exported === 'function') {
+      await exported(this);
+    } else if (Array.isArray(exported)) {
+      exported.forEach(({ name, ...definition }) => this.register(name, definition));
+    } else if (exported && typeof exported === 'object') {
+      Object.entries(exported).forEach(([name, definition]) => this.register(name, definition));
+    } else {
+      throw new Error(`${modulePath} must export a function, an array or an object of blueprint types`);
+    }
+
+    const added = Array.from(this.types.keys()).filter(name => !before.has(name));
+    if (added.length > 0) {
+      console.log(`   → Registered project blueprint types: ${added.join(', ')}`);
+    }
+    return added;
+  }
+}
+
+const DATABASE_EVIDENCE = {
+  required: [
+    { type: 'output', description: 'Migration applied successfully' },
+    { type: 'test', description: 'Database tests passing' },
+    { type: 'metric', description: 'Query performance <100ms (EXPLAIN output)' }
+  ],
+  optional: [
+    { type: 'screenshot', description: 'Supabase dashboard showing table' }
+  ]
+};
+
+const UI_INSTRUCTIONS = `Create the UI component at the specified path.
+Follow the exact component structure, props, and styling as specified.`;
+
+/**
+ * A registry holding the framework's built-in blueprint types
+ */
+function createDefaultRegistry() {
+  const registry = new BlueprintTypeRegistry();
+  const builtIn = (name, definition) => registry.register(name, { ...definition, builtIn: true });
+
+  builtIn('database', {
+    category: 'database',
+    description: 'Table migration (create / alter)',
+    evidence: DATABASE_EVIDENCE,
+    instructions: `Create the database migration file at the specified path with the exact schema.
+Include all columns, constraints, indexes, and RLS policies as specified.`,
+    estimatedMinutes: 8
+  });
+
+  builtIn('rls', {
+    category: 'database',
+    description: 'Row Level Security policies for one table',
+    evidence: {
+      required: [
+        { type: 'output', description: 'Migration applied successfully' },
+        { type: 'test', description: 'Policy tests passing for each role (allowed and denied)' }
+      ],
+      optional: [
+        { type: 'output', description: 'No circular RLS dependencies (framework:rls-cycles)' }
+      ]
+    },
+    instructions: `Create the migration file at the specified path enabling RLS and defining exactly the policies listed.
+Keep each policy's command, roles, PERMISSIVE/RESTRICTIVE mode, USING and WITH CHECK expressions as specified.`,
+    estimatedMinutes: 8
+  });
+
+  builtIn('function', {
+    category: 'database',
+    description: 'Database function migration',
+    evidence: DATABASE_EVIDENCE,
+    instructions: `Create the migration file at the specified path defining the function with the exact signature and body.
+SECURITY DEFINER functions must set search_path explicitly.`,
+    estimatedMinutes: 8
+  });
+
+  builtIn('rpc', {
+    category: 'database',
+    description: 'RPC function callable through supabase.rpc()',
+    evidence: DATABASE_EVIDENCE,
+    instructions: `Create the migration file at the specified path defining the RPC function with the exact signature.
+Keep the specified authorization checks; SECURITY DEFINER functions must set search_path explicitly.`,
+    estimatedMinutes: 8
+  });
+
+  builtIn('enum', {
+    category: 'database',
+    description: 'Enum type migration',
+    evidence: {
+      required: [
+        { type: 'output', description: 'Migration applied successfully' },
+        { type: 'output', description: 'Enum values match spec (pg_enum query)' }
+      ],
+      optional: []
+    },
+    instructions: 'Create the migration file at the specified path defining the enum type with exactly the values listed, in order.',
+    estimatedMinutes: 3
+  });
+
+  builtIn('view', {
+    category: 'database',
+    description: 'View or materialized view migration',
+    evidence: {
+      required: [
+        { type: 'output', description: 'Migration applied successfully' },
+        { type: 'test', description: 'View returns expected rows' },
+        { type: 'metric', description: 'Query performance <100ms (EXPLAIN output)' }
+      ],
+      optional: [
+        { type: 'output', description: 'Refresh strategy documented (materialized views)' }
+      ]
+    },
+    instructions: `Create the migration file at the specified path defining the view with the exact query as specified.
+Materialized views need a unique index if they will be refreshed CONCURRENTLY.`,
+    estimatedMinutes: 5
+  });
+
+  builtIn('trigger', {
+    category: 'database',
+    description: 'Trigger migration (function created separately)',
+    evidence: {
+      required: [
+        { type: 'output', description: 'Migration applied successfully' },
+        { type: 'test', description: 'Trigger fires on the specified events' }
+      ],
+      optional: [
+        { type: 'output', description: 'Trigger listed in pg_trigger for the table' }
+      ]
+    },
+    instructions: `Create the migration file at the specified path defining the trigger on the specified table.
+The trigger function already exists (dependency blueprint); do not redefine it.`,
+    estimatedMinutes: 5
+  });
+
+  builtIn('service', {
+    category: 'service',
+    description: 'Service function module',
+    evidence: {
+      required: [
+        { type: 'test', description: 'Service unit tests passing' },
+        { type: 'output', description: 'TypeScript types correct' }
+      ],
+      optional: [
+        { type: 'metric', description: 'Performance benchmarks' }
+      ]
+    },
+    instructions: `Create the service function at the specified path.
+Implement the exact function signature and logic as specified.`,
+    estimatedMinutes: 6
+  });
+
+  builtIn('api', {
+    category: 'api',
+    description: 'API route handler',
+    evidence: {
+      required: [
+        { type: 'test', description: 'API endpoint tests passing' },
+        { type: 'metric', description: 'Response time <200ms' },
+        { type: 'output', description: 'Auth validation working' }
+      ],
+      optional: [
+        { type: 'output', description: 'API documentation updated' }
+      ]
+    },
+    instructions: `Create the API route handler at the specified path.
+Implement the exact endpoints, request validation, and response format as specified.
+When specifications.contract is present, validate request bodies and shape responses to its JSON Schemas.`,
+    estimatedMinutes: 7
+  });
+
+  builtIn('ui-component', {
+    category: 'ui',
+    description: 'UI component',
+    evidence: {
+      required: [
+        { type: 'screenshot', description: 'Component rendering (default state)' },
+        { type: 'screenshot', description: 'Loading state' },
+        { type: 'screenshot', description: 'Error state' },
+        { type: 'screenshot', description: 'Mobile responsive (375px width)' },
+        { type: 'test', description: 'Component tests passing' }
+      ],
+      optional: [
+        { type: 'screenshot', description: 'Empty state' },
+        { type: 'output', description: 'Accessibility audit (axe-core)' }
+      ]
+    },
+    instructions: UI_INSTRUCTIONS,
+    estimatedMinutes: 10
+  });
+
+  builtIn('ui-page', {
+    category: 'ui',
+    description: 'UI page (route)',
+    evidence: {
+      required: [
+        { type: 'screenshot', description: 'Page rendering with data' },
+        { type: 'screenshot', description: 'Page empty state' },
+        { type: 'screenshot', description: 'Mobile responsive (375px width)' },
+        { type: 'test', description: 'Page tests passing' },
+        { type: 'output', description: 'Route accessible and protected correctly' }
+      ],
+      optional: [
+        { type: 'screenshot', description: 'Tablet view (768px)' },
+        { type: 'output', description: 'SEO metadata present' }
+      ]
+    },
+    instructions: `Create the page at the specified route path.
+Compose the listed components, fetch data as specified, and protect the route as specified.`,
+    estimatedMinutes: 10
+  });
+
+  builtIn('ui-hook', {
+    category: 'ui',
+    description: 'Data hook split out of a page',
+    evidence: {
+      required: [
+        { type: 'test', description: 'Hook tests passing (loading, error and data states)' },
+        { type: 'output', description: 'TypeScript types correct' }
+      ],
+      optional: []
+    },
+    instructions: `Create the data hook at the specified path.
+Fetch from the listed API endpoints and expose data, loading and error state; render nothing.`,
+    estimatedMinutes: 5
+  });
+
+  builtIn('ui-missing', {
+    category: 'ui',
+    description: 'Placeholder flagging a user-facing spec without UI',
+    evidence: registry.get('ui-component').evidence,
+    instructions: 'Nothing to implement: add a ## UI Components section to the spec and re-plan.',
+    estimatedMinutes: 0
+  });
+
+  return registry;
+}
+
+module.exports = {
+  BlueprintTypeRegistry,
+  createDefaultRegistry,
+  BLUEPRINT_CATEGORIES,
+  RESOURCE_KEYS,
+  ACCESS_MODES
+};
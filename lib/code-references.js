@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Code Reference Scanner - data flow in TypeScript snippets
+ *
+ * Finds what a service, route handler or component snippet actually talks
+ * to: Supabase tables (`.from('table')`), RPC functions (`.rpc('fn')`), API
+ * routes (`fetch('/api/...')`) and imported modules. BlueprintDecomposer
+ * turns these into dependsOn edges between blueprints.
+ *
+ * This is a lexical scan, not a TypeScript parser: only string-literal
+ * arguments are resolved, and template expressions in fetch URLs become
+ * wildcard path segments.
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+class CodeReferenceScanner {
+  /**
+   * Scan a code snippet
+   * @param {string} code
+   * @returns {Object} { tables, rpcs, fetches, imports }
+   */
+  scan(code) {
+    const source = this.stripComments(code || '');
+
+    return {
+      tables: this.findTables(source),
+      rpcs: this.findRPCs(source),
+      fetches: this.findFetches(source),
+      imports: this.findImports(source)
+    };
+  }
+
+  /**
+   * `.from('table')` calls (storage buckets excluded)
+   */
+  findTables(source) {
+    const tables = [];
+    for (const match of source.matchAll(/\.from\(\s*(['"`])([\w.]+)\1\s*\)/g)) {
+      const before = source.slice(Math.max(0, match.index - 40), match.index);
+      if (/storage\s*$/.test(before)) continue;
+
+      const name = match[2].split('.').pop();
+      if (!tables.includes(name)) tables.push(name);
+    }
+    return tables;
+  }
+
+  /**
+   * `.rpc('fn')` calls
+   */
+  findRPCs(source) {
+    const rpcs = [];
+    for (const match of source.matchAll(/\.rpc\(\s*(['"`])(\w+)\1/g)) {
+      if (!rpcs.includes(match[2])) rpcs.push(match[2]);
+    }
+    return rpcs;
+  }
+
+  /**
+   * `fetch('/api/...', { method })` calls
+   * @returns {Array<{route: string, method: string}>} method defaults to GET
+   */
+  findFetches(source) {
+    const fetches = [];
+    const pattern = /\bfetch\(\s*(['"`])(\/api\/[^'"`]*)\1/g;
+
+    for (const match of source.matchAll(pattern)) {
+      const route = this.normalizeRoute(match[2]);
+      const options = this.readCallArguments(source, match.index + match[0].length);
+      const methodMatch = options.match(/method\s*:\s*['"`](\w+)['"`]/i);
+      const method = methodMatch ? methodMatch[1].toUpperCase() : 'GET';
+
+      if (!fetches.some(f => f.route === route && f.method === method)) {
+        fetches.push({ route, method });
+      }
+    }
+
+    return fetches;
+  }
+
+  /**
+   * Import statements
+   * @returns {Array<{source: string, names: string[]}>} local names bound by each import
+   */
+  findImports(source) {
+    const imports = [];
+    const pattern = /\bimport\s+(?:type\s+)?([\w*{}\s,$]+?)\s+from\s+['"]([^'"]+)['"]/g;
+
+    for (const match of source.matchAll(pattern)) {
+      const names = [];
+      const clause = match[1];
+
+      const named = clause.match(/\{([^}]*)\}/);
+      if (named) {
+        for (const part of named[1].split(',')) {
+          const local = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/).pop().trim();
+          if (local) names.push(local);
+        }
+      }
+
+      const rest = clause.replace(/\{[^}]*\}/, '').split(',').map(s => s.trim()).filter(Boolean);
+      for (const part of rest) {
+        names.push(part.replace(/^\*\s+as\s+/, ''));
+      }
+
+      imports.push({ source: match[2], names });
+    }
+
+    return imports;
+  }
+
+  /**
+   * Route with template expressions and query string reduced to a pattern
+   * `/api/refunds/${id}?x=1` → `/api/refunds/*`
+   */
+  normalizeRoute(route) {
+    return route
+      .replace(/\$\{[^}]*\}/g, '*')
+      .split('?')[0]
+      .replace(/\/+$/, '') || '/';
+  }
+
+  /**
+   * Does a fetched route pattern hit a declared route?
+   * Dynamic segments ([id], {id}, :id) and wildcards match any one segment.
+   */
+  routeMatches(fetched, declared) {
+    const dynamic = segment => segment === '*' || /^\[.+\]$|^\{.+\}$|^:/.test(segment);
+    const a = this.normalizeRoute(fetched).split('/');
+    const b = this.normalizeRoute(declared).split('/');
+
+    if (a.length !== b.length) return false;
+    return a.every((segment, i) => segment === b[i] || dynamic(segment) || dynamic(b[i]));
+  }
+
+  /**
+   * Text of the remaining call arguments up to the closing parenthesis
+   */
+  readCallArguments(source, start) {
+    let depth = 1;
+    for (let i = start; i < source.length; i++) {
+      if (source[i] === '(') depth++;
+      if (source[i] === ')' && --depth === 0) return source.slice(start, i);
+    }
+    return source.slice(start);
+  }
+
+  /**
+   * Drop // and block comments (URLs inside strings are kept)
+   */
+  stripComments(code) {
+    return code
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/(^|[^:'"`\\])\/\/.*$/gm, '$1');
+  }
+}
+
+module.exports = { CodeReferenceScanner, HTTP_METHODS };
@@ -0,0 +1,396 @@
+/**
+ * @fileoverview Front Matter Parser - Structured spec data
+ *
+ * Reads the optional front-matter block at the top of a spec (YAML between
+ * `---` fences, or a JSON object) and sibling spec.json / spec.yaml files.
+ *
+ * The YAML reader covers the subset specs use: nested mappings, sequences,
+ * quoted and plain scalars, flow collections ([a, b], {k: v}), comments and
+ * block scalars (| and >) for embedded SQL. It has no dependencies.
+ *
+ * Mappings and sequences read from YAML remember the line they start on
+ * (see lineOf()), so problems with an entry can be reported at its line.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Non-enumerable, so JSON output, spreads and comparisons never see it
+const SOURCE_LINE = Symbol('sourceLine');
+
+function markLine(value, line) {
+  Object.defineProperty(value, SOURCE_LINE, { value: line.lineNo });
+  return value;
+}
+
+class FrontMatterParser {
+  /**
+   * Split a spec into front-matter data and markdown body
+   *
+   * The body keeps the front-matter lines as blanks so line numbers in the
+   * markdown stay the same as in the file.
+   * @param {string} content - Spec content
+   * @returns {{ data: Object|null, body: string, error: Object|null }}
+   */
+  extract(content) {
+    const fence = content.match(/^(?:\uFEFF)?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+
+    if (!fence) {
+      return { data: null, body: content, error: null };
+    }
+
+    const blanked = fence[0].replace(/[^\n]/g, '');
+    const body = blanked + content.substring(fence[0].length);
+
+    try {
+      const data = this.parseData(fence[1], 'yaml', 2);
+      return { data, body, error: null };
+    } catch (error) {
+      return {
+        data: null,
+        body,
+        error: { message: error.message, line: error.line || 1, column: 1 }
+      };
+    }
+  }
+
+  /**
+   * Load a structured sibling next to a spec file
+   *
+   * Looks for <spec-name>.json|.yaml|.yml, then spec.json|spec.yaml|spec.yml
+   * in the same directory.
+   * @returns {Promise<{ data: Object, path: string }|null>}
+   */
+  async loadSibling(specPath) {
+    const dir = path.dirname(specPath);
+    const base = path.basename(specPath).replace(/\.(md|markdown)$/i, '');
+    const candidates = [];
+
+    for (const name of [base, 'spec']) {
+      for (const ext of ['json', 'yaml', 'yml']) {
+        candidates.push(path.join(dir, `${name}.${ext}`));
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (path.resolve(candidate) === path.resolve(specPath)) continue;
+
+      let text;
+      try {
+        text = await fs.readFile(candidate, 'utf8');
+      } catch {
+        continue;
+      }
+
+      const format = candidate.endsWith('.json') ? 'json' : 'yaml';
+      return { data: this.parseData(text, format), path: candidate };
+    }
+
+    return null;
+  }
+
+  /**
+   * Line a YAML mapping or sequence starts on
+   * @returns {number|null} null for scalars and JSON data
+   */
+  lineOf(value) {
+    return (value && typeof value === 'object' && value[SOURCE_LINE]) || null;
+  }
+
+  /**
+   * Parse JSON or YAML text into a plain object
+   */
+  parseData(text, format, lineOffset = 1) {
+    const trimmed = text.trim();
+    if (!trimmed) return {};
+
+    if (format === 'json' || trimmed.startsWith('{')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        const wrapped = new Error(`Invalid JSON: ${error.message}`);
+        wrapped.line = lineOffset;
+        throw wrapped;
+      }
+    }
+
+    return this.parseYAML(text, lineOffset);
+  }
+
+  /**
+   * Parse the YAML subset described in the file header
+   */
+  parseYAML(text, lineOffset = 1) {
+    const lines = text.split(/\r?\n/).map((raw, i) => {
+      const content = this.stripComment(raw).replace(/\s+$/, '');
+      return {
+        raw,
+        lineNo: i + lineOffset,
+        indent: raw.length - raw.trimStart().length,
+        content: content.trim(),
+        skip: content.trim() === ''
+      };
+    });
+
+    const state = { lines, pos: 0 };
+    const fail = (message, line) => {
+      const error = new Error(`${message} (front matter line ${line.lineNo})`);
+      error.line = line.lineNo;
+      throw error;
+    };
+
+    const current = () => {
+      while (state.pos < lines.length && lines[state.pos].skip) state.pos++;
+      return lines[state.pos];
+    };
+
+    const isSequenceItem = (line) => line.content === '-' || line.content.startsWith('- ');
+
+    const parseNode = (indent) => {
+      const line = current();
+      if (!line || line.indent < indent) return null;
+      return isSequenceItem(line) ? parseSequence(line.indent) : parseMapping(line.indent);
+    };
+
+    const parseBlockScalar = (style, parentIndent) => {
+      const collected = [];
+      state.pos++;
+
+      while (state.pos < lines.length) {
+        const line = lines[state.pos];
+        if (line.raw.trim() !== '' && line.indent <= parentIndent) break;
+        collected.push(line.raw);
+        state.pos++;
+      }
+
+      while (collected.length > 0 && collected[collected.length - 1].trim() === '') {
+        collected.pop();
+      }
+
+      const indents = collected
+        .filter(l => l.trim() !== '')
+        .map(l => l.length - l.trimStart().length);
+      const common = indents.length > 0 ? Math.min(...indents) : 0;
+      const dedented = collected.map(l => l.substring(common));
+
+      const strip = style.includes('-');
+      let value = style.startsWith('>')
+        ? dedented.join('\n').replace(/([^\n])\n(?=[^\n\s])/g, '$1 ')
+        : dedented.join('\n');
+
+      return strip ? value : `${value}\n`;
+    };
+
+    const parseValue = (valueText, line) => {
+      if (/^[|>][+-]?$/.test(valueText)) {
+        return parseBlockScalar(valueText, line.indent);
+      }
+
+      state.pos++;
+      if (valueText !== '') {
+        return this.parseScalar(valueText, line);
+      }
+
+      const next = current();
+      if (!next) return null;
+      if (next.indent > line.indent) return parseNode(next.indent);
+      // "key:" followed by a sequence at the same indent
+      if (next.indent === line.indent && isSequenceItem(next)) return parseSequence(next.indent);
+      return null;
+    };
+
+    const parseMapping = (indent) => {
+      const result = markLine({}, current());
+
+      while (true) {
+        const line = current();
+        if (!line || line.indent < indent) break;
+        if (line.indent > indent) fail('Unexpected indentation', line);
+        if (isSequenceItem(line)) break;
+
+        const pair = this.splitKeyValue(line.content);
+        if (!pair) fail(`Expected "key: value" but found "${line.content}"`, line);
+
+        result[pair.key] = parseValue(pair.value, line);
+      }
+
+      return result;
+    };
+
+    const parseSequence = (indent) => {
+      const result = markLine([], current());
+
+      while (true) {
+        const line = current();
+        if (!line || line.indent !== indent || !isSequenceItem(line)) break;
+
+        const rest = line.content === '-' ? '' : line.content.substring(2).trim();
+
+        if (rest === '') {
+          state.pos++;
+          const next = current();
+          result.push(next && next.indent > indent ? parseNode(next.indent) : null);
+        } else if (!/^["'[{]/.test(rest) && this.splitKeyValue(rest)) {
+          // "- key: value" starts a mapping nested at the item's content column
+          const offset = line.raw.indexOf(rest);
+          lines[state.pos] = { ...line, indent: offset, content: rest };
+          result.push(parseMapping(offset));
+        } else {
+          state.pos++;
+          result.push(this.parseScalar(rest, line));
+        }
+      }
+
+      return result;
+    };
+
+    const value = parseNode(0);
+    const leftover = current();
+    if (leftover) fail(`Unexpected content "${leftover.content}"`, leftover);
+
+    return value || {};
+  }
+
+  /**
+   * Split "key: value" (key may be quoted); null if the line is not a pair
+   */
+  splitKeyValue(content) {
+    const quoted = content.match(/^(["'])(.*?)\1\s*:(?:\s+(.*)|$)/);
+    if (quoted) {
+      return { key: quoted[2], value: (quoted[3] || '').trim() };
+    }
+
+    const plain = content.match(/^([^:#\s][^:]*?)\s*:(?:\s+(.*)|$)/);
+    if (plain) {
+      return { key: plain[1], value: (plain[2] || '').trim() };
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove a trailing # comment that is not inside quotes
+   */
+  stripComment(raw) {
+    let quote = null;
+
+    for (let i = 0; i < raw.length; i++) {
+      const ch = raw[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === '\'') {
+        quote = ch;
+      } else if (ch === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+        return raw.substring(0, i);
+      }
+    }
+
+    return raw;
+  }
+
+  /**
+   * Parse a scalar or flow collection
+   */
+  parseScalar(text, line) {
+    const value = text.trim();
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+      const reader = { text: value, pos: 0 };
+      const result = this.parseFlow(reader, line);
+      if (reader.text.substring(reader.pos).trim() !== '') {
+        const error = new Error(`Unexpected text after flow collection (front matter line ${line.lineNo})`);
+        error.line = line.lineNo;
+        throw error;
+      }
+      return result;
+    }
+
+    if (value.startsWith('"')) {
+      try {
+        return JSON.parse(value);
+      } catch {
+        const error = new Error(`Invalid double-quoted string (front matter line ${line.lineNo})`);
+        error.line = line.lineNo;
+        throw error;
+      }
+    }
+
+    if (value.startsWith('\'') && value.endsWith('\'') && value.length >= 2) {
+      return value.slice(1, -1).replace(/''/g, '\'');
+    }
+
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^(null|Null|NULL|~)$/.test(value)) return null;
+    if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+
+    return value;
+  }
+
+  /**
+   * Recursive reader for [a, b] and {k: v} flow collections
+   */
+  parseFlow(reader, line) {
+    const skipSpace = () => {
+      while (reader.pos < reader.text.length && /\s/.test(reader.text[reader.pos])) reader.pos++;
+    };
+
+    const fail = (message) => {
+      const error = new Error(`${message} (front matter line ${line.lineNo})`);
+      error.line = line.lineNo;
+      throw error;
+    };
+
+    const readItem = (terminators) => {
+      skipSpace();
+      const ch = reader.text[reader.pos];
+
+      if (ch === '[' || ch === '{') return this.parseFlow(reader, line);
+
+      if (ch === '"' || ch === '\'') {
+        const end = reader.text.indexOf(ch, reader.pos + 1);
+        if (end === -1) fail('Unterminated string in flow collection');
+        const token = reader.text.substring(reader.pos, end + 1);
+        reader.pos = end + 1;
+        return this.parseScalar(token, line);
+      }
+
+      const start = reader.pos;
+      while (reader.pos < reader.text.length && !terminators.includes(reader.text[reader.pos])) {
+        reader.pos++;
+      }
+      return this.parseScalar(reader.text.substring(start, reader.pos), line);
+    };
+
+    const open = reader.text[reader.pos++];
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+
+    skipSpace();
+    if (reader.text[reader.pos] === close) {
+      reader.pos++;
+      return result;
+    }
+
+    while (reader.pos < reader.text.length) {
+      if (open === '[') {
+        result.push(readItem([',', ']']));
+      } else {
+        const key = readItem([':', ',', '}']);
+        skipSpace();
+        if (reader.text[reader.pos] !== ':') fail(`Expected ':' after key "${key}"`);
+        reader.pos++;
+        result[key] = readItem([',', '}']);
+      }
+
+      skipSpace();
+      const ch = reader.text[reader.pos++];
+      if (ch === close) return result;
+      if (ch !== ',') fail(`Expected ',' or '${close}' in flow collection`);
+    }
+
+    fail(`Unterminated flow collection, missing '${close}'`);
+  }
+}
+
+module.exports = { FrontMatterParser };
@@ -5,7 +5,7 @@
  * Generates unique timestamp-based migration numbers that prevent
  * conflicts when multiple agents work simultaneously.
  *
- * Format: YYYYMMDDHHMMSS_description.sql
+ * Format: YYYYMMDDHHMMSS<sequence><random>_description.sql
  */
 
 const fs = require('fs');
@@ -16,15 +16,19 @@ class MigrationHelper {
   constructor(projectPath) {
     this.projectPath = projectPath;
     this.migrationsDir = path.join(projectPath, 'supabase', 'migrations');
+    // Numbers handed out by this helper, so same-second numbers sort in call order
+    this.sequence = 0;
   }
 
   /**
    * Generate a unique migration number
-   * Always includes random component for concurrent safety
+   * Always includes random component for concurrent safety. A zero-padded
+   * sequence before it keeps the numbers of one helper in call order, as
+   * migrations are applied in file name order.
    */
   async getNextMigrationNumber() {
     const now = new Date();
-    const baseTimestamp = this.formatTimestamp(now);
+    const baseTimestamp = `${this.formatTimestamp(now)}${String(this.sequence++).padStart(4, '0')}`;
 
     // ALWAYS add random suffix for concurrent safety
     // This ensures that even if multiple agents call this at the exact same millisecond,
@@ -143,6 +147,25 @@ class MigrationHelper {
     };
   }
 
+  /**
+   * List migration files in apply order (file name order, as Supabase applies them)
+   * @returns {Promise<Array<{filename: string, filepath: string}>>}
+   */
+  async listMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      return [];
+    }
+
+    const files = await fs.promises.readdir(this.migrationsDir);
+    return files
+      .filter(f => f.endsWith('.sql'))
+      .sort()
+      .map(filename => ({
+        filename,
+        filepath: path.join(this.migrationsDir, filename)
+      }));
+  }
+
   /**
    * Validate migrations directory for issues
    */
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Migration Replayer - Offline database state from migrations
+ *
+ * Replays supabase/migrations/*.sql in apply order through the SQL parser to
+ * reconstruct the current tables, RLS settings, policies and functions
+ * without a database connection. CREATE / ALTER / DROP POLICY, RLS toggles,
+ * CREATE OR REPLACE FUNCTION and DROP TABLE / FUNCTION are applied; every
+ * other statement is ignored.
+ */
+
+const fs = require('fs').promises;
+const { SQLParser } = require('./sql-parser');
+const { MigrationHelper } = require('./migration-helper');
+
+class MigrationReplayer {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.sqlParser = new SQLParser();
+  }
+
+  /**
+   * Replay every migration file
+   * @returns {Promise<Object>} state - { tables, policies, functions, files, errors }
+   */
+  async replay() {
+    const helper = new MigrationHelper(this.projectPath);
+    const migrations = await helper.listMigrations();
+    const state = this.createState();
+
+    for (const migration of migrations) {
+      const sql = await fs.readFile(migration.filepath, 'utf8');
+      this.applyMigration(state, sql, migration.filename);
+    }
+
+    return state;
+  }
+
+  createState() {
+    return {
+      tables: new Map(),    // name -> { name, schema, rlsEnabled, forceRls, file }
+      policies: new Map(),  // "table.name" -> policy
+      functions: new Map(), // name -> function (overloads collapse to the last one)
+      files: [],
+      errors: []
+    };
+  }
+
+  /**
+   * Apply one migration's SQL to the state
+   */
+  applyMigration(state, sql, filename) {
+    const { statements, errors } = this.sqlParser.parse(sql);
+    state.files.push(filename);
+    state.errors.push(...errors.map(error => ({ ...error, file: filename })));
+
+    for (const node of statements) {
+      try {
+        this.applyStatement(state, node, filename);
+      } catch (error) {
+        state.errors.push({ message: error.message, line: node.line, file: filename });
+      }
+    }
+  }
+
+  applyStatement(state, node, filename) {
+    switch (node.kind) {
+      case 'table': {
+        const table = this.table(state, node.name, node.schema);
+        table.file = table.file || filename;
+        break;
+      }
+
+      case 'alter_table': {
+        const table = this.table(state, node.table, node.schema);
+        for (const action of node.actions) {
+          if (action.type === 'enable_rls') table.rlsEnabled = true;
+          if (action.type === 'disable_rls') table.rlsEnabled = false;
+          if (action.type === 'force_rls') table.forceRls = true;
+          if (action.type === 'no_force_rls') table.forceRls = false;
+          if (action.type === 'rename_table') this.renameTable(state, table, action.to);
+        }
+        break;
+      }
+
+      case 'policy':
+        this.table(state, node.table, node.schema);
+        state.policies.set(this.policyKey(node.table, node.name), {
+          name: node.name,
+          table: node.table,
+          schema: node.schema,
+          operation: node.command,
+          permissive: node.permissive,
+          roles: node.roles,
+          using: node.using,
+          withCheck: node.withCheck,
+          references: {
+            using: this.names(node.references.using),
+            withCheck: this.names(node.references.withCheck)
+          },
+          functions: {
+            using: this.names(node.functions.using),
+            withCheck: this.names(node.functions.withCheck)
+          },
+          file: filename,
+          line: node.line
+        });
+        break;
+
+      case 'alter_policy': {
+        const key = this.policyKey(node.table, node.name);
+        const policy = state.policies.get(key);
+        if (!policy) {
+          throw new Error(`ALTER POLICY ${node.name}: no such policy on ${node.table}`);
+        }
+
+        if (node.roles) policy.roles = node.roles;
+        for (const clause of ['using', 'withCheck']) {
+          if (node[clause] === undefined) continue;
+          policy[clause] = node[clause];
+          policy.references[clause] = this.names(node.references[clause]);
+          policy.functions[clause] = this.names(node.functions[clause]);
+        }
+        policy.file = filename;
+        policy.line = node.line;
+
+        if (node.renameTo) {
+          state.policies.delete(key);
+          policy.name = node.renameTo;
+          state.policies.set(this.policyKey(policy.table, policy.name), policy);
+        }
+        break;
+      }
+
+      case 'function': {
+        let references = { tables: [], functions: [] };
+        if (node.body && ['sql', 'plpgsql'].includes(node.language)) {
+          references = this.sqlParser.findReferences(node.body);
+        }
+
+        state.functions.set(node.name, {
+          name: node.name,
+          schema: node.schema,
+          securityDefiner: node.securityDefiner,
+          language: node.language,
+          tables: this.names(references.tables),
+          calls: this.names(references.functions).filter(name => name !== node.name),
+          file: filename,
+          line: node.line
+        });
+        break;
+      }
+
+      case 'drop':
+        this.applyDrop(state, node);
+        break;
+    }
+  }
+
+  applyDrop(state, node) {
+    for (const { name } of node.names) {
+      if (node.objectType === 'policy') {
+        const key = this.policyKey(node.table, name);
+        if (!state.policies.delete(key) && !node.ifExists) {
+          throw new Error(`DROP POLICY ${name}: no such policy on ${node.table}`);
+        }
+      } else if (node.objectType === 'table') {
+        state.tables.delete(name);
+        for (const [key, policy] of state.policies) {
+          if (policy.table === name) state.policies.delete(key);
+        }
+      } else if (node.objectType === 'function') {
+        state.functions.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Current policies, each annotated with its table's RLS settings
+   */
+  getPolicies(state) {
+    return Array.from(state.policies.values()).map(policy => {
+      const table = state.tables.get(policy.table);
+      return {
+        ...policy,
+        rlsEnabled: table ? table.rlsEnabled : false,
+        forceRls: table ? table.forceRls : false
+      };
+    });
+  }
+
+  // Helper methods
+
+  table(state, name, schema = null) {
+    if (!state.tables.has(name)) {
+      state.tables.set(name, { name, schema, rlsEnabled: false, forceRls: false });
+    }
+    return state.tables.get(name);
+  }
+
+  renameTable(state, table, newName) {
+    const oldName = table.name;
+    state.tables.delete(oldName);
+    table.name = newName;
+    state.tables.set(newName, table);
+
+    for (const [key, policy] of state.policies) {
+      if (policy.table !== oldName) continue;
+      state.policies.delete(key);
+      policy.table = newName;
+      state.policies.set(this.policyKey(newName, policy.name), policy);
+    }
+  }
+
+  policyKey(table, name) {
+    return `${table}.${name}`;
+  }
+
+  names(refs) {
+    return [...new Set(refs.map(ref => ref.name))];
+  }
+}
+
+module.exports = { MigrationReplayer };
@@ -0,0 +1,663 @@
+/**
+ * @fileoverview OpenAPI Converter - API contracts for specs
+ *
+ * Imports an OpenAPI 3 document as a source of endpoints, and exports the
+ * endpoints extracted from a markdown spec as an OpenAPI document, with the
+ * spec's TypeScript interfaces converted to JSON Schema.
+ *
+ * Endpoints produced here use the SpecParser.extractAPIEndpoints() shape plus
+ * a `contract` ({ source, request, responses, parameters, requiresAuth,
+ * schemas }) that API blueprints and the post-implementation route checks use.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { FrontMatterParser } = require('./front-matter');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+class OpenAPIConverter {
+  /**
+   * Read an OpenAPI document (JSON or YAML)
+   */
+  async loadDocument(filePath) {
+    const text = await fs.readFile(filePath, 'utf8');
+    const format = filePath.endsWith('.json') ? 'json' : 'yaml';
+    const doc = new FrontMatterParser().parseData(text, format);
+
+    if (!doc || typeof doc.openapi !== 'string' || !doc.openapi.startsWith('3.')) {
+      throw new Error(`${filePath} is not an OpenAPI 3 document`);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Find openapi.json|yaml|yml next to a spec file
+   * @returns {Promise<{ doc: Object, path: string }|null>}
+   */
+  async loadSibling(specPath) {
+    const dir = path.dirname(specPath);
+
+    for (const ext of ['json', 'yaml', 'yml']) {
+      const candidate = path.join(dir, `openapi.${ext}`);
+      try {
+        await fs.access(candidate);
+      } catch {
+        continue;
+      }
+      return { doc: await this.loadDocument(candidate), path: candidate };
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert an OpenAPI document into spec endpoints
+   * Path templates ({id}) become Next.js segments ([id]), the form markdown
+   * routes and API blueprint file paths use.
+   * @param {Object} doc - OpenAPI 3 document
+   * @returns {Array<Object>} Endpoints in extractAPIEndpoints() shape with a contract
+   */
+  importDocument(doc) {
+    const endpoints = [];
+    const schemas = (doc.components && doc.components.schemas) || {};
+
+    for (const [openapiPath, pathItem] of Object.entries(doc.paths || {})) {
+      const route = this.toNextRoute(openapiPath);
+
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const requestSchema = this.jsonContentSchema(operation.requestBody);
+        const responses = {};
+        let responseSchema = null;
+
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+          responses[status] = this.jsonContentSchema(response);
+          if (!responseSchema && /^2\d\d$/.test(status)) {
+            responseSchema = responses[status];
+          }
+        }
+
+        const security = operation.security || doc.security || [];
+
+        endpoints.push({
+          method: method.toUpperCase(),
+          route,
+          line: null,
+          requestType: this.refName(requestSchema),
+          responseType: this.refName(responseSchema),
+          operationId: operation.operationId || null,
+          summary: operation.summary || null,
+          contract: {
+            source: 'openapi',
+            request: requestSchema,
+            responses,
+            parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])],
+            requiresAuth: security.length > 0,
+            schemas
+          }
+        });
+      }
+    }
+
+    return endpoints;
+  }
+
+  /**
+   * Build an OpenAPI document from spec endpoints and TypeScript source
+   * @param {Array<Object>} endpoints - From SpecParser.extractAPIEndpoints()
+   * @param {Object} schemas - Name -> JSON Schema (see parseTypeScript)
+   * @param {Object} [info] - { title, version }
+   */
+  exportDocument(endpoints, schemas, info = {}) {
+    const doc = {
+      openapi: '3.0.3',
+      info: {
+        title: info.title || 'Feature API',
+        version: info.version || '1.0.0'
+      },
+      paths: {},
+      components: { schemas: {} }
+    };
+
+    const used = new Set();
+
+    for (const endpoint of endpoints) {
+      const route = this.toOpenAPIPath(endpoint.route);
+      const pathItem = doc.paths[route] || (doc.paths[route] = {});
+      const method = endpoint.method.toLowerCase();
+
+      const operation = {
+        operationId: endpoint.operationId || this.operationId(endpoint.method, route),
+        responses: {}
+      };
+
+      if (endpoint.summary) operation.summary = endpoint.summary;
+
+      const params = [...route.matchAll(/\{(\w+)\}/g)].map(m => ({
+        name: m[1],
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }));
+      if (params.length > 0) operation.parameters = params;
+
+      if (endpoint.requestType && this.hasRequestBody(endpoint.method)) {
+        operation.requestBody = {
+          required: true,
+          content: { 'application/json': { schema: this.schemaRef(endpoint.requestType) } }
+        };
+        used.add(endpoint.requestType);
+      }
+
+      operation.responses['200'] = { description: 'Success' };
+      if (endpoint.responseType) {
+        operation.responses['200'].content = {
+          'application/json': { schema: this.schemaRef(endpoint.responseType) }
+        };
+        used.add(endpoint.responseType);
+      }
+
+      pathItem[method] = operation;
+    }
+
+    // Include every interface the endpoints reach, transitively
+    for (const name of this.collectReferenced([...used], schemas)) {
+      doc.components.schemas[name] = schemas[name] || {
+        description: `TypeScript type ${name} was not found in the spec`
+      };
+    }
+
+    return doc;
+  }
+
+  /**
+   * Attach a contract built from the spec's TypeScript types to an endpoint
+   */
+  contractFromTypes(endpoint, schemas) {
+    const names = [endpoint.requestType, endpoint.responseType].filter(Boolean);
+    const reachable = {};
+
+    for (const name of this.collectReferenced(names, schemas)) {
+      if (schemas[name]) reachable[name] = schemas[name];
+    }
+
+    return {
+      source: 'spec',
+      request: endpoint.requestType && this.hasRequestBody(endpoint.method)
+        ? this.schemaRef(endpoint.requestType)
+        : null,
+      responses: {
+        '200': endpoint.responseType ? this.schemaRef(endpoint.responseType) : null
+      },
+      parameters: [],
+      requiresAuth: true,
+      schemas: reachable
+    };
+  }
+
+  /**
+   * /api/orders/{id} -> /api/orders/[id]
+   */
+  toNextRoute(openapiPath) {
+    return openapiPath.replace(/\{([^{}\/]+)\}/g, '[$1]');
+  }
+
+  /**
+   * /api/orders/[id] -> /api/orders/{id}
+   */
+  toOpenAPIPath(route) {
+    return route.replace(/\[([^[\]\/]+)\]/g, '{$1}');
+  }
+
+  /**
+   * Find an operation in a contract document for a concrete route
+   * Next.js segments ([id]) and OpenAPI templates ({id}) both match.
+   */
+  findOperation(endpoints, method, route) {
+    const normalize = r => r.replace(/\[(\w+)\]|\{(\w+)\}/g, '{}').replace(/\/$/, '');
+    const target = normalize(route);
+
+    return endpoints.find(e => e.method === method.toUpperCase() && normalize(e.route) === target) || null;
+  }
+
+  /**
+   * Validate a decoded JSON value against a contract schema
+   * @returns {Array<string>} Problems, empty when the value conforms
+   */
+  validateValue(value, schema, schemas, location = '$') {
+    if (!schema) return [];
+
+    if (schema.$ref) {
+      const name = schema.$ref.replace(SCHEMA_REF_PREFIX, '');
+      return schemas[name] ? this.validateValue(value, schemas[name], schemas, location) : [];
+    }
+
+    if (value === null) {
+      return schema.nullable || schema.type === undefined ? [] : [`${location} must not be null`];
+    }
+
+    if (schema.allOf) {
+      return schema.allOf.flatMap(s => this.validateValue(value, s, schemas, location));
+    }
+
+    if (schema.oneOf || schema.anyOf) {
+      const options = schema.oneOf || schema.anyOf;
+      const matches = options.some(s => this.validateValue(value, s, schemas, location).length === 0);
+      return matches ? [] : [`${location} matches none of the allowed types`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${location} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`];
+    }
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const problems = [];
+
+    switch (schema.type) {
+      case 'string':
+      case 'boolean':
+        if (actual !== schema.type) problems.push(`${location} must be ${schema.type}`);
+        break;
+
+      case 'number':
+      case 'integer':
+        if (actual !== 'number' || (schema.type === 'integer' && !Number.isInteger(value))) {
+          problems.push(`${location} must be ${schema.type}`);
+        }
+        break;
+
+      case 'array':
+        if (actual !== 'array') {
+          problems.push(`${location} must be array`);
+        } else if (schema.items) {
+          value.forEach((item, i) => {
+            problems.push(...this.validateValue(item, schema.items, schemas, `${location}[${i}]`));
+          });
+        }
+        break;
+
+      case 'object':
+        if (actual !== 'object') {
+          problems.push(`${location} must be object`);
+          break;
+        }
+
+        for (const key of schema.required || []) {
+          if (!(key in value)) problems.push(`${location}.${key} is required`);
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+          const propertySchema = (schema.properties && schema.properties[key]) ||
+            (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+          problems.push(...this.validateValue(item, propertySchema, schemas, `${location}.${key}`));
+        }
+        break;
+    }
+
+    return problems;
+  }
+
+  // ---------------------------------------------------------------------
+  // TypeScript -> JSON Schema
+  // ---------------------------------------------------------------------
+
+  /**
+   * Convert `interface` and `type` declarations to JSON Schema
+   * @param {string} code - TypeScript source
+   * @returns {Object} Name -> JSON Schema
+   */
+  parseTypeScript(code) {
+    const source = code
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\/\/.*$/gm, '');
+    const declarations = {};
+    const declarationPattern = /(?:export\s+)?(interface|type)\s+([A-Za-z_]\w*)(?:<[^>{=]*>)?\s*(?:extends\s+([^{]+?))?\s*(=|\{)/g;
+
+    let match;
+    while ((match = declarationPattern.exec(source)) !== null) {
+      const [, kind, name, extendsList, opener] = match;
+      const start = match.index + match[0].length;
+
+      if (kind === 'interface' && opener === '{') {
+        const end = this.findClosing(source, start - 1);
+        declarations[name] = { kind, body: source.substring(start, end), extendsList };
+        declarationPattern.lastIndex = end + 1;
+      } else if (kind === 'type' && opener === '=') {
+        const end = this.findTypeAliasEnd(source, start);
+        declarations[name] = { kind, body: source.substring(start, end) };
+        declarationPattern.lastIndex = end;
+      }
+    }
+
+    const known = new Set(Object.keys(declarations));
+    const schemas = {};
+
+    for (const [name, declaration] of Object.entries(declarations)) {
+      if (declaration.kind === 'type') {
+        schemas[name] = this.typeToSchema(declaration.body, known);
+        continue;
+      }
+
+      const schema = this.objectBodyToSchema(declaration.body, known);
+      if (declaration.extendsList) {
+        const parents = this.splitTopLevel(declaration.extendsList, ',')
+          .map(p => this.typeToSchema(p, known));
+        schemas[name] = { allOf: [...parents, schema] };
+      } else {
+        schemas[name] = schema;
+      }
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Schema for a TypeScript type expression
+   */
+  typeToSchema(typeText, known) {
+    const type = typeText.trim().replace(/;$/, '').trim().replace(/^\|/, '').trim();
+
+    const union = this.splitTopLevel(type, '|');
+    if (union.length > 1) {
+      const nullable = union.some(u => u === 'null' || u === 'undefined');
+      const members = union.filter(u => u !== 'null' && u !== 'undefined');
+      const literals = members.every(m => /^(['"]).*\1$/.test(m));
+
+      let schema;
+      if (literals) {
+        schema = { type: 'string', enum: members.map(m => m.slice(1, -1)) };
+      } else if (members.length === 1) {
+        schema = this.typeToSchema(members[0], known);
+      } else {
+        schema = { oneOf: members.map(m => this.typeToSchema(m, known)) };
+      }
+
+      return nullable ? this.makeNullable(schema) : schema;
+    }
+
+    const intersection = this.splitTopLevel(type, '&');
+    if (intersection.length > 1) {
+      return { allOf: intersection.map(i => this.typeToSchema(i, known)) };
+    }
+
+    if (type.startsWith('(') && this.findClosing(type, 0) === type.length - 1) {
+      return this.typeToSchema(type.slice(1, -1), known);
+    }
+
+    if (type.endsWith('[]')) {
+      return { type: 'array', items: this.typeToSchema(type.slice(0, -2), known) };
+    }
+
+    if (type.startsWith('{')) {
+      return this.objectBodyToSchema(type.slice(1, this.findClosing(type, 0)), known);
+    }
+
+    const generic = type.match(/^([A-Za-z_]\w*)<([\s\S]*)>$/);
+    if (generic) {
+      const [, name, argsText] = generic;
+      const args = this.splitTopLevel(argsText, ',');
+
+      if (name === 'Array' || name === 'ReadonlyArray') {
+        return { type: 'array', items: this.typeToSchema(args[0], known) };
+      }
+      if (name === 'Record') {
+        return { type: 'object', additionalProperties: this.typeToSchema(args[1] || 'unknown', known) };
+      }
+      if (['Promise', 'Readonly', 'Required', 'NonNullable'].includes(name)) {
+        return this.typeToSchema(args[0], known);
+      }
+      if (['Partial', 'Pick', 'Omit'].includes(name)) {
+        // Subsets of another type: only the object shape can be relied on
+        return { type: 'object' };
+      }
+      return known.has(name) ? this.schemaRef(name) : {};
+    }
+
+    if (/^(['"]).*\1$/.test(type)) return { type: 'string', enum: [type.slice(1, -1)] };
+    if (/^-?\d+(\.\d+)?$/.test(type)) return { type: 'number', enum: [Number(type)] };
+
+    switch (type) {
+      case 'string': return { type: 'string' };
+      case 'number': return { type: 'number' };
+      case 'bigint': return { type: 'integer' };
+      case 'boolean': return { type: 'boolean' };
+      case 'true':
+      case 'false': return { type: 'boolean', enum: [type === 'true'] };
+      case 'null': return { nullable: true };
+      case 'Date': return { type: 'string', format: 'date-time' };
+      case 'object': return { type: 'object' };
+      case 'any':
+      case 'unknown': return {};
+    }
+
+    if (known.has(type)) return this.schemaRef(type);
+
+    return { 'x-typescript-type': type };
+  }
+
+  /**
+   * Schema for the members of an interface or object literal
+   */
+  objectBodyToSchema(body, known) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const member of this.splitMembers(body)) {
+      const index = member.match(/^\[\s*\w+\s*:\s*(string|number)\s*\]\s*:\s*([\s\S]+)$/);
+      if (index) {
+        schema.additionalProperties = this.typeToSchema(index[2], known);
+        continue;
+      }
+
+      const property = member.match(/^(?:readonly\s+)?(['"]?)([\w$-]+)\1(\?)?\s*:\s*([\s\S]+)$/);
+      if (!property) continue;
+
+      const [, , name, optional, typeText] = property;
+      schema.properties[name] = this.typeToSchema(typeText, known);
+      if (!optional) required.push(name);
+    }
+
+    if (required.length > 0) schema.required = required;
+
+    return schema;
+  }
+
+  // ---------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------
+
+  jsonContentSchema(body) {
+    if (!body || !body.content) return null;
+    const json = body.content['application/json'] ||
+      Object.entries(body.content).find(([type]) => type.includes('json'))?.[1];
+    return json && json.schema ? json.schema : null;
+  }
+
+  hasRequestBody(method) {
+    return ['POST', 'PUT', 'PATCH'].includes(String(method).toUpperCase());
+  }
+
+  refName(schema) {
+    if (!schema) return null;
+    if (schema.$ref) return schema.$ref.replace(SCHEMA_REF_PREFIX, '');
+    if (schema.type === 'array' && schema.items && schema.items.$ref) {
+      return `${schema.items.$ref.replace(SCHEMA_REF_PREFIX, '')}[]`;
+    }
+    return null;
+  }
+
+  schemaRef(typeName) {
+    if (typeName.endsWith('[]')) {
+      return { type: 'array', items: this.schemaRef(typeName.slice(0, -2)) };
+    }
+    return { $ref: `${SCHEMA_REF_PREFIX}${typeName}` };
+  }
+
+  makeNullable(schema) {
+    return schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true };
+  }
+
+  operationId(method, route) {
+    const words = route
+      .split('/')
+      .filter(p => p && p !== 'api')
+      .map(p => p.replace(/[{}]/g, ''))
+      .map(p => p.replace(/[-_](\w)/g, (m, c) => c.toUpperCase()));
+
+    return method.toLowerCase() + words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+  }
+
+  /**
+   * Names reachable from the given schema names through $ref
+   */
+  collectReferenced(names, schemas) {
+    const seen = new Set();
+    const queue = names.map(n => n.replace(/\[\]$/, ''));
+
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      const text = JSON.stringify(schemas[name] || {});
+      for (const ref of text.matchAll(/"#\/components\/schemas\/(\w+)"/g)) {
+        queue.push(ref[1]);
+      }
+    }
+
+    return [...seen];
+  }
+
+  /**
+   * Index of the bracket closing the one at openIndex
+   */
+  findClosing(text, openIndex) {
+    const pairs = { '{': '}', '(': ')', '[': ']', '<': '>' };
+    const stack = [];
+
+    for (let i = openIndex; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\'' || ch === '"' || ch === '`') {
+        const end = text.indexOf(ch, i + 1);
+        i = end === -1 ? text.length : end;
+      } else if (pairs[ch]) {
+        stack.push(pairs[ch]);
+      } else if (ch === stack[stack.length - 1]) {
+        stack.pop();
+        if (stack.length === 0) return i;
+      }
+    }
+
+    return text.length;
+  }
+
+  /**
+   * End of a `type X = ...` alias: `;` or a new declaration at depth 0
+   */
+  findTypeAliasEnd(text, start) {
+    let depth = 0;
+
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if ('{([<'.includes(ch)) depth++;
+      else if ('})]>'.includes(ch)) depth--;
+      else if (depth === 0 && ch === ';') return i;
+      else if (depth === 0 && ch === '\n') {
+        const rest = text.substring(i + 1);
+        if (/^\s*(?:export\s+)?(?:interface|type|const|function|class)\b/.test(rest) || /^\s*$/.test(rest.split('\n')[0])) {
+          return i;
+        }
+      }
+    }
+
+    return text.length;
+  }
+
+  splitTopLevel(text, separators) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    let quote = null;
+
+    for (const ch of text) {
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '\'' || ch === '"' || ch === '`') {
+        quote = ch;
+      } else if ('{([<'.includes(ch)) {
+        depth++;
+      } else if ('})]>'.includes(ch)) {
+        depth--;
+      } else if (depth === 0 && separators.includes(ch)) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * Split an object body into members on `;`, `,` or newlines at depth 0
+   */
+  splitMembers(body) {
+    return this.splitTopLevel(body, [';', ',', '\n']);
+  }
+}
+
+module.exports = { OpenAPIConverter };
+
+// CLI entry point (after exports: the export command loads spec-parser, which requires this module)
+if (require.main === module) {
+  const [, , command, source, output] = process.argv;
+
+  const usage = () => {
+    console.log('Usage:');
+    console.log('  node lib/openapi.js export <spec.md> [openapi.json]   Write endpoints + interfaces as OpenAPI');
+    console.log('  node lib/openapi.js import <openapi.json|yaml>        List the endpoints a document declares');
+    process.exit(1);
+  };
+
+  if (!source || !['export', 'import'].includes(command)) usage();
+
+  (async () => {
+    const converter = new OpenAPIConverter();
+
+    if (command === 'import') {
+      const endpoints = converter.importDocument(await converter.loadDocument(source));
+      endpoints.forEach(e => {
+        console.log(`${e.method.padEnd(6)} ${e.route}  request=${e.requestType || '-'} response=${e.responseType || '-'}`);
+      });
+      console.log(`\n✅ ${endpoints.length} endpoint(s)`);
+      return;
+    }
+
+    const { SpecParser } = require('./spec-parser');
+    const content = await fs.readFile(source, 'utf8');
+    const parser = new SpecParser();
+    const parsed = parser.parse(content);
+    const doc = converter.exportDocument(parsed.api, parser.extractTypeSchemas(), {
+      title: path.basename(source).replace(/\.(md|markdown)$/i, '')
+    });
+
+    const json = JSON.stringify(doc, null, 2);
+    if (output) {
+      await fs.writeFile(output, `${json}\n`);
+      console.log(`✅ Wrote ${Object.keys(doc.paths).length} path(s) to ${output}`);
+    } else {
+      console.log(json);
+    }
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
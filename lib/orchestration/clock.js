@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Clocks for the orchestration runtime
+ *
+ * ExecutionRunner and ResourceLockManager read time and schedule timers
+ * through a clock so the same code can run in real time (systemClock) or
+ * in simulated time (VirtualClock, used by the plan simulator).
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: handle => clearTimeout(handle),
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * Discrete-event clock
+ *
+ * Timers never fire on their own. run() lets the event loop drain and then
+ * jumps straight to the earliest pending timer, so an hour of agent time
+ * passes in a few milliseconds. Real I/O (e.g. checkpoint writes) still
+ * happens; time only advances while nothing else is ready to run and no
+ * file system request or child process (e.g. git) is in flight.
+ */
+class VirtualClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, ms) {
+    const timer = { id: this.nextTimerId++, at: this.time + Math.max(0, ms || 0), callback };
+    this.timers.push(timer);
+    return timer.id;
+  }
+
+  clearTimeout(handle) {
+    this.timers = this.timers.filter(timer => timer.id !== handle);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  /**
+   * Drive a promise to completion in virtual time
+   * @param {Promise} promise - Work scheduled against this clock
+   * @param {Object} [options] - { stallTimeoutMs } real time to wait on I/O with no timers left
+   * @returns {Promise} The promise's outcome
+   */
+  async run(promise, options = {}) {
+    const stallTimeoutMs = options.stallTimeoutMs || 5000;
+    let settled = false;
+    promise.then(() => { settled = true; }, () => { settled = true; });
+
+    let idleSince = null;
+    while (!settled) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (settled) break;
+
+      if (this.timers.length === 0 || ioBusy()) {
+        // Nothing scheduled, or work still waiting on real I/O
+        idleSince = idleSince || Date.now();
+        if (Date.now() - idleSince > stallTimeoutMs) {
+          throw new Error('Simulation stalled: the work never finished');
+        }
+        continue;
+      }
+      idleSince = null;
+
+      this.timers.sort((a, b) => a.at - b.at || a.id - b.id);
+      const timer = this.timers.shift();
+      this.time = Math.max(this.time, timer.at);
+      timer.callback();
+    }
+
+    return promise;
+  }
+}
+
+/**
+ * Whether a file system request or child process is still in flight.
+ * Advancing virtual time then would let other blueprints race ahead of e.g.
+ * a checkpoint write or a workspace snapshot.
+ */
+function ioBusy() {
+  if (typeof process.getActiveResourcesInfo !== 'function') return false;
+  return process.getActiveResourcesInfo()
+    .some(resource => resource.startsWith('FSReq') || resource === 'CloseReq' || resource === 'ProcessWrap');
+}
+
+module.exports = { systemClock, VirtualClock };
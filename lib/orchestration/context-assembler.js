@@ -41,7 +41,7 @@ class ContextAssembler {
     console.log(`  → Required tables: ${requiredTables.length}/${this.fullSchema.tables.length}`);
 
     // 2. Build schema slice
-    const schemaSlice = this.buildSchemaSlice(requiredTables);
+    const schemaSlice = this.buildSchemaSlice(requiredTables, blueprint);
 
     // 3. Slice conventions
     const conventionSlice = this.sliceConventions(blueprint);
@@ -66,7 +66,9 @@ class ContextAssembler {
       featureContext: {
         overview: blueprint.description,
         goals: [blueprint.name],
-        userStories: []
+        // Traced by BlueprintDecomposer.traceAcceptanceCriteria
+        userStories: blueprint.userStories || [],
+        acceptanceCriteria: blueprint.acceptanceCriteria || []
       },
       blueprint: {
         id: blueprint.id,
@@ -101,7 +103,14 @@ class ContextAssembler {
       });
     }
 
-    // 3. Tables from foreign key relationships (1 level deep)
+    // 3. Tables a view selects from
+    for (const viewName of blueprint.resources.views || []) {
+      const view = (this.fullSchema?.views || []).find(v => v.name === viewName);
+      const sources = view?.dependencies || blueprint.specifications?.sourceTables || [];
+      sources.forEach(t => required.add(t));
+    }
+
+    // 4. Tables from foreign key relationships (1 level deep)
     const directTables = Array.from(required);
     for (const table of directTables) {
       const related = this.findRelatedTables(table, 1);
@@ -126,6 +135,9 @@ class ContextAssembler {
     // Look for "create", "alter", "add" keywords
     for (let i = 0; i < parts.length; i++) {
       if (['create', 'alter', 'add', 'modify'].includes(parts[i])) {
+        // "create_type_x", "create_view_x", "create_trigger_x" don't name a table
+        if (['type', 'view', 'trigger', 'function'].includes(parts[i + 1])) return null;
+
         // Next word(s) might be the table name
         if (i + 1 < parts.length) {
           return parts[i + 1].replace('.sql', '');
@@ -179,12 +191,15 @@ class ContextAssembler {
   /**
    * Build schema slice with only required tables
    */
-  buildSchemaSlice(requiredTables) {
+  buildSchemaSlice(requiredTables, blueprint = null) {
     const slice = {
       tables: [],
       rlsPolicies: [],
       types: [],
+      enums: [],
       functions: [],
+      triggers: [],
+      views: [],
       indexes: []
     };
 
@@ -205,13 +220,15 @@ class ContextAssembler {
       );
     }
 
-    // Extract relevant types (referenced by columns)
-    const referencedTypes = new Set();
+    // Extract relevant types (referenced by columns, or created by the blueprint)
+    // Column types may be upper-cased, schema-qualified or arrays (PUBLIC.STATUS[])
+    const typeKey = type => type.toLowerCase().replace(/\[\]$/, '').split('.').pop();
+    const referencedTypes = new Set(blueprint?.resources.enums || []);
     for (const table of slice.tables) {
       if (table.columns) {
         for (const col of table.columns) {
-          if (col.type && col.type.startsWith('enum_')) {
-            referencedTypes.add(col.type);
+          if (col.type) {
+            referencedTypes.add(typeKey(col.type));
           }
         }
       }
@@ -219,16 +236,39 @@ class ContextAssembler {
 
     if (this.fullSchema.types) {
       slice.types = this.fullSchema.types.filter(t =>
-        referencedTypes.has(t.name)
+        referencedTypes.has(typeKey(t.name))
+      );
+    }
+
+    if (this.fullSchema.enums) {
+      slice.enums = this.fullSchema.enums.filter(e =>
+        referencedTypes.has(typeKey(e.name))
+      );
+    }
+
+    // Extract triggers on these tables
+    if (this.fullSchema.triggers) {
+      slice.triggers = this.fullSchema.triggers.filter(t =>
+        requiredTables.includes(t.table)
+      );
+    }
+
+    // Extract views over these tables, plus any the blueprint creates
+    if (this.fullSchema.views) {
+      const blueprintViews = blueprint?.resources.views || [];
+      slice.views = this.fullSchema.views.filter(v =>
+        blueprintViews.includes(v.name) ||
+        (v.dependencies || []).some(t => requiredTables.includes(t))
       );
     }
 
-    // Extract functions that operate on these tables
+    // Extract functions that operate on these tables or that their triggers execute
     if (this.fullSchema.functions) {
+      const triggerFunctions = new Set(slice.triggers.map(t => t.function));
       slice.functions = this.fullSchema.functions.filter(fn => {
-        return requiredTables.some(table =>
-          fn.definition && fn.definition.includes(table)
-        );
+        const definition = fn.definition || fn.body || '';
+        return triggerFunctions.has(fn.name) ||
+          requiredTables.some(table => definition.includes(table));
       });
     }
 
@@ -304,12 +344,14 @@ class ContextAssembler {
     const fullTokens =
       (this.fullSchema?.tables?.length || 0) * 200 +
       (this.fullSchema?.rlsPolicies?.length || 0) * 150 +
-      (this.fullSchema?.functions?.length || 0) * 300;
+      (this.fullSchema?.functions?.length || 0) * 300 +
+      ((this.fullSchema?.triggers?.length || 0) + (this.fullSchema?.views?.length || 0)) * 100;
 
     const sliceTokens =
       schemaSlice.tables.length * 200 +
       schemaSlice.rlsPolicies.length * 150 +
-      schemaSlice.functions.length * 300;
+      schemaSlice.functions.length * 300 +
+      (schemaSlice.triggers.length + schemaSlice.views.length) * 100;
 
     return {
       fullTokens,
@@ -340,7 +382,10 @@ class ContextAssembler {
         tables: [],
         rlsPolicies: [],
         types: [],
+        enums: [],
         functions: [],
+        triggers: [],
+        views: [],
         indexes: []
       };
     }
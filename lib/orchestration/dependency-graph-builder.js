@@ -1,14 +1,86 @@
+#!/usr/bin/env node
 /**
  * @fileoverview Dependency Graph Builder
  *
  * Builds a DAG from blueprints, detects cycles, identifies resource conflicts,
- * and generates execution layers via topological sort.
+ * and generates execution layers via topological sort. Layers are for
+ * display; the execution runner schedules by critical-path priority.
+ *
+ * Two blueprints conflict on a resource unless both only read it
+ * (resources.access, see ACCESS_MODES in blueprint-types).
+ *
+ * Every resource conflict falls under a named rule (CONFLICT_RULES). A plan
+ * can override a rule for specific resources or blueprint pairs, either to
+ * let the pair run in parallel or to reverse which one goes first:
+ *
+ *   { rule: 'shared-table', resource: 'table:users', blueprints: ['bp-04', 'bp-07'],
+ *     action: 'parallel', reason: 'both only read users' }
+ *
+ * rule, resource (exact, or a prefix ending in *) and blueprints are all
+ * optional filters, but a rule needs at least one of them.
  */
 
+// Resource kind (conflict prefix) -> rule that serializes the two blueprints
+const CONFLICT_RULES = {
+  table: 'shared-table',
+  migrations: 'sequential-migrations',
+  function: 'shared-function',
+  file: 'shared-file',
+  route: 'shared-route',
+  component: 'shared-component',
+  enum: 'shared-enum',
+  view: 'shared-view',
+  trigger: 'shared-trigger'
+};
+
+const RULE_DESCRIPTIONS = {
+  'shared-table': 'both blueprints touch the same table and at least one changes it',
+  'sequential-migrations': 'both blueprints write migrations, and migrations always apply in plan order',
+  'shared-function': 'both blueprints write the same function file',
+  'shared-file': 'both blueprints write the same file',
+  'shared-route': 'both blueprints implement the same route',
+  'shared-component': 'both blueprints write the same component',
+  'shared-enum': 'both blueprints touch the same enum',
+  'shared-view': 'both blueprints touch the same view',
+  'shared-trigger': 'both blueprints touch the same trigger'
+};
+
+const RULE_ACTIONS = ['parallel', 'reverse'];
+
+/**
+ * How a blueprint accesses a resource ("table:orders"); blueprints planned
+ * before access modes existed write everything
+ */
+function accessMode(blueprint, resource) {
+  return blueprint.resources.access?.[resource] || 'write';
+}
+
 class DependencyGraphBuilder {
-  constructor() {
+  /**
+   * @param {Object} [options] - { rules } per-plan rule overrides
+   */
+  constructor(options = {}) {
     this.nodes = new Map(); // blueprintId -> BlueprintNode
     this.edges = new Map(); // blueprintId -> Set<dependencyId>
+    this.implicitDependencies = new Map(); // blueprintId -> Map<dependencyId, conflicts>
+    this.rules = options.rules || [];
+
+    this.rules.forEach(rule => this.validateRule(rule));
+  }
+
+  /**
+   * Throw on rule overrides that could never match or do nothing
+   */
+  validateRule(rule) {
+    if (!rule.rule && !rule.resource && !rule.blueprints) {
+      throw new Error(`Dependency rule override needs a rule, resource or blueprints filter: ${JSON.stringify(rule)}`);
+    }
+    if (rule.rule && !RULE_DESCRIPTIONS[rule.rule]) {
+      throw new Error(`Unknown dependency rule: ${rule.rule} (expected ${Object.keys(RULE_DESCRIPTIONS).join(', ')})`);
+    }
+    if (rule.action && !RULE_ACTIONS.includes(rule.action)) {
+      throw new Error(`Unknown dependency rule action: ${rule.action} (expected ${RULE_ACTIONS.join(', ')})`);
+    }
   }
 
   /**
@@ -32,27 +104,213 @@ class DependencyGraphBuilder {
         const b = blueprints[j];
 
         const conflicts = this.findResourceConflicts(a, b);
+        const { kept, reverse } = this.applyRules(a, b, conflicts);
 
-        if (conflicts.length > 0) {
+        if (kept.length > 0) {
           // Add dependency: later blueprint depends on earlier one
           // (Earlier in array = created first = should execute first)
-          this.addImplicitDependency(b.id, a.id, conflicts);
+          // unless a plan rule reverses the order
+          if (reverse) {
+            this.addImplicitDependency(a.id, b.id, kept);
+          } else {
+            this.addImplicitDependency(b.id, a.id, kept);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply the plan's rule overrides to the conflicts between a and b
+   * (a comes first in the plan)
+   * @returns {Object} { kept, overridden: [{ conflict, rule, override }], reverse }
+   */
+  applyRules(a, b, conflicts) {
+    const kept = [];
+    const overridden = [];
+    let reverse = false;
+
+    for (const conflict of conflicts) {
+      const rule = this.ruleFor(conflict);
+      const override = this.rules.find(o => this.matchesRule(o, a, b, conflict, rule));
+
+      if (override && (override.action || 'parallel') === 'parallel') {
+        overridden.push({ conflict, rule, override });
+        continue;
+      }
+
+      kept.push(conflict);
+      if (override) reverse = true;
+    }
+
+    return { kept, overridden, reverse };
+  }
+
+  matchesRule(override, a, b, conflict, rule) {
+    if (override.rule && override.rule !== rule) return false;
+
+    if (override.resource) {
+      const pattern = override.resource;
+      const matches = pattern.endsWith('*')
+        ? conflict.startsWith(pattern.slice(0, -1))
+        : conflict === pattern;
+      if (!matches) return false;
+    }
+
+    if (override.blueprints) {
+      if (!override.blueprints.includes(a.id) || !override.blueprints.includes(b.id)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Name of the rule behind a conflict such as "table:orders"
+   */
+  ruleFor(conflict) {
+    return CONFLICT_RULES[conflict.split(':')[0]] || 'unknown';
+  }
+
+  /**
+   * A conflict with its rule and a human-readable description
+   */
+  describeConflict(conflict) {
+    const rule = this.ruleFor(conflict);
+    return { resource: conflict, rule, description: RULE_DESCRIPTIONS[rule] || 'resource conflict' };
+  }
+
+  /**
+   * Resource conflicts the plan's rule overrides let run in parallel
+   * @returns {Array} [{ blueprints: [a, b], resource, rule, override }]
+   */
+  getOverriddenConflicts() {
+    const blueprints = Array.from(this.nodes.values());
+    const overridden = [];
+
+    if (this.rules.length === 0) return overridden;
+
+    for (let i = 0; i < blueprints.length; i++) {
+      for (let j = i + 1; j < blueprints.length; j++) {
+        const a = blueprints[i];
+        const b = blueprints[j];
+
+        for (const entry of this.applyRules(a, b, this.findResourceConflicts(a, b)).overridden) {
+          overridden.push({ blueprints: [a.id, b.id], resource: entry.conflict, rule: entry.rule, override: entry.override });
+        }
+      }
+    }
+
+    return overridden;
+  }
+
+  /**
+   * Explain why (or whether) one blueprint waits for another
+   * @param {Object|string} blueprintA - Blueprint or ID
+   * @param {Object|string} blueprintB - Blueprint or ID
+   * @returns {Object} { blueprints, dependency, path, conflicts, overridden, order, parallel, summary }
+   */
+  explain(blueprintA, blueprintB) {
+    const [a, b] = [blueprintA, blueprintB].map(bp => {
+      const id = typeof bp === 'string' ? bp : bp.id;
+      const node = this.nodes.get(id);
+      if (!node) throw new Error(`Unknown blueprint: ${id}`);
+      return node;
+    });
+
+    // Conflicts are always evaluated in plan order, like detectResourceConflicts
+    const ids = Array.from(this.nodes.keys());
+    const [first, second] = ids.indexOf(a.id) <= ids.indexOf(b.id) ? [a, b] : [b, a];
+    const { kept, overridden, reverse } = this.applyRules(first, second, this.findResourceConflicts(first, second));
+
+    let dependency = null;
+    for (const [dependent, target] of [[a, b], [b, a]]) {
+      if (!this.edges.get(dependent.id)?.has(target.id)) continue;
+
+      const explicit = (dependent.dependsOn || []).includes(target.id);
+      dependency = {
+        blueprint: dependent.id,
+        dependsOn: target.id,
+        kind: explicit ? 'explicit' : 'implicit',
+        reasons: explicit
+          ? (dependent.dependencyReasons || []).filter(r => r.dependsOn === target.id).map(r => r.reason)
+          : (this.implicitDependencies.get(dependent.id)?.get(target.id) || kept)
+      };
+    }
+
+    const path = this.findPath(a.id, b.id) || this.findPath(b.id, a.id);
+
+    let order = null;
+    if (kept.length > 0) {
+      order = reverse
+        ? `${first.id} waits for ${second.id} because a plan rule reverses the order`
+        : `${second.id} waits for ${first.id} because it comes later in the plan`;
+    }
+
+    let summary;
+    if (dependency) {
+      const reasons = dependency.reasons.length > 0 ? `: ${dependency.reasons.join(', ')}` : '';
+      summary = `${dependency.blueprint} depends on ${dependency.dependsOn} (${dependency.kind}${reasons})`;
+    } else if (path) {
+      summary = `${path[0]} waits for ${path[path.length - 1]} through ${path.slice(1, -1).join(' → ')}`;
+    } else {
+      summary = `${a.id} and ${b.id} can run in parallel`;
+    }
+
+    return {
+      blueprints: [a.id, b.id],
+      dependency,
+      path,
+      conflicts: kept.map(conflict => ({
+        ...this.describeConflict(conflict),
+        access: { [first.id]: accessMode(first, conflict), [second.id]: accessMode(second, conflict) }
+      })),
+      overridden: overridden.map(entry => ({ ...this.describeConflict(entry.conflict), override: entry.override })),
+      order,
+      parallel: !path,
+      summary
+    };
+  }
+
+  /**
+   * Dependency chain from a blueprint to one it waits for, if any
+   * @returns {Array|null} [fromId, ..., toId]
+   */
+  findPath(fromId, toId) {
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      if (nodeId === toId) {
+        const path = [];
+        for (let id = toId; id !== null; id = previous.get(id)) path.unshift(id);
+        return path;
+      }
+
+      for (const depId of this.edges.get(nodeId) || []) {
+        if (!previous.has(depId)) {
+          previous.set(depId, nodeId);
+          queue.push(depId);
         }
       }
     }
+
+    return null;
   }
 
   /**
    * Find overlapping resources between two blueprints
+   * A resource both blueprints only read (resources.access) is not a conflict.
    */
   findResourceConflicts(a, b) {
     const conflicts = [];
+    const overlap = (kind, namesA = [], namesB = []) => namesA
+      .filter(name => namesB.includes(name))
+      .map(name => `${kind}:${name}`)
+      .filter(resource => accessMode(a, resource) !== 'read' || accessMode(b, resource) !== 'read');
 
     // Check table conflicts
-    const tableOverlap = a.resources.tables.filter(t =>
-      b.resources.tables.includes(t)
-    );
-    conflicts.push(...tableOverlap.map(t => `table:${t}`));
+    conflicts.push(...overlap('table', a.resources.tables, b.resources.tables));
 
     // Check migration conflicts (ALL migrations are sequential)
     if (a.resources.migrations.length > 0 && b.resources.migrations.length > 0) {
@@ -60,37 +318,21 @@ class DependencyGraphBuilder {
     }
 
     // Check file conflicts
-    const fileOverlap = this.findFileOverlaps(a.resources, b.resources);
-    conflicts.push(...fileOverlap);
+    conflicts.push(...overlap('function', a.resources.functions, b.resources.functions));
+    conflicts.push(...overlap('file', a.resources.files, b.resources.files));
 
     // Check route conflicts
-    const routeOverlap = a.resources.routes.filter(r =>
-      b.resources.routes.includes(r)
-    );
-    conflicts.push(...routeOverlap.map(r => `route:${r}`));
+    conflicts.push(...overlap('route', a.resources.routes, b.resources.routes));
 
     // Check component conflicts
-    const componentOverlap = a.resources.components.filter(c =>
-      b.resources.components.includes(c)
-    );
-    conflicts.push(...componentOverlap.map(c => `component:${c}`));
-
-    return conflicts;
-  }
+    conflicts.push(...overlap('component', a.resources.components, b.resources.components));
 
-  /**
-   * Find file path overlaps
-   */
-  findFileOverlaps(resourcesA, resourcesB) {
-    const overlaps = [];
-
-    // Check if any function files overlap
-    const funcOverlap = resourcesA.functions.filter(f =>
-      resourcesB.functions.includes(f)
-    );
-    overlaps.push(...funcOverlap.map(f => `function:${f}`));
+    // Check enum, view and trigger conflicts (only database blueprints carry these)
+    for (const [key, kind] of [['enums', 'enum'], ['views', 'view'], ['triggers', 'trigger']]) {
+      conflicts.push(...overlap(kind, a.resources[key], b.resources[key]));
+    }
 
-    return overlaps;
+    return conflicts;
   }
 
   /**
@@ -100,6 +342,11 @@ class DependencyGraphBuilder {
     const deps = this.edges.get(dependentId);
     deps.add(dependencyId);
 
+    if (!this.implicitDependencies.has(dependentId)) {
+      this.implicitDependencies.set(dependentId, new Map());
+    }
+    this.implicitDependencies.get(dependentId).set(dependencyId, conflicts);
+
     console.log(
       `[DAG] Added implicit dependency: ${dependentId} depends on ${dependencyId}`,
       `(conflicts: ${conflicts.join(', ')})`
@@ -197,6 +444,181 @@ class DependencyGraphBuilder {
     return layers;
   }
 
+  /**
+   * Rebuild the dependency graph of a saved plan
+   *
+   * Plans record every edge, implicit ones included, in plan.dependencies.
+   * Plans written before that only carry dependsOn, so their resource
+   * conflicts are detected again, as they are when options.rules replaces
+   * the plan's rule overrides.
+   * @param {Object} plan
+   * @param {Object} [options] - { rules }
+   */
+  static fromPlan(plan, options = {}) {
+    const dagBuilder = new DependencyGraphBuilder({ rules: options.rules || plan.dependencyRules });
+    for (const bp of plan.blueprints) {
+      dagBuilder.addBlueprint(bp);
+    }
+
+    if (plan.dependencies && !options.rules) {
+      for (const [id, deps] of Object.entries(plan.dependencies)) {
+        if (dagBuilder.edges.has(id)) {
+          dagBuilder.edges.set(id, new Set(deps));
+        }
+      }
+      for (const edge of plan.implicitDependencies || []) {
+        if (!dagBuilder.implicitDependencies.has(edge.blueprint)) {
+          dagBuilder.implicitDependencies.set(edge.blueprint, new Map());
+        }
+        dagBuilder.implicitDependencies.get(edge.blueprint).set(edge.dependsOn, edge.conflicts);
+      }
+    } else {
+      dagBuilder.detectResourceConflicts();
+    }
+
+    return dagBuilder;
+  }
+
+  /**
+   * Dependencies of every blueprint, implicit ones included, as plain JSON
+   * @returns {Object} blueprintId -> [dependencyId]
+   */
+  getDependencyMap() {
+    const map = {};
+    for (const [nodeId, deps] of this.edges) {
+      map[nodeId] = Array.from(deps);
+    }
+    return map;
+  }
+
+  /**
+   * Implicit dependencies with the resource conflicts that caused them
+   * @returns {Array} [{ blueprint, dependsOn, conflicts }]
+   */
+  getImplicitDependencies() {
+    const implicit = [];
+    for (const [blueprintId, deps] of this.implicitDependencies) {
+      for (const [dependsOn, conflicts] of deps) {
+        implicit.push({ blueprint: blueprintId, dependsOn, conflicts });
+      }
+    }
+    return implicit;
+  }
+
+  /**
+   * Reverse edges: which blueprints wait on each blueprint
+   * @returns {Map} blueprintId -> Set<dependentId>
+   */
+  getDependents() {
+    const dependents = new Map();
+    for (const nodeId of this.nodes.keys()) {
+      dependents.set(nodeId, new Set());
+    }
+    for (const [nodeId, deps] of this.edges) {
+      for (const depId of deps) {
+        if (dependents.has(depId)) dependents.get(depId).add(nodeId);
+      }
+    }
+    return dependents;
+  }
+
+  /**
+   * Longest remaining path for each blueprint: its own estimate plus the
+   * longest chain of dependents that cannot start before it finishes.
+   * Starting the blueprint with the highest value first keeps the critical
+   * path moving.
+   * @param {Function} [estimate] - blueprint -> minutes
+   * @returns {Map} blueprintId -> minutes
+   */
+  computeCriticalPathPriorities(estimate = bp => bp.estimatedMinutes || 5) {
+    const dependents = this.getDependents();
+    const priorities = new Map();
+
+    const priorityOf = (nodeId) => {
+      if (priorities.has(nodeId)) return priorities.get(nodeId);
+      priorities.set(nodeId, 0); // Guards against cycles
+
+      let longestTail = 0;
+      for (const dependentId of dependents.get(nodeId)) {
+        longestTail = Math.max(longestTail, priorityOf(dependentId));
+      }
+
+      const priority = estimate(this.nodes.get(nodeId)) + longestTail;
+      priorities.set(nodeId, priority);
+      return priority;
+    };
+
+    for (const nodeId of this.nodes.keys()) {
+      priorityOf(nodeId);
+    }
+
+    return priorities;
+  }
+
+  /**
+   * Longest chain of estimated minutes through the graph
+   * @param {Function} [estimate] - blueprint -> minutes
+   * @returns {Object} { minutes, blueprints: [blueprintId] } in execution order
+   */
+  findCriticalPath(estimate = bp => bp.estimatedMinutes || 5) {
+    const priorities = this.computeCriticalPathPriorities(estimate);
+    const dependents = this.getDependents();
+    const longest = (ids) => ids.reduce((best, id) =>
+      best === null || priorities.get(id) > priorities.get(best) ? id : best, null);
+
+    const roots = Array.from(this.nodes.keys()).filter(nodeId =>
+      Array.from(this.edges.get(nodeId) || []).every(depId => !this.nodes.has(depId)));
+
+    const path = [];
+    for (let nodeId = longest(roots); nodeId !== null; nodeId = longest(Array.from(dependents.get(nodeId)))) {
+      path.push(nodeId);
+    }
+
+    return { minutes: path.length > 0 ? priorities.get(path[0]) : 0, blueprints: path };
+  }
+
+  /**
+   * Expected wall-clock minutes when blueprints start as soon as their
+   * dependencies finish, highest critical-path priority first, with at
+   * most maxConcurrent running at once
+   * @param {Function} [estimate] - blueprint -> minutes
+   * @param {number} [maxConcurrent]
+   * @returns {number} Minutes
+   */
+  estimateScheduleMinutes(estimate = bp => bp.estimatedMinutes || 5, maxConcurrent = Infinity) {
+    const priorities = this.computeCriticalPathPriorities(estimate);
+    const dependents = this.getDependents();
+    const order = Array.from(this.nodes.keys());
+    const waitingOn = new Map();
+
+    for (const [nodeId, deps] of this.edges) {
+      waitingOn.set(nodeId, Array.from(deps).filter(depId => this.nodes.has(depId)).length);
+    }
+
+    const ready = order.filter(nodeId => waitingOn.get(nodeId) === 0);
+    const running = [];
+    let time = 0;
+
+    while (ready.length > 0 || running.length > 0) {
+      ready.sort((a, b) => priorities.get(b) - priorities.get(a) || order.indexOf(a) - order.indexOf(b));
+      while (running.length < maxConcurrent && ready.length > 0) {
+        const nodeId = ready.shift();
+        running.push({ nodeId, finishesAt: time + estimate(this.nodes.get(nodeId)) });
+      }
+
+      running.sort((a, b) => a.finishesAt - b.finishesAt);
+      const finished = running.shift();
+      time = finished.finishesAt;
+
+      for (const dependentId of dependents.get(finished.nodeId)) {
+        waitingOn.set(dependentId, waitingOn.get(dependentId) - 1);
+        if (waitingOn.get(dependentId) === 0) ready.push(dependentId);
+      }
+    }
+
+    return time;
+  }
+
   /**
    * Visualize the graph for debugging
    */
@@ -218,15 +640,16 @@ class DependencyGraphBuilder {
 
   /**
    * Visualize execution layers
+   * @param {Array} layers - Layers of blueprint IDs (as generated) or blueprints
    */
   visualizeLayers(layers) {
     console.log('\n=== Execution Plan ===\n');
 
-    let totalEstimatedTime = 0;
+    layers = layers.map(layer => layer.map(entry =>
+      typeof entry === 'string' ? this.nodes.get(entry) || { id: entry, name: entry } : entry));
 
     layers.forEach((layer, index) => {
       const layerTime = Math.max(...layer.map(bp => bp.estimatedMinutes || 5));
-      totalEstimatedTime += layerTime;
 
       console.log(`Layer ${index} (${layer.length} blueprints, ~${layerTime} min):`);
 
@@ -241,10 +664,87 @@ class DependencyGraphBuilder {
       console.log('');
     });
 
-    console.log(`Estimated total time: ${totalEstimatedTime} minutes`);
+    const criticalPath = this.findCriticalPath();
+    console.log(`Critical path: ${criticalPath.blueprints.join(' → ')} (~${criticalPath.minutes} min)`);
     console.log(`Layers: ${layers.length}`);
     console.log('');
   }
 }
 
-module.exports = { DependencyGraphBuilder };
+if (require.main === module) {
+  const [, , command, planFile, ...rest] = process.argv;
+  const fs = require('fs').promises;
+
+  const usage = () => {
+    console.log('Usage:');
+    console.log('  node lib/orchestration/dependency-graph-builder.js edges <plan.json> [rules.json]          List implicit dependencies and the rule behind each');
+    console.log('  node lib/orchestration/dependency-graph-builder.js explain <plan.json> <bp-a> <bp-b> [rules.json]');
+    console.log('  node lib/orchestration/dependency-graph-builder.js apply <plan.json> <rules.json>          Re-plan with rule overrides');
+    process.exit(1);
+  };
+
+  if (!planFile || !['edges', 'explain', 'apply'].includes(command)) usage();
+  if (command === 'explain' && rest.length < 2) usage();
+  if (command === 'apply' && rest.length < 1) usage();
+
+  const readRules = async (file) => {
+    if (!file) return undefined;
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    return Array.isArray(data) ? data : data.rules;
+  };
+
+  (async () => {
+    const plan = JSON.parse(await fs.readFile(planFile, 'utf8'));
+
+    if (command === 'apply') {
+      const { MasterOrchestrator } = require('../../agents/master-orchestrator');
+      const updated = new MasterOrchestrator().applyDependencyRules(plan, await readRules(rest[0]));
+      await fs.writeFile(planFile, JSON.stringify(updated, null, 2));
+      console.log(`✅ Re-planned ${planFile}: ${updated.layers.length} layers, ${updated.implicitDependencies.length} implicit dependencies`);
+      return;
+    }
+
+    const rulesFile = command === 'explain' ? rest[2] : rest[0];
+    const dagBuilder = DependencyGraphBuilder.fromPlan(plan, { rules: await readRules(rulesFile) });
+
+    if (command === 'explain') {
+      const explanation = dagBuilder.explain(rest[0], rest[1]);
+      console.log(`\n🔍 ${explanation.summary}`);
+      if (explanation.path && explanation.path.length > 2) {
+        console.log(`   Path: ${explanation.path.join(' → ')}`);
+      }
+      explanation.conflicts.forEach(c => {
+        const modes = Object.entries(c.access).map(([id, mode]) => `${id} ${mode}`).join(', ');
+        console.log(`   - ${c.resource} [${c.rule}]: ${c.description} (${modes})`);
+      });
+      if (explanation.order) console.log(`   Order: ${explanation.order}`);
+      explanation.overridden.forEach(c => {
+        console.log(`   ⏸️  ${c.resource} [${c.rule}] overridden${c.override.reason ? `: ${c.override.reason}` : ''}`);
+      });
+      console.log('');
+      return;
+    }
+
+    const implicit = dagBuilder.getImplicitDependencies();
+    console.log(`\n🔗 Implicit dependencies (${implicit.length})`);
+    for (const edge of implicit) {
+      console.log(`   ${edge.blueprint} waits for ${edge.dependsOn}`);
+      edge.conflicts.map(c => dagBuilder.describeConflict(c))
+        .forEach(c => console.log(`      - ${c.resource} [${c.rule}]: ${c.description}`));
+    }
+
+    const overridden = dagBuilder.getOverriddenConflicts();
+    if (overridden.length > 0) {
+      console.log(`\n⏸️  Overridden by plan rules (${overridden.length})`);
+      for (const entry of overridden) {
+        console.log(`   ${entry.blueprints.join(' ∥ ')}: ${entry.resource} [${entry.rule}]${entry.override.reason ? ` - ${entry.override.reason}` : ''}`);
+      }
+    }
+    console.log('');
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { DependencyGraphBuilder, CONFLICT_RULES };
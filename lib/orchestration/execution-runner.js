@@ -3,21 +3,33 @@
  * @fileoverview Execution Runner
  *
  * Executes hierarchical orchestration plans created by master-orchestrator.
- * Used by Claude Code main session to run blueprints in parallel layers.
+ * Used by Claude Code main session to run blueprints in parallel.
  *
  * Features:
- * - Layer-by-layer execution
- * - Parallel blueprint execution within layers
+ * - Ready-queue scheduling: a blueprint starts as soon as its own
+ *   dependencies finish, longest remaining critical path first
+ * - Parallel execution up to maxConcurrent
  * - Checkpoint tracking for crash recovery
+ * - Lock leases renewed by agent heartbeats; an expired lease aborts the
+ *   agent, quarantines the files it changed and reschedules the blueprint
+ *   (its locks are released only once the agent has stopped)
+ * - Real changed files per blueprint (working tree snapshots), with writes
+ *   outside declared resources and overlaps between parallel blueprints
  * - Plan validation before execution
  * - Progress reporting
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { ResourceLockManager } = require('./resource-lock-manager');
+const { FileLockStore } = require('./lock-store');
 const { StateManager } = require('./state-manager');
 const { ContextAssembler } = require('./context-assembler');
+const { createDefaultRegistry } = require('../blueprint-types');
+const { DependencyGraphBuilder } = require('./dependency-graph-builder');
+const { systemClock } = require('./clock');
+const { WorkspaceTracker, declaresFile } = require('./workspace-snapshot');
 
 class ExecutionRunner {
   constructor(options = {}) {
@@ -25,15 +37,33 @@ class ExecutionRunner {
       maxConcurrent: 5,              // Max parallel blueprints
       enableCodexReviews: true,       // Codex review after each blueprint
       enableResourceLocking: true,    // Prevent conflicts
+      lockWaitTimeout: 15 * 60 * 1000, // Give up waiting for locks after this (ms); a holder keeps them 15 min at most
+      lockDir: null,                  // Default: .dev-framework/locks in cwd (shared by sessions); false keeps locks in memory
+      deadlockPolicy: 'youngest',     // Victim when lock waits form a cycle: 'youngest' | 'fewest-steps' | function
+      timeoutRetries: 1,              // Reschedule a blueprint whose lock lease expired this many times
+      agentStopTimeout: 60 * 1000,    // Wait this long for an aborted agent to stop before giving up on it
+      snapshotWorkspace: true,        // Track real file changes per blueprint (change checks, quarantine on timeout)
+      quarantineDir: null,            // Default: .dev-framework/quarantine in cwd
       enableContextSlicing: true,     // 95% token reduction
       checkpointFrequency: 'layer',   // 'layer' | 'blueprint' | 'never'
+      checkpointDir: null,            // Default: .dev-framework/execution in cwd
+      validateBeforeRun: true,        // Staleness and changed-file checks
       ...options
     };
 
+    // Time source for timers and timestamps (the plan simulator passes a virtual one)
+    this.clock = options.clock || systemClock;
+
     this.lockManager = null;
-    this.stateManager = null;
+    // Orchestration StateManager with an open session (optional); receives lock events
+    this.stateManager = options.stateManager || null;
+    this.completedSteps = new Map(); // blueprintId -> steps finished in executeBlueprint
+    this.activeBlueprints = new Map(); // blueprintId -> { controller, tracking, agentCall }
+    this.workspaceTracker = null;
     this.contextAssembler = null;
+    this.blueprintTypes = options.blueprintTypes || createDefaultRegistry();
     this.completedBlueprints = [];
+    this.lastCompletedLayer = -1;
     this.currentPlan = null;
   }
 
@@ -59,20 +89,39 @@ class ExecutionRunner {
 
     try {
       // 1. Validate plan hasn't become stale
-      await this.validatePlan(plan);
+      if (this.options.validateBeforeRun) {
+        await this.validatePlan(plan);
+      }
 
       // 2. Check for existing checkpoint
       const checkpoint = await this.loadCheckpoint(plan.id);
-      const startLayer = checkpoint ? checkpoint.currentLayer + 1 : 0;
+      this.lastCompletedLayer = checkpoint ? checkpoint.currentLayer : -1;
 
       if (checkpoint) {
-        console.log(`🔄 Resuming from checkpoint: Layer ${startLayer + 1}/${plan.layers.length}`);
         this.completedBlueprints = checkpoint.completedBlueprints || [];
+        console.log(`🔄 Resuming from checkpoint: ${this.completedBlueprints.length}/${plan.blueprints.length} blueprints completed`);
       }
 
       // 3. Initialize components
+      await this.blueprintTypes.loadProjectTypes(process.cwd());
+
       if (this.options.enableResourceLocking) {
-        this.lockManager = new ResourceLockManager();
+        this.lockManager = new ResourceLockManager({
+          clock: this.clock,
+          store: this.createLockStore(),
+          deadlockPolicy: this.options.deadlockPolicy,
+          completedSteps: blueprintId => this.completedSteps.get(blueprintId) || 0,
+          onEvent: (type, data) => this.recordLockEvent(type, data),
+          // Expired leases are released once the aborted agent has stopped (executeBlueprint)
+          releaseOnExpiry: false
+        });
+      }
+
+      if (this.options.snapshotWorkspace) {
+        this.workspaceTracker = new WorkspaceTracker(process.cwd(), {
+          declares: (blueprintId, filePath) =>
+            declaresFile(plan.blueprints.find(bp => bp.id === blueprintId)?.resources, filePath)
+        });
       }
 
       if (this.options.enableContextSlicing) {
@@ -80,19 +129,12 @@ class ExecutionRunner {
         await this.contextAssembler.initialize();
       }
 
-      // 4. Execute layers
-      const startTime = Date.now();
+      // 4. Execute blueprints as their dependencies finish
+      const startTime = this.clock.now();
 
-      for (let i = startLayer; i < plan.layers.length; i++) {
-        await this.executeLayer(i, plan.layers[i], plan);
+      await this.executeReadyQueue(plan);
 
-        // Save checkpoint after each layer
-        if (this.options.checkpointFrequency === 'layer') {
-          await this.saveCheckpoint(plan.id, i);
-        }
-      }
-
-      const totalTime = Math.floor((Date.now() - startTime) / 1000);
+      const totalTime = Math.floor((this.clock.now() - startTime) / 1000);
 
       console.log('\n✅ [Execution Runner] Plan execution completed successfully!');
       console.log(`   Total time: ${Math.floor(totalTime / 60)}m ${totalTime % 60}s`);
@@ -113,10 +155,9 @@ class ExecutionRunner {
     } catch (error) {
       console.error('\n❌ [Execution Runner] Execution failed:', error.message);
 
-      // Save checkpoint on failure for recovery
+      // Save checkpoint on failure for recovery (resumes with the unfinished blueprints)
       if (this.options.checkpointFrequency !== 'never') {
-        const currentLayer = Math.max(0, this.completedBlueprints.length - 1);
-        await this.saveCheckpoint(plan.id, currentLayer);
+        await this.saveCheckpoint(plan.id, this.lastCompletedLayer);
       }
 
       throw error;
@@ -124,79 +165,118 @@ class ExecutionRunner {
   }
 
   /**
-   * Execute a single layer
+   * Execute the plan with a ready queue instead of layer barriers
+   *
+   * A blueprint becomes ready once every dependency (implicit resource
+   * conflicts included) has completed. Ready blueprints start in order of
+   * their longest remaining critical path, at most maxConcurrent at a time.
+   * After a failure nothing new starts; running blueprints finish first.
    */
-  async executeLayer(layerIndex, layer, plan) {
-    console.log(`\n=== Layer ${layerIndex + 1}/${plan.layers.length} ===`);
-    console.log(`Blueprints: ${layer.length}`);
-    console.log(`Strategy: ${layer.length > 1 ? 'Parallel' : 'Sequential'}\n`);
+  async executeReadyQueue(plan) {
+    const dagBuilder = DependencyGraphBuilder.fromPlan(plan);
+    const priorities = dagBuilder.computeCriticalPathPriorities(bp => this.estimateMinutes(bp));
+    const order = plan.blueprints.map(bp => bp.id);
+
+    const done = new Set(this.completedBlueprints.map(bp => bp.id));
+    const pending = new Set(order.filter(id => !done.has(id)));
+    const running = new Map(); // blueprintId -> Promise<result>
+    const failures = [];
+    const timeouts = new Map(); // blueprintId -> lease timeouts so far
+
+    done.forEach(id => console.log(`   ↷ [${id}] already completed`));
+
+    // Dependencies outside this plan (e.g. a delta plan's parent) count as done
+    const isReady = id => Array.from(dagBuilder.edges.get(id) || [])
+      .every(depId => done.has(depId) || !dagBuilder.nodes.has(depId));
+
+    while (pending.size > 0 || running.size > 0) {
+      if (failures.length === 0) {
+        const ready = Array.from(pending)
+          .filter(isReady)
+          .sort((a, b) => priorities.get(b) - priorities.get(a) || order.indexOf(a) - order.indexOf(b));
+
+        for (const blueprintId of ready) {
+          if (running.size >= this.options.maxConcurrent) break;
+
+          pending.delete(blueprintId);
+          const blueprint = plan.blueprints.find(bp => bp.id === blueprintId);
+          console.log(`\n▶️  [${blueprintId}] ready (critical path ~${priorities.get(blueprintId)} min, ${running.size + 1} running)`);
+
+          running.set(blueprintId, this.executeBlueprint(blueprint, plan)
+            .catch(error => ({
+              success: false,
+              blueprintId: blueprint.id,
+              blueprintName: blueprint.name,
+              error: error.message,
+              timedOut: Boolean(error.timedOut)
+            })));
+        }
+      }
+
+      if (running.size === 0) break;
+
+      const result = await Promise.race(running.values());
+      running.delete(result.blueprintId);
+
+      if (!result.success) {
+        const attempts = (timeouts.get(result.blueprintId) || 0) + 1;
+        timeouts.set(result.blueprintId, attempts);
+
+        if (result.timedOut && attempts <= this.options.timeoutRetries) {
+          console.log(`\n🔁 [${result.blueprintId}] rescheduled after lease timeout (${attempts}/${this.options.timeoutRetries})`);
+          pending.add(result.blueprintId);
+          continue;
+        }
 
-    const layerStartTime = Date.now();
+        failures.push(result);
+        continue;
+      }
 
-    // Execute blueprints in parallel (with concurrency limit)
-    const results = await this.executeBlueprintsInParallel(layer, plan);
+      done.add(result.blueprintId);
+      await this.markLayerProgress(plan, done);
+    }
 
-    // Check for failures
-    const failures = results.filter(r => !r.success);
     if (failures.length > 0) {
-      console.error(`\n❌ Layer ${layerIndex + 1} failed: ${failures.length}/${layer.length} blueprints failed`);
+      console.error(`\n❌ ${failures.length} blueprint(s) failed, ${pending.size} not started`);
 
       failures.forEach(f => {
         console.error(`   - ${f.blueprintName}: ${f.error}`);
       });
 
-      throw new Error(`Layer ${layerIndex + 1} execution failed`);
+      const error = new Error(`Execution failed: ${failures.length} blueprint(s) failed`);
+      error.failures = failures;
+      throw error;
     }
 
-    const layerTime = Math.floor((Date.now() - layerStartTime) / 1000);
-    console.log(`\n✅ Layer ${layerIndex + 1} completed in ${layerTime}s`);
+    if (pending.size > 0) {
+      throw new Error(`Blueprints never became ready (circular dependency?): ${Array.from(pending).join(', ')}`);
+    }
   }
 
   /**
-   * Execute blueprints in parallel with concurrency control
+   * Report layers whose blueprints have all completed and checkpoint them
+   * when checkpointFrequency is 'layer'. Layers no longer gate execution,
+   * so lastCompletedLayer is the last layer of the fully completed prefix.
    */
-  async executeBlueprintsInParallel(layer, plan) {
-    const results = [];
-    const executing = [];
-
-    for (const blueprintId of layer) {
-      // Wait if we hit max concurrent limit
-      while (executing.length >= this.options.maxConcurrent) {
-        await Promise.race(executing);
-      }
-
-      const blueprint = plan.blueprints.find(bp => bp.id === blueprintId);
-      if (!blueprint) {
-        console.error(`   ⚠️  Blueprint not found: ${blueprintId}`);
-        continue;
-      }
+  async markLayerProgress(plan, done) {
+    let layerIndex = this.lastCompletedLayer + 1;
 
-      // Execute blueprint
-      const promise = this.executeBlueprint(blueprint, plan)
-        .then(result => {
-          const index = executing.indexOf(promise);
-          if (index > -1) executing.splice(index, 1);
-          results.push(result);
-          return result;
-        })
-        .catch(error => {
-          const index = executing.indexOf(promise);
-          if (index > -1) executing.splice(index, 1);
-          results.push({
-            success: false,
-            blueprintId: blueprint.id,
-            blueprintName: blueprint.name,
-            error: error.message
-          });
-        });
+    while (layerIndex < plan.layers.length && plan.layers[layerIndex].every(id => done.has(id))) {
+      console.log(`\n✅ Layer ${layerIndex + 1}/${plan.layers.length} completed`);
+      this.lastCompletedLayer = layerIndex;
+      layerIndex++;
 
-      executing.push(promise);
+      if (this.options.checkpointFrequency === 'layer') {
+        await this.saveCheckpoint(plan.id, this.lastCompletedLayer);
+      }
     }
+  }
 
-    // Wait for all remaining to complete
-    await Promise.all(executing);
-
-    return results;
+  /**
+   * Expected minutes for a blueprint, used for critical-path priorities
+   */
+  estimateMinutes(blueprint) {
+    return blueprint.estimatedMinutes || this.blueprintTypes.estimateMinutes(blueprint);
   }
 
   /**
@@ -205,34 +285,24 @@ class ExecutionRunner {
   async executeBlueprint(blueprint, plan) {
     console.log(`\n🔨 [${blueprint.id}] ${blueprint.name}`);
 
+    // Aborted when the blueprint's lock lease expires
+    const controller = new AbortController();
+    this.activeBlueprints.set(blueprint.id, { controller, tracking: false });
+    this.completedSteps.set(blueprint.id, 0);
+    await this.recordStatus(blueprint.id, 'executing');
+
     try {
       // 1. Acquire resource locks (if enabled)
       if (this.options.enableResourceLocking && this.lockManager) {
-        const lockResult = await this.lockManager.acquireLocks(blueprint);
-
-        if (!lockResult.success) {
-          console.log(`   → Waiting for locks (${lockResult.conflicts.length} conflicts)...`);
-
-          // Retry every 2 seconds
-          let retries = 0;
-          while (retries < 30) { // Max 60 seconds wait
-            await this.sleep(2000);
-            const retryResult = await this.lockManager.acquireLocks(blueprint);
-
-            if (retryResult.success) {
-              break;
-            }
-
-            retries++;
-          }
-
-          if (retries >= 30) {
-            throw new Error('Timeout waiting for resource locks');
-          }
-        }
+        const { waitedMs } = await this.lockManager.waitForLocks(blueprint, {
+          timeout: this.options.lockWaitTimeout
+        });
 
-        console.log(`   → Locks acquired`);
+        console.log(waitedMs > 0
+          ? `   → Locks acquired after ${Math.round(waitedMs / 1000)}s wait`
+          : `   → Locks acquired`);
       }
+      this.completeStep(blueprint.id);
 
       // 2. Assemble context slice (if enabled)
       let context = { schema: {}, conventions: {} };
@@ -247,20 +317,30 @@ class ExecutionRunner {
         const savings = context.tokenSavings || 0;
         console.log(`   → Context prepared (${savings}% token reduction)`);
       }
+      this.completeStep(blueprint.id);
 
       // 3. Build prompt for sub-agent
       const prompt = this.buildBlueprintPrompt(blueprint, context);
 
       // 4. Invoke sub-agent
+      if (this.workspaceTracker) {
+        await this.workspaceTracker.start(blueprint.id);
+        this.activeBlueprints.get(blueprint.id).tracking = true;
+      }
+
       console.log(`   → Spawning sub-agent...`);
 
-      const result = await this.agentInvoker({
+      const result = await this.invokeAgent(blueprint.id, {
         subagent_type: 'general-purpose',
         description: `Execute blueprint: ${blueprint.name}`,
-        prompt
+        prompt,
+        blueprintId: blueprint.id
       });
 
       console.log(`   → Sub-agent completed`);
+      this.completeStep(blueprint.id);
+
+      const changes = await this.checkChanges(blueprint);
 
       // 5. Codex review (if enabled)
       if (this.options.enableCodexReviews) {
@@ -268,10 +348,11 @@ class ExecutionRunner {
 
         const reviewPrompt = this.buildCodexReviewPrompt(blueprint, result);
 
-        const review = await this.agentInvoker({
+        const review = await this.invokeAgent(blueprint.id, {
           subagent_type: 'codex-reviewer',
           description: `Review blueprint: ${blueprint.name}`,
-          prompt: reviewPrompt
+          prompt: reviewPrompt,
+          blueprintId: blueprint.id
         });
 
         const approved = this.parseCodexReview(review);
@@ -294,14 +375,16 @@ class ExecutionRunner {
         id: blueprint.id,
         name: blueprint.name,
         type: blueprint.type,
-        completedAt: new Date().toISOString()
+        completedAt: new Date(this.clock.now()).toISOString()
       });
 
       // Save checkpoint per blueprint if configured
       if (this.options.checkpointFrequency === 'blueprint') {
-        await this.saveCheckpoint(this.currentPlan.id, -1);
+        await this.saveCheckpoint(this.currentPlan.id, this.lastCompletedLayer);
       }
 
+      this.activeBlueprints.delete(blueprint.id);
+      await this.recordStatus(blueprint.id, 'completed', changes);
       console.log(`   ✅ Completed`);
 
       return {
@@ -313,15 +396,222 @@ class ExecutionRunner {
     } catch (error) {
       console.error(`   ❌ Failed: ${error.message}`);
 
+      // An aborted agent may still be writing; its locks stay held until it stops
+      const agentCall = this.activeBlueprints.get(blueprint.id)?.agentCall;
+      const stopped = error.timedOut ? await this.waitForAgentStop(agentCall) : true;
+
+      if (error.timedOut) {
+        await this.recoverTimedOut(blueprint, error);
+      } else {
+        const changes = await this.checkChanges(blueprint);
+        await this.recordStatus(blueprint.id, 'failed', { error: error.message, ...changes });
+      }
+
       // Release locks on failure
       if (this.options.enableResourceLocking && this.lockManager) {
-        this.lockManager.releaseLocks(blueprint.id);
+        if (stopped) {
+          this.lockManager.releaseLocks(blueprint.id);
+        } else {
+          const release = () => this.lockManager.releaseLocks(blueprint.id);
+          agentCall.then(release, release);
+        }
+      }
+      this.activeBlueprints.delete(blueprint.id);
+
+      if (!stopped) {
+        // Not rescheduled: the new attempt would run beside the old agent
+        throw new Error(`${error.message}; the agent did not stop within ${Math.round(this.options.agentStopTimeout / 1000)}s, its locks stay held until it does`);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Run an agent call for a blueprint; it can be aborted and renews the
+   * blueprint's leases on heartbeat
+   * The call is kept in activeBlueprints so an abort can wait for it to stop.
+   */
+  invokeAgent(blueprintId, task) {
+    const active = this.activeBlueprints.get(blueprintId);
+
+    active.agentCall = this.agentInvoker({
+      ...task,
+      signal: active.controller.signal,
+      heartbeat: () => this.renewLease(blueprintId)
+    });
+
+    return untilAborted(active.agentCall, active.controller.signal);
+  }
+
+  /**
+   * Wait up to agentStopTimeout for an aborted agent call to settle
+   * @returns {Promise<boolean>} Whether it stopped (true if there was none)
+   */
+  async waitForAgentStop(agentCall) {
+    if (!agentCall) return true;
+
+    let timer = null;
+    const stopped = await Promise.race([
+      agentCall.then(() => true, () => true),
+      new Promise(resolve => {
+        timer = this.clock.setTimeout(() => resolve(false), this.options.agentStopTimeout);
+      })
+    ]);
+    this.clock.clearTimeout(timer);
+
+    return stopped;
+  }
+
+  completeStep(blueprintId) {
+    this.completedSteps.set(blueprintId, (this.completedSteps.get(blueprintId) || 0) + 1);
+  }
+
+  /**
+   * Agent heartbeat: keep the blueprint's lock leases alive
+   */
+  renewLease(blueprintId) {
+    const active = this.activeBlueprints.get(blueprintId);
+    // An aborted agent's heartbeats must not restart its lease
+    if (this.lockManager && active && !active.controller.signal.aborted) {
+      this.lockManager.renewLocks(blueprintId);
+    }
+  }
+
+  /**
+   * Abort a running blueprint's agent calls
+   */
+  cancelBlueprint(blueprintId, error) {
+    const active = this.activeBlueprints.get(blueprintId);
+    if (active && !active.controller.signal.aborted) {
+      active.controller.abort(error);
+    }
+  }
+
+  /**
+   * After a lease timeout: quarantine what the agent changed, and mark the
+   * blueprint timed_out so it can be rescheduled
+   */
+  async recoverTimedOut(blueprint, error) {
+    const changes = await this.checkChanges(blueprint);
+    let quarantine = null;
+
+    // Includes changes made while other blueprints ran, unless only they declared the file
+    const changed = changes.changedFiles || [];
+
+    if (changed.length > 0) {
+      quarantine = await this.quarantineFiles(blueprint, changed, error.message);
+      console.warn(`   ⚠️  ${changed.length} file(s) changed by the timed-out agent, copied to ${path.relative(process.cwd(), quarantine.path)} for review`);
+    }
+
+    await this.recordStatus(blueprint.id, 'timed_out', { error: error.message, quarantine, ...changes });
+  }
+
+  /**
+   * Close the blueprint's change-tracking window and check what it wrote
+   * @returns {Object} { changedFiles, undeclaredWrites, overlaps } (empty without tracking)
+   */
+  async checkChanges(blueprint) {
+    const active = this.activeBlueprints.get(blueprint.id);
+    if (!this.workspaceTracker || !active?.tracking) return {};
+
+    active.tracking = false;
+    const changedFiles = await this.workspaceTracker.finish(blueprint.id);
+    if (!this.workspaceTracker.available) return {};
+
+    const undeclaredWrites = this.workspaceTracker.undeclaredWrites([blueprint.id]);
+    const overlaps = this.workspaceTracker.overlaps([blueprint.id]);
+
+    console.log(`   → ${changedFiles.length} file(s) changed`);
+    undeclaredWrites.forEach(write => {
+      const by = write.blueprints.length > 1 ? ` (one of ${write.blueprints.join(', ')})` : '';
+      console.warn(`   ⚠️  Write outside declared resources: ${write.file}${by}`);
+    });
+    overlaps.forEach(overlap => {
+      console.warn(`   ⚠️  ${overlap.kind === 'overlap' ? 'Overlapping' : 'Possibly overlapping'} change: ${overlap.file} (${overlap.blueprints.join(', ')})`);
+    });
+
+    return { changedFiles, undeclaredWrites, overlaps };
+  }
+
+  /**
+   * Update the blueprint's status in the orchestration StateManager, if any
+   */
+  async recordStatus(blueprintId, status, updates = {}) {
+    if (!this.stateManager) return;
+
+    try {
+      await this.stateManager.updateBlueprintStatus(blueprintId, status, updates);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not record ${status} for ${blueprintId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy files a cancelled agent changed to .dev-framework/quarantine
+   * The working tree is left as is; the manifest lists what to review.
+   * @param {Array} changed - [{ path, deleted, sharedWith }] from the workspace tracker
+   * @returns {Object} { path, manifest }
+   */
+  async quarantineFiles(blueprint, changed, reason) {
+    const quarantineRoot = this.options.quarantineDir || path.join(process.cwd(), '.dev-framework', 'quarantine');
+    const stamp = new Date(this.clock.now()).toISOString().replace(/[:.]/g, '-');
+    const quarantinePath = path.join(quarantineRoot, this.currentPlan.id, `${blueprint.id}-${stamp}`);
+    // Change paths are relative to the repository top level, not the cwd
+    const sourceRoot = this.workspaceTracker?.repositoryRoot || process.cwd();
+
+    for (const file of changed) {
+      if (file.deleted) continue;
+      const target = path.join(quarantinePath, 'files', file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.copyFile(path.join(sourceRoot, file.path), target);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+      }
+    }
+
+    const manifest = {
+      planId: this.currentPlan.id,
+      blueprintId: blueprint.id,
+      blueprintName: blueprint.name,
+      reason,
+      quarantinedAt: new Date(this.clock.now()).toISOString(),
+      // sharedWith: blueprints running at the same time that may have made the change
+      files: changed.map(file => ({ path: file.path, deleted: file.deleted, sharedWith: file.sharedWith }))
+    };
+
+    await fs.mkdir(quarantinePath, { recursive: true });
+    await fs.writeFile(path.join(quarantinePath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    return { path: quarantinePath, manifest };
+  }
+
+  /**
+   * Forward lock manager events (deadlocks, long waits, expired leases) to
+   * the orchestration event log
+   */
+  recordLockEvent(type, data) {
+    if (type === 'lease_expired') {
+      const error = new Error(`Lock lease expired after ${Math.round(this.lockManager.maxLockDuration / 60000)} min without agent heartbeat`);
+      error.timedOut = true;
+      this.cancelBlueprint(data.blueprintId, error);
+    }
+
+    if (type === 'deadlock_detected') {
+      console.warn(`   ⚠️  Lock deadlock: ${data.cycle.map(edge => edge.from).join(' → ')} → ${data.cycle[0].from}; failing ${data.victim} (${data.policy})`);
+    } else if (type === 'lock_wait_long') {
+      console.warn(`   ⏳ [${data.blueprintId}] waiting ${Math.round(data.waitedMs / 60000)} min for locks`);
+    }
+
+    if (!this.stateManager) return;
+
+    const recorded = type === 'deadlock_detected'
+      ? this.stateManager.recordDeadlock(data)
+      : this.stateManager.logEvent(type, data);
+    recorded.catch(error => console.warn(`   ⚠️  Could not record ${type}: ${error.message}`));
+  }
+
   /**
    * Build prompt for sub-agent execution
    */
@@ -350,7 +640,7 @@ ${JSON.stringify(context.schema || {}, null, 2)}
 
 ### Project Conventions
 ${JSON.stringify(context.conventions || {}, null, 2)}
-
+${this.formatAcceptanceCriteria(blueprint, context)}${this.formatExistingCode(blueprint)}
 ## Validation Rules
 
 ⚠️  **CRITICAL**: You MUST follow these rules:
@@ -375,25 +665,86 @@ After completing the task, report:
   }
 
   /**
-   * Format resources for display
+   * Format the existing files a brownfield blueprint modifies and the
+   * importers to re-verify
+   */
+  formatExistingCode(blueprint) {
+    const modified = Object.keys(blueprint.fileHashes || {});
+    const reverify = blueprint.reverify || [];
+    if (modified.length === 0 && reverify.length === 0 && !blueprint.existingMigration) return '';
+
+    const lines = ['', '### Existing Code', ''];
+    if (modified.length > 0) {
+      lines.push('These files already exist. MODIFY them in place; do not recreate or rename them:');
+      modified.forEach(file => lines.push(`- ${file}`));
+    }
+    if (reverify.length > 0) {
+      lines.push('', 'These files import what you change. Keep them compiling and re-verify them:');
+      reverify.forEach(dep => lines.push(`- ${dep.path}${dep.route ? ` (${dep.kind} ${dep.route})` : ''} via ${dep.via}`));
+    }
+    if (blueprint.existingMigration) {
+      lines.push('', `The table is already created by ${blueprint.existingMigration}; do not create it twice.`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Format the user stories and acceptance criteria this blueprint must satisfy
+   */
+  formatAcceptanceCriteria(blueprint, context) {
+    const featureContext = context.featureContext || {};
+    const stories = featureContext.userStories || blueprint.userStories || [];
+    const criteria = featureContext.acceptanceCriteria || blueprint.acceptanceCriteria || [];
+
+    if (stories.length === 0 && criteria.length === 0) return '';
+
+    const lines = ['', '### User Stories & Acceptance Criteria', ''];
+    stories.forEach(story => lines.push(`- [${story.id}] ${story.text}`));
+    if (stories.length > 0 && criteria.length > 0) lines.push('');
+    criteria.forEach(criterion => lines.push(`- [${criterion.id}] ${criterion.text}`));
+    lines.push('', 'Name tests after the criterion they cover, prefixed with its ID (e.g. "[AC-1a2b3c] ...").');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Format resources for display, with the access mode of each
+   * (resources.access) so the agent knows what it may change
    */
   formatResources(resources) {
     const lines = [];
+    const names = (kind, list) => list.map(name => {
+      const mode = resources.access?.[`${kind}:${name}`];
+      return mode ? `${name} (${mode})` : name;
+    }).join(', ');
 
     if (resources.tables && resources.tables.length > 0) {
-      lines.push(`Tables: ${resources.tables.join(', ')}`);
+      lines.push(`Tables: ${names('table', resources.tables)}`);
     }
     if (resources.migrations && resources.migrations.length > 0) {
       lines.push(`Migrations: ${resources.migrations.join(', ')}`);
     }
     if (resources.routes && resources.routes.length > 0) {
-      lines.push(`Routes: ${resources.routes.join(', ')}`);
+      lines.push(`Routes: ${names('route', resources.routes)}`);
     }
     if (resources.components && resources.components.length > 0) {
-      lines.push(`Components: ${resources.components.join(', ')}`);
+      lines.push(`Components: ${names('component', resources.components)}`);
     }
     if (resources.functions && resources.functions.length > 0) {
-      lines.push(`Functions: ${resources.functions.join(', ')}`);
+      lines.push(`Functions: ${names('function', resources.functions)}`);
+    }
+    if (resources.enums && resources.enums.length > 0) {
+      lines.push(`Enums: ${names('enum', resources.enums)}`);
+    }
+    if (resources.views && resources.views.length > 0) {
+      lines.push(`Views: ${names('view', resources.views)}`);
+    }
+    if (resources.triggers && resources.triggers.length > 0) {
+      lines.push(`Triggers: ${names('trigger', resources.triggers)}`);
+    }
+    if (resources.files && resources.files.length > 0) {
+      lines.push(`Files: ${names('file', resources.files)}`);
     }
 
     return lines.length > 0 ? lines.join('\n') : 'None';
@@ -403,26 +754,17 @@ After completing the task, report:
    * Get task-specific instructions based on blueprint type
    */
   getTaskInstructions(blueprint) {
-    switch (blueprint.type) {
-      case 'database':
-        return `Create the database migration file at the specified path with the exact schema.
-Include all columns, constraints, indexes, and RLS policies as specified.`;
-
-      case 'api':
-        return `Create the API route handler at the specified path.
-Implement the exact endpoints, request validation, and response format as specified.`;
+    const merged = blueprint.specifications?.merged || [];
 
-      case 'service':
-        return `Create the service function at the specified path.
-Implement the exact function signature and logic as specified.`;
+    // Merged blueprints also carry the work of the blueprints they absorbed;
+    // parts the primary depends on (an enum its table uses) come first
+    const instructions = [
+      ...merged.filter(part => part.before).map(part => `First (${part.name}): ${this.blueprintTypes.getTaskInstructions(part)}`),
+      this.blueprintTypes.getTaskInstructions(blueprint),
+      ...merged.filter(part => !part.before).map(part => `Also (${part.name}): ${this.blueprintTypes.getTaskInstructions(part)}`)
+    ];
 
-      case 'ui':
-        return `Create the UI component at the specified path.
-Follow the exact component structure, props, and styling as specified.`;
-
-      default:
-        return `Execute the blueprint according to the specifications.`;
-    }
+    return instructions.join('\n\n');
   }
 
   /**
@@ -515,7 +857,7 @@ If rejected, explain the specific issues that MUST be fixed.`;
       return;
     }
 
-    if (!plan.spec.path) {
+    if (!plan.spec.path && !Array.isArray(plan.specs)) {
       return;
     }
 
@@ -526,7 +868,10 @@ If rejected, explain the specific issues that MUST be fixed.`;
       const validation = await orchestrator.validatePlan(plan);
 
       if (!validation.valid) {
-        throw new Error(`Plan is stale: ${validation.reason}. Please regenerate the plan.`);
+        const remedy = validation.diff
+          ? `Use MasterOrchestrator.planSpecRevision() to plan the ${validation.diff.summary.added + validation.diff.summary.removed + validation.diff.summary.changed} change(s) as a delta plan.`
+          : 'Please regenerate the plan.';
+        throw new Error(`Plan is stale: ${validation.reason}. ${remedy}`);
       }
 
       console.log('   ✅ Plan validation passed\n');
@@ -537,18 +882,48 @@ If rejected, explain the specific issues that MUST be fixed.`;
       }
       console.log(`   ⚠️  Could not validate plan: ${error.message}\n`);
     }
+
+    await this.checkModifiedFiles(plan);
+  }
+
+  /**
+   * Warn about files a plan modifies that changed since it was planned
+   * (blueprint.fileHashes are recorded by the decomposer)
+   * @returns {Promise<Array>} Changed files: { blueprint, file, reason }
+   */
+  async checkModifiedFiles(plan) {
+    const changed = [];
+
+    for (const blueprint of plan.blueprints || []) {
+      for (const [file, hash] of Object.entries(blueprint.fileHashes || {})) {
+        let current = null;
+        try {
+          const content = await fs.readFile(path.join(process.cwd(), file));
+          current = crypto.createHash('sha256').update(content).digest('hex');
+        } catch (error) {
+          changed.push({ blueprint: blueprint.id, file, reason: 'deleted' });
+          continue;
+        }
+        if (current !== hash) {
+          changed.push({ blueprint: blueprint.id, file, reason: 'modified' });
+        }
+      }
+    }
+
+    if (changed.length > 0) {
+      console.log(`   ⚠️  ${changed.length} file(s) changed since planning:`);
+      changed.forEach(c => console.log(`      - ${c.file} (${c.reason}, ${c.blueprint})`));
+      console.log('');
+    }
+
+    return changed;
   }
 
   /**
    * Load checkpoint from disk
    */
   async loadCheckpoint(planId) {
-    const checkpointPath = path.join(
-      process.cwd(),
-      '.dev-framework',
-      'execution',
-      `checkpoint-${planId}.json`
-    );
+    const checkpointPath = path.join(this.getCheckpointDir(), `checkpoint-${planId}.json`);
 
     try {
       const data = await fs.readFile(checkpointPath, 'utf8');
@@ -565,11 +940,7 @@ If rejected, explain the specific issues that MUST be fixed.`;
    * Save checkpoint to disk
    */
   async saveCheckpoint(planId, currentLayer) {
-    const checkpointDir = path.join(
-      process.cwd(),
-      '.dev-framework',
-      'execution'
-    );
+    const checkpointDir = this.getCheckpointDir();
 
     const checkpointPath = path.join(
       checkpointDir,
@@ -580,7 +951,7 @@ If rejected, explain the specific issues that MUST be fixed.`;
       planId,
       currentLayer,
       completedBlueprints: this.completedBlueprints,
-      savedAt: new Date().toISOString()
+      savedAt: new Date(this.clock.now()).toISOString()
     };
 
     try {
@@ -595,12 +966,7 @@ If rejected, explain the specific issues that MUST be fixed.`;
    * Clear checkpoint after successful execution
    */
   async clearCheckpoint(planId) {
-    const checkpointPath = path.join(
-      process.cwd(),
-      '.dev-framework',
-      'execution',
-      `checkpoint-${planId}.json`
-    );
+    const checkpointPath = path.join(this.getCheckpointDir(), `checkpoint-${planId}.json`);
 
     try {
       await fs.unlink(checkpointPath);
@@ -612,12 +978,46 @@ If rejected, explain the specific issues that MUST be fixed.`;
     }
   }
 
+  getCheckpointDir() {
+    return this.options.checkpointDir || path.join(process.cwd(), '.dev-framework', 'execution');
+  }
+
+  /**
+   * Lock store shared with other orchestrator sessions (undefined keeps locks in memory)
+   */
+  createLockStore() {
+    if (this.options.lockDir === false) return undefined;
+    return new FileLockStore({
+      dir: this.options.lockDir || path.join(process.cwd(), '.dev-framework', 'locks')
+    });
+  }
+
   /**
    * Sleep helper
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return this.clock.sleep(ms);
   }
 }
 
+/**
+ * Settle with the promise, or reject as soon as the signal aborts
+ * (the agent may ignore the signal; the blueprint stops waiting for it)
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
+
 module.exports = { ExecutionRunner };
@@ -0,0 +1,488 @@
+/**
+ * @fileoverview Lock stores for ResourceLockManager
+ *
+ * The lock manager keeps its lock table in a store. MemoryLockStore holds it
+ * in a Map and only coordinates blueprints of one process. FileLockStore
+ * keeps it on disk (.dev-framework/locks) so every orchestrator session on
+ * the machine sees the same locks:
+ *
+ *   .dev-framework/locks/
+ *     .mutex                          - held while a session reads and changes leases
+ *                                       (owner token, refreshed heartbeatAt)
+ *     .version                        - rewritten on every change (wakes other sessions)
+ *     <resource>/<session>--<id>.json - one lease per holder of a resource
+ *
+ * Files are created with O_EXCL ('wx') and updated by rename, so a reader
+ * never sees half a lease. Each session heartbeats its leases; a lease whose
+ * session stopped heartbeating (or whose process is gone) is stale and is
+ * taken over by the next session that looks at the resource.
+ *
+ * The mutex is only ever removed after renaming it to a tombstone of our
+ * own and checking its owner token there, so a session never removes a
+ * mutex that another session re-created meanwhile; a mutex is never put
+ * back once moved. Its holder refreshes heartbeatAt while it works under
+ * it. Waiting for the mutex blocks the event loop, lease heartbeats
+ * included, so the wait is capped far below the lease stale time.
+ *
+ * Waiters are served in arrival order within a session; across sessions the
+ * first one to see a release gets the lock.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// A session holds the mutex for a few file operations; longer means it died inside
+const MUTEX_STALE_AFTER = 5000;
+// How often a holder refreshes the mutex heartbeat while it works under it
+const MUTEX_REFRESH_INTERVAL = 1000;
+
+function createSessionId() {
+  return `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * In-process lock table (the default)
+ */
+class MemoryLockStore {
+  constructor(options = {}) {
+    this.sessionId = options.sessionId || createSessionId();
+    this.locks = new Map(); // resourceId -> { type, holders: [{ lockedBy, session, mode, acquiredAt, expiresAt }] }
+  }
+
+  /**
+   * Run fn with exclusive access to the lock table
+   */
+  withLock(fn) {
+    return fn();
+  }
+
+  get(resourceId) {
+    return this.locks.get(resourceId) || null;
+  }
+
+  /**
+   * Replace a resource's entry; an entry without holders removes it
+   */
+  set(resourceId, entry) {
+    if (entry.holders.length > 0) {
+      this.locks.set(resourceId, entry);
+    } else {
+      this.locks.delete(resourceId);
+    }
+  }
+
+  entries() {
+    return [...this.locks.entries()];
+  }
+
+  /**
+   * Changes made by other sessions; a memory store has none
+   * @returns {Function} Unsubscribe
+   */
+  watch() {
+    return () => {};
+  }
+
+  close() {}
+}
+
+/**
+ * Lock table shared by every session on this machine through the file system
+ */
+class FileLockStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Lock directory (default: .dev-framework/locks in cwd)
+   * @param {string} [options.sessionId] - Owner of this store's leases
+   * @param {number} [options.heartbeatInterval] - ms between lease heartbeats
+   * @param {number} [options.staleAfter] - ms without heartbeat before a lease can be taken over
+   * @param {number} [options.mutexTimeout] - ms to wait for the store mutex (at most a tenth of staleAfter)
+   * @param {number} [options.mutexStaleAfter] - ms without mutex heartbeat before the mutex can be taken over
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), '.dev-framework', 'locks');
+    this.sessionId = options.sessionId || createSessionId();
+    this.heartbeatInterval = options.heartbeatInterval || 5000;
+    this.staleAfter = options.staleAfter || 30000;
+    this.mutexTimeout = Math.min(options.mutexTimeout || 2000, this.staleAfter / 10);
+    this.mutexStaleAfter = options.mutexStaleAfter || MUTEX_STALE_AFTER;
+    this.mutexRefreshInterval = Math.min(MUTEX_REFRESH_INTERVAL, this.mutexStaleAfter / 5);
+    this.hostname = os.hostname();
+    this.heartbeat = null;
+    this.mutexDepth = 0;
+    this.mutexToken = null;
+    this.mutexRefreshedAt = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Run fn while holding the store mutex
+   * Nested calls reuse the mutex already held by this session.
+   */
+  withLock(fn) {
+    if (this.mutexDepth > 0) {
+      this.mutexDepth++;
+      try {
+        return fn();
+      } finally {
+        this.mutexDepth--;
+      }
+    }
+
+    this.acquireMutex();
+    this.mutexDepth = 1;
+    try {
+      return fn();
+    } finally {
+      this.mutexDepth = 0;
+      this.releaseMutex();
+    }
+  }
+
+  /**
+   * Entry for a resource, read from its lease files
+   * Stale leases of other sessions are removed on the way.
+   */
+  get(resourceId) {
+    this.refreshMutex();
+    const resourceDir = path.join(this.dir, encodeURIComponent(resourceId));
+    const holders = [];
+    let type = null;
+
+    for (const file of this.listDir(resourceDir)) {
+      const leasePath = path.join(resourceDir, file);
+      const lease = this.readJson(leasePath);
+      if (!lease) continue;
+
+      if (lease.session !== this.sessionId && this.isStale(lease)) {
+        console.warn(`[Lock] Taking over stale lease on ${resourceId} from ${lease.lockedBy} (session ${lease.session})`);
+        this.unlink(leasePath);
+        continue;
+      }
+
+      type = type || lease.type;
+      holders.push({
+        lockedBy: lease.lockedBy,
+        session: lease.session,
+        mode: lease.mode,
+        acquiredAt: lease.acquiredAt,
+        expiresAt: lease.expiresAt
+      });
+    }
+
+    return holders.length > 0 ? { type, holders } : null;
+  }
+
+  /**
+   * Write this session's holders of a resource
+   * Holders of other sessions in the entry are left to their owners.
+   */
+  set(resourceId, entry) {
+    this.refreshMutex();
+    const resourceDir = path.join(this.dir, encodeURIComponent(resourceId));
+    const own = entry.holders.filter(holder => holder.session === this.sessionId);
+    const keep = new Set(own.map(holder => this.leaseFile(holder.lockedBy)));
+
+    for (const file of this.listDir(resourceDir)) {
+      if (file.startsWith(`${encodeURIComponent(this.sessionId)}--`) && !keep.has(file)) {
+        this.unlink(path.join(resourceDir, file));
+      }
+    }
+
+    if (own.length > 0) {
+      fs.mkdirSync(resourceDir, { recursive: true });
+    }
+
+    for (const holder of own) {
+      this.writeLease(path.join(resourceDir, this.leaseFile(holder.lockedBy)), {
+        resource: resourceId,
+        type: entry.type,
+        lockedBy: holder.lockedBy,
+        session: this.sessionId,
+        pid: process.pid,
+        hostname: this.hostname,
+        mode: holder.mode,
+        acquiredAt: holder.acquiredAt,
+        expiresAt: holder.expiresAt,
+        heartbeatAt: Date.now()
+      });
+    }
+
+    // Best effort: a directory another session just wrote into stays
+    try { fs.rmdirSync(resourceDir); } catch { /* not empty or already gone */ }
+
+    this.bumpVersion();
+    this.updateHeartbeat();
+  }
+
+  entries() {
+    return this.listDir(this.dir)
+      .filter(name => !name.startsWith('.'))
+      .map(name => {
+        const resourceId = decodeURIComponent(name);
+        return [resourceId, this.get(resourceId)];
+      })
+      .filter(([, entry]) => entry !== null);
+  }
+
+  /**
+   * Call onChange when another session changes the locks, and periodically
+   * so stale leases get noticed
+   * @returns {Function} Unsubscribe
+   */
+  watch(onChange) {
+    let watcher = null;
+    try {
+      watcher = fs.watch(this.dir, (event, file) => {
+        if (file === '.version') onChange();
+      });
+      watcher.unref();
+    } catch {
+      // fs.watch is unavailable on some file systems; the interval still covers it
+    }
+
+    // Keeps the process alive while someone waits for another session's locks
+    const interval = setInterval(onChange, this.heartbeatInterval);
+
+    return () => {
+      if (watcher) watcher.close();
+      clearInterval(interval);
+    };
+  }
+
+  /**
+   * Stop heartbeating; leases still on disk go stale for other sessions
+   */
+  close() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Whether a lease can be taken over: it expired, its session stopped
+   * heartbeating, or its process no longer exists on this machine
+   */
+  isStale(lease) {
+    if (Date.now() > lease.expiresAt || Date.now() - (lease.heartbeatAt || 0) > this.staleAfter) {
+      return true;
+    }
+    if (lease.hostname === this.hostname && lease.pid && !processAlive(lease.pid)) {
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Refresh heartbeatAt on every lease this session holds
+   */
+  renewLeases() {
+    let held = 0;
+
+    this.withLock(() => {
+      const prefix = `${encodeURIComponent(this.sessionId)}--`;
+      for (const name of this.listDir(this.dir)) {
+        if (name.startsWith('.')) continue;
+        for (const file of this.listDir(path.join(this.dir, name))) {
+          if (!file.startsWith(prefix)) continue;
+          this.refreshMutex();
+          const leasePath = path.join(this.dir, name, file);
+          const lease = this.readJson(leasePath);
+          if (!lease) continue;
+          this.writeLease(leasePath, { ...lease, heartbeatAt: Date.now() });
+          held++;
+        }
+      }
+    });
+
+    return held;
+  }
+
+  /**
+   * Heartbeat while this session holds leases
+   */
+  updateHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      try {
+        if (this.renewLeases() === 0) this.close();
+      } catch (error) {
+        console.warn(`[Lock] Lease heartbeat failed: ${error.message}`);
+      }
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  acquireMutex() {
+    const mutexPath = path.join(this.dir, '.mutex');
+    const deadline = Date.now() + this.mutexTimeout;
+    const token = crypto.randomBytes(8).toString('hex');
+
+    while (true) {
+      try {
+        fs.writeFileSync(mutexPath, JSON.stringify({
+          token,
+          session: this.sessionId,
+          pid: process.pid,
+          hostname: this.hostname,
+          heartbeatAt: Date.now()
+        }), { flag: 'wx' });
+        this.mutexToken = token;
+        this.mutexRefreshedAt = Date.now();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A holder that crashed inside its critical section leaves the mutex behind
+      const holder = this.readJson(mutexPath);
+      const abandoned = holder && (Date.now() - holder.heartbeatAt > this.mutexStaleAfter ||
+        (holder.hostname === this.hostname && !processAlive(holder.pid)));
+      if (abandoned) {
+        // Only the mutex judged abandoned goes, not one re-created since the read
+        if (this.removeMutex(holder.token)) {
+          console.warn(`[Lock] Removed lock store mutex left by session ${holder.session}`);
+        }
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Lock store busy: could not get ${mutexPath} within ${this.mutexTimeout}ms`);
+      }
+      sleepSync(5);
+    }
+  }
+
+  /**
+   * Move heartbeatAt of the held mutex forward, so a long critical section
+   * is not mistaken for a crashed one
+   * Throws when another session took the mutex over.
+   */
+  refreshMutex() {
+    if (this.mutexDepth === 0 || Date.now() - this.mutexRefreshedAt < this.mutexRefreshInterval) return;
+
+    const mutexPath = path.join(this.dir, '.mutex');
+    const holder = this.readJson(mutexPath);
+    if (!holder || holder.token !== this.mutexToken) {
+      throw new Error(`Lost lock store mutex ${mutexPath} to ${holder ? `session ${holder.session}` : 'another session'}`);
+    }
+
+    const tempPath = `${mutexPath}.${this.mutexToken}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...holder, heartbeatAt: Date.now() }));
+    fs.renameSync(tempPath, mutexPath);
+    this.mutexRefreshedAt = Date.now();
+  }
+
+  releaseMutex() {
+    const token = this.mutexToken;
+    this.mutexToken = null;
+    if (!this.removeMutex(token)) {
+      console.warn(`[Lock] Lock store mutex of session ${this.sessionId} was taken over before it was released`);
+    }
+  }
+
+  /**
+   * Remove the mutex if it carries token
+   * A mutex carrying another token is left where it is. Ours is renamed to
+   * a tombstone and its token read back from there, where no other session
+   * can replace it, before the tombstone is unlinked. If another session
+   * replaced it between the read and the rename, that mutex is gone too:
+   * putting it back would leave .mutex missing for a moment, and its owner
+   * notices the loss on its next refresh or release.
+   * @returns {boolean} Whether the mutex with token was removed
+   */
+  removeMutex(token) {
+    const mutexPath = path.join(this.dir, '.mutex');
+    const current = this.readJson(mutexPath);
+    if (!current || current.token !== token) return false;
+
+    const tombstone = `${mutexPath}.${crypto.randomBytes(6).toString('hex')}.tomb`;
+    try {
+      fs.renameSync(mutexPath, tombstone);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    const holder = this.readJson(tombstone);
+    this.unlink(tombstone);
+    if (holder && holder.token === token) return true;
+
+    console.warn(`[Lock] Removed the lock store mutex of session ${holder ? holder.session : 'unknown'} while removing ${token}`);
+    return false;
+  }
+
+  bumpVersion() {
+    const versionPath = path.join(this.dir, '.version');
+    const tempPath = `${versionPath}.${this.sessionId}.tmp`;
+    fs.writeFileSync(tempPath, `${Date.now()} ${this.sessionId}\n`);
+    fs.renameSync(tempPath, versionPath);
+  }
+
+  leaseFile(blueprintId) {
+    return `${encodeURIComponent(this.sessionId)}--${encodeURIComponent(blueprintId)}.json`;
+  }
+
+  /**
+   * Create a lease exclusively, or replace our own lease atomically
+   */
+  writeLease(leasePath, lease) {
+    const content = JSON.stringify(lease, null, 2);
+    try {
+      fs.writeFileSync(leasePath, content, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const tempPath = `${leasePath}.tmp`;
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, leasePath);
+    }
+  }
+
+  listDir(dir) {
+    try {
+      return fs.readdirSync(dir).filter(name => !name.endsWith('.tmp'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return null; // Removed meanwhile
+    }
+  }
+
+  unlink(filePath) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Block for a few ms while another session holds the store mutex
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+module.exports = { MemoryLockStore, FileLockStore };
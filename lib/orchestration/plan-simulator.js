@@ -0,0 +1,502 @@
+/**
+ * @fileoverview Plan Simulator - dry-run a plan before spending agent time
+ *
+ * Runs a plan through the real ExecutionRunner, ResourceLockManager and
+ * checkpoint code on a VirtualClock, with a fake agentInvoker whose agent
+ * durations, failures and Codex rejections are sampled per blueprint type.
+ * Many seeded runs give the expected wall-clock time, lock contention hot
+ * spots, the critical path and the chance of finishing within N retries.
+ *
+ * A failed run is retried the way a session would be: a fresh runner that
+ * resumes from the checkpoint the failed one left behind.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ExecutionRunner } = require('./execution-runner');
+const { DependencyGraphBuilder } = require('./dependency-graph-builder');
+const { VirtualClock } = require('./clock');
+const { createDefaultRegistry } = require('../blueprint-types');
+
+const MINUTE = 60 * 1000;
+const HEARTBEAT_INTERVAL = 5 * MINUTE;
+
+// Behaviour of every blueprint type unless options.defaults / options.types override it
+const DEFAULT_BEHAVIOUR = {
+  duration: null,       // Minutes; null = triangular from half to twice the estimate
+  failureRate: 0.05,    // Agent call throws
+  rejectionRate: 0.1,   // Codex review answers REJECTED
+  review: { distribution: 'triangular', min: 1, mode: 2, max: 4 }
+};
+
+class PlanSimulator {
+  constructor(options = {}) {
+    this.options = {
+      runs: 200,
+      maxRetries: 3,           // Resumed attempts after the first one
+      seed: 1,
+      maxConcurrent: 5,
+      enableCodexReviews: true,
+      checkpointFrequency: 'layer',
+      defaults: {},            // Behaviour overrides for all types
+      types: {},               // type -> behaviour overrides
+      hotSpots: 10,
+      verbose: false,          // Keep runner and lock manager console output
+      ...options
+    };
+
+    this.blueprintTypes = options.blueprintTypes || createDefaultRegistry();
+  }
+
+  /**
+   * Simulate a plan
+   * @param {Object} plan - Execution plan from MasterOrchestrator
+   * @returns {Promise<Object>} report - { runs, wallClock, success, failures, lockContention, criticalPath, blueprints }
+   */
+  async simulate(plan) {
+    const random = this.createRandom(this.options.seed);
+    const checkpointRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'plan-simulation-'));
+    const restoreConsole = this.options.verbose ? () => {} : this.silenceConsole();
+
+    const runs = [];
+    let graph;
+
+    try {
+      graph = this.buildGraph(plan);
+
+      for (let i = 0; i < this.options.runs; i++) {
+        runs.push(await this.simulateRun(plan, random, path.join(checkpointRoot, `run-${i}`)));
+      }
+    } finally {
+      restoreConsole();
+      await fs.rm(checkpointRoot, { recursive: true, force: true });
+    }
+
+    return this.buildReport(plan, graph, runs);
+  }
+
+  /**
+   * One run: the first attempt plus up to maxRetries resumed attempts
+   */
+  async simulateRun(plan, random, checkpointDir) {
+    const clock = new VirtualClock();
+    const run = {
+      success: false,
+      attempts: 0,
+      minutes: 0,
+      failures: [],
+      lockWaits: [],
+      blueprints: new Map()
+    };
+    const agentInvoker = this.createAgentInvoker(plan, clock, random, run);
+
+    while (!run.success && run.attempts <= this.options.maxRetries) {
+      run.attempts++;
+
+      const runner = new ExecutionRunner({
+        maxConcurrent: this.options.maxConcurrent,
+        enableCodexReviews: this.options.enableCodexReviews,
+        enableResourceLocking: true,
+        enableContextSlicing: false,
+        checkpointFrequency: this.options.checkpointFrequency,
+        checkpointDir,
+        lockDir: false, // Virtual time; leases on disk would go stale in real time
+        snapshotWorkspace: false, // Simulated agents change no files
+        validateBeforeRun: false,
+        blueprintTypes: this.blueprintTypes,
+        clock
+      });
+
+      try {
+        await clock.run(runner.executePlan(plan, agentInvoker));
+        run.success = true;
+      } catch (error) {
+        const failures = error.failures || [{ blueprintId: null, error: error.message }];
+        run.failures.push(...failures.map(f => ({ blueprintId: f.blueprintId, reason: f.error })));
+      }
+
+      if (runner.lockManager) {
+        run.lockWaits.push(...this.collectLockWaits(runner.lockManager));
+      }
+    }
+
+    run.minutes = clock.now() / MINUTE;
+    return run;
+  }
+
+  /**
+   * Fake agentInvoker: sleeps on the virtual clock for a sampled duration,
+   * heartbeating like a live agent so long runs keep their lock leases
+   */
+  createAgentInvoker(plan, clock, random, run) {
+    const byId = new Map(plan.blueprints.map(bp => [bp.id, bp]));
+
+    return async (task) => {
+      const blueprint = byId.get(task.blueprintId);
+      if (!blueprint) {
+        throw new Error(`Simulated agent got unknown blueprint: ${task.blueprintId}`);
+      }
+
+      const behaviour = this.behaviourFor(blueprint);
+      if (!run.blueprints.has(blueprint.id)) {
+        run.blueprints.set(blueprint.id, { executions: 0, failures: 0, rejections: 0, activeMinutes: 0 });
+      }
+      const stats = run.blueprints.get(blueprint.id);
+
+      if (task.subagent_type === 'codex-reviewer') {
+        const minutes = this.sample(behaviour.review, random);
+        await work(clock, minutes * MINUTE, task);
+        stats.activeMinutes += minutes;
+
+        if (random() < behaviour.rejectionRate) {
+          stats.rejections++;
+          return { response: '**REJECTED** (simulated review)' };
+        }
+        return { response: '**APPROVED** (simulated review)' };
+      }
+
+      const minutes = this.sample(behaviour.duration || this.defaultDuration(blueprint), random);
+      stats.executions++;
+      await work(clock, minutes * MINUTE, task);
+      stats.activeMinutes += minutes;
+
+      if (random() < behaviour.failureRate) {
+        stats.failures++;
+        throw new Error('Simulated agent failure');
+      }
+
+      const resources = blueprint.resources || {};
+      return {
+        response: 'Simulated implementation',
+        filesCreated: [...(resources.functions || []), ...(resources.components || []), ...(resources.files || [])],
+        filesModified: []
+      };
+    };
+  }
+
+  behaviourFor(blueprint) {
+    return {
+      ...DEFAULT_BEHAVIOUR,
+      ...this.options.defaults,
+      ...(this.options.types[blueprint.type] || {})
+    };
+  }
+
+  defaultDuration(blueprint) {
+    const estimate = blueprint.estimatedMinutes || this.blueprintTypes.estimateMinutes(blueprint);
+    return { distribution: 'triangular', min: estimate * 0.5, mode: estimate, max: estimate * 2 };
+  }
+
+  /**
+   * Sample minutes from a distribution
+   * A number is a fixed duration; otherwise { distribution: 'fixed' | 'uniform' | 'triangular' | 'lognormal', ... }
+   */
+  sample(spec, random) {
+    if (typeof spec === 'number') return spec;
+
+    switch (spec.distribution) {
+      case 'fixed':
+        return spec.value;
+
+      case 'uniform':
+        return spec.min + random() * (spec.max - spec.min);
+
+      case 'triangular': {
+        const { min, mode, max } = spec;
+        if (max <= min) return min;
+        const u = random();
+        const split = (mode - min) / (max - min);
+        return u < split
+          ? min + Math.sqrt(u * (max - min) * (mode - min))
+          : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+      }
+
+      case 'lognormal': {
+        // Box-Muller; median and sigma of the underlying normal
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        return spec.median * Math.exp((spec.sigma || 0.5) * z);
+      }
+
+      default:
+        throw new Error(`Unknown duration distribution: ${spec.distribution}`);
+    }
+  }
+
+  /**
+   * Lock waits from the lock manager's history
+   * A wait runs from the first refused request to the acquisition, or to
+   * the point the blueprint gave up (timeout, abort or last refusal).
+   */
+  collectLockWaits(lockManager) {
+    const waits = [];
+    const open = new Map(); // "blueprint|resource" -> first waiting entry
+    const lastRefused = new Map();
+
+    for (const entry of lockManager.lockHistory) {
+      const key = `${entry.blueprintId}|${entry.resourceId}`;
+
+      if (entry.action === 'waiting') {
+        if (!open.has(key)) open.set(key, entry);
+        lastRefused.set(key, entry.timestamp);
+      } else if ((entry.action === 'timeout' || entry.action === 'aborted') && open.has(key)) {
+        lastRefused.set(key, entry.timestamp);
+      } else if (entry.action === 'acquired' && open.has(key)) {
+        const waiting = open.get(key);
+        open.delete(key);
+        waits.push({
+          resource: entry.resourceId,
+          blueprintId: entry.blueprintId,
+          lockedBy: waiting.lockedBy,
+          minutes: (entry.timestamp - waiting.timestamp) / MINUTE,
+          acquired: true
+        });
+      }
+    }
+
+    for (const [key, waiting] of open) {
+      waits.push({
+        resource: waiting.resourceId,
+        blueprintId: waiting.blueprintId,
+        lockedBy: waiting.lockedBy,
+        minutes: (lastRefused.get(key) - waiting.timestamp) / MINUTE,
+        acquired: false
+      });
+    }
+
+    return waits;
+  }
+
+  /**
+   * Dependency edges including the implicit ones the planner adds
+   * @returns {Map} blueprintId -> Set of dependency IDs
+   */
+  buildGraph(plan) {
+    return DependencyGraphBuilder.fromPlan(plan).edges;
+  }
+
+  buildReport(plan, graph, runs) {
+    const total = runs.length;
+    const successful = runs.filter(run => run.success);
+    const minutes = successful.map(run => run.minutes).sort((a, b) => a - b);
+    const percentile = p => minutes.length > 0
+      ? round(minutes[Math.min(minutes.length - 1, Math.floor(p * minutes.length))])
+      : null;
+
+    // Chance of finishing using at most k retries
+    const withinRetries = [];
+    for (let retries = 0; retries <= this.options.maxRetries; retries++) {
+      const finished = successful.filter(run => run.attempts - 1 <= retries).length;
+      withinRetries.push({ retries, probability: total > 0 ? finished / total : 0 });
+    }
+
+    const failureReasons = {};
+    for (const run of runs) {
+      for (const failure of run.failures) {
+        failureReasons[failure.reason] = (failureReasons[failure.reason] || 0) + 1;
+      }
+    }
+
+    // Per-blueprint totals across runs
+    const blueprints = {};
+    for (const bp of plan.blueprints) {
+      const totals = { executions: 0, failures: 0, rejections: 0, activeMinutes: 0 };
+      for (const run of runs) {
+        const stats = run.blueprints.get(bp.id);
+        if (!stats) continue;
+        for (const key of Object.keys(totals)) totals[key] += stats[key];
+      }
+
+      blueprints[bp.id] = {
+        name: bp.name,
+        type: bp.type,
+        executions: totals.executions,
+        failures: totals.failures,
+        rejections: totals.rejections,
+        expectedMinutes: totals.executions > 0
+          ? round(totals.activeMinutes / totals.executions)
+          : this.defaultDuration(bp).mode
+      };
+    }
+
+    return {
+      planId: plan.id,
+      runs: total,
+      seed: this.options.seed,
+      maxConcurrent: this.options.maxConcurrent,
+      plannedMinutes: plan.metadata?.estimatedMinutes ?? null,
+      wallClock: {
+        meanMinutes: minutes.length > 0 ? round(minutes.reduce((sum, m) => sum + m, 0) / minutes.length) : null,
+        p50Minutes: percentile(0.5),
+        p90Minutes: percentile(0.9),
+        minMinutes: minutes.length > 0 ? round(minutes[0]) : null,
+        maxMinutes: minutes.length > 0 ? round(minutes[minutes.length - 1]) : null
+      },
+      success: {
+        probability: total > 0 ? successful.length / total : 0,
+        withinRetries,
+        meanAttempts: successful.length > 0
+          ? round(successful.reduce((sum, run) => sum + run.attempts, 0) / successful.length)
+          : null
+      },
+      failures: failureReasons,
+      lockContention: this.summarizeLockContention(runs),
+      criticalPath: this.findCriticalPath(plan, graph, blueprints),
+      blueprints
+    };
+  }
+
+  /**
+   * Resources blueprints waited on longest, per run on average
+   */
+  summarizeLockContention(runs) {
+    const byResource = new Map();
+
+    for (const run of runs) {
+      for (const wait of run.lockWaits) {
+        if (!byResource.has(wait.resource)) {
+          byResource.set(wait.resource, { resource: wait.resource, waits: 0, neverAcquired: 0, totalMinutes: 0, waiters: new Set(), holders: new Set() });
+        }
+        const entry = byResource.get(wait.resource);
+        entry.waits++;
+        entry.totalMinutes += wait.minutes;
+        if (!wait.acquired) entry.neverAcquired++;
+        entry.waiters.add(wait.blueprintId);
+        if (wait.lockedBy) entry.holders.add(wait.lockedBy);
+      }
+    }
+
+    return Array.from(byResource.values())
+      .map(entry => ({
+        resource: entry.resource,
+        waitsPerRun: round(entry.waits / runs.length),
+        meanWaitMinutes: round(entry.totalMinutes / entry.waits),
+        waitMinutesPerRun: round(entry.totalMinutes / runs.length),
+        neverAcquired: entry.neverAcquired,
+        waiters: Array.from(entry.waiters),
+        holders: Array.from(entry.holders)
+      }))
+      .sort((a, b) => b.waitMinutesPerRun - a.waitMinutesPerRun)
+      .slice(0, this.options.hotSpots);
+  }
+
+  /**
+   * Longest chain of expected blueprint durations through the dependency graph
+   */
+  findCriticalPath(plan, graph, blueprints) {
+    const finish = new Map();
+    const previous = new Map();
+
+    const finishOf = (id) => {
+      if (finish.has(id)) return finish.get(id);
+      finish.set(id, 0); // Guards against cycles in malformed plans
+
+      let start = 0;
+      for (const dep of graph.get(id) || []) {
+        if (!graph.has(dep)) continue;
+        const depFinish = finishOf(dep);
+        if (depFinish > start) {
+          start = depFinish;
+          previous.set(id, dep);
+        }
+      }
+
+      const value = start + (blueprints[id]?.expectedMinutes || 0);
+      finish.set(id, value);
+      return value;
+    };
+
+    let end = null;
+    for (const bp of plan.blueprints) {
+      if (end === null || finishOf(bp.id) > finishOf(end)) end = bp.id;
+    }
+    if (end === null) return { minutes: 0, blueprints: [] };
+
+    const chain = [];
+    for (let id = end; id; id = previous.get(id)) {
+      chain.unshift({ id, name: blueprints[id].name, type: blueprints[id].type, expectedMinutes: blueprints[id].expectedMinutes });
+    }
+
+    return { minutes: round(finish.get(end)), blueprints: chain };
+  }
+
+  /**
+   * Print a simulation report
+   */
+  displayReport(report) {
+    const percent = p => `${Math.round(p * 100)}%`;
+
+    console.log('\n🎲 Plan Simulation');
+    console.log(`   Runs: ${report.runs} (seed ${report.seed}, max ${report.maxConcurrent} concurrent)`);
+    console.log(`   Planned estimate: ${report.plannedMinutes ?? '?'} minutes`);
+    if (report.wallClock.meanMinutes !== null) {
+      console.log(`   Wall clock: mean ${report.wallClock.meanMinutes} min, p50 ${report.wallClock.p50Minutes}, p90 ${report.wallClock.p90Minutes}`);
+    }
+
+    console.log(`\n   Finishes: ${percent(report.success.probability)} of runs`);
+    for (const { retries, probability } of report.success.withinRetries) {
+      console.log(`     - within ${retries} retr${retries === 1 ? 'y' : 'ies'}: ${percent(probability)}`);
+    }
+
+    const failures = Object.entries(report.failures).sort((a, b) => b[1] - a[1]);
+    if (failures.length > 0) {
+      console.log('\n   Failure reasons:');
+      failures.forEach(([reason, count]) => console.log(`     - ${reason}: ${count}`));
+    }
+
+    console.log(`\n   Critical path (~${report.criticalPath.minutes} min):`);
+    report.criticalPath.blueprints.forEach(bp => {
+      console.log(`     → [${bp.id}] ${bp.name} (~${bp.expectedMinutes} min)`);
+    });
+
+    if (report.lockContention.length > 0) {
+      console.log('\n   ⚠️  Lock contention hot spots:');
+      report.lockContention.forEach(spot => {
+        console.log(`     - ${spot.resource}: ${spot.waitsPerRun} waits/run, ~${spot.meanWaitMinutes} min each (${spot.waiters.join(', ')} behind ${spot.holders.join(', ')})`);
+      });
+    } else {
+      console.log('\n   ✅ No lock contention');
+    }
+    console.log('');
+  }
+
+  /**
+   * Seeded PRNG (mulberry32) so simulations are reproducible
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Mute runner and lock manager output for the duration of the simulation
+   * @returns {Function} restore
+   */
+  silenceConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    return () => Object.assign(console, original);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Sleep for ms of virtual time, heartbeating every 5 minutes
+ */
+async function work(clock, ms, task) {
+  for (let left = ms; left > 0; left -= HEARTBEAT_INTERVAL) {
+    await clock.sleep(Math.min(left, HEARTBEAT_INTERVAL));
+    if (task.heartbeat) task.heartbeat();
+  }
+}
+
+module.exports = { PlanSimulator, DEFAULT_BEHAVIOUR };
@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Plan Visualizer - export plans as Mermaid, Graphviz DOT or HTML
+ *
+ * Renders an execution plan's dependency graph so it can be attached to a
+ * PR: blueprints colored by type and grouped by layer, explicit dependencies
+ * (dependsOn) as solid edges, implicit resource-conflict dependencies as
+ * dashed edges labelled with the conflicting resources, and the critical
+ * path highlighted. The HTML report is self-contained (inline SVG and CSS,
+ * no scripts or external assets).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DependencyGraphBuilder } = require('./dependency-graph-builder');
+const { createDefaultRegistry } = require('../blueprint-types');
+
+// Fill colors per blueprint type; other types use their category's color
+const TYPE_COLORS = {
+  database: '#a6c8ff',
+  rls: '#c6dbff',
+  function: '#8fb8f0',
+  rpc: '#7aa7e6',
+  enum: '#d6e6ff',
+  view: '#b8d3fa',
+  trigger: '#9fc0f5',
+  service: '#b5e3a8',
+  api: '#ffd29e',
+  'ui-component': '#e3c4f0',
+  'ui-page': '#d1a8e6',
+  'ui-hook': '#f0dcf7',
+  'ui-missing': '#ffb3b3'
+};
+
+const CATEGORY_COLORS = {
+  database: '#a6c8ff',
+  api: '#ffd29e',
+  service: '#b5e3a8',
+  ui: '#e3c4f0',
+  other: '#dddddd'
+};
+
+const CRITICAL_COLOR = '#d62728';
+const EDGE_COLOR = '#666666';
+
+// Export format -> file extension
+const FORMATS = {
+  mermaid: '.mmd',
+  dot: '.dot',
+  html: '.html'
+};
+
+class PlanVisualizer {
+  constructor(options = {}) {
+    this.blueprintTypes = options.blueprintTypes || createDefaultRegistry();
+  }
+
+  /**
+   * Graph model shared by all formats
+   * @param {Object} plan - Execution plan from MasterOrchestrator
+   * @returns {Object} { plan, nodes, edges, layers, criticalPath }
+   */
+  buildModel(plan) {
+    const dagBuilder = DependencyGraphBuilder.fromPlan(plan);
+    const estimate = bp => bp.estimatedMinutes || this.blueprintTypes.estimateMinutes(bp);
+    const criticalPath = dagBuilder.findCriticalPath(estimate);
+
+    const layerOf = new Map();
+    (plan.layers || []).forEach((layer, index) => layer.forEach(id => layerOf.set(id, index)));
+
+    const criticalNodes = new Set(criticalPath.blueprints);
+    const criticalEdges = new Set(criticalPath.blueprints.slice(1)
+      .map((id, index) => `${criticalPath.blueprints[index]}->${id}`));
+
+    const nodes = plan.blueprints.map(bp => ({
+      id: bp.id,
+      name: bp.name,
+      type: bp.type || 'other',
+      color: this.colorOf(bp.type),
+      minutes: estimate(bp),
+      layer: layerOf.has(bp.id) ? layerOf.get(bp.id) : null,
+      critical: criticalNodes.has(bp.id)
+    }));
+
+    const edges = [];
+    for (const bp of plan.blueprints) {
+      const explicit = new Set(bp.dependsOn || []);
+
+      for (const depId of dagBuilder.edges.get(bp.id) || []) {
+        // Dependencies outside the plan (e.g. a delta plan's parent) are not drawn
+        if (!dagBuilder.nodes.has(depId)) continue;
+
+        const kind = explicit.has(depId) ? 'explicit' : 'implicit';
+        edges.push({
+          from: depId,
+          to: bp.id,
+          kind,
+          reasons: kind === 'explicit'
+            ? (bp.dependencyReasons || []).filter(r => r.dependsOn === depId).map(r => r.reason)
+            : this.implicitReasons(dagBuilder, bp, depId),
+          critical: criticalEdges.has(`${depId}->${bp.id}`)
+        });
+      }
+    }
+
+    return { plan, nodes, edges, layers: plan.layers || [], criticalPath };
+  }
+
+  /**
+   * Conflicts behind an implicit edge, as recorded by the planner or
+   * detected again for plans that predate implicitDependencies
+   */
+  implicitReasons(dagBuilder, blueprint, depId) {
+    const recorded = dagBuilder.implicitDependencies.get(blueprint.id)?.get(depId);
+    return recorded || dagBuilder.findResourceConflicts(dagBuilder.nodes.get(depId), blueprint);
+  }
+
+  colorOf(type) {
+    return TYPE_COLORS[type] || CATEGORY_COLORS[this.blueprintTypes.categoryOf(type)] || CATEGORY_COLORS.other;
+  }
+
+  /**
+   * Render a plan as a Mermaid flowchart
+   * @returns {string}
+   */
+  toMermaid(plan) {
+    const model = this.buildModel(plan);
+    const nodeId = id => id.replace(/[^A-Za-z0-9_]/g, '_');
+    const nodeLine = node =>
+      `${nodeId(node.id)}["${mermaidText(`${node.id} ${node.name}`)}<br/>${mermaidText(node.type)} · ${node.minutes} min"]`;
+
+    const lines = ['flowchart LR'];
+
+    model.layers.forEach((layer, index) => {
+      lines.push(`  subgraph layer${index + 1}["Layer ${index + 1}"]`);
+      layer.forEach(id => {
+        const node = model.nodes.find(n => n.id === id);
+        if (node) lines.push(`    ${nodeLine(node)}`);
+      });
+      lines.push('  end');
+    });
+    model.nodes.filter(node => node.layer === null).forEach(node => lines.push(`  ${nodeLine(node)}`));
+
+    lines.push('');
+    const criticalLinks = [];
+    model.edges.forEach((edge, index) => {
+      const arrow = edge.kind === 'implicit' ? '-.->' : '-->';
+      const label = edge.reasons.length > 0 ? `|"${mermaidText(edge.reasons.join(', '))}"|` : '';
+      lines.push(`  ${nodeId(edge.from)} ${arrow}${label} ${nodeId(edge.to)}`);
+      if (edge.critical) criticalLinks.push(index);
+    });
+
+    lines.push('');
+    const types = [...new Set(model.nodes.map(node => node.type))];
+    for (const type of types) {
+      const className = `type_${nodeId(type)}`;
+      lines.push(`  classDef ${className} fill:${this.colorOf(type)},stroke:#555555,color:#000000`);
+      lines.push(`  class ${model.nodes.filter(n => n.type === type).map(n => nodeId(n.id)).join(',')} ${className}`);
+    }
+
+    const critical = model.nodes.filter(node => node.critical);
+    if (critical.length > 0) {
+      lines.push(`  classDef critical stroke:${CRITICAL_COLOR},stroke-width:3px`);
+      lines.push(`  class ${critical.map(n => nodeId(n.id)).join(',')} critical`);
+    }
+    if (criticalLinks.length > 0) {
+      lines.push(`  linkStyle ${criticalLinks.join(',')} stroke:${CRITICAL_COLOR},stroke-width:3px`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a plan as a Graphviz DOT digraph
+   * @returns {string}
+   */
+  toDot(plan) {
+    const model = this.buildModel(plan);
+    const nodeLine = node => {
+      const attrs = [
+        `label=${dotString(`${node.id}\n${node.name}\n${node.type} · ${node.minutes} min`)}`,
+        `fillcolor="${node.color}"`
+      ];
+      if (node.critical) attrs.push(`color="${CRITICAL_COLOR}"`, 'penwidth=3');
+      return `${dotString(node.id)} [${attrs.join(', ')}];`;
+    };
+
+    const lines = [
+      `digraph ${dotString(model.plan.id || 'plan')} {`,
+      '  rankdir=LR;',
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+      '  edge [fontname="Helvetica", fontsize=9];',
+      ''
+    ];
+
+    model.layers.forEach((layer, index) => {
+      lines.push(`  subgraph cluster_layer${index + 1} {`);
+      lines.push(`    label="Layer ${index + 1}"; style=dashed; color="#bbbbbb";`);
+      layer.forEach(id => {
+        const node = model.nodes.find(n => n.id === id);
+        if (node) lines.push(`    ${nodeLine(node)}`);
+      });
+      lines.push('  }');
+    });
+    model.nodes.filter(node => node.layer === null).forEach(node => lines.push(`  ${nodeLine(node)}`));
+
+    lines.push('');
+    for (const edge of model.edges) {
+      const attrs = [`color="${edge.critical ? CRITICAL_COLOR : EDGE_COLOR}"`];
+      if (edge.kind === 'implicit') attrs.push('style=dashed');
+      if (edge.critical) attrs.push('penwidth=3');
+      if (edge.reasons.length > 0) attrs.push(`label=${dotString(edge.reasons.join('\n'))}`);
+      lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)} [${attrs.join(', ')}];`);
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a plan as a standalone HTML report
+   * @returns {string}
+   */
+  toHtml(plan) {
+    const model = this.buildModel(plan);
+    const meta = plan.metadata || {};
+    const nameOf = id => model.nodes.find(n => n.id === id)?.name || id;
+
+    const types = [...new Set(model.nodes.map(node => node.type))];
+    const legend = types.map(type =>
+      `<span class="swatch" style="background:${this.colorOf(type)}"></span>${escapeHtml(type)}`).join(' ');
+
+    const criticalPath = model.criticalPath.blueprints
+      .map(id => `<li><code>${escapeHtml(id)}</code> ${escapeHtml(nameOf(id))}</li>`).join('\n');
+
+    const edgeRows = model.edges.map(edge => `<tr${edge.critical ? ' class="critical"' : ''}>
+<td><code>${escapeHtml(edge.from)}</code></td><td><code>${escapeHtml(edge.to)}</code></td>
+<td>${edge.kind}</td><td>${edge.reasons.map(escapeHtml).join('<br>') || '—'}</td></tr>`).join('\n');
+
+    const blueprintRows = model.nodes.map(node => `<tr${node.critical ? ' class="critical"' : ''}>
+<td><code>${escapeHtml(node.id)}</code></td><td>${escapeHtml(node.name)}</td>
+<td><span class="swatch" style="background:${node.color}"></span>${escapeHtml(node.type)}</td>
+<td>${node.layer === null ? '—' : node.layer + 1}</td><td>${node.minutes}</td></tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(plan.spec?.name || plan.id)} - execution plan</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #222; }
+h1 { font-size: 1.4rem; margin-bottom: 0.2rem; }
+.meta { color: #666; margin-bottom: 1rem; }
+.stats span { display: inline-block; margin-right: 1.5rem; }
+.swatch { display: inline-block; width: 0.9em; height: 0.9em; border: 1px solid #555; border-radius: 2px; margin: 0 0.3em 0 0.8em; vertical-align: -0.1em; }
+.graph { overflow-x: auto; border: 1px solid #ddd; border-radius: 6px; margin: 1rem 0; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+tr.critical td { background: #fdecec; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(plan.spec?.name || 'Execution plan')}</h1>
+<div class="meta"><code>${escapeHtml(plan.id)}</code>${plan.createdAt ? ` · created ${escapeHtml(plan.createdAt)}` : ''}</div>
+<div class="stats">
+<span><strong>${model.nodes.length}</strong> blueprints</span>
+<span><strong>${model.layers.length}</strong> layers</span>
+<span><strong>${meta.estimatedMinutes ?? '?'}</strong> min estimated</span>
+<span><strong>${model.criticalPath.minutes}</strong> min critical path</span>
+</div>
+<p>Types:${legend}</p>
+<p>Edges: solid = explicit dependency, dashed = implicit (resource conflict), <span style="color:${CRITICAL_COLOR}">red</span> = critical path.</p>
+<div class="graph">
+${this.renderSvg(model)}
+</div>
+<h2>Critical path (~${model.criticalPath.minutes} min)</h2>
+<ol>
+${criticalPath}
+</ol>
+<h2>Dependencies</h2>
+<table>
+<tr><th>Dependency</th><th>Dependent</th><th>Kind</th><th>Reason</th></tr>
+${edgeRows}
+</table>
+<h2>Blueprints</h2>
+<table>
+<tr><th>ID</th><th>Name</th><th>Type</th><th>Layer</th><th>Minutes</th></tr>
+${blueprintRows}
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Inline SVG: one column per layer, edges from dependency to dependent
+   */
+  renderSvg(model) {
+    const box = { width: 200, height: 52 };
+    const gap = { x: 70, y: 22 };
+    const margin = 30;
+
+    const columns = model.layers.map(layer => layer.slice());
+    const unlayered = model.nodes.filter(node => node.layer === null).map(node => node.id);
+    if (unlayered.length > 0) columns.push(unlayered);
+
+    const position = new Map();
+    columns.forEach((column, col) => {
+      column.forEach((id, row) => {
+        position.set(id, {
+          x: margin + col * (box.width + gap.x),
+          y: margin + 20 + row * (box.height + gap.y)
+        });
+      });
+    });
+
+    const tallest = Math.max(1, ...columns.map(column => column.length));
+    const width = margin * 2 + columns.length * box.width + Math.max(0, columns.length - 1) * gap.x;
+    const height = margin * 2 + 20 + tallest * box.height + (tallest - 1) * gap.y;
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="Helvetica, Arial, sans-serif" font-size="11">`,
+      '<defs>',
+      `<marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${EDGE_COLOR}"/></marker>`,
+      `<marker id="arrow-critical" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${CRITICAL_COLOR}"/></marker>`,
+      '</defs>'
+    ];
+
+    columns.forEach((column, col) => {
+      const label = col < model.layers.length ? `Layer ${col + 1}` : 'Unlayered';
+      parts.push(`<text x="${margin + col * (box.width + gap.x)}" y="${margin}" font-weight="bold" fill="#555">${label}</text>`);
+    });
+
+    for (const edge of model.edges) {
+      const from = position.get(edge.from);
+      const to = position.get(edge.to);
+      if (!from || !to) continue;
+
+      const x1 = from.x + box.width;
+      const y1 = from.y + box.height / 2;
+      const x2 = to.x;
+      const y2 = to.y + box.height / 2;
+      const bend = Math.max(30, (x2 - x1) / 2);
+      const stroke = edge.critical ? CRITICAL_COLOR : EDGE_COLOR;
+      const title = `${edge.from} → ${edge.to} (${edge.kind})${edge.reasons.length > 0 ? `: ${edge.reasons.join(', ')}` : ''}`;
+
+      parts.push(`<path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" fill="none" stroke="${stroke}" stroke-width="${edge.critical ? 3 : 1.3}"${edge.kind === 'implicit' ? ' stroke-dasharray="6 4"' : ''} marker-end="url(#${edge.critical ? 'arrow-critical' : 'arrow'})"><title>${escapeHtml(title)}</title></path>`);
+    }
+
+    for (const node of model.nodes) {
+      const { x, y } = position.get(node.id);
+      const name = node.name.length > 30 ? `${node.name.slice(0, 29)}…` : node.name;
+
+      parts.push(`<g><title>${escapeHtml(`${node.id} ${node.name} (${node.type}, ~${node.minutes} min)`)}</title>`);
+      parts.push(`<rect x="${x}" y="${y}" width="${box.width}" height="${box.height}" rx="6" fill="${node.color}" stroke="${node.critical ? CRITICAL_COLOR : '#555555'}" stroke-width="${node.critical ? 3 : 1}"/>`);
+      parts.push(`<text x="${x + 8}" y="${y + 18}" font-weight="bold">${escapeHtml(node.id)}</text>`);
+      parts.push(`<text x="${x + 8}" y="${y + 32}">${escapeHtml(name)}</text>`);
+      parts.push(`<text x="${x + 8}" y="${y + 45}" fill="#444">${escapeHtml(node.type)} · ${node.minutes} min</text></g>`);
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+  }
+
+  /**
+   * Write a plan in one or more formats next to basePath
+   * @param {Object} plan
+   * @param {string} basePath - Output path without extension
+   * @param {Array<string>} [formats] - Any of mermaid, dot, html
+   * @returns {Promise<Array<string>>} Paths written
+   */
+  async exportPlan(plan, basePath, formats = Object.keys(FORMATS)) {
+    const written = [];
+
+    for (const format of formats) {
+      const outputPath = `${basePath}${FORMATS[format]}`;
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, this.render(plan, format));
+      written.push(outputPath);
+    }
+
+    return written;
+  }
+
+  /**
+   * Render a plan in the named format
+   */
+  render(plan, format) {
+    switch (format) {
+      case 'mermaid': return this.toMermaid(plan);
+      case 'dot': return this.toDot(plan);
+      case 'html': return this.toHtml(plan);
+      default:
+        throw new Error(`Unknown export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+if (require.main === module) {
+  const [, , planFile, format, output] = process.argv;
+
+  const usage = () => {
+    console.log('Usage:');
+    console.log('  node lib/orchestration/plan-visualizer.js <plan.json> mermaid|dot|html [output]   Print or write one format');
+    console.log('  node lib/orchestration/plan-visualizer.js <plan.json> all                         Write .mmd, .dot and .html next to the plan');
+    process.exit(1);
+  };
+
+  if (!planFile || !format || (format !== 'all' && !FORMATS[format])) usage();
+
+  (async () => {
+    const plan = JSON.parse(await fs.readFile(planFile, 'utf8'));
+    const visualizer = new PlanVisualizer();
+
+    if (format === 'all') {
+      const written = await visualizer.exportPlan(plan, planFile.replace(/\.json$/i, ''));
+      written.forEach(file => console.log(`✅ Wrote ${file}`));
+      return;
+    }
+
+    const rendered = visualizer.render(plan, format);
+    if (output) {
+      await fs.writeFile(output, rendered);
+      console.log(`✅ Wrote ${output}`);
+    } else {
+      process.stdout.write(rendered);
+    }
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { PlanVisualizer, FORMATS };
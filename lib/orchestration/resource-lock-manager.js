@@ -3,8 +3,37 @@
  *
  * Prevents parallel sub-agents from creating conflicting changes.
  * Implements read/write locks, deadlock prevention, and timeout monitoring.
+ *
+ * Lock modes follow the blueprint's resources.access (read, write, alter,
+ * create; write when unset). Any number of blueprints can hold a read lock
+ * on a resource together; every other mode is exclusive.
+ *
+ * waitForLocks() queues a blueprint until all of its locks are free. Waiters
+ * are served first come, first served: nobody is granted a lock that an
+ * earlier waiter is still queued for, and every release wakes the queue.
+ *
+ * The lock table lives in a store (see lock-store.js). The default keeps it
+ * in memory; a FileLockStore shares it with every orchestrator session on
+ * the machine, so two sessions never hold conflicting locks.
+ *
+ * Sorting requests by RESOURCE_ORDER prevents most deadlocks, but a
+ * blueprint that waits while already holding locks (e.g. upgrading a read
+ * lock to write) can still close a cycle. Every new wait is checked against
+ * the wait-for graph (waiter -> blueprint it is blocked by); a cycle is
+ * broken by failing one waiter chosen by the deadlock policy, and reported
+ * through onEvent('deadlock_detected', ...). Waits longer than
+ * longWaitThreshold are reported as 'lock_wait_long'.
+ *
+ * Locks are leases of maxLockDuration. renewLocks() extends them (the
+ * runner calls it on agent heartbeats); a lease that runs out is reported
+ * through onEvent('lease_expired', ...) so the owner can be cancelled. With
+ * releaseOnExpiry off the locks stay held until the owner confirms it has
+ * stopped by calling releaseLocks(); otherwise they are released right away.
  */
 
+const { systemClock } = require('./clock');
+const { MemoryLockStore } = require('./lock-store');
+
 const RESOURCE_TYPES = {
   TABLE: 'table',
   MIGRATION: 'migration',
@@ -13,103 +42,432 @@ const RESOURCE_TYPES = {
   SERVICE_FUNCTION: 'service_function',
   TYPE_DEFINITION: 'type_definition',
   RLS_POLICY: 'rls_policy',
+  ENUM: 'enum',
+  VIEW: 'view',
+  TRIGGER: 'trigger',
   FILE: 'file'
 };
 
+// Victim policies for breaking a deadlock (a function can be passed instead)
+const DEADLOCK_POLICIES = {
+  // Least work lost: the blueprint that took its first lock last
+  youngest: (a, b) => b.startedAt - a.startedAt || b.enqueuedAt - a.enqueuedAt,
+  // Least progress lost: the blueprint with the fewest completed steps
+  'fewest-steps': (a, b) => a.completedSteps - b.completedSteps || b.startedAt - a.startedAt
+};
+
 // Global resource ordering for deadlock prevention
 const RESOURCE_ORDER = [
   RESOURCE_TYPES.MIGRATION,      // 1. Always first (sequential)
-  RESOURCE_TYPES.TABLE,          // 2. Tables
-  RESOURCE_TYPES.RLS_POLICY,     // 3. Policies (depend on tables)
-  RESOURCE_TYPES.TYPE_DEFINITION, // 4. Types
-  RESOURCE_TYPES.SERVICE_FUNCTION, // 5. Functions
-  RESOURCE_TYPES.ROUTE,          // 6. Routes (depend on functions)
-  RESOURCE_TYPES.COMPONENT,      // 7. Components (depend on routes)
-  RESOURCE_TYPES.FILE            // 8. Generic files
+  RESOURCE_TYPES.ENUM,           // 2. Enums (columns use them)
+  RESOURCE_TYPES.TABLE,          // 3. Tables
+  RESOURCE_TYPES.VIEW,           // 4. Views (select from tables)
+  RESOURCE_TYPES.RLS_POLICY,     // 5. Policies (depend on tables)
+  RESOURCE_TYPES.TYPE_DEFINITION, // 6. Types
+  RESOURCE_TYPES.SERVICE_FUNCTION, // 7. Functions
+  RESOURCE_TYPES.TRIGGER,        // 8. Triggers (depend on tables and functions)
+  RESOURCE_TYPES.ROUTE,          // 9. Routes (depend on functions)
+  RESOURCE_TYPES.COMPONENT,      // 10. Components (depend on routes)
+  RESOURCE_TYPES.FILE            // 11. Generic files
 ];
 
 class ResourceLockManager {
-  constructor() {
-    this.locks = new Map(); // resourceId -> { type, mode, lockedBy, acquiredAt, expiresAt }
-    this.waitQueue = new Map(); // resourceId -> [blueprintIds]
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.clock] - Time source (defaults to the system clock)
+   * @param {Object} [options.store] - Lock table (defaults to a MemoryLockStore)
+   * @param {string|Function} [options.deadlockPolicy] - 'youngest' (default), 'fewest-steps',
+   *   or (candidates) => blueprintId
+   * @param {Function} [options.completedSteps] - blueprintId => steps done, for 'fewest-steps'
+   * @param {number} [options.longWaitThreshold] - ms before a wait is reported as long
+   * @param {Function} [options.onEvent] - (type, data) for deadlock, long-wait and lease-expiry events
+   * @param {boolean} [options.releaseOnExpiry] - Release an expired lease at once (default true);
+   *   false keeps it held until the owner calls releaseLocks()
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.deadlockPolicy = options.deadlockPolicy || 'youngest';
+    if (typeof this.deadlockPolicy !== 'function' && !DEADLOCK_POLICIES[this.deadlockPolicy]) {
+      throw new Error(`Unknown deadlock policy "${this.deadlockPolicy}" (expected ${Object.keys(DEADLOCK_POLICIES).join(', ')} or a function)`);
+    }
+    this.completedSteps = options.completedSteps || (() => 0);
+    this.longWaitThreshold = options.longWaitThreshold || 5 * 60 * 1000;
+    this.onEvent = options.onEvent || (() => {});
+    this.releaseOnExpiry = options.releaseOnExpiry !== false;
+    this.deadlocks = [];
+    this.store = options.store || new MemoryLockStore(); // resourceId -> { type, holders: [{ lockedBy, session, mode, acquiredAt, expiresAt }] }
+    this.sessionId = this.store.sessionId;
+    this.unwatchStore = null;
+    this.waitQueue = new Map(); // resourceId -> [blueprintIds] in arrival order
+    this.waiters = []; // FIFO: { blueprint, locks, enqueuedAt, resolve, reject, cleanup }
     this.lockHistory = []; // For debugging
     this.timeouts = new Map(); // blueprintId -> timeout handle
     this.maxLockDuration = 15 * 60 * 1000; // 15 minutes
   }
 
   /**
-   * Attempt to acquire locks for a blueprint
+   * Attempt to acquire locks for a blueprint without waiting
    * Returns { success: boolean, locks?: Resource[], conflicts?: Conflict[] }
    */
   async acquireLocks(blueprint) {
-    const requiredLocks = this.extractRequiredLocks(blueprint);
-
     // Sort locks in global order to prevent deadlocks
-    const sortedLocks = this.sortLockRequests(requiredLocks);
+    const sortedLocks = this.sortLockRequests(this.extractRequiredLocks(blueprint));
+    const conflicts = this.tryGrant(blueprint, sortedLocks);
+
+    // If no conflicts, all locks were acquired
+    if (conflicts.length === 0) {
+      return {
+        success: true,
+        locks: sortedLocks
+      };
+    }
+
+    console.log(`[Lock] ${blueprint.id} blocked on ${conflicts.length} resources`);
+    this.recordWaiting(blueprint, conflicts);
+
+    return {
+      success: false,
+      conflicts,
+      action: 'wait'
+    };
+  }
+
+  /**
+   * Acquire locks for a blueprint, waiting in line until they are free
+   * @param {Object} blueprint - Blueprint whose resources to lock
+   * @param {Object} [options] - { timeout } in ms, { signal } AbortSignal to stop waiting
+   * @returns {Promise<Object>} { success: true, locks, waitedMs }
+   */
+  waitForLocks(blueprint, options = {}) {
+    const { timeout, signal } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new Error(`Lock wait aborted for ${blueprint.id}`));
+    }
+    if (this.waiters.some(waiter => waiter.blueprint.id === blueprint.id)) {
+      return Promise.reject(new Error(`${blueprint.id} is already waiting for locks`));
+    }
+
+    const sortedLocks = this.sortLockRequests(this.extractRequiredLocks(blueprint));
+    const conflicts = this.tryGrant(blueprint, sortedLocks);
+
+    if (conflicts.length === 0) {
+      return Promise.resolve({ success: true, locks: sortedLocks, waitedMs: 0 });
+    }
+
+    console.log(`[Lock] ${blueprint.id} waiting for ${conflicts.length} resources`);
+    this.recordWaiting(blueprint, conflicts);
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        blueprint,
+        locks: sortedLocks,
+        resources: conflicts.map(conflict => conflict.resource),
+        enqueuedAt: this.clock.now(),
+        resolve,
+        reject
+      };
+
+      let timer = null;
+      const longWaitTimer = this.clock.setTimeout(() => this.reportLongWait(waiter), this.longWaitThreshold);
+      const onAbort = () => {
+        this.abandonWait(waiter, 'aborted', signal.reason || new Error(`Lock wait aborted for ${blueprint.id}`));
+      };
+
+      if (timeout) {
+        timer = this.clock.setTimeout(() => {
+          const blocking = this.store.withLock(() => this.findConflicts(blueprint, sortedLocks))
+            .map(conflict => `${conflict.resource} (${conflict.queued ? 'queued behind' : 'held by'} ${conflict.lockedBy})`);
+          this.abandonWait(waiter, 'timeout', new Error(
+            `Timeout waiting for resource locks after ${Math.round(timeout / 1000)}s: ${blocking.join(', ')}`
+          ));
+        }, timeout);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      waiter.cleanup = () => {
+        if (timer !== null) this.clock.clearTimeout(timer);
+        this.clock.clearTimeout(longWaitTimer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      this.waiters.push(waiter);
+      for (const resource of waiter.resources) {
+        if (!this.waitQueue.has(resource)) {
+          this.waitQueue.set(resource, []);
+        }
+        this.waitQueue.get(resource).push(blueprint.id);
+      }
+
+      // Releases by other sessions arrive through the store
+      if (!this.unwatchStore) {
+        this.unwatchStore = this.store.watch(() => this.processWaitQueue());
+      }
+
+      // A new wait is the only thing that can close a cycle
+      this.resolveDeadlocks();
+    });
+  }
+
+  /**
+   * Grant all locks if none conflicts, atomically with respect to other sessions
+   * @returns {Array} Conflicts (empty when the locks were granted)
+   */
+  tryGrant(blueprint, sortedLocks) {
+    return this.store.withLock(() => {
+      const conflicts = this.findConflicts(blueprint, sortedLocks);
+      if (conflicts.length === 0) {
+        this.grantLocks(blueprint, sortedLocks);
+      }
+      return conflicts;
+    });
+  }
+
+  /**
+   * Conflicts between a lock request and current holders or earlier waiters
+   * A blueprint that is not queued yet counts as behind every waiter.
+   */
+  findConflicts(blueprint, sortedLocks) {
+    const ahead = [];
+    for (const waiter of this.waiters) {
+      if (waiter.blueprint.id === blueprint.id) break;
+      ahead.push(waiter);
+    }
 
     const conflicts = [];
 
-    // Check for conflicts
     for (const lock of sortedLocks) {
-      const existing = this.locks.get(lock.identifier);
+      const holders = this.store.get(lock.identifier)?.holders || [];
+      const blocking = holders.find(holder => this.hasConflict(holder, lock, blueprint.id));
 
-      if (existing && this.hasConflict(existing, lock, blueprint.id)) {
+      if (blocking) {
         conflicts.push({
           resource: lock.identifier,
-          lockedBy: existing.lockedBy,
-          requestedBy: blueprint.id
+          lockedBy: blocking.lockedBy,
+          requestedBy: blueprint.id,
+          ...(blocking.session && blocking.session !== this.sessionId ? { session: blocking.session } : {})
         });
+        continue;
       }
-    }
 
-    // If no conflicts, acquire all locks
-    if (conflicts.length === 0) {
-      for (const lock of sortedLocks) {
-        const now = Date.now();
-        this.locks.set(lock.identifier, {
-          type: lock.type,
-          mode: lock.mode,
-          lockedBy: blueprint.id,
-          acquiredAt: now,
-          expiresAt: now + this.maxLockDuration
-        });
+      // First come, first served: don't overtake a waiter that needs this resource
+      const queued = ahead.find(waiter => waiter.locks.some(wanted =>
+        wanted.identifier === lock.identifier && !(wanted.mode === 'read' && lock.mode === 'read')));
 
-        this.lockHistory.push({
-          action: 'acquired',
-          resourceId: lock.identifier,
-          blueprintId: blueprint.id,
-          timestamp: now
+      if (queued) {
+        conflicts.push({
+          resource: lock.identifier,
+          lockedBy: queued.blueprint.id,
+          requestedBy: blueprint.id,
+          queued: true
         });
       }
+    }
 
-      // Start timeout monitoring
-      this.startTimeout(blueprint.id);
+    return conflicts;
+  }
 
-      console.log(`[Lock] Acquired ${sortedLocks.length} locks for ${blueprint.id}`);
+  /**
+   * Record a blueprint as holder of every requested lock
+   */
+  grantLocks(blueprint, sortedLocks) {
+    for (const lock of sortedLocks) {
+      const now = this.clock.now();
+      const entry = this.store.get(lock.identifier) || { type: lock.type, holders: [] };
+
+      // Expired holders no longer count; a re-acquiring blueprint replaces its own entry
+      entry.holders = entry.holders.filter(holder =>
+        !this.isOwnHolder(holder, blueprint.id) && now <= holder.expiresAt);
+      entry.holders.push({
+        lockedBy: blueprint.id,
+        session: this.sessionId,
+        mode: lock.mode,
+        acquiredAt: now,
+        expiresAt: now + this.maxLockDuration
+      });
+      this.store.set(lock.identifier, entry);
 
-      return {
-        success: true,
-        locks: sortedLocks
-      };
+      this.lockHistory.push({
+        action: 'acquired',
+        resourceId: lock.identifier,
+        blueprintId: blueprint.id,
+        timestamp: now
+      });
     }
 
-    // Conflicts exist - add to wait queue
-    console.log(`[Lock] ${blueprint.id} waiting for ${conflicts.length} resources`);
+    // Start timeout monitoring (no locks, no lease: renewLocks would never restart it)
+    if (sortedLocks.length > 0) {
+      this.startTimeout(blueprint.id);
+    }
 
+    console.log(`[Lock] Acquired ${sortedLocks.length} locks for ${blueprint.id}`);
+  }
+
+  recordWaiting(blueprint, conflicts) {
     for (const conflict of conflicts) {
-      if (!this.waitQueue.has(conflict.resource)) {
-        this.waitQueue.set(conflict.resource, []);
+      this.lockHistory.push({
+        action: 'waiting',
+        resourceId: conflict.resource,
+        blueprintId: blueprint.id,
+        lockedBy: conflict.lockedBy,
+        timestamp: this.clock.now()
+      });
+    }
+  }
+
+  /**
+   * Take a waiter out of the queue without granting its locks
+   */
+  removeWaiter(waiter) {
+    this.waiters = this.waiters.filter(other => other !== waiter);
+    waiter.cleanup();
+
+    for (const resource of waiter.resources) {
+      const queue = (this.waitQueue.get(resource) || []).filter(id => id !== waiter.blueprint.id);
+      if (queue.length > 0) {
+        this.waitQueue.set(resource, queue);
+      } else {
+        this.waitQueue.delete(resource);
+      }
+    }
+
+    if (this.waiters.length === 0 && this.unwatchStore) {
+      this.unwatchStore();
+      this.unwatchStore = null;
+    }
+  }
+
+  /**
+   * Stop waiting (timeout or abort); blueprints queued behind may now proceed
+   */
+  abandonWait(waiter, action, error) {
+    if (!this.waiters.includes(waiter)) return;
+
+    this.removeWaiter(waiter);
+    for (const resource of waiter.resources) {
+      this.lockHistory.push({
+        action,
+        resourceId: resource,
+        blueprintId: waiter.blueprint.id,
+        timestamp: this.clock.now()
+      });
+    }
+
+    console.warn(`[Lock] ${waiter.blueprint.id} stopped waiting for locks (${action})`);
+    waiter.reject(error);
+    this.processWaitQueue(waiter.resources);
+  }
+
+  /**
+   * Wait-for graph: an edge from every waiter to each blueprint blocking it
+   * Holders from other sessions are keyed "id@session"; they never wait here.
+   * @returns {Object} { nodes: string[], edges: [{ from, to, resource, reason: 'held'|'queued' }] }
+   */
+  getWaitForGraph() {
+    const edges = this.store.withLock(() => this.waiters.flatMap(waiter =>
+      this.findConflicts(waiter.blueprint, waiter.locks).map(conflict => ({
+        from: waiter.blueprint.id,
+        to: conflict.session ? `${conflict.lockedBy}@${conflict.session}` : conflict.lockedBy,
+        resource: conflict.resource,
+        reason: conflict.queued ? 'queued' : 'held'
+      }))));
+
+    const nodes = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))];
+    return { nodes, edges };
+  }
+
+  /**
+   * Cycles in the wait-for graph, and waits longer than longWaitThreshold
+   * @returns {Object} { cycles: [[edge]], longWaits: [{ blueprintId, waitedMs, blockedBy }] }
+   */
+  detectDeadlocks() {
+    const graph = this.getWaitForGraph();
+    const now = this.clock.now();
+
+    const longWaits = this.waiters
+      .filter(waiter => now - waiter.enqueuedAt > this.longWaitThreshold)
+      .map(waiter => ({
+        blueprintId: waiter.blueprint.id,
+        waitedMs: now - waiter.enqueuedAt,
+        blockedBy: graph.edges.filter(edge => edge.from === waiter.blueprint.id)
+      }));
+
+    return { cycles: findCycles(graph.edges), longWaits, graph };
+  }
+
+  /**
+   * Break every wait-for cycle by failing one waiter per cycle
+   * @returns {Array} Deadlock events that were emitted
+   */
+  resolveDeadlocks() {
+    const resolved = [];
+
+    // Failing a victim can unblock others; look again until no cycle is left
+    let cycle = findCycles(this.getWaitForGraph().edges)[0];
+    while (cycle) {
+      const candidates = cycle.map(edge => this.describeWaiter(edge.from));
+      const victimId = typeof this.deadlockPolicy === 'function'
+        ? this.deadlockPolicy(candidates)
+        : [...candidates].sort(DEADLOCK_POLICIES[this.deadlockPolicy])[0].blueprintId;
+      const victim = this.waiters.find(waiter => waiter.blueprint.id === victimId);
+
+      if (!victim || !cycle.some(edge => edge.from === victimId)) {
+        throw new Error(`Deadlock policy picked ${victimId}, which is not waiting in the cycle ${cycle.map(edge => edge.from).join(' -> ')}`);
       }
-      this.waitQueue.get(conflict.resource).push(blueprint.id);
+
+      const deadlock = {
+        cycle,
+        victim: victimId,
+        policy: typeof this.deadlockPolicy === 'function' ? 'custom' : this.deadlockPolicy,
+        candidates,
+        detectedAt: new Date(this.clock.now()).toISOString()
+      };
+      this.deadlocks.push(deadlock);
+
+      console.warn(`[Lock] Deadlock: ${cycle.map(edge => `${edge.from} -(${edge.resource})->`).join(' ')} ${cycle[0].from}; failing ${victimId}`);
+
+      const error = new Error(`Deadlock on resource locks: ${cycle.map(edge => edge.from).join(' -> ')} -> ${cycle[0].from} (${victimId} chosen as victim)`);
+      error.deadlock = deadlock;
+      this.abandonWait(victim, 'deadlock', error);
+      this.onEvent('deadlock_detected', deadlock);
+      resolved.push(deadlock);
+
+      cycle = findCycles(this.getWaitForGraph().edges)[0];
     }
 
+    return resolved;
+  }
+
+  /**
+   * Facts the victim policies compare
+   */
+  describeWaiter(blueprintId) {
+    const waiter = this.waiters.find(other => other.blueprint.id === blueprintId);
+    const held = this.store.withLock(() => this.store.entries())
+      .flatMap(([resourceId, entry]) => entry.holders
+        .filter(holder => this.isOwnHolder(holder, blueprintId))
+        .map(holder => ({ resourceId, acquiredAt: holder.acquiredAt })));
+
     return {
-      success: false,
-      conflicts,
-      action: 'wait'
+      blueprintId,
+      startedAt: held.length > 0 ? Math.min(...held.map(lock => lock.acquiredAt)) : waiter.enqueuedAt,
+      enqueuedAt: waiter.enqueuedAt,
+      completedSteps: this.completedSteps(blueprintId),
+      heldResources: held.map(lock => lock.resourceId),
+      waitingFor: waiter.resources
     };
   }
 
+  reportLongWait(waiter) {
+    if (!this.waiters.includes(waiter)) return;
+
+    const waitedMs = this.clock.now() - waiter.enqueuedAt;
+    const blockedBy = this.getWaitForGraph().edges.filter(edge => edge.from === waiter.blueprint.id);
+
+    console.warn(`[Lock] ${waiter.blueprint.id} has waited ${Math.round(waitedMs / 1000)}s for ${blockedBy.map(edge => `${edge.resource} (${edge.to})`).join(', ')}`);
+    this.onEvent('lock_wait_long', { blueprintId: waiter.blueprint.id, waitedMs, blockedBy });
+  }
+
   /**
    * Release all locks held by a blueprint
    */
@@ -117,19 +475,22 @@ class ResourceLockManager {
     const released = [];
 
     // Release all locks held by this blueprint
-    for (const [resourceId, lock] of this.locks) {
-      if (lock.lockedBy === blueprintId) {
-        this.locks.delete(resourceId);
-        released.push(resourceId);
-
-        this.lockHistory.push({
-          action: 'released',
-          resourceId,
-          blueprintId,
-          timestamp: Date.now()
-        });
+    this.store.withLock(() => {
+      for (const [resourceId, entry] of this.store.entries()) {
+        if (entry.holders.some(holder => this.isOwnHolder(holder, blueprintId))) {
+          entry.holders = entry.holders.filter(holder => !this.isOwnHolder(holder, blueprintId));
+          this.store.set(resourceId, entry);
+          released.push(resourceId);
+
+          this.lockHistory.push({
+            action: 'released',
+            resourceId,
+            blueprintId,
+            timestamp: this.clock.now()
+          });
+        }
       }
-    }
+    });
 
     // Clear timeout
     this.clearTimeout(blueprintId);
@@ -143,27 +504,80 @@ class ResourceLockManager {
   }
 
   /**
-   * Check if two lock requests conflict
+   * Extend a blueprint's leases by maxLockDuration from now
+   * @returns {number} Number of locks renewed
+   */
+  renewLocks(blueprintId) {
+    const renewed = this.extendLeases(blueprintId);
+
+    if (renewed > 0) {
+      this.startTimeout(blueprintId);
+    }
+
+    return renewed;
+  }
+
+  /**
+   * Move the expiry of a blueprint's leases to maxLockDuration from now,
+   * without restarting its timeout
+   * @returns {number} Number of leases extended
+   */
+  extendLeases(blueprintId) {
+    const now = this.clock.now();
+    let extended = 0;
+
+    this.store.withLock(() => {
+      for (const [resourceId, entry] of this.store.entries()) {
+        const own = entry.holders.filter(holder => this.isOwnHolder(holder, blueprintId));
+        if (own.length === 0) continue;
+
+        own.forEach(holder => { holder.expiresAt = now + this.maxLockDuration; });
+        this.store.set(resourceId, entry);
+        extended += own.length;
+      }
+    });
+
+    return extended;
+  }
+
+  /**
+   * Check if a held lock conflicts with a request
+   * @param {Object} existing - Holder: { lockedBy, mode, expiresAt }
+   * @param {Object} requested - Lock request: { identifier, mode }
    */
   hasConflict(existing, requested, requestedBy) {
     // Same blueprint can hold multiple locks
-    if (existing.lockedBy === requestedBy) {
+    if (this.isOwnHolder(existing, requestedBy)) {
       return false;
     }
 
     // Check if lock has expired
-    if (Date.now() > existing.expiresAt) {
+    if (this.clock.now() > existing.expiresAt) {
       console.warn(`[Lock] Lock expired: ${existing.lockedBy} on ${requested.identifier}`);
       return false; // Treat as no conflict (will be cleaned up)
     }
 
-    // Write locks are always exclusive
-    if (existing.mode === 'write' || requested.mode === 'write') {
-      return true;
+    // Read locks don't conflict with each other
+    if (existing.mode === 'read' && requested.mode === 'read') {
+      return false;
     }
 
-    // Read locks don't conflict with each other
-    return false;
+    // Write, alter and create locks are always exclusive
+    return true;
+  }
+
+  /**
+   * Whether a holder is this session's blueprint (other sessions may reuse blueprint IDs)
+   */
+  isOwnHolder(holder, blueprintId) {
+    return holder.lockedBy === blueprintId && (holder.session || this.sessionId) === this.sessionId;
+  }
+
+  /**
+   * Lock mode for a resource, from the blueprint's resources.access
+   */
+  accessMode(blueprint, identifier) {
+    return blueprint.resources.access?.[identifier] || 'write';
   }
 
   /**
@@ -172,18 +586,18 @@ class ResourceLockManager {
   extractRequiredLocks(blueprint) {
     const locks = [];
 
-    // Table locks (write mode)
+    // Table locks (mode from resources.access)
     if (blueprint.resources.tables) {
       for (const table of blueprint.resources.tables) {
         locks.push({
           type: RESOURCE_TYPES.TABLE,
           identifier: `table:${table}`,
-          mode: 'write'
+          mode: this.accessMode(blueprint, `table:${table}`)
         });
       }
     }
 
-    // Migration locks (always write, always sequential)
+    // Migration locks (always exclusive, always sequential)
     if (blueprint.resources.migrations) {
       for (const migration of blueprint.resources.migrations) {
         locks.push({
@@ -194,39 +608,65 @@ class ResourceLockManager {
       }
     }
 
-    // Route locks (write mode)
+    // Route locks (mode from resources.access)
     if (blueprint.resources.routes) {
       for (const route of blueprint.resources.routes) {
         locks.push({
           type: RESOURCE_TYPES.ROUTE,
           identifier: `route:${route}`,
-          mode: 'write'
+          mode: this.accessMode(blueprint, `route:${route}`)
         });
       }
     }
 
-    // Component locks (write mode)
+    // Component locks (mode from resources.access)
     if (blueprint.resources.components) {
       for (const component of blueprint.resources.components) {
         locks.push({
           type: RESOURCE_TYPES.COMPONENT,
           identifier: `component:${component}`,
-          mode: 'write'
+          mode: this.accessMode(blueprint, `component:${component}`)
         });
       }
     }
 
-    // Function locks (write mode)
+    // Function locks (mode from resources.access)
     if (blueprint.resources.functions) {
       for (const func of blueprint.resources.functions) {
         locks.push({
           type: RESOURCE_TYPES.SERVICE_FUNCTION,
           identifier: `function:${func}`,
-          mode: 'write'
+          mode: this.accessMode(blueprint, `function:${func}`)
+        });
+      }
+    }
+
+    // Enum, view and trigger locks (mode from resources.access)
+    const databaseObjects = [
+      ['enums', RESOURCE_TYPES.ENUM],
+      ['views', RESOURCE_TYPES.VIEW],
+      ['triggers', RESOURCE_TYPES.TRIGGER]
+    ];
+
+    for (const [key, type] of databaseObjects) {
+      for (const name of blueprint.resources[key] || []) {
+        locks.push({
+          type,
+          identifier: `${type}:${name}`,
+          mode: this.accessMode(blueprint, `${type}:${name}`)
         });
       }
     }
 
+    // File locks (mode from resources.access) for files declared by project blueprint types
+    for (const file of blueprint.resources.files || []) {
+      locks.push({
+        type: RESOURCE_TYPES.FILE,
+        identifier: `file:${file}`,
+        mode: this.accessMode(blueprint, `file:${file}`)
+      });
+    }
+
     return locks;
   }
 
@@ -251,14 +691,22 @@ class ResourceLockManager {
    * Start timeout monitoring for a blueprint
    */
   startTimeout(blueprintId) {
-    const timeout = setTimeout(() => {
-      console.warn(`[Lock] Blueprint ${blueprintId} exceeded max lock duration`);
+    // A re-grant or renewal replaces the running timeout
+    this.clearTimeout(blueprintId);
 
-      // Force release locks
-      this.releaseLocks(blueprintId);
+    const timeout = this.clock.setTimeout(() => {
+      this.timeouts.delete(blueprintId);
+      console.warn(`[Lock] Blueprint ${blueprintId} exceeded max lock duration`);
 
-      // Mark blueprint as failed (handled by orchestrator)
+      // Cancel the owner first so it stops writing (handled by orchestrator)
       this.handleTimeout(blueprintId);
+
+      if (this.releaseOnExpiry) {
+        this.releaseLocks(blueprintId);
+      } else {
+        // Still held for others until the owner has stopped and releases them
+        this.extendLeases(blueprintId);
+      }
     }, this.maxLockDuration);
 
     this.timeouts.set(blueprintId, timeout);
@@ -270,7 +718,7 @@ class ResourceLockManager {
   clearTimeout(blueprintId) {
     const timeout = this.timeouts.get(blueprintId);
     if (timeout) {
-      clearTimeout(timeout);
+      this.clock.clearTimeout(timeout);
       this.timeouts.delete(blueprintId);
     }
   }
@@ -279,24 +727,43 @@ class ResourceLockManager {
    * Handle lock timeout
    */
   handleTimeout(blueprintId) {
-    // Escalate to orchestrator for retry or manual intervention
-    console.error(`[Lock] TIMEOUT: Blueprint ${blueprintId} held locks for >15 minutes`);
+    const resources = this.store.withLock(() => this.store.entries())
+      .filter(([, entry]) => entry.holders.some(holder => this.isOwnHolder(holder, blueprintId)))
+      .map(([resourceId]) => resourceId);
+
+    // Escalate to orchestrator for cancellation and rescheduling
+    console.error(`[Lock] TIMEOUT: Blueprint ${blueprintId} lease expired (no renewal for ${Math.round(this.maxLockDuration / 60000)} minutes)`);
+    this.onEvent('lease_expired', {
+      blueprintId,
+      resources,
+      expiredAt: new Date(this.clock.now()).toISOString()
+    });
   }
 
   /**
-   * Process wait queue when resources are released
+   * Wake waiters after resources are released
+   * Waiters are tried in arrival order; each one whose locks are all free
+   * (and not wanted by an earlier waiter) is granted them and resumes.
    */
-  processWaitQueue(releasedResources) {
-    for (const resource of releasedResources) {
-      const waiting = this.waitQueue.get(resource);
-
-      if (waiting && waiting.length > 0) {
-        console.log(`[Lock] Resource ${resource} now available for ${waiting.length} waiting blueprints`);
-        // Orchestrator will retry acquisition for waiting blueprints
+  processWaitQueue(releasedResources = []) {
+    if (this.waiters.length === 0) return;
+
+    this.store.withLock(() => {
+      for (const waiter of [...this.waiters]) {
+        if (this.findConflicts(waiter.blueprint, waiter.locks).length > 0) continue;
+
+        this.removeWaiter(waiter);
+        this.grantLocks(waiter.blueprint, waiter.locks);
+        waiter.resolve({
+          success: true,
+          locks: waiter.locks,
+          waitedMs: this.clock.now() - waiter.enqueuedAt
+        });
       }
+    });
 
-      // Clean up empty queue entries
-      this.waitQueue.delete(resource);
+    if (releasedResources.length > 0 && this.waiters.length > 0) {
+      console.log(`[Lock] ${this.waiters.length} blueprints still waiting after release of ${releasedResources.length} resources`);
     }
   }
 
@@ -307,15 +774,20 @@ class ResourceLockManager {
     const activeLocks = [];
     const waiting = [];
 
-    for (const [resourceId, lock] of this.locks) {
-      const age = Math.floor((Date.now() - lock.acquiredAt) / 1000);
-      activeLocks.push({
-        resource: resourceId,
-        type: lock.type,
-        mode: lock.mode,
-        lockedBy: lock.lockedBy,
-        ageSeconds: age
-      });
+    // One entry per holder (a shared read lock lists every reader)
+    for (const [resourceId, entry] of this.store.withLock(() => this.store.entries())) {
+      for (const holder of entry.holders) {
+        const age = Math.floor((this.clock.now() - holder.acquiredAt) / 1000);
+        activeLocks.push({
+          resource: resourceId,
+          type: entry.type,
+          mode: holder.mode,
+          lockedBy: holder.lockedBy,
+          session: holder.session || this.sessionId,
+          external: (holder.session || this.sessionId) !== this.sessionId,
+          ageSeconds: age
+        });
+      }
     }
 
     for (const [resourceId, blueprints] of this.waitQueue) {
@@ -332,30 +804,31 @@ class ResourceLockManager {
    * Check for stale locks and clean them up
    */
   cleanupStaleLocks() {
-    const now = Date.now();
+    const now = this.clock.now();
     const stale = [];
 
-    for (const [resourceId, lock] of this.locks) {
-      if (now > lock.expiresAt) {
+    this.store.withLock(() => {
+      for (const [resourceId, entry] of this.store.entries()) {
+        const expired = entry.holders.filter(holder => now > holder.expiresAt);
+        if (expired.length === 0) continue;
+
         stale.push(resourceId);
+        entry.holders = entry.holders.filter(holder => now <= holder.expiresAt);
+        this.store.set(resourceId, entry);
+
+        for (const holder of expired) {
+          this.lockHistory.push({
+            action: 'expired',
+            resourceId,
+            blueprintId: holder.lockedBy,
+            timestamp: now
+          });
+        }
       }
-    }
+    });
 
     if (stale.length > 0) {
-      console.warn(`[Lock] Cleaning up ${stale.length} stale locks`);
-
-      for (const resourceId of stale) {
-        const lock = this.locks.get(resourceId);
-        this.locks.delete(resourceId);
-
-        this.lockHistory.push({
-          action: 'expired',
-          resourceId,
-          blueprintId: lock.lockedBy,
-          timestamp: now
-        });
-      }
-
+      console.warn(`[Lock] Cleaned up stale locks on ${stale.length} resources`);
       this.processWaitQueue(stale);
     }
   }
@@ -374,7 +847,7 @@ class ResourceLockManager {
       console.log('Active Locks:');
       status.activeLocks.forEach(lock => {
         console.log(`  ${lock.resource}`);
-        console.log(`    Locked by: ${lock.lockedBy}`);
+        console.log(`    Locked by: ${lock.lockedBy}${lock.external ? ` (session ${lock.session})` : ''}`);
         console.log(`    Mode: ${lock.mode}`);
         console.log(`    Age: ${lock.ageSeconds}s`);
       });
@@ -385,10 +858,63 @@ class ResourceLockManager {
       status.waiting.forEach(w => {
         console.log(`  ${w.resource}: ${w.waitingBlueprints.join(', ')}`);
       });
+
+      console.log('\nWait-for Graph:');
+      this.getWaitForGraph().edges.forEach(edge => {
+        console.log(`  ${edge.from} -> ${edge.to} (${edge.resource}, ${edge.reason})`);
+      });
+    }
+
+    if (this.deadlocks.length > 0) {
+      console.log(`\nDeadlocks resolved: ${this.deadlocks.length}`);
+      this.deadlocks.forEach(deadlock => {
+        console.log(`  ${deadlock.cycle.map(edge => edge.from).join(' -> ')} -> ${deadlock.cycle[0].from} (victim ${deadlock.victim})`);
+      });
     }
 
     console.log('');
   }
 }
 
-module.exports = { ResourceLockManager, RESOURCE_TYPES };
+/**
+ * Elementary cycles through the wait-for edges, each reported once
+ * @returns {Array} Cycles as edge lists, starting at the smallest blueprint ID
+ */
+function findCycles(edges) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  }
+
+  const cycles = new Map(); // canonical key -> cycle
+  const path = [];
+  const onPath = new Set();
+  const finished = new Set();
+
+  const visit = node => {
+    onPath.add(node);
+    for (const edge of outgoing.get(node) || []) {
+      path.push(edge);
+      if (onPath.has(edge.to)) {
+        const cycle = path.slice(path.findIndex(step => step.from === edge.to));
+        const start = cycle.reduce((min, step, i) => (step.from < cycle[min].from ? i : min), 0);
+        const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+        cycles.set(rotated.map(step => step.from).join('>'), rotated);
+      } else if (!finished.has(edge.to)) {
+        visit(edge.to);
+      }
+      path.pop();
+    }
+    onPath.delete(node);
+    finished.add(node);
+  };
+
+  for (const node of outgoing.keys()) {
+    if (!finished.has(node)) visit(node);
+  }
+
+  return [...cycles.values()];
+}
+
+module.exports = { ResourceLockManager, RESOURCE_TYPES, DEADLOCK_POLICIES };
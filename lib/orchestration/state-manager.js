@@ -102,6 +102,7 @@ class StateManager {
       executing: 0,
       completed: 0,
       failed: 0,
+      timedOut: 0,
       maxConcurrent: 5, // Max sub-agents in parallel
       currentConcurrent: 0,
       overallProgress: 0
@@ -225,6 +226,22 @@ class StateManager {
     await this.logEvent('lock_released', { blueprintId, resourceIds });
   }
 
+  /**
+   * Record a lock deadlock and the waiter failed to break it
+   * @param {Object} deadlock - { cycle: [{ from, to, resource, reason }], victim, policy, candidates, detectedAt }
+   */
+  async recordDeadlock(deadlock) {
+    this.state.locks.history.push({
+      type: 'deadlock',
+      blueprints: deadlock.cycle.map(edge => edge.from),
+      victim: deadlock.victim,
+      detectedAt: deadlock.detectedAt
+    });
+
+    await this.saveState();
+    await this.logEvent('deadlock_detected', deadlock);
+  }
+
   /**
    * Create checkpoint for recovery
    */
@@ -287,9 +304,9 @@ class StateManager {
       JSON.stringify(this.state, null, 2)
     );
 
-    // Update active session pointer
+    // Update active session pointer (.orchestration/active.json)
     const orchestrationRoot = path.join(
-      path.dirname(path.dirname(path.dirname(this.sessionPath))),
+      path.dirname(path.dirname(this.sessionPath)),
       'active.json'
     );
 
@@ -335,6 +352,7 @@ class StateManager {
     ).length;
     exec.completed = this.state.blueprints.filter(bp => bp.status === 'completed').length;
     exec.failed = this.state.blueprints.filter(bp => bp.status === 'failed').length;
+    exec.timedOut = this.state.blueprints.filter(bp => bp.status === 'timed_out').length;
 
     exec.overallProgress = Math.round(
       (exec.completed / this.state.stats.totalBlueprints) * 100
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Workspace snapshots
+ *
+ * A snapshot maps every file git reports as modified, added, deleted or
+ * untracked to a content hash (null for deleted files). Comparing the
+ * snapshots taken before and after an agent call gives the files the call
+ * touched, without walking the whole tree. Paths are relative to the
+ * repository's top level, wherever the orchestrator runs inside it. The
+ * orchestrator's own state directories are left out.
+ *
+ * Parallel agents share one working tree, so WorkspaceTracker snapshots at
+ * every agent start and finish. A change between two snapshots belongs to
+ * the agents running in that interval; when several were running, to the
+ * one that declared the file. From that it reports each blueprint's real
+ * changes, writes outside declared resources, and files changed by more
+ * than one blueprint.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+// State directories, wherever the orchestrator runs inside the repository
+const IGNORED_DIRS = ['.dev-framework', '.orchestration'];
+
+/**
+ * Top level of the git working tree containing a directory
+ * @returns {Promise<string|null>} Absolute path, or null outside git
+ */
+async function findRepositoryRoot(dir) {
+  try {
+    return (await git(dir, ['rev-parse', '--show-toplevel'])).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Snapshot the changed files of a git working tree
+ * @param {string} root - Repository root (or any directory inside it)
+ * @param {string} [topLevel] - Already resolved top level of the repository
+ * @returns {Promise<Map|null>} path relative to the top level -> sha256 (null if
+ *   deleted), or null outside git
+ */
+async function captureWorkspace(root, topLevel) {
+  const top = topLevel || await findRepositoryRoot(root);
+  if (!top) return null;
+
+  let output;
+  try {
+    output = await git(top, ['status', '--porcelain', '-z', '--untracked-files=all']);
+  } catch {
+    return null;
+  }
+
+  const snapshot = new Map();
+  const entries = output.split('\0');
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+
+    const status = entry.slice(0, 2);
+    const paths = [entry.slice(3)];
+
+    // Renames and copies are followed by the original path
+    if (status.includes('R') || status.includes('C')) {
+      paths.push(entries[++i]);
+    }
+
+    for (const filePath of paths) {
+      if (filePath.split('/').some(segment => IGNORED_DIRS.includes(segment))) continue;
+      snapshot.set(filePath, await hashFile(path.join(top, filePath)));
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Files whose content differs between two snapshots
+ * A file missing from one snapshot matches HEAD there; it changed if the
+ * other snapshot lists it at all.
+ * @returns {Array} [{ path, before, after }] sorted by path
+ */
+function diffWorkspace(before, after) {
+  if (!before || !after) return [];
+
+  const paths = new Set([...before.keys(), ...after.keys()]);
+  const changed = [];
+
+  for (const filePath of paths) {
+    const was = before.has(filePath) ? before.get(filePath) : 'HEAD';
+    const now = after.has(filePath) ? after.get(filePath) : 'HEAD';
+    if (was !== now) {
+      changed.push({ path: filePath, before: was, after: now });
+    }
+  }
+
+  return changed.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Whether a file is covered by a blueprint's declared resources
+ * Entries may be paths (files, functions) or bare names (components,
+ * migrations); a bare name matches the file name, tests included.
+ */
+function declaresFile(resources = {}, filePath) {
+  const normalized = filePath.split(path.sep).join('/');
+  const stem = path.posix.basename(normalized).replace(/\.(test|spec)(?=\.)/, '').replace(/\.[^.]+$/, '');
+
+  const entries = [
+    ...(resources.files || []),
+    ...(resources.functions || []),
+    ...(resources.components || []),
+    ...(resources.migrations || [])
+  ];
+
+  return entries.some(entry => {
+    const declared = entry.replace(/^\.?\//, '');
+    if (normalized === declared || normalized.endsWith(`/${declared}`)) return true;
+    return !declared.includes('/') && stem === declared.replace(/\.[^.]+$/, '');
+  });
+}
+
+class WorkspaceTracker {
+  /**
+   * @param {string} root - Working tree to watch
+   * @param {Object} [options] - { declares } (blueprintId, filePath) => boolean
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.repositoryRoot = null; // Top level the change paths are relative to
+    this.declares = options.declares || (() => false);
+    this.running = new Set();
+    this.last = null;
+    this.available = true;
+    this.changes = new Map(); // filePath -> [{ candidates: [blueprintIds], deleted }]
+    this.step = 0; // Snapshots taken; orders the runs
+    this.runs = new Map(); // blueprintId -> [{ from, to }] in snapshot steps (to is null while running)
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Snapshot before a blueprint's agent call
+   */
+  start(blueprintId) {
+    return this.serialize(async () => {
+      await this.advance();
+      this.running.add(blueprintId);
+      if (!this.runs.has(blueprintId)) this.runs.set(blueprintId, []);
+      this.runs.get(blueprintId).push({ from: this.step, to: null });
+    });
+  }
+
+  /**
+   * Snapshot after a blueprint's agent call
+   * @returns {Promise<Array>} The blueprint's changes (see changesOf)
+   */
+  finish(blueprintId) {
+    return this.serialize(async () => {
+      await this.advance();
+      this.running.delete(blueprintId);
+      const run = (this.runs.get(blueprintId) || []).find(r => r.to === null);
+      if (run) run.to = this.step;
+      return this.changesOf(blueprintId);
+    });
+  }
+
+  /**
+   * Files changed while the blueprint ran
+   * @returns {Array} [{ path, deleted, declared, sharedWith }] - sharedWith lists
+   *   other blueprints that may have made the change
+   */
+  changesOf(blueprintId) {
+    const result = [];
+
+    for (const [filePath, records] of this.changes) {
+      const own = records.filter(record => record.candidates.includes(blueprintId));
+      if (own.length === 0) continue;
+
+      const sharedWith = [...new Set(own.flatMap(record => record.candidates))]
+        .filter(id => id !== blueprintId);
+
+      result.push({
+        path: filePath,
+        deleted: own[own.length - 1].deleted,
+        declared: this.declares(blueprintId, filePath),
+        sharedWith
+      });
+    }
+
+    return result.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Changed files no candidate blueprint declared
+   * @param {Array} [blueprintIds] - Only changes involving these blueprints
+   * @returns {Array} [{ file, blueprints }]
+   */
+  undeclaredWrites(blueprintIds) {
+    const writes = [];
+
+    for (const [filePath, records] of this.changes) {
+      const candidates = this.candidatesFor(records, blueprintIds);
+      if (candidates.length === 0) continue;
+      if (candidates.some(id => this.declares(id, filePath))) continue;
+      writes.push({ file: filePath, blueprints: candidates });
+    }
+
+    return writes;
+  }
+
+  /**
+   * Files changed by more than one blueprint running in parallel
+   * 'overlap': blueprints whose runs overlapped each changed it while
+   * running alone (or as its only declarer); 'possible-overlap': a change
+   * while several blueprints ran that none or several of them declared.
+   * Blueprints that changed a file one after another (e.g. GET and POST
+   * handlers of one route.ts, serialized by their locks) are no overlap.
+   * @param {Array} [blueprintIds] - Only changes involving these blueprints
+   * @returns {Array} [{ file, blueprints, kind }]
+   */
+  overlaps(blueprintIds) {
+    const found = [];
+    const involved = (a, b) => !blueprintIds || blueprintIds.includes(a) || blueprintIds.includes(b);
+
+    for (const [filePath, records] of this.changes) {
+      // The other side of an overlap may be any blueprint, so every record of the file counts
+      if (this.candidatesFor(records, blueprintIds).length === 0) continue;
+
+      const owners = [...new Set(records
+        .filter(record => record.candidates.length === 1)
+        .map(record => record.candidates[0]))];
+      const parallel = owners.filter(id => owners.some(other =>
+        other !== id && involved(id, other) && this.ranConcurrently(id, other)));
+
+      if (parallel.length > 1) {
+        found.push({ file: filePath, blueprints: parallel, kind: 'overlap' });
+        continue;
+      }
+
+      // Records with several candidates are changes none or several of them declared
+      const shared = [...new Set(records
+        .filter(record => record.candidates.length > 1)
+        .flatMap(record => record.candidates))];
+      if (shared.length > 0) {
+        const alongside = owners.filter(id => shared.some(other => other !== id && this.ranConcurrently(id, other)));
+        found.push({ file: filePath, blueprints: [...new Set([...alongside, ...shared])], kind: 'possible-overlap' });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Whether any run of a overlapped in time with any run of b
+   */
+  ranConcurrently(a, b) {
+    const runsOf = id => this.runs.get(id) || [];
+    const end = run => (run.to === null ? Infinity : run.to);
+
+    return runsOf(a).some(ra => runsOf(b).some(rb => ra.from < end(rb) && rb.from < end(ra)));
+  }
+
+  candidatesFor(records, blueprintIds) {
+    return [...new Set(records.flatMap(record => record.candidates))]
+      .filter(id => !blueprintIds || blueprintIds.includes(id));
+  }
+
+  /**
+   * Take a snapshot and attribute what changed since the last one
+   */
+  async advance() {
+    this.step++;
+    if (!this.available) return;
+
+    if (!this.repositoryRoot) {
+      this.repositoryRoot = await findRepositoryRoot(this.root);
+    }
+
+    const snapshot = this.repositoryRoot && await captureWorkspace(this.root, this.repositoryRoot);
+    if (!snapshot) {
+      this.available = false; // Not a git working tree
+      return;
+    }
+
+    // Changes while no agent ran (e.g. the developer's) belong to nobody
+    if (this.last && this.running.size > 0) {
+      for (const change of diffWorkspace(this.last, snapshot)) {
+        let candidates = [...this.running];
+        const declaredBy = candidates.filter(id => this.declares(id, change.path));
+        if (candidates.length > 1 && declaredBy.length === 1) {
+          candidates = declaredBy;
+        }
+
+        if (!this.changes.has(change.path)) this.changes.set(change.path, []);
+        this.changes.get(change.path).push({ candidates, deleted: change.after === null });
+      }
+    }
+
+    this.last = snapshot;
+  }
+
+  /**
+   * Run snapshot steps one at a time so intervals never interleave
+   */
+  serialize(step) {
+    const result = this.queue.then(step);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+async function hashFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    if (error.code === 'EISDIR') return 'directory';
+    throw error;
+  }
+}
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
+module.exports = { findRepositoryRoot, captureWorkspace, diffWorkspace, declaresFile, WorkspaceTracker };
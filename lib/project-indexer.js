@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Project Indexer - What already exists in a brownfield project
+ *
+ * Indexes a Next.js (app router) + Supabase project so BlueprintDecomposer
+ * can tell creating a file from modifying one:
+ * - app router pages, layouts and route handlers, keyed by URL route
+ * - components and other modules, keyed by path and export name
+ * - the import graph (with `@/` and relative specifiers resolved), used to
+ *   find the files that must be re-verified when one changes
+ * - tables in supabase/migrations (via MigrationReplayer)
+ *
+ * Every indexed file carries a sha256 of its contents so a plan can detect
+ * files that changed between planning and execution.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { CodeReferenceScanner } = require('./code-references');
+const { MigrationReplayer } = require('./migration-replayer');
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx'];
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.next', '.git', '.dev-framework', 'dist', 'build', 'coverage', 'out']);
+const SOURCE_ROOTS = ['src', 'app', 'components', 'lib', 'hooks'];
+
+class ProjectIndexer {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.scanner = new CodeReferenceScanner();
+  }
+
+  /**
+   * Build the index
+   * @returns {Promise<Object>} index - { files, routes, components, importers, tables }
+   */
+  async build() {
+    const index = {
+      files: new Map(),      // relative path -> { path, kind, hash, route, exports, imports }
+      routes: new Map(),     // "/orders" or "/api/orders" -> relative path of page / route handler
+      components: new Map(), // export name -> [relative paths]
+      importers: new Map(),  // relative path -> Set of files importing it
+      tables: new Map()      // table name -> migration file creating it
+    };
+
+    const aliasRoot = await this.detectAliasRoot();
+    const files = [];
+    for (const root of SOURCE_ROOTS) {
+      files.push(...await this.walk(path.join(this.projectPath, root)));
+    }
+
+    for (const absolute of files) {
+      const relative = this.relative(absolute);
+      if (index.files.has(relative)) continue;
+
+      const buffer = await fs.readFile(absolute);
+      const content = buffer.toString('utf8');
+      const entry = {
+        path: relative,
+        kind: this.classify(relative),
+        hash: this.hashContent(buffer),
+        route: this.routeFor(relative),
+        exports: this.findExports(content),
+        imports: []
+      };
+
+      for (const imported of this.scanner.findImports(content)) {
+        const resolved = await this.resolveImport(imported.source, absolute, aliasRoot);
+        if (resolved) entry.imports.push(resolved);
+      }
+
+      index.files.set(relative, entry);
+      if (entry.route) index.routes.set(entry.route, relative);
+      for (const name of entry.exports) {
+        if (!index.components.has(name)) index.components.set(name, []);
+        index.components.get(name).push(relative);
+      }
+    }
+
+    for (const entry of index.files.values()) {
+      for (const imported of entry.imports) {
+        if (!index.importers.has(imported)) index.importers.set(imported, new Set());
+        index.importers.get(imported).add(entry.path);
+      }
+    }
+
+    const state = await new MigrationReplayer(this.projectPath).replay();
+    for (const table of state.tables.values()) {
+      if (table.file) index.tables.set(table.name, table.file);
+    }
+
+    console.log(`   → Indexed project: ${index.files.size} source files, ${index.routes.size} routes, ${index.tables.size} tables`);
+
+    return index;
+  }
+
+  /**
+   * Files that (transitively) import a file, nearest first
+   * @returns {Array<{path, kind, route, via}>} via = the file it imports on the way
+   */
+  dependentsOf(index, file) {
+    const dependents = [];
+    const seen = new Set([file]);
+    const queue = [file];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const importer of index.importers.get(current) || []) {
+        if (seen.has(importer)) continue;
+        seen.add(importer);
+        queue.push(importer);
+
+        const entry = index.files.get(importer);
+        dependents.push({ path: importer, kind: entry.kind, route: entry.route, via: current });
+      }
+    }
+
+    return dependents;
+  }
+
+  /**
+   * page | layout | route | component | module
+   */
+  classify(relative) {
+    const base = path.posix.basename(relative).replace(/\.(tsx?|jsx?)$/, '');
+    if (this.isAppFile(relative)) {
+      if (base === 'page') return 'page';
+      if (base === 'route') return 'route';
+      if (base === 'layout') return 'layout';
+    }
+    if (/\.(tsx|jsx)$/.test(relative) && /^[A-Z]/.test(base)) return 'component';
+    if (relative.includes('/components/')) return 'component';
+    return 'module';
+  }
+
+  /**
+   * URL route of an app router page or route handler
+   * Route groups "(x)" and parallel slots "@x" are not part of the URL.
+   */
+  routeFor(relative) {
+    if (!this.isAppFile(relative)) return null;
+
+    const base = path.posix.basename(relative).replace(/\.(tsx?|jsx?)$/, '');
+    if (base !== 'page' && base !== 'route') return null;
+
+    const segments = path.posix.dirname(relative)
+      .replace(/^(src\/)?app\/?/, '')
+      .split('/')
+      .filter(segment => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith('@'));
+
+    return `/${segments.join('/')}`;
+  }
+
+  isAppFile(relative) {
+    return /^(src\/)?app\//.test(relative);
+  }
+
+  findExports(content) {
+    const names = new Set();
+    for (const match of content.matchAll(/export\s+(?:default\s+)?(?:async\s+)?(?:function|const|class)\s+(\w+)/g)) {
+      names.add(match[1]);
+    }
+    for (const match of content.matchAll(/export\s*\{([^}]*)\}/g)) {
+      for (const part of match[1].split(',')) {
+        const name = part.trim().split(/\s+as\s+/).pop().trim();
+        if (name) names.add(name);
+      }
+    }
+    return Array.from(names);
+  }
+
+  /**
+   * Resolve an import specifier to an indexed relative path (null for packages)
+   */
+  async resolveImport(specifier, fromFile, aliasRoot) {
+    let base;
+    if (specifier.startsWith('@/')) {
+      base = path.join(this.projectPath, aliasRoot, specifier.slice(2));
+    } else if (specifier.startsWith('.')) {
+      base = path.resolve(path.dirname(fromFile), specifier);
+    } else {
+      return null;
+    }
+
+    const candidates = [
+      base,
+      ...SOURCE_EXTENSIONS.map(ext => base + ext),
+      ...SOURCE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        const stat = await fs.stat(candidate);
+        if (stat.isFile()) return this.relative(candidate);
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Directory the "@/" alias points at (tsconfig paths, else src/ if present)
+   */
+  async detectAliasRoot() {
+    try {
+      const tsconfig = await fs.readFile(path.join(this.projectPath, 'tsconfig.json'), 'utf8');
+      // tsconfig allows comments and trailing commas
+      const json = JSON.parse(tsconfig.replace(/\/\*[\s\S]*?\*\/|^\s*\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1'));
+      const target = json.compilerOptions?.paths?.['@/*']?.[0];
+      if (target) return target.replace(/^\.\//, '').replace(/\/?\*$/, '');
+    } catch (error) {
+      // No (readable) tsconfig - fall through to the default
+    }
+
+    try {
+      await fs.access(path.join(this.projectPath, 'src'));
+      return 'src';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  async walk(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const full = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) files.push(...await this.walk(full));
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+        files.push(full);
+      }
+    }
+    return files;
+  }
+
+  relative(absolute) {
+    return path.relative(this.projectPath, absolute).split(path.sep).join('/');
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+}
+
+module.exports = { ProjectIndexer };
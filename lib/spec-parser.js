@@ -5,22 +5,44 @@
  * actual requirements instead of applying generic templates.
  */
 
+const crypto = require('crypto');
+const { SQLParser } = require('./sql-parser');
+const { FrontMatterParser } = require('./front-matter');
+const { OpenAPIConverter } = require('./openapi');
+const { CodeReferenceScanner, HTTP_METHODS } = require('./code-references');
+
 class SpecParser {
   constructor() {
     this.spec = null;
     this.sections = new Map();
+    this.frontMatterError = null;
+    this.structuredErrors = [];
   }
 
   /**
    * Parse a spec document and extract structured data
+   *
+   * Structured data from a front-matter block or a sibling spec.json /
+   * spec.yaml (options.structured) is merged over the markdown extraction;
+   * on conflicts the structured entry wins. Front matter wins over the sibling.
+   *
+   * An OpenAPI 3 document (options.openapi) is another endpoint source; its
+   * operations override markdown endpoints and carry their contract. Other
+   * endpoints get a contract built from the spec's TypeScript interfaces.
    * @param {string} content - The spec markdown content
+   * @param {Object} [options]
+   * @param {Object} [options.structured] - Parsed sibling spec data
+   * @param {Object} [options.openapi] - OpenAPI 3 document
    * @returns {Object} Parsed spec data
    */
-  parse(content) {
-    this.spec = content;
+  parse(content, options = {}) {
+    const frontMatter = new FrontMatterParser().extract(content);
+    this.frontMatterError = frontMatter.error;
+    this.structuredErrors = [];
+    this.spec = frontMatter.body;
     this.buildSectionMap();
 
-    return {
+    const parsed = {
       database: this.extractDatabaseSchema(),
       rpcFunctions: this.extractRPCFunctions(),
       rlsPolicies: this.extractRLSPolicies(),
@@ -28,14 +50,568 @@ class SpecParser {
       api: this.extractAPIEndpoints(),
       ui: this.extractUIComponents(),
       security: this.extractSecurityRequirements(),
-      performance: this.extractPerformanceOptimizations()
+      performance: this.extractPerformanceOptimizations(),
+      ...this.extractUserStories()
+    };
+
+    const openapi = new OpenAPIConverter();
+
+    if (options.openapi) {
+      // Markdown may write path parameters either way; imported routes use [id]
+      this.mergeEntries(parsed.api, openapi.importDocument(options.openapi), e => `${e.method} ${openapi.toNextRoute(e.route)}`);
+    }
+
+    this.mergeStructured(parsed, options.structured, 'sibling');
+    this.mergeStructured(parsed, frontMatter.data, 'front-matter');
+
+    const typeSchemas = this.extractTypeSchemas();
+    for (const endpoint of parsed.api) {
+      if (!endpoint.contract) {
+        endpoint.contract = openapi.contractFromTypes(endpoint, typeSchemas);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * JSON Schemas for the interfaces and type aliases in TypeScript blocks
+   * @returns {Object} Type name -> JSON Schema
+   */
+  extractTypeSchemas() {
+    const code = this.findCodeBlocks(['typescript', 'ts', 'tsx'])
+      .map(block => block.content)
+      .join('\n');
+
+    return new OpenAPIConverter().parseTypeScript(code);
+  }
+
+  /**
+   * Overlay keyed entries onto a list: matches are merged field by field
+   * (incoming fields win), anything else is appended
+   */
+  mergeEntries(target, entries, keyOf) {
+    for (const entry of entries) {
+      const index = target.findIndex(existing => keyOf(existing) === keyOf(entry));
+      if (index === -1) {
+        target.push(entry);
+      } else {
+        target[index] = { ...target[index], ...entry };
+      }
+    }
+  }
+
+  /**
+   * Compare two revisions of a spec
+   *
+   * Reports what a revision adds, removes and changes so the decomposer can
+   * plan only the delta instead of re-planning the whole feature.
+   * @param {string} oldContent - Spec content the plan was built from
+   * @param {string} newContent - Current spec content
+   * @param {Object} [options] - { oldStructured, newStructured } sibling data
+   * @returns {Object} { changed, summary, tables, enums, types, functions, views, triggers, indexes,
+   *   policies, rpcFunctions, services, endpoints, components }
+   *   Each category: { added: [], removed: [], changed: [{ key, old, new, fields }] }
+   *   Changed tables also carry columns: { added, removed, changed }
+   *   functions holds the database functions that are not RPC functions (trigger functions)
+   */
+  diff(oldContent, newContent, options = {}) {
+    const oldParsed = new SpecParser().parse(oldContent, { structured: options.oldStructured });
+    const newParsed = new SpecParser().parse(newContent, { structured: options.newStructured });
+
+    return this.diffParsed(oldParsed, newParsed);
+  }
+
+  /**
+   * Compare two parse() results (see diff())
+   */
+  diffParsed(oldParsed, newParsed) {
+    const policyKey = p => `${p.table}.${p.name}`;
+    const namedPolicies = parsed => parsed.rlsPolicies.filter(p => p.name);
+    // RPC functions are compared on their own; the rest would be counted twice
+    const nonRPCFunctions = parsed => parsed.database.functions
+      .filter(f => !parsed.rpcFunctions.some(rpc => rpc.name === f.name));
+    const database = (parsed, kind) => parsed.database[kind] || [];
+
+    const result = {
+      tables: this.diffEntries(oldParsed.database.tables, newParsed.database.tables,
+        t => t.name, ['constraints']),
+      enums: this.diffEntries(database(oldParsed, 'enums'), database(newParsed, 'enums'),
+        e => e.name, ['values']),
+      types: this.diffEntries(database(oldParsed, 'types'), database(newParsed, 'types'),
+        t => t.name, ['fields']),
+      functions: this.diffEntries(nonRPCFunctions(oldParsed), nonRPCFunctions(newParsed),
+        f => f.name, ['parameters', 'returnType', 'securityDefiner', 'language', 'volatility', 'body']),
+      views: this.diffEntries(database(oldParsed, 'views'), database(newParsed, 'views'),
+        v => v.name, ['materialized', 'columns', 'query']),
+      triggers: this.diffEntries(database(oldParsed, 'triggers'), database(newParsed, 'triggers'),
+        t => `${t.table}.${t.name}`, ['timing', 'events', 'forEach', 'when', 'function']),
+      indexes: this.diffEntries(database(oldParsed, 'indexes'), database(newParsed, 'indexes'),
+        i => i.name, ['table', 'columns', 'unique', 'method', 'where']),
+      policies: this.diffEntries(namedPolicies(oldParsed), namedPolicies(newParsed),
+        policyKey, ['operation', 'permissive', 'roles', 'using', 'withCheck']),
+      rpcFunctions: this.diffEntries(oldParsed.rpcFunctions, newParsed.rpcFunctions,
+        f => f.name, ['parameters', 'returnType', 'securityDefiner', 'fullDefinition']),
+      services: this.diffEntries(oldParsed.services, newParsed.services,
+        s => s.name, ['parameters', 'returnType', 'async', 'implementation']),
+      endpoints: this.diffEntries(oldParsed.api, newParsed.api,
+        e => `${e.method} ${e.route}`, ['requestType', 'responseType']),
+      components: this.diffEntries(oldParsed.ui, newParsed.ui,
+        c => c.name, ['path', 'type'])
+    };
+
+    // Tables change when their columns do, even if constraints are identical
+    const oldTables = new Map(oldParsed.database.tables.map(t => [t.name, t]));
+    const changedTables = new Map(result.tables.changed.map(c => [c.key, c]));
+
+    for (const table of newParsed.database.tables) {
+      const previous = oldTables.get(table.name);
+      if (!previous) continue;
+
+      const columns = this.diffEntries(previous.columns, table.columns, c => c.name,
+        ['type', 'nullable', 'defaultValue', 'primaryKey', 'unique', 'references', 'check']);
+      const columnsChanged = columns.added.length + columns.removed.length + columns.changed.length > 0;
+
+      if (columnsChanged && !changedTables.has(table.name)) {
+        changedTables.set(table.name, { key: table.name, old: previous, new: table, fields: [] });
+      }
+      if (changedTables.has(table.name)) {
+        const change = changedTables.get(table.name);
+        change.columns = columns;
+        if (columnsChanged) change.fields.push('columns');
+      }
+    }
+    result.tables.changed = [...changedTables.values()];
+
+    const summary = { added: 0, removed: 0, changed: 0 };
+    for (const category of Object.values(result)) {
+      summary.added += category.added.length;
+      summary.removed += category.removed.length;
+      summary.changed += category.changed.length;
+    }
+
+    return {
+      changed: summary.added + summary.removed + summary.changed > 0,
+      summary,
+      ...result
     };
   }
 
+  /**
+   * Keyed comparison of two entry lists on the given fields
+   */
+  diffEntries(oldEntries, newEntries, keyOf, fields) {
+    const normalize = value => JSON.stringify(value === undefined ? null : value, (key, v) => {
+      if (key === 'line') return undefined;
+      return typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : v;
+    });
+
+    const oldByKey = new Map(oldEntries.map(e => [keyOf(e), e]));
+    const newByKey = new Map(newEntries.map(e => [keyOf(e), e]));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, entry] of newByKey) {
+      const previous = oldByKey.get(key);
+      if (!previous) {
+        diff.added.push(entry);
+        continue;
+      }
+
+      const changedFields = fields.filter(f => normalize(previous[f]) !== normalize(entry[f]));
+      if (changedFields.length > 0) {
+        diff.changed.push({ key, old: previous, new: entry, fields: changedFields });
+      }
+    }
+
+    for (const [key, entry] of oldByKey) {
+      if (!newByKey.has(key)) diff.removed.push(entry);
+    }
+
+    return diff;
+  }
+
+  /**
+   * Merge declared tables, RPC functions, endpoints, services and UI
+   * components into the markdown extraction
+   *
+   * Entries are matched by name (endpoints by method + route); see
+   * mergeEntries(). An entry that cannot be normalized is left out and
+   * recorded in structuredErrors; validate() reports it at the entry's
+   * front-matter line.
+   * @param {Object} parsed - parse() result to merge into
+   * @param {Object} structured - Front-matter or sibling data
+   * @param {string} origin - 'front-matter' or 'sibling' (whose lines are not spec lines)
+   */
+  mergeStructured(parsed, structured, origin = 'front-matter') {
+    if (!structured || typeof structured !== 'object') return;
+
+    const frontMatter = new FrontMatterParser();
+    const lineOf = origin === 'front-matter' ? entry => frontMatter.lineOf(entry) || 1 : () => 1;
+
+    const merge = (target, entries, keyOf) => this.mergeEntries(target, entries, keyOf);
+
+    // Normalized entries of the first key holding a list; failures become structuredErrors
+    const list = (normalize, ...keys) => {
+      const key = keys.find(k => Array.isArray(structured[k]));
+      if (!key) return [];
+
+      return structured[key].flatMap((entry, index) => {
+        try {
+          return [normalize(entry)];
+        } catch (error) {
+          const entryLine = frontMatter.lineOf(entry) || frontMatter.lineOf(structured[key]);
+          this.structuredErrors.push({
+            message: origin === 'sibling'
+              ? `${error.message} (${key}[${index}] of the structured sibling${entryLine ? `, line ${entryLine}` : ''})`
+              : `${error.message} (${key}[${index}])`,
+            line: origin === 'sibling' ? 1 : entryLine || 1,
+            column: 1
+          });
+          return [];
+        }
+      });
+    };
+
+    merge(parsed.database.tables,
+      list(t => this.normalizeStructuredTable(t, lineOf), 'tables'),
+      t => t.name);
+
+    merge(parsed.rpcFunctions,
+      list(f => this.normalizeStructuredFunction(f, lineOf), 'rpcFunctions', 'functions'),
+      f => f.name);
+
+    merge(parsed.api,
+      list(e => this.normalizeStructuredEndpoint(e, lineOf), 'endpoints', 'api'),
+      e => `${e.method} ${e.route}`);
+
+    merge(parsed.services,
+      list(s => this.normalizeStructuredService(s), 'services'),
+      s => s.name);
+
+    merge(parsed.ui,
+      list(c => this.normalizeStructuredComponent(c), 'components', 'ui'),
+      c => c.name);
+  }
+
+  /**
+   * Structured table -> extractDatabaseSchema() table shape
+   *
+   * Accepts explicit columns, raw `sql`, or both. Without sql, a CREATE
+   * TABLE statement is generated from the columns so blueprints still get
+   * exact SQL.
+   * @param {Object} table - Structured table entry
+   * @param {Function} [lineOf] - entry => its line in the spec
+   */
+  normalizeStructuredTable(table, lineOf = () => 1) {
+    if (!table || !table.name) {
+      throw new Error('Structured spec table entries require a name');
+    }
+
+    const name = String(table.name).toLowerCase();
+    let columns = Array.isArray(table.columns) ? table.columns.map(c => this.normalizeStructuredColumn(c, lineOf)) : null;
+    let constraints = Array.isArray(table.constraints) ? table.constraints : [];
+
+    if (table.sql && !columns) {
+      const { statements } = new SQLParser().parse(table.sql);
+      const node = statements.find(s => s.kind === 'table');
+      columns = node ? node.columns : [];
+      if (node && !table.constraints) constraints = node.constraints;
+    }
+
+    columns = columns || [];
+
+    return {
+      name,
+      schema: table.schema || null,
+      columns,
+      constraints,
+      line: lineOf(table),
+      sql: table.sql || this.buildCreateTableSQL(name, table.schema, columns)
+    };
+  }
+
+  normalizeStructuredColumn(column, lineOf = () => 1) {
+    if (!column || !column.name) {
+      throw new Error('Structured spec columns require a name');
+    }
+
+    let references = null;
+
+    if (typeof column.references === 'string') {
+      const [refTable, refColumn] = column.references.split('.');
+      references = { table: refTable.toLowerCase(), schema: null, column: refColumn || 'id', columns: [refColumn || 'id'] };
+    } else if (column.references && typeof column.references === 'object') {
+      const refColumn = column.references.column || 'id';
+      references = {
+        schema: null,
+        columns: [refColumn],
+        ...column.references,
+        table: String(column.references.table).toLowerCase(),
+        column: refColumn
+      };
+    }
+
+    const primaryKey = column.primaryKey === true;
+
+    return {
+      name: String(column.name).toLowerCase(),
+      type: String(column.type || 'TEXT').toUpperCase(),
+      nullable: primaryKey ? false : column.nullable !== false,
+      defaultValue: column.default !== undefined ? String(column.default) : (column.defaultValue || null),
+      primaryKey,
+      unique: column.unique === true,
+      references,
+      check: column.check || null,
+      generated: null,
+      line: lineOf(column)
+    };
+  }
+
+  buildCreateTableSQL(name, schema, columns) {
+    const qualified = schema ? `${schema}.${name}` : name;
+    const definitions = columns.map(column => `  ${this.formatColumnDefinition(column)}`);
+
+    return `CREATE TABLE ${qualified} (\n${definitions.join(',\n')}\n);`;
+  }
+
+  /**
+   * Render a parsed column back to its SQL definition
+   */
+  formatColumnDefinition(column) {
+    const parts = [column.name, column.type];
+    if (column.primaryKey) parts.push('PRIMARY KEY');
+    if (!column.primaryKey && !column.nullable) parts.push('NOT NULL');
+    if (column.unique) parts.push('UNIQUE');
+    if (column.defaultValue) parts.push(`DEFAULT ${column.defaultValue}`);
+    if (column.check) parts.push(`CHECK (${column.check})`);
+    if (column.references) {
+      const refTable = column.references.schema
+        ? `${column.references.schema}.${column.references.table}`
+        : column.references.table;
+      parts.push(`REFERENCES ${refTable}(${column.references.column || 'id'})`);
+      if (column.references.onDelete) parts.push(`ON DELETE ${column.references.onDelete.toUpperCase()}`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Structured RPC function -> extractRPCFunctions() shape
+   * The return type is declared as `returns` (or `returnType`).
+   */
+  normalizeStructuredFunction(func, lineOf = () => 1) {
+    if (!func || !func.name) {
+      throw new Error('Structured spec RPC function entries require a name');
+    }
+
+    return {
+      name: String(func.name).toLowerCase(),
+      type: 'rpc',
+      parameters: (func.parameters || []).map(p => ({
+        name: String(p.name).toLowerCase(),
+        type: String(p.type || 'TEXT').toUpperCase()
+      })),
+      returnType: func.returns || func.returnType || 'VOID',
+      securityDefiner: func.securityDefiner === true,
+      validatesAdmin: func.validatesAdmin === true,
+      validationLogic: func.validationLogic || null,
+      fullDefinition: func.sql || func.fullDefinition || null,
+      line: lineOf(func)
+    };
+  }
+
+  normalizeStructuredEndpoint(endpoint, lineOf = () => 1) {
+    if (!endpoint || !endpoint.route) {
+      throw new Error('Structured spec endpoint entries require a route');
+    }
+
+    const method = String(endpoint.method || 'GET').toUpperCase();
+
+    return {
+      method,
+      route: endpoint.route,
+      line: lineOf(endpoint),
+      requestType: endpoint.requestType || this.findInterfaceForEndpoint(endpoint.route, 'Request'),
+      responseType: endpoint.responseType || this.findInterfaceForEndpoint(endpoint.route, 'Response')
+    };
+  }
+
+  normalizeStructuredService(service) {
+    if (!service || !service.name) {
+      throw new Error('Structured spec service entries require a name');
+    }
+
+    return {
+      ...service,
+      parameters: service.parameters || [],
+      returnType: service.returnType || 'unknown',
+      async: service.async !== false,
+      implementation: service.implementation || null
+    };
+  }
+
+  normalizeStructuredComponent(component) {
+    if (!component || (!component.name && !component.path)) {
+      throw new Error('Structured spec component entries require a name or path');
+    }
+
+    const name = component.name ||
+      component.path.split('/').pop().replace(/\.(tsx|jsx|ts|js)$/, '');
+
+    return {
+      name,
+      path: component.path || `src/components/${name}.tsx`,
+      type: component.type || this.inferComponentType(name)
+    };
+  }
+
+  /**
+   * Validate a spec document and report structural problems
+   *
+   * parse() degrades to empty arrays on malformed input; validate() says why.
+   * @param {string} content - The spec markdown content
+   * @param {Object} [options] - Same options as parse()
+   * @returns {Object} { valid, errorCount, warningCount, diagnostics, parsed }
+   *   diagnostics: [{ severity: 'error'|'warning', code, message, line, column }]
+   */
+  validate(content, options = {}) {
+    const parsed = this.parse(content, options);
+    const diagnostics = [];
+
+    // 1. Front matter that is not valid YAML/JSON
+    if (this.frontMatterError) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'front-matter-parse-error',
+        message: this.frontMatterError.message,
+        line: this.frontMatterError.line,
+        column: this.frontMatterError.column
+      });
+    }
+
+    // 2. Front-matter or sibling entries that could not be used
+    for (const error of this.structuredErrors) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'structured-entry-error',
+        message: error.message,
+        line: error.line,
+        column: error.column
+      });
+    }
+
+    // 3. SQL blocks that failed to parse
+    for (const error of parsed.database.errors) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'sql-parse-error',
+        message: error.message.replace(/\s*\(line \d+, column \d+\)$/, ''),
+        line: error.line,
+        column: error.column
+      });
+    }
+
+    // 4. Endpoints with no matching Request/Response interface
+    for (const endpoint of parsed.api) {
+      const needsRequest = ['POST', 'PUT', 'PATCH'].includes(endpoint.method);
+
+      // OpenAPI operations may declare inline schemas instead of named types
+      if (needsRequest && !endpoint.requestType && !endpoint.contract?.request) {
+        diagnostics.push({
+          severity: 'warning',
+          code: 'endpoint-missing-request-type',
+          message: `${endpoint.method} ${endpoint.route} has no matching Request interface`,
+          line: endpoint.line,
+          column: 1
+        });
+      }
+
+      if (!endpoint.responseType && endpoint.contract?.source !== 'openapi') {
+        diagnostics.push({
+          severity: 'warning',
+          code: 'endpoint-missing-response-type',
+          message: `${endpoint.method} ${endpoint.route} has no matching Response interface`,
+          line: endpoint.line,
+          column: 1
+        });
+      }
+    }
+
+    // 5. RLS policies on tables the spec never creates
+    const createdTables = new Set(parsed.database.tables.map(t => t.name));
+    for (const policy of parsed.rlsPolicies) {
+      if (!policy.name || createdTables.has(policy.table)) continue;
+
+      diagnostics.push({
+        severity: 'error',
+        code: 'rls-unknown-table',
+        message: `Policy ${policy.name} targets table ${policy.table}, which is never created in this spec`,
+        line: policy.line,
+        column: 1
+      });
+    }
+
+    // 6. UI files listed outside "Files to Create"
+    diagnostics.push(...this.findMisplacedUIFiles());
+
+    diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+
+    return {
+      valid: errorCount === 0,
+      errorCount,
+      warningCount: diagnostics.length - errorCount,
+      diagnostics,
+      parsed
+    };
+  }
+
+  /**
+   * Find UI file paths mentioned in prose outside the files section
+   */
+  findMisplacedUIFiles() {
+    const diagnostics = [];
+    const lines = this.spec.split('\n');
+    const filePattern = /`?((?:src\/)?(?:app|components|pages)\/[\w\-\/\[\]().@]+\.(?:tsx|jsx))`?/g;
+
+    let currentSection = null;
+    let inCodeBlock = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (line.trim().startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+        continue;
+      }
+      if (inCodeBlock) continue;
+
+      if (line.startsWith('#')) {
+        currentSection = line.replace(/^#+\s*/, '').trim();
+        continue;
+      }
+
+      if (currentSection && this.isFilesSection(currentSection)) continue;
+
+      for (const match of line.matchAll(filePattern)) {
+        diagnostics.push({
+          severity: 'warning',
+          code: 'ui-file-outside-files-section',
+          message: `UI file ${match[1]} is listed under "${currentSection || 'document start'}" instead of "Files to Create"`,
+          line: i + 1,
+          column: match.index + 1
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
   /**
    * Build a map of sections for easier navigation
    */
   buildSectionMap() {
+    this.sections = new Map();
     const lines = this.spec.split('\n');
     let currentSection = null;
     let currentContent = [];
@@ -69,190 +645,250 @@ class SpecParser {
   }
 
   /**
-   * Extract database schema including tables, indexes, and functions
+   * Extract database schema including tables, indexes, functions, enums,
+   * composite types, triggers and views
+   *
+   * Every ```sql block is run through the SQL parser; the typed statement
+   * nodes are kept in `ast` (with spec line numbers) and parse failures in
+   * `errors`, so a malformed block is reported instead of silently skipped.
    */
   extractDatabaseSchema() {
     const schema = {
       tables: [],
       indexes: [],
       functions: [],
-      alterations: []
+      enums: [],
+      types: [],
+      triggers: [],
+      views: [],
+      alterations: [],
+      ast: [],
+      errors: []
     };
 
-    // Find all SQL blocks
-    const sqlBlockRegex = /```sql([\s\S]*?)```/g;
-    let match;
-
-    while ((match = sqlBlockRegex.exec(this.spec)) !== null) {
-      const sqlContent = match[1];
-
-      // Extract CREATE TABLE statements with full details
-      const tableRegex = /CREATE\s+TABLE\s+(\w+)\s*\(([\s\S]*?)\);/gi;
-      const tableMatches = [...sqlContent.matchAll(tableRegex)];
-
-      for (const tableMatch of tableMatches) {
-        const tableName = tableMatch[1];
-        const tableBody = tableMatch[2];
-
-        const table = {
-          name: tableName.toLowerCase(),
-          columns: this.parseTableColumns(tableBody),
-          constraints: this.parseTableConstraints(tableBody),
-          sql: tableMatch[0] // Preserve original SQL
-        };
-
-        schema.tables.push(table);
+    for (const { block, statements, errors } of this.parseSQLBlocks()) {
+      schema.ast.push(...statements);
+      schema.errors.push(...errors.map(error => ({ ...error, blockLine: block.line })));
+
+      for (const node of statements) {
+        switch (node.kind) {
+          case 'table':
+            schema.tables.push({
+              name: node.name,
+              schema: node.schema,
+              columns: node.columns,
+              constraints: node.constraints,
+              line: node.line,
+              sql: node.sql // Preserve original SQL
+            });
+            break;
+
+          case 'alter_table':
+            schema.alterations.push({
+              table: node.table,
+              schema: node.schema,
+              alteration: node.alteration,
+              actions: node.actions,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+
+          case 'index':
+            schema.indexes.push({
+              name: node.name,
+              schema: node.schema,
+              table: node.table,
+              columns: node.columns,
+              unique: node.unique,
+              method: node.method,
+              where: node.where,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+
+          case 'function':
+            schema.functions.push({
+              name: node.name,
+              schema: node.schema,
+              parameters: node.parameters,
+              returnType: node.returnType,
+              securityDefiner: node.securityDefiner,
+              language: node.language,
+              volatility: node.volatility,
+              body: node.body,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+
+          case 'enum':
+            schema.enums.push({
+              name: node.name,
+              schema: node.schema,
+              values: node.values,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+
+          case 'composite_type':
+            schema.types.push({
+              name: node.name,
+              schema: node.schema,
+              fields: node.fields,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+
+          case 'trigger':
+            schema.triggers.push({
+              name: node.name,
+              table: node.table,
+              schema: node.schema,
+              timing: node.timing,
+              events: node.events,
+              forEach: node.forEach,
+              when: node.when,
+              function: node.function,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+
+          case 'view':
+            schema.views.push({
+              name: node.name,
+              schema: node.schema,
+              materialized: node.materialized,
+              columns: node.columns,
+              dependencies: node.dependencies.map(d => d.name),
+              query: node.query,
+              line: node.line,
+              sql: node.sql
+            });
+            break;
+        }
       }
+    }
 
-      // Extract ALTER TABLE statements
-      const alterRegex = /ALTER\s+TABLE\s+(\w+)\s+(.*?);/gi;
-      const alterMatches = [...sqlContent.matchAll(alterRegex)];
+    return schema;
+  }
 
-      for (const alterMatch of alterMatches) {
-        schema.alterations.push({
-          table: alterMatch[1].toLowerCase(),
-          alteration: alterMatch[2],
-          sql: alterMatch[0]
-        });
-      }
+  /**
+   * Run every ```sql block through the SQL parser, with spec line numbers
+   * @returns {Array<{block: Object, statements: Object[], errors: Object[]}>}
+   */
+  parseSQLBlocks() {
+    const sqlParser = new SQLParser();
 
-      // Extract CREATE INDEX statements
-      const indexRegex = /CREATE\s+(?:UNIQUE\s+)?INDEX\s+(\w+)\s+ON\s+(\w+)\s*\((.*?)\)/gi;
-      const indexMatches = [...sqlContent.matchAll(indexRegex)];
+    return this.findCodeBlocks(['sql']).map(block => ({
+      block,
+      ...sqlParser.parse(block.content, { lineOffset: block.line - 1 })
+    }));
+  }
 
-      for (const indexMatch of indexMatches) {
-        schema.indexes.push({
-          name: indexMatch[1].toLowerCase(),
-          table: indexMatch[2].toLowerCase(),
-          columns: indexMatch[3].split(',').map(c => c.trim()),
-          unique: indexMatch[0].toLowerCase().includes('unique'),
-          sql: indexMatch[0]
-        });
-      }
+  /**
+   * Find fenced code blocks for the given languages
+   * @returns {Array<{language: string, content: string, line: number}>} line is the fence line (1-based)
+   */
+  findCodeBlocks(languages) {
+    const blocks = [];
+    const blockRegex = /```(\w*)([\s\S]*?)```/g;
+    let match;
 
-      // Extract CREATE FUNCTION statements (including SECURITY DEFINER)
-      const functionRegex = /CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\s+(\w+)\s*\((.*?)\)([\s\S]*?)(?:LANGUAGE|AS\s+\$\$)/gi;
-      const functionMatches = [...sqlContent.matchAll(functionRegex)];
+    while ((match = blockRegex.exec(this.spec)) !== null) {
+      const language = match[1].toLowerCase();
+      if (!languages.includes(language)) continue;
 
-      for (const funcMatch of functionMatches) {
-        // Find the complete function including body
-        const startIdx = sqlContent.indexOf(funcMatch[0]);
-        let endIdx = sqlContent.indexOf('$$;', startIdx);
-        if (endIdx === -1) endIdx = sqlContent.indexOf('$func$;', startIdx);
-        if (endIdx === -1) endIdx = sqlContent.length;
+      blocks.push({
+        language,
+        content: match[2],
+        line: this.lineAt(match.index),
+        index: match.index
+      });
+    }
 
-        const fullFunction = sqlContent.substring(startIdx, endIdx + 3);
+    return blocks;
+  }
 
-        schema.functions.push({
-          name: funcMatch[1].toLowerCase(),
-          parameters: this.parseFunctionParameters(funcMatch[2]),
-          returnType: this.extractReturnType(fullFunction),
-          securityDefiner: fullFunction.includes('SECURITY DEFINER'),
-          language: this.extractLanguage(fullFunction),
-          sql: fullFunction
-        });
-      }
+  /**
+   * 1-based line number of a character offset in the spec
+   */
+  lineAt(index) {
+    let line = 1;
+    for (let i = 0; i < index && i < this.spec.length; i++) {
+      if (this.spec[i] === '\n') line++;
     }
-
-    return schema;
+    return line;
   }
 
   /**
    * Parse table columns from CREATE TABLE body
    */
   parseTableColumns(tableBody) {
-    const columns = [];
-    const lines = tableBody.split(',').map(l => l.trim());
-
-    for (const line of lines) {
-      // Skip constraints
-      if (line.toLowerCase().includes('constraint') ||
-          line.toLowerCase().includes('primary key') ||
-          line.toLowerCase().includes('foreign key') ||
-          line.toLowerCase().includes('check') ||
-          line.toLowerCase().includes('unique')) {
-        continue;
-      }
-
-      // Parse column definition
-      const colMatch = line.match(/^(\w+)\s+([A-Z]+(?:\s+[A-Z]+)*(?:\([^)]+\))?)(.*)/i);
-      if (colMatch) {
-        const [, name, type, modifiers] = colMatch;
-        columns.push({
-          name: name.toLowerCase(),
-          type: type.trim().toUpperCase(),
-          nullable: !modifiers.toLowerCase().includes('not null'),
-          defaultValue: this.extractDefault(modifiers),
-          primaryKey: modifiers.toLowerCase().includes('primary key'),
-          references: this.extractReferences(modifiers)
-        });
-      }
-    }
-
-    return columns;
+    return this.parseTableBody(tableBody).columns;
   }
 
   /**
    * Parse table constraints from CREATE TABLE body
    */
   parseTableConstraints(tableBody) {
-    const constraints = [];
-    const lines = tableBody.split(',').map(l => l.trim());
-
-    for (const line of lines) {
-      if (line.toLowerCase().includes('constraint')) {
-        const nameMatch = line.match(/constraint\s+(\w+)/i);
-        const name = nameMatch ? nameMatch[1] : 'unnamed';
-
-        constraints.push({
-          name: name.toLowerCase(),
-          type: this.getConstraintType(line),
-          definition: line
-        });
-      }
-    }
+    return this.parseTableBody(tableBody).constraints;
+  }
 
-    return constraints;
+  /**
+   * Parse a bare CREATE TABLE body by wrapping it in a synthetic statement
+   */
+  parseTableBody(tableBody) {
+    const { statements } = new SQLParser().parse(`CREATE TABLE t (${tableBody});`);
+    const table = statements.find(s => s.kind === 'table');
+    return table || { columns: [], constraints: [] };
   }
 
   /**
    * Extract RPC functions, especially SECURITY DEFINER ones
+   *
+   * Functions come from the SQL parser, like tables and policies, so
+   * schema-qualified and quoted names (public.place_order, "PlaceOrder")
+   * are found as well.
    */
   extractRPCFunctions() {
     const functions = [];
 
-    // Look specifically for RPC function patterns
-    const rpcPattern = /CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\s+(\w+)\s*\((.*?)\)([\s\S]*?)(\$\$|\$func\$);/gi;
-    const matches = [...this.spec.matchAll(rpcPattern)];
-
-    for (const match of matches) {
-      const funcName = match[1];
-      const params = match[2];
-      const body = match[3];
-
-      // Extract key characteristics
-      const isSecurityDefiner = body.includes('SECURITY DEFINER');
-      const validatesAdmin = body.includes('is_platform_admin') ||
-                            body.includes('platform_admin_grants');
-      const returnType = this.extractReturnType(body);
-
-      // Extract the actual validation logic
-      let validationLogic = null;
-      const validationMatch = body.match(/IF\s+NOT\s+EXISTS\s*\(([\s\S]*?)\)\s*THEN/i);
-      if (validationMatch) {
-        validationLogic = validationMatch[1].trim();
-      }
-
-      functions.push({
-        name: funcName.toLowerCase(),
-        type: 'rpc',
-        parameters: this.parseFunctionParameters(params),
-        returnType,
-        securityDefiner: isSecurityDefiner,
-        validatesAdmin,
-        validationLogic,
-        fullDefinition: match[0]
-      });
+    for (const { statements } of this.parseSQLBlocks()) {
+      for (const node of statements) {
+        if (node.kind !== 'function') continue;
+
+        // Trigger functions can't be called through .rpc(); they ship with their trigger
+        if (/^TRIGGER$/i.test(node.returnType)) continue;
+
+        const body = node.body || '';
+        const validatesAdmin = body.includes('is_platform_admin') ||
+                              body.includes('platform_admin_grants');
+
+        // Extract the actual validation logic
+        let validationLogic = null;
+        const validationMatch = body.match(/IF\s+NOT\s+EXISTS\s*\(([\s\S]*?)\)\s*THEN/i);
+        if (validationMatch) {
+          validationLogic = validationMatch[1].trim();
+        }
+
+        functions.push({
+          name: node.name,
+          schema: node.schema,
+          type: 'rpc',
+          parameters: node.parameters,
+          returnType: node.returnType,
+          securityDefiner: node.securityDefiner,
+          validatesAdmin,
+          validationLogic,
+          fullDefinition: node.sql,
+          line: node.line
+        });
+      }
     }
 
     return functions;
@@ -260,37 +896,56 @@ class SpecParser {
 
   /**
    * Extract RLS policies with actual conditions (not templates)
+   *
+   * Policies come from the SQL parser, so every clause is kept: AS
+   * RESTRICTIVE, FOR ALL (the default), several TO roles, quoted names and
+   * nested parentheses in USING / WITH CHECK. `references` lists the tables
+   * each expression reads and `functions` the functions it calls, so RLS
+   * recursion can be checked without a database.
    */
   extractRLSPolicies() {
     const policies = [];
-
-    // Find CREATE POLICY statements
-    const policyPattern = /CREATE\s+POLICY\s+"?(\w+)"?\s+ON\s+(\w+)\s+FOR\s+(\w+)\s+(?:TO\s+(\w+)\s+)?(?:USING\s*\(([\s\S]*?)\))?(?:\s+WITH\s+CHECK\s*\(([\s\S]*?)\))?;/gi;
-    const matches = [...this.spec.matchAll(policyPattern)];
-
-    for (const match of matches) {
-      const [full, name, table, operation, role, usingClause, checkClause] = match;
-
-      policies.push({
-        name: name.toLowerCase(),
-        table: table.toLowerCase(),
-        operation: operation.toUpperCase(),
-        role: role || 'authenticated',
-        using: usingClause ? usingClause.trim() : null,
-        withCheck: checkClause ? checkClause.trim() : null,
-        sql: full
-      });
+    const rlsEnabled = [];
+
+    for (const { statements } of this.parseSQLBlocks()) {
+      for (const node of statements) {
+        if (node.kind === 'policy') {
+          const tableNames = refs => refs.map(ref => ref.name);
+
+          policies.push({
+            name: node.name,
+            table: node.table,
+            schema: node.schema,
+            operation: node.command,
+            permissive: node.permissive,
+            roles: node.roles,
+            role: node.roles.join(', '),
+            using: node.using,
+            withCheck: node.withCheck,
+            references: {
+              using: tableNames(node.references.using),
+              withCheck: tableNames(node.references.withCheck)
+            },
+            referencedTables: [...new Set([
+              ...tableNames(node.references.using),
+              ...tableNames(node.references.withCheck)
+            ])],
+            functions: {
+              using: node.functions.using.map(fn => fn.name),
+              withCheck: node.functions.withCheck.map(fn => fn.name)
+            },
+            line: node.line,
+            sql: node.sql
+          });
+        } else if (node.kind === 'alter_table' && node.actions.some(a => a.type === 'enable_rls')) {
+          rlsEnabled.push(node.table);
+        }
+      }
     }
 
-    // Also extract ALTER TABLE ENABLE ROW LEVEL SECURITY
-    const rlsEnablePattern = /ALTER\s+TABLE\s+(\w+)\s+ENABLE\s+ROW\s+LEVEL\s+SECURITY/gi;
-    const rlsMatches = [...this.spec.matchAll(rlsEnablePattern)];
-
-    for (const match of rlsMatches) {
-      const tableName = match[1].toLowerCase();
-      // Mark this table as having RLS enabled
-      const existingPolicy = policies.find(p => p.table === tableName);
-      if (!existingPolicy) {
+    // Tables with RLS enabled but no policies of their own
+    for (const tableName of rlsEnabled) {
+      if (!policies.some(p => p.table === tableName)) {
         policies.push({
           table: tableName,
           rlsEnabled: true,
@@ -309,7 +964,7 @@ class SpecParser {
     const services = [];
 
     // Find TypeScript/JavaScript code blocks
-    const tsBlockRegex = /```(?:typescript|javascript|ts|js)([\s\S]*?)```/g;
+    const tsBlockRegex = /```(?:typescript|javascript|ts|js)\b([\s\S]*?)```/g;
     let match;
 
     while ((match = tsBlockRegex.exec(this.spec)) !== null) {
@@ -332,7 +987,9 @@ class SpecParser {
           parameters: this.parseTypeScriptParameters(params),
           returnType: returnType ? returnType.trim() : 'unknown',
           async: funcMatch[0].includes('async'),
-          implementation: this.extractFunctionBody(code, funcMatch.index)
+          // Start at the body brace so destructured parameters aren't taken for the body
+          implementation: this.extractFunctionBody(code, funcMatch.index + funcMatch[0].length - 1),
+          imports: new CodeReferenceScanner().findImports(code)
         });
       }
     }
@@ -349,9 +1006,9 @@ class SpecParser {
     // Look for endpoint definitions in various formats
     const patterns = [
       // **GET /api/admin/overview**
-      /\*\*(GET|POST|PUT|DELETE|PATCH)\s+`?([\/\w-{}]+)`?\*\*/gi,
+      /\*\*(GET|POST|PUT|DELETE|PATCH)\s+`?([\/\w-{}\[\]]+)`?\*\*/gi,
       // Endpoint: GET /api/admin/overview
-      /Endpoint:\s*(GET|POST|PUT|DELETE|PATCH)\s+`?([\/\w-{}]+)`?/gi,
+      /Endpoint:\s*(GET|POST|PUT|DELETE|PATCH)\s+`?([\/\w-{}\[\]]+)`?/gi,
       // route: '/api/admin/overview'
       /route:\s*['"`]([\/\w-{}]+)['"`]/gi
     ];
@@ -368,6 +1025,7 @@ class SpecParser {
           endpoints.push({
             method: typeof method === 'string' ? method.toUpperCase() : 'GET',
             route,
+            line: this.lineAt(match.index),
             // Try to find associated TypeScript interfaces
             requestType: this.findInterfaceForEndpoint(route, 'Request'),
             responseType: this.findInterfaceForEndpoint(route, 'Response')
@@ -376,9 +1034,62 @@ class SpecParser {
       }
     }
 
+    this.attachRouteHandlers(endpoints);
+
     return endpoints;
   }
 
+  /**
+   * Attach route handler bodies (and their code block's imports) to endpoints
+   *
+   * A handler belongs to the route named by an app/api/.../route.ts path in
+   * its code block, or else to the last endpoint mentioned above the block.
+   */
+  attachRouteHandlers(endpoints) {
+    const scanner = new CodeReferenceScanner();
+    const handlerPattern = new RegExp(`export\\s+(?:async\\s+)?function\\s+(${HTTP_METHODS.join('|')})\\s*\\(`, 'g');
+
+    for (const block of this.findCodeBlocks(['typescript', 'ts', 'javascript', 'js'])) {
+      const pathMatch = block.content.match(/app(\/api\/[\w\-\/\[\]{}]*?)\/route\.(?:ts|js)/);
+      let route = pathMatch ? pathMatch[1] : null;
+
+      if (!route) {
+        const mentions = [...this.spec.slice(0, block.index).matchAll(/\b(?:GET|POST|PUT|DELETE|PATCH)\s+`?(\/api\/[\w\-\/{}\[\]]+)/g)];
+        route = mentions.length > 0 ? mentions[mentions.length - 1][1] : null;
+      }
+      if (!route) continue;
+
+      for (const match of block.content.matchAll(handlerPattern)) {
+        const endpoint = endpoints.find(e => e.method === match[1] && scanner.routeMatches(e.route, route));
+        if (!endpoint || endpoint.implementation) continue;
+
+        const paramsEnd = match.index + match[0].length +
+          scanner.readCallArguments(block.content, match.index + match[0].length).length;
+        endpoint.implementation = this.extractFunctionBody(block.content, paramsEnd);
+        endpoint.imports = scanner.findImports(block.content);
+      }
+    }
+  }
+
+  /**
+   * Attach the code block defining each component (and its imports)
+   */
+  attachComponentSources(components) {
+    const scanner = new CodeReferenceScanner();
+    const blocks = this.findCodeBlocks(['typescript', 'ts', 'tsx', 'javascript', 'js', 'jsx']);
+
+    for (const component of components) {
+      if (component.implementation) continue;
+
+      const definition = new RegExp(`(?:function|const)\\s+${component.name}\\b`);
+      const block = blocks.find(b => definition.test(b.content));
+      if (block) {
+        component.implementation = block.content.trim();
+        component.imports = scanner.findImports(block.content);
+      }
+    }
+  }
+
   /**
    * Extract UI component definitions
    */
@@ -388,12 +1099,7 @@ class SpecParser {
     // Find Files to Create section - support variations like "Files to Create/Modify"
     let filesSection = null;
     for (const [sectionName, content] of this.sections) {
-      const lowerName = sectionName.toLowerCase();
-      if (lowerName.includes('files to create') ||
-          lowerName.includes('ui components') ||
-          lowerName === 'components' ||
-          lowerName.includes('files to modify') ||
-          lowerName.includes('new files')) {
+      if (this.isFilesSection(sectionName)) {
         filesSection = content;
         break;
       }
@@ -434,9 +1140,195 @@ class SpecParser {
       }
     }
 
+    this.attachComponentSources(components);
+
     return components;
   }
 
+  /**
+   * Extract user stories and acceptance criteria
+   *
+   * Stories are "As a <role>, I want <goal> [so that <benefit>]" paragraphs.
+   * Criteria are Given/When/Then scenarios, `- [ ]` checklist items, and
+   * bullets under an "Acceptance Criteria" heading. A criterion belongs to
+   * the closest story above it in the same section, or in a parent section
+   * that holds exactly one story.
+   *
+   * IDs are stable: an explicit `US-12:` / `AC-3:` prefix is kept, otherwise
+   * the ID is derived from the normalized text, so reordering or editing
+   * other items does not renumber anything.
+   * @returns {{ userStories: Array<Object>, acceptanceCriteria: Array<Object> }}
+   */
+  extractUserStories() {
+    const userStories = [];
+    const acceptanceCriteria = [];
+    const lines = this.spec.split('\n');
+
+    let section = null;
+    let sectionLevel = 0;
+    let storiesInSection = 0;
+    let storyLevel = 0;
+    let inCodeBlock = false;
+    let currentStory = null;
+    let scenario = null;
+    let paragraph = null;
+
+    const clean = text => text
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+      .replace(/\*\*|__|`/g, '')
+      .trim();
+
+    const stableId = (prefix, text) => {
+      const explicit = text.match(new RegExp(`^\\[?(${prefix}-[\\w.-]+)\\]?\\s*[:\\-–]\\s*`, 'i'));
+      if (explicit) {
+        return { id: explicit[1].toUpperCase(), text: text.substring(explicit[0].length).trim() };
+      }
+      const normalized = text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+      const hash = crypto.createHash('sha1').update(normalized).digest('hex').substring(0, 6);
+      return { id: `${prefix}-${hash}`, text };
+    };
+
+    const addCriterion = (criterion) => {
+      // Identical criteria (same ID) are listed once
+      if (acceptanceCriteria.some(c => c.id === criterion.id)) return;
+      criterion.storyId = currentStory ? currentStory.id : null;
+      criterion.section = section;
+      acceptanceCriteria.push(criterion);
+      if (currentStory) currentStory.acceptanceCriteria.push(criterion.id);
+    };
+
+    const flushScenario = () => {
+      if (!scenario) return;
+      const summary = scenario.name ||
+        [...scenario.given, ...scenario.when, ...scenario.then].join('; ');
+      const { id, text } = stableId('AC', summary);
+      addCriterion({
+        id,
+        type: 'scenario',
+        text,
+        given: scenario.given,
+        when: scenario.when,
+        then: scenario.then,
+        line: scenario.line
+      });
+      scenario = null;
+    };
+
+    const flushParagraph = () => {
+      if (!paragraph) return;
+      const text = paragraph.text.replace(/\s+/g, ' ').trim();
+      const match = text.match(/^(?:(?:\[?US-[\w.-]+\]?)\s*[:\-–]\s*)?As an?\s+(.+?),?\s+I (?:want|need|would like)\s+(?:to\s+)?(.+?)(?:,?\s+so that\s+(.+?))?\.?$/i);
+
+      if (match) {
+        const { id, text: storyText } = stableId('US', text);
+        currentStory = {
+          id,
+          text: storyText,
+          role: match[1].trim(),
+          goal: match[2].trim(),
+          benefit: match[3] ? match[3].trim() : null,
+          section,
+          line: paragraph.line,
+          acceptanceCriteria: []
+        };
+        storyLevel = sectionLevel;
+        storiesInSection++;
+        if (!userStories.some(s => s.id === id)) userStories.push(currentStory);
+      }
+      paragraph = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const raw = lines[i];
+
+      if (raw.trim().startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+        flushParagraph();
+        continue;
+      }
+      if (inCodeBlock) continue;
+
+      if (raw.startsWith('#')) {
+        flushScenario();
+        flushParagraph();
+        const level = raw.match(/^#+/)[0].length;
+        const nested = currentStory && level > storyLevel && storiesInSection === 1;
+        if (!nested) {
+          currentStory = null;
+          storiesInSection = 0;
+        }
+        section = raw.replace(/^#+\s*/, '').trim();
+        sectionLevel = level;
+        continue;
+      }
+
+      const text = clean(raw);
+
+      if (!text) {
+        flushScenario();
+        flushParagraph();
+        continue;
+      }
+
+      // Gherkin scenarios
+      const scenarioName = text.match(/^Scenario(?: Outline)?:\s*(.+)$/i);
+      if (scenarioName) {
+        flushScenario();
+        flushParagraph();
+        scenario = { name: scenarioName[1].trim(), given: [], when: [], then: [], line: i + 1 };
+        continue;
+      }
+
+      const step = text.match(/^(Given|When|Then|And|But)\s+(.+)$/i);
+      if (step && (scenario || /^given$/i.test(step[1]))) {
+        flushParagraph();
+        if (!scenario) scenario = { name: null, given: [], when: [], then: [], line: i + 1, last: 'given' };
+        const keyword = step[1].toLowerCase();
+        const bucket = ['and', 'but'].includes(keyword) ? (scenario.last || 'given') : keyword;
+        scenario[bucket].push(step[2].trim());
+        scenario.last = bucket;
+        continue;
+      }
+
+      flushScenario();
+
+      // Checklist items anywhere, plain bullets under an acceptance criteria heading
+      const checklist = raw.match(/^\s*[-*+]\s+\[( |x|X)\]\s+(.+)$/);
+      const isCriteriaSection = section && /acceptance criteria|acceptance tests|success criteria/i.test(section);
+      const bullet = raw.match(/^\s*(?:[-*+]|\d+[.)])\s+(.+)$/);
+
+      if (checklist || (isCriteriaSection && bullet)) {
+        flushParagraph();
+        const itemText = clean(checklist ? checklist[2] : bullet[1]);
+        const { id, text: criterionText } = stableId('AC', itemText);
+        addCriterion({
+          id,
+          type: checklist ? 'checklist' : 'list',
+          text: criterionText,
+          checked: checklist ? checklist[1].toLowerCase() === 'x' : false,
+          line: i + 1
+        });
+        continue;
+      }
+
+      // Stories may be list items or wrapped paragraphs
+      if (bullet) {
+        flushParagraph();
+        paragraph = { text, line: i + 1 };
+        flushParagraph();
+        continue;
+      }
+
+      if (!paragraph) paragraph = { text: '', line: i + 1 };
+      paragraph.text += ` ${text}`;
+    }
+
+    flushScenario();
+    flushParagraph();
+
+    return { userStories, acceptanceCriteria };
+  }
+
   /**
    * Extract security requirements from spec
    */
@@ -534,56 +1426,11 @@ class SpecParser {
 
   // Helper methods
 
-  extractDefault(modifiers) {
-    const defaultMatch = modifiers.match(/DEFAULT\s+(.+?)(?:\s|$)/i);
-    return defaultMatch ? defaultMatch[1] : null;
-  }
-
-  extractReferences(modifiers) {
-    const refMatch = modifiers.match(/REFERENCES\s+(\w+)(?:\((\w+)\))?/i);
-    return refMatch ? {
-      table: refMatch[1].toLowerCase(),
-      column: refMatch[2] ? refMatch[2].toLowerCase() : 'id'
-    } : null;
-  }
-
-  getConstraintType(line) {
-    if (line.toLowerCase().includes('primary key')) return 'PRIMARY KEY';
-    if (line.toLowerCase().includes('foreign key')) return 'FOREIGN KEY';
-    if (line.toLowerCase().includes('unique')) return 'UNIQUE';
-    if (line.toLowerCase().includes('check')) return 'CHECK';
-    return 'UNKNOWN';
-  }
-
-  extractReturnType(functionBody) {
-    const returnMatch = functionBody.match(/RETURNS\s+([A-Z]+(?:\s+[A-Z]+)*)/i);
-    return returnMatch ? returnMatch[1].trim() : 'VOID';
-  }
-
   extractLanguage(functionBody) {
     const langMatch = functionBody.match(/LANGUAGE\s+(\w+)/i);
     return langMatch ? langMatch[1].toLowerCase() : 'sql';
   }
 
-  parseFunctionParameters(params) {
-    if (!params.trim()) return [];
-
-    const parameters = [];
-    const parts = params.split(',').map(p => p.trim());
-
-    for (const part of parts) {
-      const paramMatch = part.match(/(\w+)\s+([A-Z]+(?:\s+[A-Z]+)*)/i);
-      if (paramMatch) {
-        parameters.push({
-          name: paramMatch[1].toLowerCase(),
-          type: paramMatch[2].toUpperCase()
-        });
-      }
-    }
-
-    return parameters;
-  }
-
   parseTypeScriptParameters(params) {
     if (!params.trim()) return [];
 
@@ -634,14 +1481,24 @@ class SpecParser {
   }
 
   findInterfaceForEndpoint(route, suffix) {
-    // Convert route to interface name
-    // /api/admin/overview -> SystemOverviewResponse
-    const parts = route.split('/').filter(p => p && !p.includes('{'));
-    const name = parts.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('') + suffix;
+    // Convert route to interface name, with and without the api prefix
+    // /api/admin/overview -> ApiAdminOverviewResponse, AdminOverviewResponse
+    const parts = route.split('/').filter(p => p && !p.includes('{') && !p.includes('['));
+    const toName = segments => segments
+      .map(p => p.replace(/[-_](\w)/g, (m, c) => c.toUpperCase()))
+      .map(p => p.charAt(0).toUpperCase() + p.slice(1))
+      .join('') + suffix;
+
+    const candidates = [toName(parts)];
+    if (parts[0] === 'api') candidates.push(toName(parts.slice(1)));
 
     // Check if this interface exists in the spec
-    const interfacePattern = new RegExp(`interface\\s+${name}\\s*{`, 'i');
-    return this.spec.match(interfacePattern) ? name : null;
+    for (const name of candidates) {
+      const interfacePattern = new RegExp(`interface\\s+${name}\\b`, 'i');
+      const match = this.spec.match(interfacePattern);
+      if (match) return match[0].split(/\s+/).pop();
+    }
+    return null;
   }
 
   inferComponentType(name) {
@@ -666,6 +1523,18 @@ class SpecParser {
     return 'component';
   }
 
+  /**
+   * Whether a heading names the section that lists UI files to create
+   */
+  isFilesSection(sectionName) {
+    const lowerName = sectionName.toLowerCase();
+    return lowerName.includes('files to create') ||
+           lowerName.includes('ui components') ||
+           lowerName === 'components' ||
+           lowerName.includes('files to modify') ||
+           lowerName.includes('new files');
+  }
+
   findSectionContent(sectionNamePattern) {
     for (const [name, content] of this.sections) {
       if (name.toLowerCase().includes(sectionNamePattern.toLowerCase())) {
@@ -676,4 +1545,46 @@ class SpecParser {
   }
 }
 
-module.exports = { SpecParser };
\ No newline at end of file
+/**
+ * Format a diagnostic as file:line:column severity [code] message
+ */
+function formatDiagnostic(file, diagnostic) {
+  return `${file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.severity} [${diagnostic.code}] ${diagnostic.message}`;
+}
+
+// CLI entry point
+if (require.main === module) {
+  const fs = require('fs');
+  const [, , command, specPath, ...flags] = process.argv;
+
+  if (command !== 'validate' || !specPath) {
+    console.log('Usage: node lib/spec-parser.js validate <spec.md> [--json]');
+    process.exit(command === 'help' || command === '--help' ? 0 : 1);
+  }
+
+  (async () => {
+    let content;
+    let sibling;
+    try {
+      content = fs.readFileSync(specPath, 'utf8');
+      sibling = await new FrontMatterParser().loadSibling(specPath);
+    } catch (error) {
+      console.error(`Could not read spec: ${error.message}`);
+      process.exit(1);
+    }
+
+    const result = new SpecParser().validate(content, { structured: sibling && sibling.data });
+
+    if (flags.includes('--json')) {
+      const { parsed, ...report } = result;
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      result.diagnostics.forEach(d => console.log(formatDiagnostic(specPath, d)));
+      console.log(`\n${result.valid ? '✅' : '❌'} ${result.errorCount} error(s), ${result.warningCount} warning(s)`);
+    }
+
+    process.exit(result.valid ? 0 : 1);
+  })();
+}
+
+module.exports = { SpecParser, formatDiagnostic };
\ No newline at end of file
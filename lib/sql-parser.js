@@ -0,0 +1,1495 @@
+/**
+ * @fileoverview SQL Parser - Postgres DDL tokenizer and parser
+ *
+ * Turns the SQL blocks found in specs into a typed AST instead of relying on
+ * regexes. Handles schema-qualified and quoted identifiers, IF NOT EXISTS,
+ * nested parentheses (CHECK constraints, DEFAULT now()), dollar-quoted
+ * function bodies and comments. Every node carries its source line.
+ *
+ * Node kinds: table, alter_table, index, enum, composite_type, trigger,
+ * function, view, policy, alter_policy, drop, statement (anything not
+ * understood yet, kept verbatim).
+ */
+
+const PUNCTUATION = new Set(['(', ')', ',', ';', '.', '[', ']']);
+const OPERATOR_CHARS = new Set(['+', '-', '*', '/', '<', '>', '=', '~', '!', '@', '#', '%', '^', '&', '|', '`', '?', ':']);
+
+// Words that end a column's data type and start its constraints
+const COLUMN_CONSTRAINT_KEYWORDS = new Set([
+  'CONSTRAINT', 'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'REFERENCES',
+  'UNIQUE', 'CHECK', 'GENERATED', 'COLLATE'
+]);
+
+const TABLE_CONSTRAINT_KEYWORDS = new Set([
+  'CONSTRAINT', 'PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK', 'EXCLUDE'
+]);
+
+// Words that end a function's RETURNS clause
+const FUNCTION_OPTION_KEYWORDS = new Set([
+  'LANGUAGE', 'AS', 'SECURITY', 'IMMUTABLE', 'STABLE', 'VOLATILE', 'STRICT',
+  'CALLED', 'PARALLEL', 'COST', 'ROWS', 'SET', 'LEAKPROOF', 'WINDOW',
+  'EXTERNAL', 'SUPPORT', 'TRANSFORM', 'BEGIN'
+]);
+
+// Words that follow a FROM/JOIN relation and are not an alias
+const SQL_CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'UNION', 'EXCEPT',
+  'INTERSECT', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL',
+  'ON', 'USING', 'WINDOW', 'FETCH', 'FOR', 'WITH', 'RETURNING', 'TABLESAMPLE'
+]);
+
+// Words followed by '(' in an expression that are not function calls
+const EXPRESSION_KEYWORDS = new Set([
+  'EXISTS', 'IN', 'ANY', 'ALL', 'SOME', 'ARRAY', 'NOT', 'AND', 'OR', 'SELECT',
+  'VALUES', 'WHERE', 'ON', 'USING', 'AS', 'CAST', 'ROW', 'FILTER', 'OVER',
+  'WITHIN', 'WHEN', 'THEN', 'ELSE', 'CASE', 'FROM', 'JOIN', 'IS', 'LIKE', 'ILIKE'
+]);
+
+// Types whose first word alone would look like a parameter name
+const MULTI_WORD_TYPES = new Set([
+  'DOUBLE', 'CHARACTER', 'TIMESTAMP', 'TIME', 'BIT', 'INTERVAL', 'NATIONAL'
+]);
+
+class SQLParser {
+  /**
+   * Parse a SQL source string into statement nodes
+   * @param {string} source - SQL text
+   * @param {Object} options
+   * @param {number} options.lineOffset - Added to every line number (for SQL embedded in a spec)
+   * @returns {{ statements: Object[], errors: Object[] }}
+   */
+  parse(source, options = {}) {
+    const lineOffset = options.lineOffset || 0;
+    const errors = [];
+    const statements = [];
+
+    let tokens;
+    try {
+      tokens = this.tokenize(source, lineOffset);
+    } catch (error) {
+      errors.push({
+        message: error.message,
+        line: error.line || lineOffset + 1,
+        column: error.column || 1
+      });
+      return { statements, errors };
+    }
+
+    for (const statementTokens of this.splitStatements(tokens)) {
+      const stream = new TokenStream(statementTokens, source);
+      try {
+        statements.push(this.parseStatement(stream));
+      } catch (error) {
+        const token = error.token || statementTokens[0];
+        errors.push({
+          message: error.message,
+          line: token.line,
+          column: token.column,
+          sql: stream.text(statementTokens)
+        });
+      }
+    }
+
+    return { statements, errors };
+  }
+
+  /**
+   * Split SQL into tokens, dropping whitespace and comments
+   */
+  tokenize(source, lineOffset = 0) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.line = line + lineOffset;
+      error.column = i - lineStart + 1;
+      throw error;
+    };
+
+    const advanceTo = (end) => {
+      for (let k = i; k < end; k++) {
+        if (source[k] === '\n') {
+          line++;
+          lineStart = k + 1;
+        }
+      }
+      i = end;
+    };
+
+    const push = (type, value, start, startLine, startColumn) => {
+      tokens.push({
+        type,
+        value,
+        upper: type === 'word' ? value.toUpperCase() : null,
+        start,
+        end: i,
+        line: startLine + lineOffset,
+        column: startColumn
+      });
+    };
+
+    while (i < source.length) {
+      const ch = source[i];
+      const next = source[i + 1];
+      const start = i;
+      const startLine = line;
+      const startColumn = i - lineStart + 1;
+
+      if (/\s/.test(ch)) {
+        advanceTo(i + 1);
+        continue;
+      }
+
+      // Line comment
+      if (ch === '-' && next === '-') {
+        const end = source.indexOf('\n', i);
+        advanceTo(end === -1 ? source.length : end);
+        continue;
+      }
+
+      // Block comment (Postgres allows nesting)
+      if (ch === '/' && next === '*') {
+        let depth = 0;
+        let k = i;
+        while (k < source.length) {
+          if (source[k] === '/' && source[k + 1] === '*') {
+            depth++;
+            k += 2;
+          } else if (source[k] === '*' && source[k + 1] === '/') {
+            depth--;
+            k += 2;
+            if (depth === 0) break;
+          } else {
+            k++;
+          }
+        }
+        if (depth !== 0) fail('Unterminated block comment');
+        advanceTo(k);
+        continue;
+      }
+
+      // String literal ('' escapes a quote)
+      if (ch === '\'') {
+        let k = i + 1;
+        while (k < source.length) {
+          if (source[k] === '\'' && source[k + 1] === '\'') {
+            k += 2;
+          } else if (source[k] === '\'') {
+            break;
+          } else {
+            k++;
+          }
+        }
+        if (k >= source.length) fail('Unterminated string literal');
+        const value = source.substring(i + 1, k).replace(/''/g, '\'');
+        advanceTo(k + 1);
+        push('string', value, start, startLine, startColumn);
+        continue;
+      }
+
+      // Quoted identifier ("" escapes a quote)
+      if (ch === '"') {
+        let k = i + 1;
+        while (k < source.length) {
+          if (source[k] === '"' && source[k + 1] === '"') {
+            k += 2;
+          } else if (source[k] === '"') {
+            break;
+          } else {
+            k++;
+          }
+        }
+        if (k >= source.length) fail('Unterminated quoted identifier');
+        const value = source.substring(i + 1, k).replace(/""/g, '"');
+        advanceTo(k + 1);
+        push('identifier', value, start, startLine, startColumn);
+        continue;
+      }
+
+      // Dollar-quoted string ($$ ... $$ or $tag$ ... $tag$)
+      if (ch === '$') {
+        const tagMatch = source.substring(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+        if (tagMatch) {
+          const tag = tagMatch[0];
+          const bodyStart = i + tag.length;
+          const close = source.indexOf(tag, bodyStart);
+          if (close === -1) fail(`Unterminated dollar-quoted string ${tag}`);
+          const value = source.substring(bodyStart, close);
+          advanceTo(close + tag.length);
+          push('dollar', value, start, startLine, startColumn);
+          tokens[tokens.length - 1].tag = tag;
+          continue;
+        }
+
+        // Positional parameter ($1)
+        const paramMatch = source.substring(i).match(/^\$\d+/);
+        if (paramMatch) {
+          advanceTo(i + paramMatch[0].length);
+          push('word', paramMatch[0], start, startLine, startColumn);
+          continue;
+        }
+      }
+
+      if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+        const numMatch = source.substring(i).match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+        advanceTo(i + numMatch[0].length);
+        push('number', numMatch[0], start, startLine, startColumn);
+        continue;
+      }
+
+      if (/[A-Za-z_\u0080-\uFFFF]/.test(ch)) {
+        const wordMatch = source.substring(i).match(/^[A-Za-z_\u0080-\uFFFF][A-Za-z0-9_$\u0080-\uFFFF]*/);
+        advanceTo(i + wordMatch[0].length);
+        push('word', wordMatch[0], start, startLine, startColumn);
+        continue;
+      }
+
+      if (PUNCTUATION.has(ch)) {
+        advanceTo(i + 1);
+        push('punct', ch, start, startLine, startColumn);
+        continue;
+      }
+
+      if (OPERATOR_CHARS.has(ch)) {
+        let k = i;
+        while (k < source.length && OPERATOR_CHARS.has(source[k]) &&
+               !(source[k] === '-' && source[k + 1] === '-') &&
+               !(source[k] === '/' && source[k + 1] === '*')) {
+          k++;
+        }
+        advanceTo(k);
+        push('operator', source.substring(start, k), start, startLine, startColumn);
+        continue;
+      }
+
+      fail(`Unexpected character '${ch}'`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Group tokens into statements on top-level semicolons
+   */
+  splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+    let depth = 0;
+
+    for (const token of tokens) {
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') depth = Math.max(0, depth - 1);
+
+      if (token.type === 'punct' && token.value === ';' && depth === 0) {
+        if (current.length > 0) {
+          current.terminator = token;
+          statements.push(current);
+        }
+        current = [];
+        continue;
+      }
+
+      current.push(token);
+    }
+
+    if (current.length > 0) {
+      statements.push(current);
+    }
+
+    return statements;
+  }
+
+  /**
+   * Dispatch on the statement's leading keywords
+   */
+  parseStatement(stream) {
+    const first = stream.peek();
+
+    if (stream.isWord('CREATE')) {
+      const save = stream.pos;
+      stream.next();
+      stream.acceptWords('OR', 'REPLACE');
+      stream.acceptWord('GLOBAL') || stream.acceptWord('LOCAL');
+      stream.acceptWord('TEMPORARY') || stream.acceptWord('TEMP') || stream.acceptWord('UNLOGGED');
+      stream.acceptWord('CONSTRAINT');
+      stream.acceptWord('RECURSIVE');
+
+      if (stream.isWord('VIEW') || stream.isWords('MATERIALIZED', 'VIEW')) return this.parseCreateView(stream, first);
+      if (stream.isWord('TABLE')) return this.parseCreateTable(stream, first);
+      if (stream.isWord('UNIQUE') || stream.isWord('INDEX')) return this.parseCreateIndex(stream, first);
+      if (stream.isWord('TYPE')) return this.parseCreateType(stream, first);
+      if (stream.isWord('TRIGGER')) return this.parseCreateTrigger(stream, first);
+      if (stream.isWord('FUNCTION')) return this.parseCreateFunction(stream, first);
+      if (stream.isWord('POLICY')) return this.parseCreatePolicy(stream, first);
+
+      stream.pos = save;
+    }
+
+    if (stream.isWord('ALTER') && stream.isWord('TABLE', 1)) {
+      return this.parseAlterTable(stream, first);
+    }
+
+    if (stream.isWord('ALTER') && stream.isWord('POLICY', 1)) {
+      return this.parseAlterPolicy(stream, first);
+    }
+
+    if (stream.isWord('DROP')) {
+      return this.parseDrop(stream, first);
+    }
+
+    return this.genericStatement(stream, first);
+  }
+
+  /**
+   * CREATE TABLE [IF NOT EXISTS] name ( columns and constraints )
+   */
+  parseCreateTable(stream, first) {
+    stream.expectWord('TABLE');
+    const ifNotExists = stream.acceptWords('IF', 'NOT', 'EXISTS');
+    const name = this.parseQualifiedName(stream);
+
+    const body = stream.readParenthesized();
+    const columns = [];
+    const constraints = [];
+
+    for (const element of this.splitTopLevel(body)) {
+      if (element.length === 0) continue;
+
+      const keyword = element[0].upper;
+      if (keyword === 'LIKE') continue;
+
+      if (TABLE_CONSTRAINT_KEYWORDS.has(keyword)) {
+        constraints.push(this.parseTableConstraint(stream.sub(element)));
+      } else {
+        columns.push(this.parseColumnDefinition(stream.sub(element)));
+      }
+    }
+
+    return {
+      kind: 'table',
+      schema: name.schema,
+      name: name.name,
+      ifNotExists,
+      columns,
+      constraints,
+      line: first.line,
+      sql: this.statementText(stream)
+    };
+  }
+
+  /**
+   * Parse a column definition: name type [column constraints]
+   * An incomplete or unknown constraint is a parse error at its token.
+   */
+  parseColumnDefinition(stream) {
+    const nameToken = stream.peek();
+    const name = this.parseIdentifier(stream);
+
+    const typeTokens = stream.readUntil(t => t.type === 'word' && COLUMN_CONSTRAINT_KEYWORDS.has(t.upper));
+    if (typeTokens.length === 0) {
+      throw stream.error(`Column ${name} has no data type`, nameToken);
+    }
+
+    const column = {
+      name,
+      type: stream.text(typeTokens).toUpperCase(),
+      nullable: true,
+      defaultValue: null,
+      primaryKey: false,
+      unique: false,
+      references: null,
+      check: null,
+      generated: null,
+      line: nameToken.line
+    };
+
+    // WITH (storage parameters) and USING INDEX TABLESPACE of a PRIMARY KEY or UNIQUE index
+    const indexParameters = () => {
+      if (stream.acceptWord('WITH')) stream.readParenthesized();
+      if (stream.acceptWords('USING', 'INDEX', 'TABLESPACE')) this.parseIdentifier(stream);
+    };
+
+    while (!stream.done()) {
+      const token = stream.peek();
+
+      if (stream.acceptWord('CONSTRAINT')) {
+        const constraintName = this.parseIdentifier(stream);
+        if (stream.done()) {
+          throw stream.error(`Constraint ${constraintName} on column ${name} has no definition`, token);
+        }
+      } else if (stream.acceptWords('NOT', 'DEFERRABLE') || stream.acceptWord('DEFERRABLE') ||
+                 stream.acceptWords('INITIALLY', 'DEFERRED') || stream.acceptWords('INITIALLY', 'IMMEDIATE')) {
+        continue;
+      } else if (stream.acceptWord('NOT')) {
+        stream.expectWord('NULL');
+        column.nullable = false;
+      } else if (stream.acceptWord('NULL')) {
+        column.nullable = true;
+      } else if (stream.acceptWord('DEFAULT')) {
+        if (stream.done()) {
+          throw stream.error(`Column ${name} has no DEFAULT expression`, token);
+        }
+        // The first token always belongs to the expression (DEFAULT NULL)
+        const exprTokens = [stream.next(), ...stream.readUntil(t => t.type === 'word' && COLUMN_CONSTRAINT_KEYWORDS.has(t.upper))];
+        column.defaultValue = stream.text(exprTokens);
+      } else if (stream.acceptWord('PRIMARY')) {
+        stream.expectWord('KEY');
+        column.primaryKey = true;
+        column.nullable = false;
+        indexParameters();
+      } else if (stream.acceptWord('UNIQUE')) {
+        stream.acceptWords('NULLS', 'NOT', 'DISTINCT') || stream.acceptWords('NULLS', 'DISTINCT');
+        column.unique = true;
+        indexParameters();
+      } else if (stream.acceptWord('REFERENCES')) {
+        column.references = this.parseReferences(stream);
+      } else if (stream.acceptWord('CHECK')) {
+        column.check = stream.text(stream.readParenthesized());
+        stream.acceptWords('NO', 'INHERIT');
+      } else if (stream.acceptWord('GENERATED')) {
+        if (!stream.isWord('ALWAYS') && !stream.isWords('BY', 'DEFAULT')) {
+          const found = stream.peek();
+          throw stream.error(`Expected ALWAYS or BY DEFAULT after GENERATED but found ${found ? `'${found.value}'` : 'end of statement'}`, found);
+        }
+        const genTokens = stream.readUntil(t => t.type === 'word' && COLUMN_CONSTRAINT_KEYWORDS.has(t.upper) && t.upper !== 'DEFAULT');
+        column.generated = `GENERATED ${stream.text(genTokens)}`;
+      } else if (stream.acceptWord('COLLATE')) {
+        this.parseQualifiedName(stream);
+      } else {
+        throw stream.error(`Unexpected '${token.value}' in column ${name}`, token);
+      }
+    }
+
+    return column;
+  }
+
+  /**
+   * Parse REFERENCES table [(column)] [ON DELETE action] [ON UPDATE action]
+   */
+  parseReferences(stream) {
+    const target = this.parseQualifiedName(stream);
+    let columns = [];
+
+    if (stream.isPunct('(')) {
+      columns = this.splitTopLevel(stream.readParenthesized()).map(c => this.identifierValue(c[0]));
+    }
+
+    const reference = {
+      table: target.name,
+      schema: target.schema,
+      column: columns[0] || 'id',
+      columns: columns.length > 0 ? columns : ['id'],
+      onDelete: null,
+      onUpdate: null
+    };
+
+    while (!stream.done()) {
+      if (stream.acceptWords('ON', 'DELETE')) {
+        reference.onDelete = this.readReferentialAction(stream);
+      } else if (stream.acceptWords('ON', 'UPDATE')) {
+        reference.onUpdate = this.readReferentialAction(stream);
+      } else if (stream.acceptWord('MATCH')) {
+        stream.next();
+      } else if (stream.acceptWord('DEFERRABLE') || stream.acceptWords('NOT', 'DEFERRABLE') ||
+                 stream.acceptWords('INITIALLY', 'DEFERRED') || stream.acceptWords('INITIALLY', 'IMMEDIATE')) {
+        continue;
+      } else {
+        break;
+      }
+    }
+
+    return reference;
+  }
+
+  readReferentialAction(stream) {
+    if (stream.acceptWords('SET', 'NULL')) return 'SET NULL';
+    if (stream.acceptWords('SET', 'DEFAULT')) return 'SET DEFAULT';
+    if (stream.acceptWords('NO', 'ACTION')) return 'NO ACTION';
+    const token = stream.next();
+    return token ? token.upper : null;
+  }
+
+  /**
+   * Parse a table-level constraint
+   */
+  parseTableConstraint(stream) {
+    const first = stream.peek();
+    let name = null;
+
+    if (stream.acceptWord('CONSTRAINT')) {
+      name = this.parseIdentifier(stream);
+    }
+
+    const constraint = {
+      name: name || 'unnamed',
+      type: 'UNKNOWN',
+      columns: [],
+      references: null,
+      expression: null,
+      definition: stream.text(stream.tokens),
+      line: first.line
+    };
+
+    const columnList = () => this.splitTopLevel(stream.readParenthesized())
+      .map(c => this.identifierValue(c[0]));
+
+    if (stream.acceptWord('PRIMARY')) {
+      stream.expectWord('KEY');
+      constraint.type = 'PRIMARY KEY';
+      constraint.columns = columnList();
+    } else if (stream.acceptWord('UNIQUE')) {
+      stream.acceptWords('NULLS', 'NOT', 'DISTINCT');
+      constraint.type = 'UNIQUE';
+      constraint.columns = columnList();
+    } else if (stream.acceptWord('FOREIGN')) {
+      stream.expectWord('KEY');
+      constraint.type = 'FOREIGN KEY';
+      constraint.columns = columnList();
+      stream.expectWord('REFERENCES');
+      constraint.references = this.parseReferences(stream);
+    } else if (stream.acceptWord('CHECK')) {
+      constraint.type = 'CHECK';
+      constraint.expression = stream.text(stream.readParenthesized());
+    } else if (stream.acceptWord('EXCLUDE')) {
+      constraint.type = 'EXCLUDE';
+      constraint.expression = stream.text(stream.rest());
+    } else {
+      const token = stream.peek();
+      throw stream.error(`Expected PRIMARY KEY, UNIQUE, FOREIGN KEY, CHECK or EXCLUDE but found ${token ? `'${token.value}'` : 'end of constraint'}`, token);
+    }
+
+    return constraint;
+  }
+
+  /**
+   * ALTER TABLE [IF EXISTS] [ONLY] name action [, action ...]
+   */
+  parseAlterTable(stream, first) {
+    stream.expectWord('ALTER');
+    stream.expectWord('TABLE');
+    stream.acceptWords('IF', 'EXISTS');
+    stream.acceptWord('ONLY');
+    const name = this.parseQualifiedName(stream);
+
+    const actionTokens = stream.rest();
+    const actions = this.splitTopLevel(actionTokens)
+      .filter(tokens => tokens.length > 0)
+      .map(tokens => this.parseAlterAction(stream.sub(tokens)));
+
+    return {
+      kind: 'alter_table',
+      schema: name.schema,
+      table: name.name,
+      actions,
+      alteration: stream.text(actionTokens),
+      line: first.line,
+      sql: this.statementText(stream)
+    };
+  }
+
+  parseAlterAction(stream) {
+    const definition = stream.text(stream.tokens);
+
+    if (stream.isWord('ADD')) {
+      stream.next();
+      const explicitColumn = stream.acceptWord('COLUMN');
+      if (!explicitColumn && stream.peek() && TABLE_CONSTRAINT_KEYWORDS.has(stream.peek().upper)) {
+        return { type: 'add_constraint', constraint: this.parseTableConstraint(stream), definition };
+      }
+      stream.acceptWords('IF', 'NOT', 'EXISTS');
+      return { type: 'add_column', column: this.parseColumnDefinition(stream), definition };
+    }
+
+    if (stream.acceptWords('DROP', 'CONSTRAINT')) {
+      stream.acceptWords('IF', 'EXISTS');
+      return { type: 'drop_constraint', name: this.parseIdentifier(stream), definition };
+    }
+
+    if (stream.acceptWord('DROP')) {
+      stream.acceptWord('COLUMN');
+      stream.acceptWords('IF', 'EXISTS');
+      return { type: 'drop_column', name: this.parseIdentifier(stream), definition };
+    }
+
+    if (stream.acceptWords('ENABLE', 'ROW', 'LEVEL', 'SECURITY')) {
+      return { type: 'enable_rls', definition };
+    }
+
+    if (stream.acceptWords('FORCE', 'ROW', 'LEVEL', 'SECURITY')) {
+      return { type: 'force_rls', definition };
+    }
+
+    if (stream.acceptWords('NO', 'FORCE', 'ROW', 'LEVEL', 'SECURITY')) {
+      return { type: 'no_force_rls', definition };
+    }
+
+    if (stream.acceptWords('DISABLE', 'ROW', 'LEVEL', 'SECURITY')) {
+      return { type: 'disable_rls', definition };
+    }
+
+    if (stream.acceptWord('ALTER')) {
+      stream.acceptWord('COLUMN');
+      return { type: 'alter_column', name: this.parseIdentifier(stream), definition };
+    }
+
+    if (stream.acceptWord('RENAME')) {
+      if (stream.acceptWord('TO')) {
+        return { type: 'rename_table', to: this.parseIdentifier(stream), definition };
+      }
+      stream.acceptWord('COLUMN');
+      const from = this.parseIdentifier(stream);
+      stream.expectWord('TO');
+      return { type: 'rename_column', from, to: this.parseIdentifier(stream), definition };
+    }
+
+    return { type: 'other', definition };
+  }
+
+  /**
+   * CREATE [UNIQUE] INDEX [CONCURRENTLY] [IF NOT EXISTS] [name] ON table [USING method] (columns) [WHERE predicate]
+   */
+  parseCreateIndex(stream, first) {
+    const unique = stream.acceptWord('UNIQUE');
+    stream.expectWord('INDEX');
+    stream.acceptWord('CONCURRENTLY');
+    stream.acceptWords('IF', 'NOT', 'EXISTS');
+
+    let name = null;
+    if (!stream.isWord('ON')) {
+      name = this.parseQualifiedName(stream).name;
+    }
+
+    stream.expectWord('ON');
+    stream.acceptWord('ONLY');
+    const table = this.parseQualifiedName(stream);
+
+    let method = null;
+    if (stream.acceptWord('USING')) {
+      method = stream.next().value.toLowerCase();
+    }
+
+    const columns = this.splitTopLevel(stream.readParenthesized()).map(c => stream.text(c));
+
+    let where = null;
+    while (!stream.done()) {
+      if (stream.acceptWord('WHERE')) {
+        where = stream.text(stream.rest());
+      } else {
+        stream.next();
+      }
+    }
+
+    return {
+      kind: 'index',
+      name: name || `${table.name}_${columns.join('_').replace(/\W+/g, '_')}_idx`,
+      schema: table.schema,
+      table: table.name,
+      columns,
+      unique,
+      method,
+      where,
+      line: first.line,
+      sql: this.statementText(stream)
+    };
+  }
+
+  /**
+   * CREATE TYPE name AS ENUM ('a', 'b') | AS (composite fields)
+   */
+  parseCreateType(stream, first) {
+    stream.expectWord('TYPE');
+    const name = this.parseQualifiedName(stream);
+    stream.expectWord('AS');
+
+    if (stream.acceptWord('ENUM')) {
+      const values = this.splitTopLevel(stream.readParenthesized())
+        .filter(v => v.length > 0)
+        .map(v => {
+          if (v[0].type !== 'string') {
+            throw stream.error('Enum values must be string literals', v[0]);
+          }
+          return v[0].value;
+        });
+
+      return {
+        kind: 'enum',
+        schema: name.schema,
+        name: name.name,
+        values,
+        line: first.line,
+        sql: this.statementText(stream)
+      };
+    }
+
+    if (stream.isPunct('(')) {
+      const fields = this.splitTopLevel(stream.readParenthesized())
+        .filter(f => f.length > 0)
+        .map(f => this.parseColumnDefinition(stream.sub(f)));
+
+      return {
+        kind: 'composite_type',
+        schema: name.schema,
+        name: name.name,
+        fields,
+        line: first.line,
+        sql: this.statementText(stream)
+      };
+    }
+
+    return this.genericStatement(stream, first);
+  }
+
+  /**
+   * CREATE TRIGGER name {BEFORE|AFTER|INSTEAD OF} events ON table
+   *   [FOR [EACH] {ROW|STATEMENT}] [WHEN (condition)] EXECUTE {FUNCTION|PROCEDURE} fn(args)
+   */
+  parseCreateTrigger(stream, first) {
+    stream.expectWord('TRIGGER');
+    const name = this.parseIdentifier(stream);
+
+    let timing;
+    if (stream.acceptWords('INSTEAD', 'OF')) {
+      timing = 'INSTEAD OF';
+    } else if (stream.acceptWord('BEFORE')) {
+      timing = 'BEFORE';
+    } else {
+      stream.expectWord('AFTER');
+      timing = 'AFTER';
+    }
+
+    const events = [];
+    do {
+      const eventToken = stream.next();
+      if (!eventToken || eventToken.type !== 'word') {
+        throw stream.error('Expected trigger event', eventToken);
+      }
+      const event = { event: eventToken.upper, columns: [] };
+      if (event.event === 'UPDATE' && stream.acceptWord('OF')) {
+        const columnTokens = stream.readUntil(t => t.type === 'word' && ['OR', 'ON'].includes(t.upper));
+        event.columns = this.splitTopLevel(columnTokens).map(c => this.identifierValue(c[0]));
+      }
+      events.push(event);
+    } while (stream.acceptWord('OR'));
+
+    stream.expectWord('ON');
+    const table = this.parseQualifiedName(stream);
+
+    let forEach = 'STATEMENT';
+    let when = null;
+    let fn = null;
+    let args = [];
+
+    while (!stream.done()) {
+      if (stream.acceptWord('FOR')) {
+        stream.acceptWord('EACH');
+        forEach = stream.next().upper;
+      } else if (stream.acceptWord('WHEN')) {
+        when = stream.text(stream.readParenthesized());
+      } else if (stream.acceptWord('EXECUTE')) {
+        stream.acceptWord('FUNCTION') || stream.acceptWord('PROCEDURE');
+        fn = this.parseQualifiedName(stream);
+        args = this.splitTopLevel(stream.readParenthesized()).filter(a => a.length > 0).map(a => stream.text(a));
+      } else {
+        stream.next();
+      }
+    }
+
+    if (!fn) {
+      throw stream.error(`Trigger ${name} has no EXECUTE FUNCTION clause`, first);
+    }
+
+    return {
+      kind: 'trigger',
+      name,
+      timing,
+      events,
+      schema: table.schema,
+      table: table.name,
+      forEach,
+      when,
+      function: fn.name,
+      functionSchema: fn.schema,
+      arguments: args,
+      line: first.line,
+      sql: this.statementText(stream)
+    };
+  }
+
+  /**
+   * CREATE [MATERIALIZED] VIEW [IF NOT EXISTS] name [(columns)] [WITH (options)]
+   *   AS query [WITH [NO] DATA | WITH [CASCADED|LOCAL] CHECK OPTION]
+   */
+  parseCreateView(stream, first) {
+    const materialized = stream.acceptWord('MATERIALIZED');
+    stream.expectWord('VIEW');
+    const ifNotExists = stream.acceptWords('IF', 'NOT', 'EXISTS');
+    const name = this.parseQualifiedName(stream);
+
+    let columns = [];
+    if (stream.isPunct('(')) {
+      columns = this.splitTopLevel(stream.readParenthesized())
+        .filter(c => c.length > 0)
+        .map(c => this.identifierValue(c[0]));
+    }
+
+    // USING method, WITH (options), TABLESPACE name
+    stream.readUntil(t => t.type === 'word' && t.upper === 'AS');
+    stream.expectWord('AS');
+
+    let query = stream.rest();
+    let withData = materialized ? true : null;
+    let checkOption = null;
+
+    const tail = query.map(t => t.upper);
+    const last = tail.length;
+    if (materialized && tail[last - 1] === 'DATA' && tail[last - 3] === 'WITH') {
+      withData = tail[last - 2] !== 'NO';
+      query = query.slice(0, last - 3);
+    } else if (materialized && tail[last - 1] === 'DATA' && tail[last - 2] === 'WITH') {
+      query = query.slice(0, last - 2);
+    } else if (!materialized && tail[last - 1] === 'OPTION' && tail[last - 2] === 'CHECK') {
+      const hasLevel = ['CASCADED', 'LOCAL'].includes(tail[last - 3]);
+      checkOption = hasLevel ? tail[last - 3] : 'CASCADED';
+      query = query.slice(0, last - (hasLevel ? 4 : 3));
+    }
+
+    if (query.length === 0) {
+      throw stream.error(`View ${name.name} has no query`, first);
+    }
+
+    return {
+      kind: 'view',
+      schema: name.schema,
+      name: name.name,
+      materialized,
+      ifNotExists,
+      columns,
+      query: stream.text(query),
+      dependencies: this.findQueryRelations(query),
+      withData,
+      checkOption,
+      line: first.line,
+      sql: this.statementText(stream)
+    };
+  }
+
+  /**
+   * CREATE POLICY name ON table [AS {PERMISSIVE|RESTRICTIVE}]
+   *   [FOR {ALL|SELECT|INSERT|UPDATE|DELETE}] [TO role [, ...]]
+   *   [USING (expression)] [WITH CHECK (expression)]
+   *
+   * Each expression also lists the tables its subqueries read and the
+   * functions it calls, which is what RLS recursion analysis needs.
+   */
+  parseCreatePolicy(stream, first) {
+    stream.expectWord('POLICY');
+    const name = this.parseIdentifier(stream);
+    stream.expectWord('ON');
+    const table = this.parseQualifiedName(stream);
+
+    const policy = {
+      kind: 'policy',
+      name,
+      schema: table.schema,
+      table: table.name,
+      permissive: true,
+      command: 'ALL',
+      roles: ['public'],
+      using: null,
+      withCheck: null,
+      references: { using: [], withCheck: [] },
+      functions: { using: [], withCheck: [] },
+      line: first.line,
+      sql: null
+    };
+
+    while (!stream.done()) {
+      if (stream.acceptWord('AS')) {
+        const mode = stream.next();
+        if (!mode || !['PERMISSIVE', 'RESTRICTIVE'].includes(mode.upper)) {
+          throw stream.error('Expected PERMISSIVE or RESTRICTIVE', mode);
+        }
+        policy.permissive = mode.upper === 'PERMISSIVE';
+      } else if (stream.acceptWord('FOR')) {
+        const command = stream.next();
+        if (!command || !['ALL', 'SELECT', 'INSERT', 'UPDATE', 'DELETE'].includes(command.upper)) {
+          throw stream.error('Expected ALL, SELECT, INSERT, UPDATE or DELETE', command);
+        }
+        policy.command = command.upper;
+      } else if (!this.parsePolicyClause(stream, policy)) {
+        const token = stream.peek();
+        throw stream.error(`Unexpected '${token.value}' in CREATE POLICY ${name}`, token);
+      }
+    }
+
+    policy.sql = this.statementText(stream);
+    return policy;
+  }
+
+  /**
+   * ALTER POLICY name ON table RENAME TO new_name
+   * ALTER POLICY name ON table [TO role [, ...]] [USING (expr)] [WITH CHECK (expr)]
+   *
+   * Only the clauses present are set on the node; the rest stay undefined.
+   */
+  parseAlterPolicy(stream, first) {
+    stream.expectWord('ALTER');
+    stream.expectWord('POLICY');
+    const name = this.parseIdentifier(stream);
+    stream.expectWord('ON');
+    const table = this.parseQualifiedName(stream);
+
+    const node = {
+      kind: 'alter_policy',
+      name,
+      schema: table.schema,
+      table: table.name,
+      references: {},
+      functions: {},
+      line: first.line,
+      sql: null
+    };
+
+    if (stream.acceptWords('RENAME', 'TO')) {
+      node.renameTo = this.parseIdentifier(stream);
+    }
+
+    while (!stream.done()) {
+      if (!this.parsePolicyClause(stream, node)) {
+        const token = stream.peek();
+        throw stream.error(`Unexpected '${token.value}' in ALTER POLICY ${name}`, token);
+      }
+    }
+
+    node.sql = this.statementText(stream);
+    return node;
+  }
+
+  /**
+   * TO roles / USING (...) / WITH CHECK (...), shared by CREATE and ALTER POLICY
+   * @returns {boolean} false if the next tokens are not one of these clauses
+   */
+  parsePolicyClause(stream, policy) {
+    if (stream.acceptWord('TO')) {
+      const roleTokens = stream.readUntil(t => t.type === 'word' && ['USING', 'WITH'].includes(t.upper));
+      policy.roles = this.splitTopLevel(roleTokens)
+        .filter(r => r.length > 0)
+        .map(r => this.identifierValue(r[0]));
+      return true;
+    }
+
+    let clause = null;
+    if (stream.acceptWord('USING')) {
+      clause = 'using';
+    } else if (stream.acceptWords('WITH', 'CHECK')) {
+      clause = 'withCheck';
+    } else {
+      return false;
+    }
+
+    const expression = stream.readParenthesized();
+    policy[clause] = stream.text(expression);
+    policy.references[clause] = this.findQueryRelations(expression);
+    policy.functions[clause] = this.findFunctionCalls(expression);
+    return true;
+  }
+
+  /**
+   * DROP POLICY [IF EXISTS] name ON table
+   * DROP TRIGGER [IF EXISTS] name ON table
+   * DROP {TABLE|VIEW|MATERIALIZED VIEW|FUNCTION|TYPE|INDEX} [IF EXISTS] name [(args)] [, ...]
+   */
+  parseDrop(stream, first) {
+    stream.expectWord('DROP');
+
+    let objectType;
+    if (stream.acceptWords('MATERIALIZED', 'VIEW')) {
+      objectType = 'view';
+    } else {
+      const typeToken = stream.next();
+      const known = ['POLICY', 'TRIGGER', 'TABLE', 'VIEW', 'FUNCTION', 'TYPE', 'INDEX'];
+      if (!typeToken || typeToken.type !== 'word' || !known.includes(typeToken.upper)) {
+        stream.pos = 0;
+        return this.genericStatement(stream, first);
+      }
+      objectType = typeToken.upper.toLowerCase();
+    }
+
+    const ifExists = stream.acceptWords('IF', 'EXISTS');
+    const node = {
+      kind: 'drop',
+      objectType,
+      ifExists,
+      names: [],
+      cascade: false,
+      line: first.line,
+      sql: null
+    };
+
+    if (objectType === 'policy' || objectType === 'trigger') {
+      const name = this.parseIdentifier(stream);
+      stream.expectWord('ON');
+      const table = this.parseQualifiedName(stream);
+      node.names.push({ schema: table.schema, name });
+      node.table = table.name;
+    } else {
+      const nameTokens = stream.readUntil(t => t.type === 'word' && ['CASCADE', 'RESTRICT'].includes(t.upper));
+      for (const part of this.splitTopLevel(nameTokens).filter(p => p.length > 0)) {
+        // DROP FUNCTION name(arg types): keep only the name
+        const open = part.findIndex(t => t.type === 'punct' && t.value === '(');
+        node.names.push(this.parseQualifiedName(stream.sub(open === -1 ? part : part.slice(0, open))));
+      }
+    }
+
+    node.cascade = stream.acceptWord('CASCADE');
+    node.sql = this.statementText(stream);
+    return node;
+  }
+
+  /**
+   * Tables read and functions called by a SQL or PL/pgSQL fragment, such as
+   * a function body
+   * @returns {{ tables: Array<{schema, name}>, functions: Array<{schema, name}> }}
+   */
+  findReferences(source) {
+    const tokens = this.tokenize(source);
+    return {
+      tables: this.findQueryRelations(tokens),
+      functions: this.findFunctionCalls(tokens)
+    };
+  }
+
+  /**
+   * Functions called in an expression, schema-qualified where written so
+   */
+  findFunctionCalls(tokens) {
+    const calls = [];
+    const seen = new Set();
+
+    tokens.forEach((token, i) => {
+      const next = tokens[i + 1];
+      if (!next || next.type !== 'punct' || next.value !== '(') return;
+      if (token.type !== 'identifier' && token.type !== 'word') return;
+      if (token.type === 'word' && EXPRESSION_KEYWORDS.has(token.upper)) return;
+
+      const dot = tokens[i - 1];
+      const qualifier = tokens[i - 2];
+      const schema = dot && dot.type === 'punct' && dot.value === '.' && qualifier
+        ? this.identifierValue(qualifier)
+        : null;
+      const call = { schema, name: this.identifierValue(token) };
+      const key = `${schema || ''}.${call.name}`;
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        calls.push(call);
+      }
+    });
+
+    return calls;
+  }
+
+  /**
+   * Tables and views a query reads from (FROM / JOIN targets, CTE names excluded)
+   */
+  findQueryRelations(tokens) {
+    const stream = new TokenStream(tokens, '');
+    const cteNames = new Set();
+    const relations = [];
+    const seen = new Set();
+
+    // name AS ( ... ) at any depth is a CTE definition
+    tokens.forEach((token, i) => {
+      const as = tokens[i + 1];
+      const open = tokens[i + 2];
+      if ((token.type === 'word' || token.type === 'identifier') &&
+          as && as.type === 'word' && as.upper === 'AS' &&
+          open && open.type === 'punct' && open.value === '(') {
+        cteNames.add(this.identifierValue(token));
+      }
+    });
+
+    const readRelation = () => {
+      stream.acceptWord('ONLY');
+      stream.acceptWord('LATERAL');
+      const token = stream.peek();
+      if (!token || (token.type !== 'word' && token.type !== 'identifier')) return false;
+
+      const relation = this.parseQualifiedName(stream);
+      const key = `${relation.schema || ''}.${relation.name}`;
+      if (!cteNames.has(relation.name) && !seen.has(key)) {
+        seen.add(key);
+        relations.push(relation);
+      }
+
+      // Optional alias, then a comma continues the FROM list
+      stream.acceptWord('AS');
+      const alias = stream.peek();
+      if (alias && (alias.type === 'identifier' || (alias.type === 'word' && !SQL_CLAUSE_KEYWORDS.has(alias.upper)))) {
+        stream.next();
+      }
+      return true;
+    };
+
+    // Parentheses that hold a subquery vs. an expression like extract(year FROM ts)
+    const groups = [];
+
+    while (!stream.done()) {
+      const token = stream.next();
+
+      if (token.type === 'punct' && token.value === '(') {
+        groups.push(stream.isWord('SELECT') || stream.isWord('WITH') || stream.isWord('VALUES'));
+        continue;
+      }
+      if (token.type === 'punct' && token.value === ')') {
+        groups.pop();
+        continue;
+      }
+
+      if (token.type !== 'word' || !['FROM', 'JOIN'].includes(token.upper)) continue;
+      if (groups.length > 0 && !groups[groups.length - 1]) continue;
+
+      while (readRelation() && stream.acceptPunct(',')) {
+        // keep reading the comma-separated FROM list
+      }
+    }
+
+    return relations;
+  }
+
+  /**
+   * CREATE [OR REPLACE] FUNCTION name(params) RETURNS type options AS $$ body $$
+   */
+  parseCreateFunction(stream, first) {
+    stream.expectWord('FUNCTION');
+    const name = this.parseQualifiedName(stream);
+    const parameters = this.splitTopLevel(stream.readParenthesized())
+      .filter(p => p.length > 0)
+      .map(p => this.parseFunctionParameter(stream.sub(p)));
+
+    const fn = {
+      kind: 'function',
+      schema: name.schema,
+      name: name.name,
+      parameters,
+      returnType: 'VOID',
+      returnsTable: null,
+      language: 'sql',
+      securityDefiner: false,
+      volatility: 'VOLATILE',
+      body: null,
+      line: first.line,
+      sql: null
+    };
+
+    while (!stream.done()) {
+      if (stream.acceptWord('RETURNS')) {
+        if (stream.isWord('TABLE') && stream.isPunct('(', 1)) {
+          stream.next();
+          const columnTokens = stream.readParenthesized();
+          fn.returnsTable = this.splitTopLevel(columnTokens)
+            .filter(c => c.length > 0)
+            .map(c => this.parseFunctionParameter(stream.sub(c)));
+          fn.returnType = `TABLE(${stream.text(columnTokens)})`;
+        } else {
+          const typeTokens = stream.readUntil(t => t.type === 'word' && FUNCTION_OPTION_KEYWORDS.has(t.upper));
+          fn.returnType = stream.text(typeTokens);
+        }
+      } else if (stream.acceptWord('LANGUAGE')) {
+        fn.language = stream.next().value.toLowerCase();
+      } else if (stream.acceptWords('SECURITY', 'DEFINER')) {
+        fn.securityDefiner = true;
+      } else if (stream.acceptWords('SECURITY', 'INVOKER')) {
+        fn.securityDefiner = false;
+      } else if (stream.isWord('IMMUTABLE') || stream.isWord('STABLE') || stream.isWord('VOLATILE')) {
+        fn.volatility = stream.next().upper;
+      } else if (stream.acceptWord('AS')) {
+        const bodyToken = stream.next();
+        if (!bodyToken || (bodyToken.type !== 'dollar' && bodyToken.type !== 'string')) {
+          throw stream.error(`Function ${fn.name} body must be a quoted string`, bodyToken || first);
+        }
+        fn.body = bodyToken.value;
+        if (stream.acceptPunct(',')) stream.next();
+      } else if (stream.acceptWord('SET')) {
+        stream.readUntil(t => t.type === 'word' && FUNCTION_OPTION_KEYWORDS.has(t.upper) && t.upper !== 'SET');
+      } else if (stream.isWord('BEGIN')) {
+        // SQL-standard function body (BEGIN ATOMIC ... END)
+        fn.body = stream.text(stream.rest());
+      } else {
+        stream.next();
+      }
+    }
+
+    fn.sql = this.statementText(stream);
+    return fn;
+  }
+
+  /**
+   * Parse [mode] [name] type [DEFAULT expr]
+   */
+  parseFunctionParameter(stream) {
+    let mode = 'IN';
+    if (stream.isWord('IN') || stream.isWord('OUT') || stream.isWord('INOUT') || stream.isWord('VARIADIC')) {
+      mode = stream.next().upper;
+    }
+
+    const declaration = stream.readUntil(t =>
+      (t.type === 'word' && t.upper === 'DEFAULT') || (t.type === 'operator' && t.value === '=')
+    );
+
+    let name = null;
+    let typeTokens = declaration;
+    const [head, second] = declaration;
+    if (head && second &&
+        (second.type === 'word' || second.type === 'identifier') &&
+        !(head.type === 'word' && MULTI_WORD_TYPES.has(head.upper))) {
+      name = this.identifierValue(head);
+      typeTokens = declaration.slice(1);
+    }
+
+    let defaultValue = null;
+    if (!stream.done()) {
+      stream.next();
+      defaultValue = stream.text(stream.rest());
+    }
+
+    return {
+      name,
+      type: stream.text(typeTokens).toUpperCase(),
+      mode,
+      defaultValue
+    };
+  }
+
+  /**
+   * Any statement we do not model in detail
+   */
+  genericStatement(stream, first) {
+    const keywords = stream.tokens
+      .slice(0, 3)
+      .filter(t => t.type === 'word')
+      .map(t => t.upper);
+
+    return {
+      kind: 'statement',
+      keyword: keywords.join(' '),
+      line: first.line,
+      sql: this.statementText(stream)
+    };
+  }
+
+  // Helper methods
+
+  /**
+   * Parse schema.name or name; unquoted identifiers fold to lower case
+   */
+  parseQualifiedName(stream) {
+    const parts = [this.parseIdentifier(stream)];
+    while (stream.isPunct('.')) {
+      stream.next();
+      parts.push(this.parseIdentifier(stream));
+    }
+
+    return {
+      schema: parts.length > 1 ? parts[parts.length - 2] : null,
+      name: parts[parts.length - 1]
+    };
+  }
+
+  parseIdentifier(stream) {
+    const token = stream.next();
+    if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+      throw stream.error('Expected identifier', token);
+    }
+    return this.identifierValue(token);
+  }
+
+  identifierValue(token) {
+    if (!token) return null;
+    return token.type === 'identifier' ? token.value : token.value.toLowerCase();
+  }
+
+  /**
+   * Split a token list on commas that are not nested in parentheses
+   */
+  splitTopLevel(tokens, separator = ',') {
+    const parts = [];
+    let current = [];
+    let depth = 0;
+
+    for (const token of tokens) {
+      if (token.type === 'punct' && (token.value === '(' || token.value === '[')) depth++;
+      if (token.type === 'punct' && (token.value === ')' || token.value === ']')) depth--;
+
+      if (token.type === 'punct' && token.value === separator && depth === 0) {
+        parts.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+
+    if (current.length > 0 || parts.length > 0) {
+      parts.push(current);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Original statement text, formatting preserved
+   */
+  statementText(stream) {
+    const tokens = stream.tokens;
+    const last = tokens.terminator || tokens[tokens.length - 1];
+    return stream.source.substring(tokens[0].start, last.end);
+  }
+}
+
+/**
+ * Cursor over a token list with keyword helpers
+ */
+class TokenStream {
+  constructor(tokens, source) {
+    this.tokens = tokens;
+    this.source = source;
+    this.pos = 0;
+  }
+
+  sub(tokens) {
+    return new TokenStream(tokens, this.source);
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  rest() {
+    const rest = this.tokens.slice(this.pos);
+    this.pos = this.tokens.length;
+    return rest;
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === 'word' && token.upper === word);
+  }
+
+  isWords(...words) {
+    return words.every((word, i) => this.isWord(word, i));
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === 'punct' && token.value === value);
+  }
+
+  acceptWord(word) {
+    if (this.isWord(word)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a keyword sequence only if every word matches
+   */
+  acceptWords(...words) {
+    if (words.every((word, i) => this.isWord(word, i))) {
+      this.pos += words.length;
+      return true;
+    }
+    return false;
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectWord(word) {
+    if (!this.acceptWord(word)) {
+      const token = this.peek();
+      throw this.error(`Expected ${word} but found ${token ? `'${token.value}'` : 'end of statement'}`, token);
+    }
+  }
+
+  /**
+   * Read a balanced ( ... ) group and return the tokens inside it
+   */
+  readParenthesized() {
+    const open = this.peek();
+    if (!this.isPunct('(')) {
+      throw this.error(`Expected '(' but found ${open ? `'${open.value}'` : 'end of statement'}`, open);
+    }
+
+    this.pos++;
+    const inner = [];
+    let depth = 1;
+
+    while (!this.done()) {
+      const token = this.next();
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') {
+        depth--;
+        if (depth === 0) return inner;
+      }
+      inner.push(token);
+    }
+
+    throw this.error('Unbalanced parentheses', open);
+  }
+
+  /**
+   * Read tokens until the predicate matches at parenthesis depth 0
+   */
+  readUntil(predicate) {
+    const read = [];
+    let depth = 0;
+
+    while (!this.done()) {
+      const token = this.peek();
+      if (depth === 0 && predicate(token)) break;
+      if (token.type === 'punct' && (token.value === '(' || token.value === '[')) depth++;
+      if (token.type === 'punct' && (token.value === ')' || token.value === ']')) depth--;
+      read.push(this.next());
+    }
+
+    return read;
+  }
+
+  /**
+   * Original source text spanned by tokens, whitespace collapsed
+   */
+  text(tokens) {
+    if (!tokens || tokens.length === 0) return '';
+    return this.source
+      .substring(tokens[0].start, tokens[tokens.length - 1].end)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  error(message, token) {
+    const at = token || this.tokens[this.tokens.length - 1];
+    const error = new Error(at ? `${message} (line ${at.line}, column ${at.column})` : message);
+    error.token = at;
+    return error;
+  }
+}
+
+module.exports = { SQLParser };
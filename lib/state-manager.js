@@ -78,7 +78,10 @@ class StateManager {
       blockers: [],
 
       // Codex review results
-      reviews: []
+      reviews: [],
+
+      // Files each blueprint's agent actually changed
+      changes: []
     };
 
     this.saveState(state);
@@ -216,6 +219,26 @@ class StateManager {
     this.saveState(state);
   }
 
+  /**
+   * Log the files a blueprint's agent changed
+   */
+  logChanges(changes) {
+    const state = this.getActiveFeature();
+    if (!state) {
+      throw new Error('No active feature.');
+    }
+
+    state.changes = state.changes || [];
+    state.changes.push({
+      timestamp: new Date().toISOString(),
+      phase: state.phase,
+      ...changes
+    });
+    state.updatedAt = new Date().toISOString();
+
+    this.saveState(state);
+  }
+
   /**
    * Complete the feature
    */
@@ -1,10 +1,28 @@
 /**
  * @fileoverview Blueprint Matching and Enforcement System
  * Matches features to existing blueprints and enforces proven patterns
+ *
+ * Blueprints with a `template` section are also a template library: a
+ * matched template expands into parameterized decomposer blueprint inputs
+ * (see expandTemplate), with the blanks filled from the brief. Built-in
+ * templates live in ./blueprint-templates; project templates in
+ * blueprints/ take precedence over a built-in with the same template id.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+
+const BUILT_IN_TEMPLATE_DIR = path.join(__dirname, 'blueprint-templates');
+
+// Irregular plurals used when filling template names
+const IRREGULAR_PLURALS = {
+  person: 'people',
+  child: 'children',
+  man: 'men',
+  woman: 'women',
+  datum: 'data'
+};
 
 class BlueprintMatcher {
   constructor(options = {}) {
@@ -12,6 +30,9 @@ class BlueprintMatcher {
       blueprintDir: path.join(process.cwd(), 'blueprints'),
       enforceMatching: true,
       similarityThreshold: 0.7,
+      // Briefs are short, so templates match on fewer shared words
+      templateThreshold: 0.35,
+      includeBuiltInTemplates: true,
       ...options
     };
 
@@ -65,24 +86,341 @@ class BlueprintMatcher {
     return null;
   }
 
+  /**
+   * Find the template to expand for a feature brief
+   * With a name, the template is looked up by template id or blueprint
+   * name. Otherwise templates are scored like blueprints, and one whose
+   * required parameters cannot be filled from the brief never matches.
+   * @param {Object} brief - Feature brief ({ title, description, requirements, type, parameters })
+   * @param {string} [name] - Template id or name to use
+   * @returns {Object} Matching template blueprint or null
+   */
+  async findMatchingTemplate(brief, name = null) {
+    console.log('\n🔍 Searching for matching blueprint templates...');
+
+    const templates = (await this.loadAllBlueprints()).filter(bp => bp.template);
+
+    if (name) {
+      const template = templates.find(bp => bp.template.id === name || bp.name === name);
+      if (!template) {
+        throw new Error(`Unknown blueprint template: ${name}`);
+      }
+      console.log(`   ✅ Using template: ${template.name} (v${template.template.version})`);
+      return template;
+    }
+
+    const scores = [];
+    for (const template of templates) {
+      const { missing } = this.resolveTemplateParameters(template, brief);
+      if (missing.length > 0) {
+        console.log(`   ℹ️  ${template.template.id}: brief does not say ${missing.join(', ')}`);
+        continue;
+      }
+      scores.push({ template, score: await this.scoreBlueprint(template, brief) });
+    }
+
+    scores.sort((a, b) => b.score - a.score);
+    const bestMatch = scores[0];
+
+    if (bestMatch && bestMatch.score >= this.options.templateThreshold) {
+      console.log(`   ✅ Found matching template: ${bestMatch.template.name} v${bestMatch.template.template.version} (${(bestMatch.score * 100).toFixed(0)}% match)`);
+
+      this.matchHistory.push({
+        brief: brief.title || brief.description,
+        blueprint: bestMatch.template.name,
+        score: bestMatch.score,
+        timestamp: new Date()
+      });
+
+      return bestMatch.template;
+    }
+
+    console.log(`   ℹ️  No template matched above ${this.options.templateThreshold * 100}% threshold`);
+    return null;
+  }
+
+  /**
+   * Expand a template into decomposer blueprint inputs for a brief
+   *
+   * Every string in the template's blueprints may use {{parameter|filter}}
+   * placeholders. A placeholder that is the whole string keeps its value's
+   * type, and one that yields an array inside an array is spread into it
+   * (how "{{fields|columns}}" becomes table columns).
+   * @returns {Object} { template: { id, name, version, checksum, source }, parameters, parameterSources, blueprints }
+   */
+  expandTemplate(blueprint, brief) {
+    const template = blueprint.template;
+    const { values, sources, missing } = this.resolveTemplateParameters(blueprint, brief);
+
+    if (missing.length > 0) {
+      throw new Error(`Template ${template.id} needs parameters the brief does not provide: ${missing.join(', ')}`);
+    }
+
+    const blueprints = template.blueprints.map(item => ({
+      ...this.renderTemplateValue(item, values),
+      key: item.key,
+      type: item.type,
+      dependsOn: item.dependsOn || []
+    }));
+
+    return {
+      template: {
+        id: template.id,
+        name: blueprint.name,
+        version: template.version,
+        checksum: template.checksum || null,
+        source: blueprint.filepath || null
+      },
+      parameters: values,
+      parameterSources: sources,
+      blueprints
+    };
+  }
+
+  /**
+   * Fill template parameters from the brief
+   *
+   * Order: brief.parameters, then the first of the parameter's `patterns`
+   * (regex, capture group 1) matching the brief text, then its default.
+   * `list` parameters split on commas and "and"; `transform` is a filter
+   * chain applied to the value. `derived` values render last from the rest.
+   * @returns {Object} { values, sources, missing }
+   */
+  resolveTemplateParameters(blueprint, brief) {
+    const template = blueprint.template;
+    const explicit = brief.parameters || {};
+    const text = [brief.title, brief.description, ...(brief.requirements || [])].filter(Boolean).join('\n');
+
+    const values = {};
+    const sources = {};
+    const missing = [];
+
+    for (const [name, definition] of Object.entries(template.parameters || {})) {
+      let value = explicit[name];
+      let source = 'brief.parameters';
+
+      if (value === undefined) {
+        for (const pattern of definition.patterns || []) {
+          const match = text.match(new RegExp(pattern, 'i'));
+          if (match && match[1]) {
+            value = match[1].trim();
+            source = `brief text: "${match[0].trim()}"`;
+            break;
+          }
+        }
+      }
+
+      if (value === undefined && definition.default !== undefined) {
+        value = JSON.parse(JSON.stringify(definition.default));
+        source = 'default';
+      }
+
+      if (value === undefined) {
+        if (definition.required) missing.push(name);
+        continue;
+      }
+
+      if (definition.type === 'list' && typeof value === 'string') {
+        value = value.split(/\s*,\s*|\s+and\s+/).map(v => v.trim()).filter(Boolean);
+      }
+      if (definition.transform) {
+        value = this.applyTemplateFilters(value, definition.transform.split('|'));
+      }
+
+      values[name] = value;
+      sources[name] = source;
+    }
+
+    if (missing.length === 0) {
+      for (const [name, expression] of Object.entries(template.derived || {})) {
+        values[name] = this.renderTemplateValue(expression, values);
+        sources[name] = 'derived';
+      }
+    }
+
+    return { values, sources, missing };
+  }
+
+  /**
+   * Replace {{parameter|filter}} placeholders in strings, arrays and objects
+   */
+  renderTemplateValue(value, parameters) {
+    const placeholder = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+      if (whole) {
+        return this.evaluatePlaceholder(whole[1], parameters);
+      }
+      return value.replace(placeholder, (_, expression) => {
+        const result = this.evaluatePlaceholder(expression, parameters);
+        return Array.isArray(result) ? result.join(', ') : String(result);
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.flatMap(element => {
+        const rendered = this.renderTemplateValue(element, parameters);
+        const spread = typeof element === 'string' && /^\{\{[^{}]+\}\}$/.test(element.trim()) && Array.isArray(rendered);
+        return spread ? rendered : [rendered];
+      });
+    }
+
+    if (value && typeof value === 'object') {
+      const rendered = {};
+      for (const [key, entry] of Object.entries(value)) {
+        rendered[key] = this.renderTemplateValue(entry, parameters);
+      }
+      return rendered;
+    }
+
+    return value;
+  }
+
+  evaluatePlaceholder(expression, parameters) {
+    const [name, ...filters] = expression.split('|').map(part => part.trim());
+    if (!(name in parameters)) {
+      throw new Error(`Template placeholder {{${expression}}} uses unknown parameter: ${name}`);
+    }
+    return this.applyTemplateFilters(parameters[name], filters);
+  }
+
+  /**
+   * Apply a filter chain; filters other than columns/join map over lists
+   */
+  applyTemplateFilters(value, filters) {
+    const words = text => String(text)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map(word => word.toLowerCase());
+    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+    const stringFilters = {
+      lower: text => String(text).toLowerCase(),
+      upper: text => String(text).toUpperCase(),
+      snake: text => words(text).join('_'),
+      kebab: text => words(text).join('-'),
+      camel: text => words(text).map((word, i) => i === 0 ? word : capitalize(word)).join(''),
+      pascal: text => words(text).map(capitalize).join(''),
+      title: text => words(text).map(capitalize).join(' '),
+      plural: text => String(text).replace(/[a-zA-Z]+$/, word => this.pluralize(word)),
+      singular: text => String(text).replace(/[a-zA-Z]+$/, word => this.singularize(word))
+    };
+
+    let result = value;
+    for (const filter of filters.filter(Boolean)) {
+      if (filter === 'join') {
+        result = Array.isArray(result) ? result.join(', ') : result;
+      } else if (filter === 'columns') {
+        // "amount:numeric" -> { name: 'amount', type: 'numeric' }; type defaults to text
+        result = (Array.isArray(result) ? result : [result]).map(field => {
+          const [name, type] = String(field).split(':').map(part => part.trim());
+          return { name: words(name).join('_'), type: type || 'text' };
+        });
+      } else if (stringFilters[filter]) {
+        result = Array.isArray(result) ? result.map(stringFilters[filter]) : stringFilters[filter](result);
+      } else {
+        throw new Error(`Unknown template filter: ${filter}`);
+      }
+    }
+
+    return result;
+  }
+
+  pluralize(word) {
+    const lower = word.toLowerCase();
+    if (IRREGULAR_PLURALS[lower]) return this.matchCase(word, IRREGULAR_PLURALS[lower]);
+    if (Object.values(IRREGULAR_PLURALS).includes(lower)) return word;
+    if (/[^aeiou]y$/i.test(word)) return word.slice(0, -1) + 'ies';
+    if (/(s|x|z|ch|sh)$/i.test(word)) return word + 'es';
+    return word + 's';
+  }
+
+  singularize(word) {
+    const lower = word.toLowerCase();
+    const irregular = Object.entries(IRREGULAR_PLURALS).find(([, plural]) => plural === lower);
+    if (irregular) return this.matchCase(word, irregular[0]);
+    if (IRREGULAR_PLURALS[lower]) return word;
+    if (/[^aeiou]ies$/i.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ss|x|z|ch|sh|us)es$/i.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/i.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  matchCase(original, replacement) {
+    return /^[A-Z]/.test(original) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+  }
+
+  /**
+   * Check a template definition when it is loaded
+   */
+  validateTemplate(blueprint) {
+    const template = blueprint.template;
+    const label = template.id || blueprint.filename;
+
+    if (!template.id) {
+      throw new Error(`Template in ${blueprint.filename} has no id`);
+    }
+    if (!template.version) {
+      throw new Error(`Template ${label} has no version`);
+    }
+    if (!Array.isArray(template.blueprints) || template.blueprints.length === 0) {
+      throw new Error(`Template ${label} defines no blueprints`);
+    }
+
+    const keys = new Set();
+    for (const item of template.blueprints) {
+      if (!item.key || !item.type) {
+        throw new Error(`Template ${label}: every blueprint needs a key and a type`);
+      }
+      if (keys.has(item.key)) {
+        throw new Error(`Template ${label}: duplicate blueprint key ${item.key}`);
+      }
+      keys.add(item.key);
+    }
+
+    for (const item of template.blueprints) {
+      for (const key of item.dependsOn || []) {
+        if (!keys.has(key)) {
+          throw new Error(`Template ${label}: ${item.key} depends on unknown blueprint ${key}`);
+        }
+      }
+    }
+  }
+
   /**
    * Load all available blueprints
+   * Project blueprints come first; built-in templates whose id a project
+   * template already uses are skipped.
    */
   async loadAllBlueprints() {
     const blueprints = [];
+    const directories = [this.options.blueprintDir];
+    if (this.options.includeBuiltInTemplates) {
+      directories.push(BUILT_IN_TEMPLATE_DIR);
+    }
 
-    try {
-      const files = await fs.readdir(this.options.blueprintDir);
-      const blueprintFiles = files.filter(f => f.endsWith('.md') || f.endsWith('.json'));
+    for (const directory of directories) {
+      try {
+        const files = await fs.readdir(directory);
+        const blueprintFiles = files.filter(f => f.endsWith('.md') || f.endsWith('.json')).sort();
+
+        for (const file of blueprintFiles) {
+          const blueprint = await this.loadBlueprint(file, directory);
+          if (!blueprint) continue;
+
+          const templateId = blueprint.template?.id;
+          if (templateId && blueprints.some(bp => bp.template?.id === templateId)) continue;
 
-      for (const file of blueprintFiles) {
-        const blueprint = await this.loadBlueprint(file);
-        if (blueprint) {
           blueprints.push(blueprint);
         }
+      } catch (error) {
+        // A project without a blueprints/ directory still gets the built-ins
+        if (error.code !== 'ENOENT') {
+          console.log(`   ⚠️  Error loading blueprints: ${error.message}`);
+        }
       }
-    } catch (error) {
-      console.log(`   ⚠️  Error loading blueprints: ${error.message}`);
     }
 
     return blueprints;
@@ -91,14 +429,14 @@ class BlueprintMatcher {
   /**
    * Load a single blueprint
    */
-  async loadBlueprint(filename) {
+  async loadBlueprint(filename, directory = this.options.blueprintDir) {
+    const filepath = path.join(directory, filename);
+
     // Check cache first
-    if (this.blueprintCache.has(filename)) {
-      return this.blueprintCache.get(filename);
+    if (this.blueprintCache.has(filepath)) {
+      return this.blueprintCache.get(filepath);
     }
 
-    const filepath = path.join(this.options.blueprintDir, filename);
-
     try {
       const content = await fs.readFile(filepath, 'utf-8');
       let blueprint;
@@ -111,10 +449,17 @@ class BlueprintMatcher {
       }
 
       blueprint.filename = filename;
+      blueprint.filepath = filepath;
       blueprint.name = blueprint.name || filename.replace(/\.(md|json)$/, '');
 
+      if (blueprint.template) {
+        this.validateTemplate(blueprint);
+        // Lets a plan tell an edited template from the one it was built with
+        blueprint.template.checksum = crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+      }
+
       // Cache for future use
-      this.blueprintCache.set(filename, blueprint);
+      this.blueprintCache.set(filepath, blueprint);
 
       return blueprint;
     } catch (error) {
@@ -141,6 +486,7 @@ class BlueprintMatcher {
 
     const lines = content.split('\n');
     let currentSection = '';
+    const templateLines = [];
 
     for (const line of lines) {
       // Parse title
@@ -201,10 +547,25 @@ class BlueprintMatcher {
           case 'tags':
             blueprint.keywords = line.split(',').map(k => k.trim());
             break;
+
+          case 'template':
+            // Fenced ```json block holding the template definition
+            if (!line.trim().startsWith('```')) {
+              templateLines.push(line);
+            }
+            break;
         }
       }
     }
 
+    if (templateLines.length > 0) {
+      try {
+        blueprint.template = JSON.parse(templateLines.join('\n'));
+      } catch (error) {
+        throw new Error(`Invalid template JSON in ${filename}: ${error.message}`);
+      }
+    }
+
     // Extract keywords from content if not explicitly defined
     if (blueprint.keywords.length === 0) {
       blueprint.keywords = this.extractKeywords(content);
@@ -15,6 +15,8 @@
 const { execSync, spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
+const { OpenAPIConverter } = require('../lib/openapi');
+const { MigrationReplayer } = require('../lib/migration-replayer');
 
 class PostImplementationValidator {
   constructor(options = {}) {
@@ -25,6 +27,7 @@ class PostImplementationValidator {
       supabaseProjectId: null,
       playwrightTimeout: 30000,
       stopServerAfter: false, // Whether to stop dev server after validation
+      apiContract: null, // OpenAPI 3 document (object or path) to check API responses against
       ...options
     };
 
@@ -198,12 +201,14 @@ class PostImplementationValidator {
         cycles.forEach(cycle => {
           this.validationResults.rlsPolicies.errors.push({
             message: 'Circular RLS dependency detected',
-            cycle: cycle.join(' → ')
+            cycle: cycle.join(' → '),
+            edges: this.describeCycle(graph, cycle)
           });
         });
         console.log(`   ❌ Found ${cycles.length} circular dependencies`);
         cycles.forEach(cycle => {
           console.log(`      ${cycle.join(' → ')}`);
+          this.describeCycle(graph, cycle).forEach(edge => console.log(`        ${edge}`));
         });
       } else {
         this.validationResults.rlsPolicies.passed = true;
@@ -219,19 +224,30 @@ class PostImplementationValidator {
     }
   }
 
+  /**
+   * Reconstruct the current RLS policies offline by replaying
+   * supabase/migrations/*.sql (CREATE / ALTER / DROP POLICY included)
+   */
   async getRLSPolicies() {
     try {
-      // RLS policy checking via MCP is handled externally
-      // For now, skip RLS validation - it requires MCP access which is
-      // only available in Claude context, not in Node.js
+      const replayer = new MigrationReplayer(this.options.projectPath);
+      this.rlsState = await replayer.replay();
+
+      if (this.rlsState.files.length === 0) {
+        console.log('   ℹ️  No supabase/migrations/*.sql found - nothing to check');
+        return [];
+      }
 
-      console.log('   ℹ️  RLS validation requires Supabase MCP - skipping automated check');
-      console.log('   ℹ️  Use Supabase MCP directly to verify RLS policies');
+      const policies = replayer.getPolicies(this.rlsState);
+      console.log(`   → Replayed ${this.rlsState.files.length} migrations: ${policies.length} policies, ${this.rlsState.functions.size} functions`);
 
-      // Return empty array to skip RLS cycle detection
-      return [];
+      for (const error of this.rlsState.errors) {
+        console.log(`   ⚠️  ${error.file}:${error.line} ${error.message}`);
+      }
+
+      return policies;
     } catch (error) {
-      throw new Error(`Failed to fetch RLS policies: ${error.message}`);
+      throw new Error(`Failed to replay migrations for RLS policies: ${error.message}`);
     }
   }
 
@@ -258,29 +274,92 @@ class PostImplementationValidator {
     return policies;
   }
 
-  buildRLSDependencyGraph(policies) {
+  /**
+   * Build table -> tables graph of what each table's policies read
+   *
+   * Only USING expressions of SELECT / ALL policies on RLS-enabled tables
+   * can recurse: a subquery applies the read policies of the table it reads.
+   * Functions called from a policy are looked through: tables read in a
+   * SECURITY INVOKER body are edges, while a SECURITY DEFINER body bypasses
+   * RLS unless the table has FORCE ROW LEVEL SECURITY (the usual way to
+   * break a policy cycle). Each edge is explained in graph.reasons.
+   */
+  buildRLSDependencyGraph(policies, functions = this.rlsState?.functions || new Map(), tables = this.rlsState?.tables || new Map()) {
     const graph = new Map();
+    graph.reasons = new Map(); // "from->to" -> [explanations]
+
+    const addEdge = (from, to, reason) => {
+      graph.get(from).add(to);
+      const key = `${from}->${to}`;
+      if (!graph.reasons.has(key)) graph.reasons.set(key, []);
+      graph.reasons.get(key).push(reason);
+    };
 
     for (const policy of policies) {
+      if (policy.rlsEnabled === false) continue;
+      if (policy.operation && !['SELECT', 'ALL'].includes(policy.operation)) continue;
+
       const tableName = policy.table;
 
       if (!graph.has(tableName)) {
         graph.set(tableName, new Set());
       }
 
-      // Parse USING and WITH CHECK for table references
-      const dependencies = this.extractTableReferences(
-        `${policy.using} ${policy.withCheck}`
-      );
+      // Parsed policies carry their references; raw ones are scanned
+      const dependencies = policy.references
+        ? policy.references.using
+        : this.extractTableReferences(`${policy.using} ${policy.withCheck}`);
 
       dependencies.forEach(dep => {
-        graph.get(tableName).add(dep);
+        addEdge(tableName, dep, `policy "${policy.name}" reads ${dep}`);
       });
+
+      for (const fnName of policy.functions?.using || []) {
+        for (const read of this.resolveFunctionReads(fnName, functions)) {
+          const forced = tables.get(read.table)?.forceRls;
+          if (read.securityDefiner && !forced) continue;
+
+          addEdge(tableName, read.table,
+            `policy "${policy.name}" calls ${read.chain.join('() → ')}() which reads ${read.table}` +
+            (read.securityDefiner ? ' (SECURITY DEFINER, but FORCE ROW LEVEL SECURITY is set)' : ''));
+        }
+      }
     }
 
     return graph;
   }
 
+  /**
+   * Tables a function reads, following the functions it calls
+   * @returns {Array<{table: string, chain: string[], securityDefiner: boolean}>}
+   */
+  resolveFunctionReads(fnName, functions, chain = [], definer = false) {
+    const fn = functions.get(fnName);
+    if (!fn || chain.includes(fnName)) return [];
+
+    const nextChain = [...chain, fnName];
+    const runsAsDefiner = definer || fn.securityDefiner;
+    const reads = fn.tables.map(table => ({ table, chain: nextChain, securityDefiner: runsAsDefiner }));
+
+    for (const callee of fn.calls) {
+      reads.push(...this.resolveFunctionReads(callee, functions, nextChain, runsAsDefiner));
+    }
+
+    return reads;
+  }
+
+  /**
+   * Explain each edge of a cycle from the graph's recorded reasons
+   */
+  describeCycle(graph, cycle) {
+    const edges = [];
+    for (let i = 0; i < cycle.length - 1; i++) {
+      const reasons = graph.reasons?.get(`${cycle[i]}->${cycle[i + 1]}`) || [];
+      edges.push(`${cycle[i]} → ${cycle[i + 1]}: ${reasons.join('; ') || 'table reference'}`);
+    }
+    return edges;
+  }
+
   extractTableReferences(expression) {
     // Extract table names from SQL expression
     // Look for patterns like: FROM table_name, JOIN table_name, IN (SELECT ... FROM table_name)
@@ -491,10 +570,18 @@ class PostImplementationValidator {
         return;
       }
 
+      const contract = await this.loadAPIContract();
+      const converter = new OpenAPIConverter();
       const errors = [];
 
       for (const route of apiRoutes) {
-        const { status, error } = await this.testAPIRoute(route);
+        const operation = contract ? converter.findOperation(contract, 'GET', route.url) : null;
+        if (operation) {
+          route.contract = operation.contract;
+          route.requiresAuth = operation.contract.requiresAuth;
+        }
+
+        const { status, error, body } = await this.testAPIRoute(route);
 
         if (status >= 500) {
           errors.push({
@@ -510,6 +597,8 @@ class PostImplementationValidator {
             message: 'Unexpected 403 (should be accessible)',
             details: error
           });
+        } else if (route.contract) {
+          errors.push(...this.checkAPIContract(route, status, body));
         }
       }
 
@@ -518,7 +607,7 @@ class PostImplementationValidator {
         this.validationResults.apiRoutes.errors = errors;
         console.log(`   ❌ API route errors: ${errors.length}`);
         errors.forEach(e => {
-          console.log(`      ${e.route}: ${e.status} - ${e.message}`);
+          console.log(`      ${e.route.url || e.route}: ${e.status} - ${e.message}`);
         });
       } else {
         this.validationResults.apiRoutes.passed = true;
@@ -564,16 +653,92 @@ class PostImplementationValidator {
 
       return {
         status: response.status,
-        error: response.status >= 400 ? text : null
+        error: response.status >= 400 ? text : null,
+        body: text
       };
     } catch (error) {
       return {
         status: 500,
-        error: error.message
+        error: error.message,
+        body: null
       };
     }
   }
 
+  /**
+   * Load the OpenAPI contract from options.apiContract (document or path)
+   * @returns {Promise<Array|null>} Contract endpoints, or null when none is configured
+   */
+  async loadAPIContract() {
+    const { apiContract } = this.options;
+    if (!apiContract) return null;
+
+    const converter = new OpenAPIConverter();
+    const doc = typeof apiContract === 'string'
+      ? await converter.loadDocument(path.resolve(this.options.projectPath, apiContract))
+      : apiContract;
+
+    return converter.importDocument(doc);
+  }
+
+  /**
+   * Compare a GET response against its contract operation
+   *
+   * Auth failures are expected for unauthenticated probes of protected
+   * routes and are not reported as contract violations.
+   */
+  checkAPIContract(route, status, body) {
+    const errors = [];
+    const responses = route.contract.responses || {};
+    const documented = Object.keys(responses);
+    const statusText = String(status);
+    const isAuthFailure = route.requiresAuth && (status === 401 || status === 403);
+
+    const statusKey = documented.find(key =>
+      key === statusText || key.toUpperCase() === `${statusText[0]}XX`
+    ) || (documented.includes('default') ? 'default' : null);
+
+    if (!statusKey) {
+      if (documented.length > 0 && !isAuthFailure) {
+        errors.push({
+          route,
+          status,
+          message: `Status ${status} is not documented in the API contract (expected ${documented.join(', ')})`,
+          details: body
+        });
+      }
+      return errors;
+    }
+
+    const schema = responses[statusKey];
+    if (!schema || status < 200 || status >= 300) return errors;
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      errors.push({
+        route,
+        status,
+        message: 'Response is not JSON but the API contract declares a JSON schema',
+        details: body ? body.substring(0, 200) : null
+      });
+      return errors;
+    }
+
+    const problems = new OpenAPIConverter().validateValue(payload, schema, route.contract.schemas || {});
+    if (problems.length > 0) {
+      errors.push({
+        route,
+        status,
+        message: `Response does not match the API contract: ${problems.slice(0, 3).join('; ')}${problems.length > 3 ? ` (+${problems.length - 3} more)` : ''}`,
+        details: problems
+      });
+    }
+
+    return errors;
+  }
+
   /**
    * Step 7: Run visual regression tests
    */
@@ -701,10 +866,21 @@ module.exports = { PostImplementationValidator };
 
 // CLI interface
 if (require.main === module) {
-  const validator = new PostImplementationValidator();
-  const featurePaths = process.argv.slice(2);
+  const args = process.argv.slice(2);
+  const contractIndex = args.indexOf('--contract');
+  const apiContract = contractIndex !== -1 ? args.splice(contractIndex, 2)[1] : null;
+
+  const validator = new PostImplementationValidator({ apiContract });
+
+  // --rls-only: offline circular-RLS check from migrations, no dev server (for CI)
+  const rlsOnly = args.includes('--rls-only');
+  if (rlsOnly) console.log('🔒 Checking RLS policies from supabase/migrations...');
+
+  const run = rlsOnly
+    ? validator.checkRLSPolicies().then(() => ({ success: validator.validationResults.rlsPolicies.passed }))
+    : validator.validate(args);
 
-  validator.validate(featurePaths)
+  run
     .then(result => {
       if (result.success) {
         console.log('\n✅ Validation successful!');
@@ -397,7 +397,10 @@ class TestGenerator {
       featureId: feature.id || 'feature-' + Date.now(),
       title: feature.title || 'Feature',
       description: feature.description || '',
-      requirements: feature.requirements || feature.acceptanceCriteria || [],
+      requirements: this.normalizeRequirements(feature.requirements || feature.acceptanceCriteria || []),
+      criteria: (feature.requirements || feature.acceptanceCriteria || [])
+        .filter((requirement) => requirement && typeof requirement === 'object' && requirement.id)
+        .map((requirement) => requirement.id),
       technicalDetails: feature.technicalDetails || {},
     };
 
@@ -420,6 +423,19 @@ class TestGenerator {
     return context;
   }
 
+  /**
+   * Turn requirements into test names
+   * Acceptance criteria objects from SpecParser ({ id, text }) keep their
+   * ID as a prefix so every generated test traces back to its criterion.
+   */
+  normalizeRequirements(requirements) {
+    return requirements.map((requirement) => {
+      if (typeof requirement === 'string') return requirement;
+      const text = requirement.text || requirement.description || '';
+      return requirement.id ? `[${requirement.id}] ${text}` : text;
+    });
+  }
+
   /**
    * Generate a test file
    */
@@ -440,9 +456,19 @@ class TestGenerator {
       fileName,
       status: 'created',
       expectedToFail: true, // TDD - tests should fail initially
+      // Criteria this file has a test for (the template rendered its tagged name)
+      criteria: context.criteria.filter((id) => this.rendersCriterion(content, id)),
     };
   }
 
+  /**
+   * Does rendered test content have a test named for the criterion?
+   * Test names carry the "[id] " prefix from normalizeRequirements.
+   */
+  rendersCriterion(content, id) {
+    return content.includes(`it('[${id}] `) || content.includes(`test('[${id}] `);
+  }
+
   /**
    * Generate test file name
    */
@@ -524,7 +550,7 @@ class TestGenerator {
       step3: 'Submit',
       sampleText: 'Test Data',
       tableName: 'table_name',
-      requirements: feature.requirements || [],
+      requirements: context.requirements.map((r) => r.replace(/\\/g, '\\\\').replace(/'/g, "\\'")),
       businessRules: [],
     });
   }
@@ -538,7 +564,8 @@ class TestGenerator {
     // Simple placeholder replacement
     for (const [key, value] of Object.entries(data)) {
       const regex = new RegExp(`{{${key}}}`, 'g');
-      result = result.replace(regex, value);
+      // A replacer function keeps $& and $1 in values literal
+      result = result.replace(regex, () => value);
     }
 
     // Handle each loops
@@ -547,7 +574,7 @@ class TestGenerator {
       (match, key, content) => {
         const items = data[key] || [];
         return items
-          .map((item) => content.replace(/{{this}}/g, item))
+          .map((item) => content.replace(/{{this}}/g, () => item))
           .join('\n    ');
       }
     );
@@ -572,9 +599,28 @@ class TestGenerator {
       })),
       testStrategy: analysis.profile.testStrategy,
       estimatedTime: this.estimateTime(analysis.level),
+      traceability: this.buildTraceability(feature, generatedTests),
     };
   }
 
+  /**
+   * Map each acceptance criterion ID to the generated test files with a
+   * test for it
+   */
+  buildTraceability(feature, generatedTests) {
+    const criteria = (feature.acceptanceCriteria || feature.requirements || [])
+      .filter((c) => c && typeof c === 'object' && c.id);
+
+    return criteria.map((criterion) => ({
+      id: criterion.id,
+      text: criterion.text,
+      storyId: criterion.storyId || null,
+      tests: generatedTests
+        .filter((t) => (t.criteria || []).includes(criterion.id))
+        .map((t) => t.path),
+    }));
+  }
+
   /**
    * Estimate testing time
    */
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlueprintDecomposer } = require('../../agents/blueprint-decomposer');
+const { SpecParser } = require('../../lib/spec-parser');
+
+const fence = '```';
+
+function spec(sql) {
+  return `# Orders\n\n## Database\n\n${fence}sql\n${sql}\n${fence}\n`;
+}
+
+const base = `
+CREATE TYPE order_status AS ENUM ('pending', 'shipped');
+CREATE TYPE legacy_flag AS ENUM ('on', 'off');
+
+CREATE TABLE public.orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  status order_status NOT NULL DEFAULT 'pending',
+  total numeric NOT NULL
+);
+CREATE INDEX orders_total_idx ON orders (total);
+
+CREATE FUNCTION public.place_order(p_total uuid) RETURNS uuid LANGUAGE plpgsql SECURITY DEFINER AS $$
+BEGIN
+  RETURN gen_random_uuid();
+END;
+$$;
+
+CREATE FUNCTION touch_orders() RETURNS trigger LANGUAGE plpgsql AS $$ BEGIN RETURN NEW; END $$;
+CREATE TRIGGER orders_touch BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION touch_orders();
+
+CREATE VIEW open_orders AS SELECT id FROM orders WHERE status = 'pending';`;
+
+const revised = `
+CREATE TYPE order_status AS ENUM ('pending', 'shipped', 'delivered');
+CREATE TYPE ship_mode AS ENUM ('ground', 'air');
+
+CREATE TABLE public.orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  status order_status NOT NULL DEFAULT 'pending',
+  total numeric NOT NULL
+);
+
+CREATE FUNCTION public.place_order(p_total uuid, p_mode ship_mode) RETURNS uuid LANGUAGE plpgsql SECURITY DEFINER AS $$
+BEGIN
+  RETURN gen_random_uuid();
+END;
+$$;
+
+CREATE FUNCTION touch_orders() RETURNS trigger LANGUAGE plpgsql AS $$ BEGIN RETURN NEW; END $$;
+CREATE TRIGGER orders_touch BEFORE INSERT OR UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION touch_orders();
+
+CREATE VIEW big_orders AS SELECT id FROM orders WHERE total > 1000;`;
+
+describe('BlueprintDecomposer.decomposeSpecDelta', () => {
+  let projectPath;
+  let blueprints;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-decomposer-'));
+
+    const diff = new SpecParser().diff(spec(base), spec(revised));
+    blueprints = await new BlueprintDecomposer({ indexProject: false })
+      .decomposeSpecDelta(diff, { name: 'orders', content: spec(revised) }, projectPath, [{ id: 'bp-07' }]);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const find = (operation, key) => blueprints.find(bp => bp.specifications.operation === operation && bp.delta.key === key);
+
+  test('plans every changed object kind in migration order', () => {
+    expect(blueprints.map(bp => [bp.specifications.operation, bp.delta.key])).toEqual([
+      ['create_enum', 'ship_mode'],
+      ['alter_enum', 'order_status'],
+      ['drop_view', 'open_orders'],
+      ['create_rpc_function', 'place_order'],
+      ['create_view', 'big_orders'],
+      ['replace_trigger', 'orders.orders_touch'],
+      ['drop_index', 'orders_total_idx'],
+      ['drop_enum', 'legacy_flag']
+    ]);
+    expect(blueprints[0].id).toBe('bp-08');
+  });
+
+  test('adds enum values in place after the existing ones', () => {
+    expect(find('alter_enum', 'order_status').specifications.sql)
+      .toBe("ALTER TYPE order_status ADD VALUE IF NOT EXISTS 'delivered' AFTER 'shipped';");
+  });
+
+  test('drops the old signature before recreating a function', () => {
+    const sql = find('create_rpc_function', 'place_order').specifications.sql;
+
+    expect(sql).toMatch(/^DROP FUNCTION IF EXISTS public\.place_order\(UUID\);\nCREATE OR REPLACE FUNCTION public\.place_order\(p_total uuid, p_mode ship_mode\)/);
+  });
+
+  test('recreates changed triggers and marks drops as destructive', () => {
+    expect(find('replace_trigger', 'orders.orders_touch').specifications.sql)
+      .toMatch(/^DROP TRIGGER IF EXISTS orders_touch ON orders;\nCREATE TRIGGER orders_touch BEFORE INSERT OR UPDATE/);
+    expect(blueprints.filter(bp => bp.specifications.destructive).map(bp => bp.delta.key))
+      .toEqual(['open_orders', 'orders_total_idx', 'legacy_flag']);
+    expect(find('drop_enum', 'legacy_flag').specifications.sql).toBe('DROP TYPE IF EXISTS legacy_flag;');
+  });
+
+  test('leaves reordered enum values to a replacement', () => {
+    const change = {
+      key: 'order_status',
+      fields: ['values'],
+      old: { name: 'order_status', schema: null, values: ['pending', 'shipped'] },
+      new: { name: 'order_status', schema: null, values: ['shipped', 'pending'] }
+    };
+
+    expect(new BlueprintDecomposer().buildAlterEnumSQL(change)).toBeNull();
+  });
+});
+
+describe('BlueprintDecomposer.decomposeSpecDelta for tables and policies', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-decomposer-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  async function delta(oldSql, newSql) {
+    const diff = new SpecParser().diff(spec(oldSql), spec(newSql));
+    return new BlueprintDecomposer({ indexProject: false })
+      .decomposeSpecDelta(diff, { name: 'orders', content: spec(newSql) }, projectPath, []);
+  }
+
+  const table = 'CREATE TABLE orders (\n  id uuid PRIMARY KEY,\n  user_id uuid NOT NULL\n);';
+  const policy = 'CREATE POLICY orders_select ON orders FOR SELECT USING (user_id = auth.uid());';
+
+  test('a new column becomes one ALTER TABLE migration and nothing else', async () => {
+    const blueprints = await delta(table, table.replace('NOT NULL\n', 'NOT NULL,\n  note text\n'));
+
+    expect(blueprints).toHaveLength(1);
+    expect(blueprints[0].specifications).toMatchObject({ operation: 'alter_table', tableName: 'orders' });
+    expect(blueprints[0].specifications.sql).toMatch(/^ALTER TABLE orders\s+ADD COLUMN note TEXT;$/i);
+    expect(blueprints[0].delta).toEqual({ change: 'changed', key: 'orders', fields: ['columns'] });
+  });
+
+  test('a changed policy is dropped and recreated in one RLS migration', async () => {
+    const blueprints = await delta(`${table}\n${policy}`, `${table}\n${policy.replace('FOR SELECT', 'FOR SELECT TO authenticated')}`);
+
+    expect(blueprints).toHaveLength(1);
+    expect(blueprints[0].specifications).toMatchObject({ tableName: 'orders', dropPolicies: ['orders_select'], enableRLS: false });
+    expect(blueprints[0].delta.policies).toEqual([{ change: 'changed', key: 'orders_select', fields: ['roles'] }]);
+  });
+});
+
+describe('BlueprintDecomposer.decomposeSpec', () => {
+  let projectPath;
+  let blueprints;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-decomposer-'));
+
+    blueprints = await new BlueprintDecomposer({ indexProject: false, granularity: 'fine' })
+      .decomposeSpec({ name: 'orders', content: spec(base) }, projectPath);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('plans the indexes of new tables after the table', () => {
+    const table = blueprints.find(bp => bp.specifications.operation === 'create_table');
+    const index = blueprints.find(bp => bp.specifications.operation === 'create_index');
+
+    expect(index.specifications).toMatchObject({ indexName: 'orders_total_idx', tableName: 'orders', columns: ['total'] });
+    expect(index.dependsOn).toContain(table.id);
+  });
+
+  test('numbers migrations so file names sort in creation order', () => {
+    const fileNames = blueprints.flatMap(bp => bp.resources.migrations);
+
+    expect(fileNames.length).toBeGreaterThan(5);
+    expect(fileNames.slice().sort()).toEqual(fileNames);
+  });
+});
+
+describe('BlueprintDecomposer code reference dependencies', () => {
+  const content = `# Refunds
+
+## Database
+
+${fence}sql
+CREATE TABLE refunds (id uuid PRIMARY KEY, amount numeric NOT NULL);
+CREATE FUNCTION refund_total() RETURNS numeric LANGUAGE sql AS $$ SELECT sum(amount) FROM refunds $$;
+${fence}
+
+## Services
+
+${fence}typescript
+// fetch('/api/refunds') in a comment is not a call
+export async function listRefunds(): Promise<Refund[]> {
+  const { data } = await supabase.from('refunds').select('*');
+  return data;
+}
+
+export async function refundTotal(): Promise<number> {
+  const { data } = await supabase.rpc('refund_total');
+  return data;
+}
+${fence}
+
+## API
+
+**GET /api/refunds**
+
+${fence}typescript
+// app/api/refunds/route.ts
+import { listRefunds } from '@/lib/services/refunds';
+
+export async function GET() {
+  return Response.json(await listRefunds());
+}
+${fence}
+
+**GET /api/refunds/[id]** and **POST /api/refunds/[id]**
+
+${fence}typescript
+// app/api/refunds/[id]/route.ts
+export async function GET() {}
+export async function POST() {}
+${fence}
+
+## UI
+
+${fence}tsx
+export function RefundList({ id }) {
+  const approve = () => fetch(\`/api/refunds/\${id}\`, { method: 'POST' });
+  return <button onClick={approve}>Approve</button>;
+}
+${fence}
+`;
+
+  let projectPath;
+  let blueprints;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-decomposer-'));
+
+    blueprints = await new BlueprintDecomposer({ indexProject: false, granularity: 'fine' })
+      .decomposeSpec({ name: 'refunds', content }, projectPath);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const find = (operation, key, value) =>
+    blueprints.find(bp => bp.specifications.operation === operation && bp.specifications[key] === value);
+  const reasons = bp => (bp.dependencyReasons || []).map(r => [r.dependsOn, r.reason]);
+
+  test('.from() depends on the table and its RLS, .rpc() on the function', () => {
+    const table = find('create_table', 'tableName', 'refunds');
+    const rls = find('add_rls', 'tableName', 'refunds');
+    const fn = find('create_rpc_function', 'functionName', 'refund_total');
+
+    expect(reasons(find('create_service', 'functionName', 'listRefunds'))).toEqual([
+      [table.id, ".from('refunds') reads table refunds"],
+      [rls.id, ".from('refunds') is subject to refunds RLS policies"]
+    ]);
+    expect(find('create_service', 'functionName', 'refundTotal').dependsOn).toEqual([fn.id]);
+  });
+
+  test('a route handler depends on the service it imports and uses', () => {
+    const service = find('create_service', 'functionName', 'listRefunds');
+
+    expect(reasons(find('create_api_route', 'route', '/api/refunds'))).toEqual([
+      [service.id, "imports listRefunds from '@/lib/services/refunds'"]
+    ]);
+  });
+
+  test('fetch() depends only on the handler for its method, not on commented-out calls', () => {
+    const post = blueprints.find(bp =>
+      bp.specifications.operation === 'create_api_route' && bp.specifications.method === 'POST');
+    const component = blueprints.find(bp => bp.specifications.operation === 'create_component');
+
+    expect(reasons(component)).toEqual([[post.id, "fetch('/api/refunds/*') calls POST /api/refunds/[id]"]]);
+    expect(blueprints.filter(bp => bp.dependencyReasons).map(bp => bp.specifications.operation))
+      .toEqual(['create_service', 'create_service', 'create_api_route', 'create_component']);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlueprintDecomposer } = require('../../agents/blueprint-decomposer');
+const { BlueprintGranularity } = require('../../lib/blueprint-granularity');
+const { ExecutionRunner } = require('../../lib/orchestration/execution-runner');
+
+const fence = '```';
+
+function spec(sql) {
+  return `# Orders\n\n## Database\n\n${fence}sql\n${sql}\n${fence}\n`;
+}
+
+const sql = `
+CREATE TYPE order_status AS ENUM ('pending', 'shipped');
+
+CREATE TABLE public.orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  status order_status NOT NULL DEFAULT 'pending'
+);`;
+
+describe('BlueprintGranularity database merges', () => {
+  let projectPath;
+  let decomposer;
+  let blueprints;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-granularity-'));
+
+    decomposer = new BlueprintDecomposer({ indexProject: false, granularity: 'coarse' });
+    blueprints = await decomposer.decomposeSpec({ name: 'orders', content: spec(sql) }, projectPath);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const table = () => blueprints.find(bp => bp.specifications.operation === 'create_table');
+
+  test('merges the enum only the table uses into the table blueprint', () => {
+    expect(blueprints.filter(bp => bp.type === 'enum')).toEqual([]);
+    expect(table().specifications.merged.map(part => [part.specifications.operation, part.before]))
+      .toEqual([['create_enum', true], ['add_rls', false]]);
+    expect(decomposer.lastGranularityReport.merges[0].reason).toBe('orders table with its enum, RLS');
+  });
+
+  test('keeps create access on the enum the merged blueprint creates', () => {
+    expect(table().resources.access).toMatchObject({
+      'table:orders': 'create',
+      'enum:order_status': 'create'
+    });
+  });
+
+  test('puts the enum instructions before the table they are needed by', () => {
+    const instructions = new ExecutionRunner({ enableResourceLocking: false }).getTaskInstructions(table());
+
+    expect(instructions.split('\n\n').map(block => block.match(/^(First|Also) \(/)?.[1] || 'table'))
+      .toEqual(['First', 'table', 'Also']);
+  });
+});
+
+describe('BlueprintGranularity.tryMerge', () => {
+  const blueprint = (id, type, extra = {}) => ({
+    id,
+    name: id,
+    type,
+    dependsOn: [],
+    estimatedMinutes: 5,
+    resources: { tables: ['orders'], migrations: [], routes: [], components: [], functions: [] },
+    specifications: {},
+    ...extra
+  });
+
+  test('words the reason from the members that were merged', () => {
+    const decomposer = new BlueprintDecomposer({ indexProject: false });
+    const granularity = new BlueprintGranularity({ level: 'normal', blueprintTypes: decomposer.blueprintTypes });
+
+    const { report } = granularity.apply([
+      blueprint('bp-01', 'database', { specifications: { operation: 'create_table', tableName: 'orders', columns: [] } }),
+      blueprint('bp-02', 'rls', { dependsOn: ['bp-01'] }),
+      blueprint('bp-03', 'trigger', { dependsOn: ['bp-01'], estimatedMinutes: 10 })
+    ]);
+
+    expect(report.merges[0].absorbed).toEqual(['bp-02']);
+    expect(report.merges[0].reason).toBe('orders table with its RLS');
+    expect(report.skipped.map(skip => skip.ids)).toEqual([['bp-01', 'bp-02', 'bp-03']]);
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlueprintMatcher = require('../../testing-framework/blueprint-matcher');
+const { BlueprintDecomposer } = require('../../agents/blueprint-decomposer');
+
+const brief = {
+  title: 'Invoices',
+  type: 'crud',
+  description: 'Let users manage their invoices with amount:numeric and due_date:date fields',
+  requirements: ['List invoices', 'Create and edit an invoice', 'Delete an invoice']
+};
+
+describe('BlueprintMatcher templates', () => {
+  let projectPath;
+  let blueprintDir;
+  let matcher;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-matcher-'));
+    blueprintDir = path.join(projectPath, 'blueprints');
+    matcher = new BlueprintMatcher({ blueprintDir });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const writeTemplate = (file, template) => {
+    fs.mkdirSync(blueprintDir, { recursive: true });
+    fs.writeFileSync(path.join(blueprintDir, file), JSON.stringify({ name: 'Project CRUD', template }));
+  };
+
+  test('matches the built-in CRUD template and fills its blanks from the brief', async () => {
+    const template = await matcher.findMatchingTemplate(brief);
+    const expansion = matcher.expandTemplate(template, brief);
+
+    expect(expansion.template).toMatchObject({ id: 'crud-resource', version: '1.0.0', checksum: expect.stringMatching(/^[0-9a-f]{16}$/) });
+    expect(expansion.parameters).toMatchObject({ resource: 'invoice', table: 'invoices', Resource: 'Invoice', api: '/api/invoices' });
+    expect(expansion.parameterSources).toMatchObject({
+      resource: 'brief text: "manage their invoices"',
+      owner: 'default',
+      table: 'derived'
+    });
+    expect(expansion.blueprints[0].input.columns.map(c => [c.name, c.type])).toEqual([
+      ['id', 'uuid'], ['user_id', 'uuid'], ['amount', 'numeric'], ['due_date', 'date'],
+      ['created_at', 'timestamptz'], ['updated_at', 'timestamptz']
+    ]);
+  });
+
+  test('takes explicit parameters first and refuses a brief missing required ones', async () => {
+    const template = await matcher.findMatchingTemplate(brief, 'crud-resource');
+
+    expect(matcher.expandTemplate(template, { ...brief, parameters: { resource: 'person' } }).parameters)
+      .toMatchObject({ resource: 'person', table: 'people', service: 'peopleService' });
+    expect(() => matcher.expandTemplate(template, { title: 'Reports' }))
+      .toThrow('Template crud-resource needs parameters the brief does not provide: resource');
+    await expect(matcher.findMatchingTemplate(brief, 'kanban')).rejects.toThrow('Unknown blueprint template: kanban');
+  });
+
+  test('a project template replaces the built-in with the same id; invalid ones are not loaded', async () => {
+    writeTemplate('a-crud.json', {
+      id: 'crud-resource',
+      version: '2.0.0',
+      parameters: { resource: { required: true } },
+      blueprints: [{ key: 'table', type: 'database', input: { tableName: '{{resource|plural}}' } }]
+    });
+    writeTemplate('b-broken.json', {
+      id: 'broken',
+      version: '1.0.0',
+      blueprints: [{ key: 'page', type: 'ui-page', dependsOn: ['api'] }]
+    });
+
+    const templates = (await matcher.loadAllBlueprints()).filter(bp => bp.template);
+
+    expect(templates.map(t => [t.template.id, t.template.version])).toEqual([['crud-resource', '2.0.0']]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Template broken: page depends on unknown blueprint api'));
+  });
+
+  test('decomposes an expansion into blueprints that record the template version', async () => {
+    const expansion = matcher.expandTemplate(await matcher.findMatchingTemplate(brief), brief);
+    const blueprints = await new BlueprintDecomposer({ indexProject: false, granularity: 'fine' })
+      .decomposeTemplate(expansion, projectPath);
+    const byKey = key => blueprints.find(bp => bp.template?.key === key);
+
+    expect(expansion.blueprints.map(item => byKey(item.key).template))
+      .toEqual(expansion.blueprints.map(item => ({ id: 'crud-resource', version: '1.0.0', key: item.key })));
+    expect(byKey('table').specifications).toMatchObject({ operation: 'create_table', tableName: 'invoices' });
+    expect(byKey('api-read').specifications).toMatchObject({ method: 'GET', route: '/api/invoices/[id]' });
+    expect(byKey('form').dependsOn).toEqual(expect.arrayContaining([byKey('api-create').id, byKey('api-update').id]));
+    expect(byKey('form').dependencyReasons).toContainEqual({
+      dependsOn: byKey('api-create').id,
+      reason: 'template crud-resource: form after api-create'
+    });
+  });
+});
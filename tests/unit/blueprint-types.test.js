@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlueprintTypeRegistry, createDefaultRegistry } = require('../../lib/blueprint-types');
+const { BlueprintDecomposer } = require('../../agents/blueprint-decomposer');
+
+const edgeFunction = {
+  category: 'service',
+  extract: ({ content }) => [...content.matchAll(/^### Edge Function: (\S+)/gm)].map(m => ({ name: m[1] })),
+  resources: (item) => ({ functions: [`supabase/functions/${item.name}/index.ts`], tables: ['orders'] }),
+  evidence: { required: [{ type: 'test', description: 'Function invoked locally' }], optional: [] },
+  instructions: (bp) => `Create the Supabase Edge Function ${bp.specifications.name}.`,
+  estimatedMinutes: 6
+};
+
+describe('BlueprintTypeRegistry', () => {
+  test('looks up built-in types and falls back for unknown ones', () => {
+    const registry = createDefaultRegistry();
+
+    expect(registry.categoryOf('rls')).toBe('database');
+    expect(registry.categoryOf('no-such-type')).toBe('other');
+    expect(registry.getEvidenceRequirements('no-such-type')).toBe(registry.getEvidenceRequirements('api'));
+    expect(registry.getTaskInstructions({ type: 'no-such-type' })).toBe('Execute the blueprint according to the specifications.');
+    expect(registry.estimateMinutes({ type: 'no-such-type' })).toBe(7);
+  });
+
+  test('resolves function instructions and estimates against the blueprint', () => {
+    const registry = new BlueprintTypeRegistry().register('edge-function', {
+      ...edgeFunction,
+      estimatedMinutes: (bp) => bp.specifications.name.length
+    });
+    const blueprint = { type: 'edge-function', specifications: { name: 'notify' } };
+
+    expect(registry.getTaskInstructions(blueprint)).toBe('Create the Supabase Edge Function notify.');
+    expect(registry.estimateMinutes(blueprint)).toBe(6);
+  });
+
+  test('rejects duplicate names, unknown categories and extractors without resources', () => {
+    const registry = createDefaultRegistry();
+
+    expect(() => registry.register('api', {})).toThrow('Blueprint type "api" is already registered');
+    expect(() => registry.register('api', { override: true, category: 'service' })).not.toThrow();
+    expect(() => registry.register('cron-job', { category: 'scheduler' })).toThrow(/unknown category "scheduler"/);
+    expect(() => registry.register('cron-job', { extract: () => [] })).toThrow(/must declare resources\(item\)/);
+  });
+});
+
+describe('project blueprint types', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-types-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('loads .dev-framework/blueprint-types.js once per registry', async () => {
+    fs.mkdirSync(path.join(projectPath, '.dev-framework'));
+    fs.writeFileSync(path.join(projectPath, '.dev-framework', 'blueprint-types.js'),
+      "module.exports = [{ name: 'cron-job', category: 'service', estimatedMinutes: 4 }];");
+    const registry = createDefaultRegistry();
+
+    expect(await registry.loadProjectTypes(projectPath)).toEqual(['cron-job']);
+    expect(await registry.loadProjectTypes(projectPath)).toEqual([]);
+    expect(registry.categoryOf('cron-job')).toBe('service');
+  });
+
+  test('the decomposer turns extracted items into blueprints after the tables they use', async () => {
+    const registry = createDefaultRegistry().register('edge-function', edgeFunction);
+    const content = [
+      '# Orders', '', '## Database', '', '```sql', 'CREATE TABLE orders (id uuid PRIMARY KEY);', '```', '',
+      '## Edge Functions', '', '### Edge Function: notify-order', ''
+    ].join('\n');
+
+    const blueprints = await new BlueprintDecomposer({ indexProject: false, blueprintTypes: registry, granularity: 'fine' })
+      .decomposeSpec({ name: 'orders', content }, projectPath);
+    const table = blueprints.find(bp => bp.specifications.operation === 'create_table');
+    const edge = blueprints.find(bp => bp.type === 'edge-function');
+
+    expect(edge).toMatchObject({
+      name: 'Create edge-function notify-order',
+      estimatedMinutes: 6,
+      specifications: { operation: 'create_edge_function', name: 'notify-order' },
+      evidenceRequired: edgeFunction.evidence
+    });
+    expect(edge.resources.functions).toEqual(['supabase/functions/notify-order/index.ts']);
+    expect(edge.dependsOn).toContain(table.id);
+  });
+});
+
+describe('access modes', () => {
+  const registry = createDefaultRegistry();
+  const resources = (extra) => ({ tables: [], migrations: [], routes: [], components: [], functions: [], ...extra });
+
+  test('database blueprints create their object and alter the rest; others read tables', () => {
+    const migration = {
+      id: 'bp-01',
+      type: 'database',
+      specifications: { operation: 'create_table' },
+      resources: resources({ tables: ['orders'], enums: ['order_status'] })
+    };
+    const page = { id: 'bp-02', type: 'ui-page', resources: resources({ tables: ['orders'], routes: ['/orders'] }) };
+
+    expect(registry.accessModesOf(migration)).toEqual({ 'table:orders': 'create', 'enum:order_status': 'alter' });
+    expect(registry.accessModesOf(page)).toEqual({ 'table:orders': 'read', 'route:/orders': 'write' });
+  });
+
+  test('explicit access wins over the type declaration, and unknown modes are rejected', () => {
+    const types = createDefaultRegistry().register('audit-job', { category: 'service', access: { table: 'write' } });
+    const job = (access) => ({ id: 'bp-03', type: 'audit-job', resources: resources({ tables: ['orders', 'users'], access }) });
+
+    expect(types.accessModesOf(job({ 'table:users': 'read' }))).toEqual({ 'table:orders': 'write', 'table:users': 'read' });
+    expect(() => types.accessModesOf(job({ 'table:users': 'delete' })))
+      .toThrow('Blueprint bp-03: unknown access mode "delete" for table:users (expected read, write, alter, create)');
+  });
+});
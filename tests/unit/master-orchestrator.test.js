@@ -0,0 +1,90 @@
+const { MasterOrchestrator } = require('../../agents/master-orchestrator');
+
+const resources = (extra = {}) => ({ tables: [], migrations: [], routes: [], components: [], functions: [], ...extra });
+
+function table(id, tableName, columns = []) {
+  return {
+    id,
+    name: `Create ${tableName} table`,
+    description: `Migration: create_table for ${tableName}`,
+    dependsOn: [],
+    resources: resources({ tables: [tableName], migrations: [`${id}_create_${tableName}.sql`] }),
+    specifications: { operation: 'create_table', tableName, columns, constraints: [] }
+  };
+}
+
+function route(id, path, description = '') {
+  return {
+    id,
+    name: `GET ${path}`,
+    description,
+    dependsOn: [],
+    resources: resources({ routes: [path] }),
+    specifications: { operation: 'create_api_route', method: 'GET', route: path }
+  };
+}
+
+function component(id, name, apiEndpoints) {
+  return {
+    id,
+    name: `${name} component`,
+    description: `UI component: ${name}`,
+    dependsOn: [],
+    resources: resources({ components: [`src/components/${name}.tsx`] }),
+    specifications: { operation: 'create_component', componentName: name, apiEndpoints }
+  };
+}
+
+const entry = (name, blueprints) => ({ spec: { name }, blueprints });
+
+describe('MasterOrchestrator cross-spec dependencies', () => {
+  let orchestrator;
+
+  beforeEach(() => {
+    orchestrator = new MasterOrchestrator();
+  });
+
+  test('links foreign keys and UI API calls, not prose mentions', () => {
+    const entries = [
+      entry('checkout', [
+        table('bp-01', 'payments', [{ name: 'order_id', type: 'uuid', references: { table: 'orders', column: 'id' } }]),
+        route('bp-02', '/api/payments', 'Lists payments for the orders page'),
+        component('bp-03', 'OrderBadge', ['GET /api/orders/[id]'])
+      ]),
+      entry('orders', [
+        table('bp-04', 'orders'),
+        route('bp-05', '/api/orders/[id]')
+      ])
+    ];
+
+    const dependencies = orchestrator.resolveCrossSpecDependencies(entries);
+
+    expect(dependencies.map(d => [d.from, d.to, d.resource])).toEqual([
+      ['bp-01', 'bp-04', 'table:orders'],
+      ['bp-03', 'bp-05', 'route:/api/orders/[id]']
+    ]);
+    expect(entries[0].blueprints[1].dependsOn).toEqual([]);
+    expect(orchestrator.orderSpecsByDependencies(entries, dependencies).map(e => e.spec.name))
+      .toEqual(['orders', 'checkout']);
+  });
+
+  test('reports specs that depend on each other as a bundle error', () => {
+    const entries = [
+      entry('orders', [
+        table('bp-01', 'orders'),
+        component('bp-02', 'PaymentList', ['/api/payments'])
+      ]),
+      entry('checkout', [
+        table('bp-03', 'payments', [{ name: 'order_id', type: 'uuid', references: { table: 'orders', column: 'id' } }]),
+        route('bp-04', '/api/payments')
+      ])
+    ];
+
+    const dependencies = orchestrator.resolveCrossSpecDependencies(entries);
+
+    expect(() => orchestrator.orderSpecsByDependencies(entries, dependencies)).toThrow(
+      'Specs depend on each other (orders → checkout → orders): orders uses route:/api/payments from checkout; ' +
+      'checkout uses table:orders from orders'
+    );
+  });
+});
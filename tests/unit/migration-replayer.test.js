@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MigrationReplayer } = require('../../lib/migration-replayer');
+const { PostImplementationValidator } = require('../../testing-framework/post-implementation-validator');
+
+const schema = `
+CREATE TABLE projects (id uuid PRIMARY KEY, team_id uuid NOT NULL);
+CREATE TABLE members (team_id uuid NOT NULL, user_id uuid NOT NULL);
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY projects_read ON projects FOR SELECT
+  USING (team_id IN (SELECT team_id FROM members WHERE user_id = auth.uid()));`;
+
+describe('offline RLS analysis from migrations', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-replayer-'));
+    fs.mkdirSync(path.join(projectPath, 'supabase', 'migrations'), { recursive: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  function migrations(...files) {
+    files.forEach((sql, i) => {
+      fs.writeFileSync(path.join(projectPath, 'supabase', 'migrations', `2024010100000${i}_step_${i}.sql`), sql);
+    });
+  }
+
+  async function check() {
+    const validator = new PostImplementationValidator({ projectPath });
+    await validator.checkRLSPolicies();
+    return validator.validationResults.rlsPolicies;
+  }
+
+  test('replays DROP and ALTER POLICY in file name order', async () => {
+    migrations(
+      `${schema}\nCREATE POLICY members_read ON members FOR SELECT USING (true);`,
+      'DROP POLICY members_read ON members;\nCREATE POLICY members_self ON members FOR SELECT USING (user_id = auth.uid());',
+      'ALTER POLICY members_self ON members TO authenticated USING (user_id = auth.uid() AND team_id IS NOT NULL);'
+    );
+
+    const replayer = new MigrationReplayer(projectPath);
+    const policies = replayer.getPolicies(await replayer.replay());
+
+    expect(policies.map(p => [p.table, p.name, p.roles, p.rlsEnabled])).toEqual([
+      ['projects', 'projects_read', ['public'], true],
+      ['members', 'members_self', ['authenticated'], true]
+    ]);
+    expect(policies[1].using).toBe('user_id = auth.uid() AND team_id IS NOT NULL');
+  });
+
+  test('finds a cycle between policies that read each other\'s tables', async () => {
+    migrations(
+      schema,
+      'CREATE POLICY members_read ON members FOR SELECT USING (team_id IN (SELECT team_id FROM projects));'
+    );
+
+    const result = await check();
+
+    expect(result.passed).toBe(false);
+    expect(result.errors.map(e => e.cycle)).toEqual(['projects → members → projects']);
+  });
+
+  test('follows SECURITY INVOKER functions but not SECURITY DEFINER ones', async () => {
+    const policy = 'CREATE POLICY members_read ON members FOR SELECT USING (can_see_team(team_id));';
+    const fn = security => `CREATE FUNCTION can_see_team(t uuid) RETURNS boolean LANGUAGE sql ${security} AS $$
+  SELECT EXISTS (SELECT 1 FROM projects WHERE team_id = t)
+$$;`;
+
+    migrations(schema, fn('SECURITY INVOKER'), policy);
+    const invoker = await check();
+
+    migrations(schema, fn('SECURITY DEFINER'), policy);
+    const definer = await check();
+
+    expect(invoker.errors[0].edges).toEqual([
+      'projects → members: policy "projects_read" reads members',
+      'members → projects: policy "members_read" calls can_see_team() which reads projects'
+    ]);
+    expect(definer).toEqual({ passed: true, errors: [] });
+  });
+
+  test('a SECURITY DEFINER function still recurses on a table with FORCE ROW LEVEL SECURITY', async () => {
+    migrations(
+      `${schema}\nALTER TABLE projects FORCE ROW LEVEL SECURITY;`,
+      `CREATE FUNCTION can_see_team(t uuid) RETURNS boolean LANGUAGE sql SECURITY DEFINER AS $$
+  SELECT EXISTS (SELECT 1 FROM projects WHERE team_id = t)
+$$;`,
+      'CREATE POLICY members_read ON members FOR SELECT USING (can_see_team(team_id));'
+    );
+
+    const result = await check();
+
+    expect(result.passed).toBe(false);
+    expect(result.errors[0].edges[1]).toMatch(/SECURITY DEFINER, but FORCE ROW LEVEL SECURITY is set/);
+  });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenAPIConverter } = require('../../lib/openapi');
+const { BlueprintDecomposer } = require('../../agents/blueprint-decomposer');
+
+const fence = '```';
+
+const contract = {
+  openapi: '3.0.3',
+  info: { title: 'Orders', version: '1.0.0' },
+  paths: {
+    '/api/orders/{id}/items': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+        operationId: 'listOrderItems',
+        responses: {
+          '200': { description: 'Items', content: { 'application/json': { schema: { $ref: '#/components/schemas/OrderItems' } } } }
+        }
+      }
+    }
+  },
+  components: { schemas: { OrderItems: { type: 'array', items: { type: 'string' } } } }
+};
+
+describe('OpenAPIConverter path parameters', () => {
+  test('imports path templates as Next.js segments', () => {
+    const [endpoint] = new OpenAPIConverter().importDocument(contract);
+
+    expect(endpoint).toMatchObject({ method: 'GET', route: '/api/orders/[id]/items', responseType: 'OrderItems' });
+    expect(endpoint.contract.parameters.map(p => p.name)).toEqual(['id']);
+  });
+
+  test('exports Next.js segments as path templates and round-trips', () => {
+    const converter = new OpenAPIConverter();
+    const endpoints = converter.importDocument(contract);
+
+    const doc = converter.exportDocument(endpoints, contract.components.schemas);
+
+    expect(Object.keys(doc.paths)).toEqual(['/api/orders/{id}/items']);
+    expect(doc.paths['/api/orders/{id}/items'].get.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+    ]);
+    expect(converter.importDocument(doc).map(e => `${e.method} ${e.route}`)).toEqual(['GET /api/orders/[id]/items']);
+  });
+});
+
+describe('spec with a sibling openapi.json', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('an endpoint declared in both is planned once, under its Next.js path', async () => {
+    const specPath = path.join(dir, 'spec.md');
+    fs.writeFileSync(specPath, [
+      '# Order items',
+      '',
+      '## API',
+      '',
+      '**GET /api/orders/[id]/items**',
+      '',
+      `${fence}typescript`,
+      'interface OrderItemsResponse { items: string[] }',
+      fence,
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'openapi.json'), JSON.stringify(contract));
+
+    const decomposer = new BlueprintDecomposer({ indexProject: false });
+    const requirements = await decomposer.parseSpec({ name: 'order-items', path: specPath });
+    const blueprints = await decomposer.decomposeSpec({ name: 'order-items', path: specPath }, dir);
+    const apiBlueprints = blueprints.filter(bp => bp.specifications.operation === 'create_api_route');
+
+    expect(requirements.api.map(e => `${e.method} ${e.route}`)).toEqual(['GET /api/orders/[id]/items']);
+    expect(requirements.api[0].contract.source).toBe('openapi');
+    expect(apiBlueprints.map(bp => bp.specifications.filePath)).toEqual(['src/app/api/orders/[id]/items/route.ts']);
+  });
+});
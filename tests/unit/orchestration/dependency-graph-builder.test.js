@@ -0,0 +1,119 @@
+const { DependencyGraphBuilder } = require('../../../lib/orchestration/dependency-graph-builder');
+const { MasterOrchestrator } = require('../../../agents/master-orchestrator');
+
+function blueprint(id, estimatedMinutes, dependsOn = [], tables = []) {
+  return {
+    id,
+    estimatedMinutes,
+    dependsOn,
+    resources: { tables, migrations: [], routes: [], components: [], functions: [] }
+  };
+}
+
+function build(blueprints, options) {
+  const dagBuilder = new DependencyGraphBuilder(options);
+  blueprints.forEach(bp => dagBuilder.addBlueprint(bp));
+  dagBuilder.detectResourceConflicts();
+  return dagBuilder;
+}
+
+describe('critical-path scheduling', () => {
+  // Layered, Next waits for Slow; scheduled, it only waits for Quick
+  const graph = () => build([blueprint('Slow', 20), blueprint('Quick', 2), blueprint('Next', 25, ['Quick'])]);
+
+  test('prioritizes by longest remaining path and finds the critical path', () => {
+    const dagBuilder = graph();
+
+    expect(Object.fromEntries(dagBuilder.computeCriticalPathPriorities())).toEqual({ Slow: 20, Quick: 27, Next: 25 });
+    expect(dagBuilder.findCriticalPath()).toEqual({ minutes: 27, blueprints: ['Quick', 'Next'] });
+  });
+
+  test('estimates the schedule without layer barriers, within maxConcurrent', () => {
+    const dagBuilder = graph();
+
+    expect(dagBuilder.generateExecutionLayers()).toEqual([['Slow', 'Quick'], ['Next']]);
+    expect(dagBuilder.estimateScheduleMinutes()).toBe(27);
+    expect(dagBuilder.estimateScheduleMinutes(undefined, 1)).toBe(47);
+  });
+});
+
+describe('implicit dependency rules', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  // Report and Export both write users; Export comes later in the plan
+  const blueprints = () => [blueprint('Report', 5, [], ['users']), blueprint('Export', 5, [], ['users'])];
+
+  test('explains an implicit edge with its resource, rule and plan order', () => {
+    const explanation = build(blueprints()).explain('Export', 'Report');
+
+    expect(explanation).toMatchObject({
+      dependency: { blueprint: 'Export', dependsOn: 'Report', kind: 'implicit', reasons: ['table:users'] },
+      conflicts: [{
+        resource: 'table:users',
+        rule: 'shared-table',
+        description: 'both blueprints touch the same table and at least one changes it',
+        access: { Report: 'write', Export: 'write' }
+      }],
+      order: 'Export waits for Report because it comes later in the plan',
+      parallel: false,
+      summary: 'Export depends on Report (implicit: table:users)'
+    });
+  });
+
+  test('a parallel override drops the edge and a reverse override flips it', () => {
+    const parallel = build(blueprints(), {
+      rules: [{ rule: 'shared-table', resource: 'table:*', action: 'parallel', reason: 'separate columns' }]
+    });
+    const reversed = build(blueprints(), { rules: [{ blueprints: ['Report', 'Export'], action: 'reverse' }] });
+
+    expect(parallel.getImplicitDependencies()).toEqual([]);
+    expect(parallel.explain('Report', 'Export')).toMatchObject({
+      parallel: true,
+      overridden: [{ resource: 'table:users', rule: 'shared-table', override: { reason: 'separate columns' } }]
+    });
+    expect(parallel.getOverriddenConflicts().map(entry => [entry.blueprints, entry.resource]))
+      .toEqual([[['Report', 'Export'], 'table:users']]);
+
+    expect(reversed.explain('Report', 'Export').order).toBe('Report waits for Export because a plan rule reverses the order');
+    expect(reversed.generateExecutionLayers()).toEqual([['Export'], ['Report']]);
+  });
+
+  test('rejects overrides that can never match or do nothing', () => {
+    expect(() => new DependencyGraphBuilder({ rules: [{ action: 'parallel' }] }))
+      .toThrow('Dependency rule override needs a rule, resource or blueprints filter');
+    expect(() => new DependencyGraphBuilder({ rules: [{ rule: 'shared-tables' }] }))
+      .toThrow(/^Unknown dependency rule: shared-tables/);
+    expect(() => new DependencyGraphBuilder({ rules: [{ rule: 'shared-table', action: 'skip' }] }))
+      .toThrow('Unknown dependency rule action: skip (expected parallel, reverse)');
+  });
+
+  test('a plan re-planned with rules keeps them for later rebuilds', () => {
+    const rules = [{ resource: 'table:users', action: 'parallel' }];
+    const plan = { id: 'rules-plan', blueprints: blueprints(), metadata: {} };
+
+    const updated = new MasterOrchestrator().applyDependencyRules(plan, rules);
+
+    expect(updated.layers).toEqual([['Report', 'Export']]);
+    expect(updated.dependencyRules).toEqual(rules);
+    expect(DependencyGraphBuilder.fromPlan(updated).getImplicitDependencies()).toEqual([]);
+  });
+});
+
+describe('access modes in conflicts', () => {
+  function withAccess(id, access) {
+    const bp = blueprint(id, 5, [], Object.keys(access).map(resource => resource.split(':')[1]));
+    bp.resources.access = access;
+    return bp;
+  }
+
+  test('shared readers do not conflict; a reader still waits for a blueprint altering the table', () => {
+    const alter = withAccess('Alter', { 'table:orders': 'alter' });
+    const page = withAccess('Page', { 'table:orders': 'read', 'table:users': 'read' });
+    const service = withAccess('Service', { 'table:users': 'read' });
+    const dagBuilder = new DependencyGraphBuilder();
+
+    expect(dagBuilder.findResourceConflicts(page, service)).toEqual([]);
+    expect(dagBuilder.findResourceConflicts(alter, page)).toEqual(['table:orders']);
+  });
+});
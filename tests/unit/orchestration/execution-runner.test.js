@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExecutionRunner } = require('../../../lib/orchestration/execution-runner');
+const { ResourceLockManager } = require('../../../lib/orchestration/resource-lock-manager');
+const { VirtualClock } = require('../../../lib/orchestration/clock');
+
+const MINUTE = 60 * 1000;
+
+function blueprint(id, tables, estimatedMinutes) {
+  return {
+    id,
+    name: id,
+    type: 'service',
+    estimatedMinutes,
+    resources: { tables, migrations: [], routes: [], components: [], functions: [] },
+    specifications: {}
+  };
+}
+
+// X and Y both write orders; the plan runs them side by side so only the lock orders them
+function createPlan() {
+  return {
+    id: 'lease-plan',
+    blueprints: [blueprint('X', ['orders'], 20), blueprint('Y', ['orders'], 5)],
+    layers: [['X', 'Y']],
+    dependencies: { X: [], Y: [] },
+    metadata: { totalBlueprints: 2, totalLayers: 1, estimatedMinutes: 20 }
+  };
+}
+
+describe('lease expiry during execution', () => {
+  let clock;
+  let checkpointDir;
+  let runner;
+  let log;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    clock = new VirtualClock();
+    checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-runner-'));
+    log = [];
+    runner = new ExecutionRunner({
+      clock,
+      checkpointDir,
+      lockDir: false,
+      snapshotWorkspace: false,
+      enableCodexReviews: false,
+      enableContextSlicing: false,
+      validateBeforeRun: false,
+      lockWaitTimeout: 60 * MINUTE
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(checkpointDir, { recursive: true, force: true });
+  });
+
+  test('keeps the locks until the aborted agent stops, then reschedules it', async () => {
+    let attempts = 0;
+    const agent = async ({ blueprintId, signal, heartbeat }) => {
+      log.push(`${blueprintId} start @${clock.now() / MINUTE}`);
+
+      if (blueprintId === 'X' && ++attempts === 1) {
+        // Hangs without heartbeats; after the abort it needs half a minute to stop
+        await new Promise(resolve => signal.addEventListener('abort', resolve));
+        await clock.sleep(MINUTE / 2);
+        log.push(`X stopped @${clock.now() / MINUTE}`);
+        throw signal.reason;
+      }
+
+      await clock.sleep(5 * MINUTE);
+      heartbeat();
+      return {};
+    };
+
+    const result = await clock.run(runner.executePlan(createPlan(), agent));
+
+    expect(result.success).toBe(true);
+    expect(log).toEqual([
+      'X start @0',
+      'X stopped @15.5',
+      'Y start @15.5',
+      'X start @20.5'
+    ]);
+  });
+
+  test('fails without rescheduling when the agent ignores the abort, and keeps its locks', async () => {
+    const agent = ({ blueprintId }) => {
+      log.push(`${blueprintId} start @${clock.now() / MINUTE}`);
+      return new Promise(() => {});
+    };
+
+    const outcome = await clock.run(runner.executePlan(createPlan(), agent)).catch(error => error);
+
+    expect(outcome.failures.map(failure => failure.blueprintId).sort()).toEqual(['X', 'Y']);
+    expect(outcome.failures.find(failure => failure.blueprintId === 'X').error)
+      .toMatch(/agent did not stop within 60s, its locks stay held/);
+    expect(log).toEqual(['X start @0']);
+    expect(runner.lockManager.getLockStatus().activeLocks.map(lock => lock.lockedBy)).toEqual(['X']);
+  });
+
+  test('heartbeats of an aborted agent do not renew its lease', async () => {
+    const renew = jest.spyOn(ResourceLockManager.prototype, 'renewLocks');
+    const agent = async ({ blueprintId, signal, heartbeat }) => {
+      if (blueprintId === 'X') {
+        await new Promise(resolve => signal.addEventListener('abort', resolve));
+        heartbeat();
+        throw signal.reason;
+      }
+      return {};
+    };
+
+    runner.options.timeoutRetries = 0;
+    await clock.run(runner.executePlan(createPlan(), agent)).catch(() => {});
+
+    expect(renew).not.toHaveBeenCalled();
+  });
+});
+
+describe('ready-queue scheduling', () => {
+  let clock;
+  let checkpointDir;
+  let started;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    clock = new VirtualClock();
+    checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-runner-'));
+    started = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(checkpointDir, { recursive: true, force: true });
+  });
+
+  function createRunner(maxConcurrent) {
+    return new ExecutionRunner({
+      clock,
+      checkpointDir,
+      maxConcurrent,
+      lockDir: false,
+      snapshotWorkspace: false,
+      enableCodexReviews: false,
+      enableContextSlicing: false,
+      validateBeforeRun: false
+    });
+  }
+
+  function createPlan(blueprints, dependencies, layers) {
+    return {
+      id: 'ready-queue-plan',
+      blueprints,
+      layers,
+      dependencies,
+      metadata: { totalBlueprints: blueprints.length, totalLayers: layers.length, estimatedMinutes: 0 }
+    };
+  }
+
+  // Runs each blueprint for its estimate, recording when it started
+  const agent = (plan) => async ({ blueprintId }) => {
+    started.push([blueprintId, clock.now() / MINUTE]);
+    await clock.sleep(plan.blueprints.find(bp => bp.id === blueprintId).estimatedMinutes * MINUTE);
+    return {};
+  };
+
+  test('starts a blueprint when its own dependencies finish, not the whole previous layer', async () => {
+    const plan = createPlan(
+      [blueprint('Slow', [], 20), blueprint('Quick', [], 2), blueprint('Next', [], 5)],
+      { Slow: [], Quick: [], Next: ['Quick'] },
+      [['Slow', 'Quick'], ['Next']]
+    );
+
+    await clock.run(createRunner(5).executePlan(plan, agent(plan)));
+
+    expect(started).toEqual([['Slow', 0], ['Quick', 0], ['Next', 2]]);
+    expect(clock.now()).toBe(20 * MINUTE);
+  });
+
+  test('starts the longest remaining critical path first within maxConcurrent', async () => {
+    const plan = createPlan(
+      [blueprint('Leaf', [], 5), blueprint('Head', [], 5), blueprint('Tail', [], 10)],
+      { Leaf: [], Head: [], Tail: ['Head'] },
+      [['Leaf', 'Head'], ['Tail']]
+    );
+
+    await clock.run(createRunner(1).executePlan(plan, agent(plan)));
+
+    expect(started).toEqual([['Head', 0], ['Tail', 5], ['Leaf', 15]]);
+  });
+});
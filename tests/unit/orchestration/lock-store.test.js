@@ -0,0 +1,229 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { FileLockStore } = require('../../../lib/orchestration/lock-store');
+const { ResourceLockManager } = require('../../../lib/orchestration/resource-lock-manager');
+
+const lockStorePath = require.resolve('../../../lib/orchestration/lock-store');
+const lockManagerPath = require.resolve('../../../lib/orchestration/resource-lock-manager');
+
+// Run a script in another node process; resolves with its stdout
+function runProcess(script, ...args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', data => { stdout += data; });
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve(stdout) : reject(new Error(`exit ${code}: ${stderr}`))));
+  });
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function waitForFile(file, timeout) {
+  const deadline = Date.now() + timeout;
+  while (!fs.existsSync(file) && Date.now() < deadline) sleepSync(10);
+}
+
+function mutexFile(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, '.mutex'), 'utf8'));
+}
+
+describe('FileLockStore', () => {
+  let tmp;
+  let dir;
+  let stores;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-store-'));
+    dir = path.join(tmp, 'locks');
+    stores = [];
+  });
+
+  afterEach(() => {
+    stores.forEach(store => store.close());
+    jest.restoreAllMocks();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  function createStore(options = {}) {
+    const store = new FileLockStore({ dir, ...options });
+    stores.push(store);
+    return store;
+  }
+
+  test('processes never run their critical sections at the same time', async () => {
+    const counter = path.join(tmp, 'counter');
+    fs.writeFileSync(counter, '0');
+    const script = `
+      const fs = require('fs');
+      const { FileLockStore } = require(process.argv[1]);
+      const store = new FileLockStore({ dir: process.argv[2] });
+      const pause = () => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 2);
+      for (let i = 0; i < 20; i++) {
+        store.withLock(() => {
+          const value = Number(fs.readFileSync(process.argv[3], 'utf8'));
+          pause();
+          fs.writeFileSync(process.argv[3], String(value + 1));
+        });
+      }`;
+
+    await Promise.all([1, 2, 3].map(() => runProcess(script, lockStorePath, dir, counter)));
+
+    expect(fs.readFileSync(counter, 'utf8')).toBe('60');
+    expect(fs.readdirSync(dir).filter(name => name.startsWith('.mutex'))).toEqual([]);
+  });
+
+  test('a lock held by another process conflicts until that process releases it', async () => {
+    const held = path.join(tmp, 'held');
+    const release = path.join(tmp, 'release');
+    const script = `
+      const fs = require('fs');
+      const { FileLockStore } = require(process.argv[1]);
+      const { ResourceLockManager } = require(process.argv[2]);
+      const [dir, held, release] = process.argv.slice(3);
+      const manager = new ResourceLockManager({ store: new FileLockStore({ dir }) });
+      console.log = () => {};
+      manager.acquireLocks({ id: 'A', resources: { tables: ['orders'] } }).then(() => {
+        fs.writeFileSync(held, '');
+        const poll = setInterval(() => {
+          if (!fs.existsSync(release)) return;
+          clearInterval(poll);
+          manager.releaseLocks('A');
+          manager.store.close();
+        }, 10);
+      });`;
+    const child = runProcess(script, lockStorePath, lockManagerPath, dir, held, release);
+    const manager = new ResourceLockManager({ store: createStore() });
+    const orders = { id: 'B', resources: { tables: ['orders'] } };
+
+    const deadline = Date.now() + 10000;
+    while (!fs.existsSync(held) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const blocked = await manager.acquireLocks(orders);
+    fs.writeFileSync(release, '');
+    await child;
+    const granted = await manager.acquireLocks(orders);
+    manager.releaseLocks('B');
+
+    expect(blocked.success).toBe(false);
+    expect(blocked.conflicts).toEqual([expect.objectContaining({ resource: 'table:orders', lockedBy: 'A' })]);
+    expect(granted.success).toBe(true);
+  });
+
+  test('a critical section longer than the stale time keeps its mutex', async () => {
+    const waiting = path.join(tmp, 'waiting');
+    const script = `
+      const fs = require('fs');
+      const { FileLockStore } = require(process.argv[1]);
+      const store = new FileLockStore({ dir: process.argv[2], mutexStaleAfter: 200, mutexTimeout: 10000 });
+      fs.writeFileSync(process.argv[3], '');
+      store.withLock(() => console.log(Date.now()));`;
+    const store = createStore({ mutexStaleAfter: 200 });
+    let child;
+    let releasedAt;
+
+    store.withLock(() => {
+      child = runProcess(script, lockStorePath, dir, waiting);
+      waitForFile(waiting, 10000);
+      // Works for three times the stale time, touching the store as it goes
+      const until = Date.now() + 600;
+      while (Date.now() < until) {
+        store.get('table:orders');
+        sleepSync(20);
+      }
+      releasedAt = Date.now();
+    });
+
+    expect(Number(await child)).toBeGreaterThanOrEqual(releasedAt);
+  });
+
+  test('a mutex left by a dead process is taken over', () => {
+    const store = createStore();
+    fs.writeFileSync(path.join(dir, '.mutex'), JSON.stringify({
+      token: 'dead', session: 'gone', pid: 2 ** 22 + 1, hostname: os.hostname(), heartbeatAt: Date.now()
+    }));
+
+    expect(store.withLock(() => mutexFile(dir).session)).toBe(store.sessionId);
+    expect(fs.existsSync(path.join(dir, '.mutex'))).toBe(false);
+  });
+
+  test('releasing leaves a mutex that another session took over', () => {
+    const store = createStore();
+    const other = { token: 'other', session: 'other', pid: process.pid, hostname: os.hostname(), heartbeatAt: Date.now() };
+
+    store.withLock(() => {
+      fs.writeFileSync(path.join(dir, '.mutex'), JSON.stringify(other));
+    });
+
+    expect(mutexFile(dir)).toEqual(other);
+    expect(fs.readdirSync(dir).filter(name => name.endsWith('.tomb'))).toEqual([]);
+  });
+
+  test('removing an abandoned mutex leaves the one another session re-created in place', () => {
+    const first = createStore();
+    const second = createStore();
+    const third = createStore();
+    const mutexPath = path.join(dir, '.mutex');
+    fs.writeFileSync(mutexPath, JSON.stringify({ token: 'dead', session: 'gone', heartbeatAt: 0 }));
+
+    // Both sessions judged the old mutex abandoned; the first removes it and takes the mutex
+    const abandoned = mutexFile(dir);
+    first.withLock(() => {
+      const rename = fs.renameSync;
+      let contender = null;
+      jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+        rename(from, to);
+        // A third session tries its luck right after any tombstone rename
+        if (from === mutexPath && contender === null) {
+          contender = 'trying';
+          try {
+            third.withLock(() => {});
+            contender = 'acquired';
+          } catch (error) {
+            contender = error.message;
+          }
+        }
+      });
+
+      expect(second.removeMutex(abandoned.token)).toBe(false);
+      expect(contender).toBeNull();
+      fs.renameSync.mockRestore();
+
+      expect(mutexFile(dir).session).toBe(first.sessionId);
+      first.mutexRefreshedAt = 0;
+      expect(() => first.get('table:orders')).not.toThrow();
+    });
+
+    expect(fs.readdirSync(dir).filter(name => name.startsWith('.mutex'))).toEqual([]);
+  });
+
+  test('waiting for a busy mutex blocks for a fraction of the stale time at most', () => {
+    const store = createStore({ staleAfter: 1000, mutexTimeout: 60000 });
+    fs.writeFileSync(path.join(dir, '.mutex'), JSON.stringify({
+      token: 'live', session: 'other', pid: process.pid, hostname: os.hostname(), heartbeatAt: Date.now()
+    }));
+
+    const start = Date.now();
+    expect(() => store.withLock(() => {})).toThrow(/Lock store busy: .* within 100ms/);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  test('working under a mutex that was taken over fails', () => {
+    const store = createStore({ mutexStaleAfter: 50 });
+
+    expect(() => store.withLock(() => {
+      fs.writeFileSync(path.join(dir, '.mutex'), JSON.stringify({ token: 'other', session: 'other', heartbeatAt: Date.now() }));
+      sleepSync(20);
+      store.get('table:orders');
+    })).toThrow(/Lost lock store mutex .* to session other/);
+  });
+});
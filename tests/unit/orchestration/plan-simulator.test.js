@@ -0,0 +1,104 @@
+const { PlanSimulator } = require('../../../lib/orchestration/plan-simulator');
+
+function blueprint(id, type, tables, estimatedMinutes, dependsOn = []) {
+  return {
+    id,
+    name: id,
+    type,
+    estimatedMinutes,
+    dependsOn,
+    resources: { tables, migrations: [], routes: [], components: [], functions: [] },
+    specifications: {}
+  };
+}
+
+// B needs A; C shares the orders table with A, so only the lock orders them
+function createPlan() {
+  return {
+    id: 'sim-plan',
+    blueprints: [
+      blueprint('A', 'database', ['orders'], 10),
+      blueprint('B', 'service', [], 20, ['A']),
+      blueprint('C', 'api', ['orders'], 5)
+    ],
+    layers: [['A', 'C'], ['B']],
+    dependencies: { A: [], B: ['A'], C: [] },
+    metadata: { estimatedMinutes: 30 }
+  };
+}
+
+const reliable = { failureRate: 0, rejectionRate: 0 };
+
+describe('PlanSimulator', () => {
+  test('reports wall-clock time, lock contention and the critical path in virtual time', async () => {
+    const simulator = new PlanSimulator({
+      runs: 3,
+      enableCodexReviews: false,
+      defaults: reliable,
+      types: { database: { duration: 10 }, service: { duration: 20 }, api: { duration: 5 } }
+    });
+
+    const report = await simulator.simulate(createPlan());
+
+    expect(report.wallClock).toMatchObject({ meanMinutes: 30, minMinutes: 30, maxMinutes: 30 });
+    expect(report.success).toMatchObject({ probability: 1, meanAttempts: 1 });
+    expect(report.lockContention).toEqual([{
+      resource: 'table:orders',
+      waitsPerRun: 1,
+      meanWaitMinutes: 10,
+      waitMinutesPerRun: 10,
+      neverAcquired: 0,
+      waiters: ['C'],
+      holders: ['A']
+    }]);
+    expect(report.criticalPath).toEqual({
+      minutes: 30,
+      blueprints: [
+        { id: 'A', name: 'A', type: 'database', expectedMinutes: 10 },
+        { id: 'B', name: 'B', type: 'service', expectedMinutes: 20 }
+      ]
+    });
+  });
+
+  test('resumes failed runs from their checkpoint and reports the chance per retry budget', async () => {
+    const flaky = await new PlanSimulator({
+      runs: 20,
+      maxRetries: 2,
+      seed: 7,
+      enableCodexReviews: false,
+      defaults: { ...reliable, failureRate: 0.3, duration: { distribution: 'fixed', value: 3 } }
+    }).simulate(createPlan());
+
+    const probabilities = flaky.success.withinRetries.map(entry => entry.probability);
+    expect(probabilities).toEqual([...probabilities].sort((a, b) => a - b));
+    expect(probabilities[probabilities.length - 1]).toBe(flaky.success.probability);
+    expect(Object.keys(flaky.failures)).toEqual(['Simulated agent failure']);
+
+    const broken = await new PlanSimulator({
+      runs: 4,
+      maxRetries: 2,
+      enableCodexReviews: false,
+      defaults: reliable,
+      types: { service: { failureRate: 1 } }
+    }).simulate(createPlan());
+
+    expect(broken.success.probability).toBe(0);
+    expect(broken.blueprints.B).toMatchObject({ executions: 12, failures: 12 });
+    // Completed blueprints are not run again by the resumed attempts
+    expect(broken.blueprints.A.executions).toBe(4);
+  });
+
+  test('samples the configured duration distributions', () => {
+    const simulator = new PlanSimulator();
+    const random = simulator.createRandom(3);
+
+    expect(simulator.sample(4, random)).toBe(4);
+    expect(simulator.sample({ distribution: 'fixed', value: 6 }, random)).toBe(6);
+    for (let i = 0; i < 50; i++) {
+      const minutes = simulator.sample({ distribution: 'triangular', min: 2, mode: 4, max: 10 }, random);
+      expect(minutes).toBeGreaterThanOrEqual(2);
+      expect(minutes).toBeLessThanOrEqual(10);
+    }
+    expect(() => simulator.sample({ distribution: 'poisson' }, random)).toThrow('Unknown duration distribution: poisson');
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PlanVisualizer } = require('../../../lib/orchestration/plan-visualizer');
+const { DependencyGraphBuilder } = require('../../../lib/orchestration/dependency-graph-builder');
+
+function blueprint(id, type, tables, estimatedMinutes, dependsOn = [], extra = {}) {
+  return {
+    id,
+    name: `Build ${id}`,
+    type,
+    estimatedMinutes,
+    dependsOn,
+    resources: { tables, migrations: [], routes: [], components: [], functions: [] },
+    specifications: {},
+    ...extra
+  };
+}
+
+// bp-02 reads what bp-01 creates; bp-03 only conflicts with both on orders
+function createPlan() {
+  return {
+    id: 'viz-plan',
+    spec: { name: 'Orders <v2>' },
+    blueprints: [
+      blueprint('bp-01', 'database', ['orders'], 10),
+      blueprint('bp-02', 'service', ['orders'], 8, ['bp-01'], {
+        dependencyReasons: [{ dependsOn: 'bp-01', reason: ".from('orders') reads table orders" }]
+      }),
+      blueprint('bp-03', 'api', ['orders'], 5),
+      blueprint('bp-04', 'edge-function', [], 3)
+    ],
+    layers: [['bp-01', 'bp-04'], ['bp-02'], ['bp-03']],
+    metadata: { estimatedMinutes: 23 }
+  };
+}
+
+describe('PlanVisualizer', () => {
+  let visualizer;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    visualizer = new PlanVisualizer();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('models explicit and implicit edges with their reasons and the critical path', () => {
+    const model = visualizer.buildModel(createPlan());
+
+    expect(model.edges).toEqual([
+      { from: 'bp-01', to: 'bp-02', kind: 'explicit', reasons: [".from('orders') reads table orders"], critical: true },
+      { from: 'bp-01', to: 'bp-03', kind: 'implicit', reasons: ['table:orders'], critical: false },
+      { from: 'bp-02', to: 'bp-03', kind: 'implicit', reasons: ['table:orders'], critical: true }
+    ]);
+    expect(model.criticalPath).toEqual({ minutes: 23, blueprints: ['bp-01', 'bp-02', 'bp-03'] });
+    expect(model.nodes.find(node => node.id === 'bp-04')).toMatchObject({ layer: 0, color: '#dddddd', critical: false });
+  });
+
+  test('renders Mermaid with layer subgraphs, dashed implicit edges and type classes', () => {
+    const mermaid = visualizer.toMermaid(createPlan());
+
+    expect(mermaid).toContain('  subgraph layer1["Layer 1"]\n    bp_01["bp-01 Build bp-01<br/>database · 10 min"]');
+    expect(mermaid).toContain('  bp_01 -->|".from(\'orders\') reads table orders"| bp_02');
+    expect(mermaid).toContain('  bp_01 -.->|"table:orders"| bp_03');
+    expect(mermaid).toContain('  classDef type_edge_function fill:#dddddd');
+    expect(mermaid).toContain('  class bp_01,bp_02,bp_03 critical');
+    expect(mermaid).toContain('  linkStyle 0,2 stroke:#d62728');
+  });
+
+  test('renders DOT with layer clusters and styled edges', () => {
+    const dot = visualizer.toDot(createPlan());
+
+    expect(dot).toMatch(/^digraph "viz-plan" \{/);
+    expect(dot).toContain('subgraph cluster_layer2 {');
+    expect(dot).toContain('"bp-01" -> "bp-03" [color="#666666", style=dashed, label="table:orders"];');
+    expect(dot).toContain('"bp-02" -> "bp-03" [color="#d62728", style=dashed, penwidth=3, label="table:orders"];');
+  });
+
+  test('writes a self-contained HTML report next to the other formats', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-visualizer-'));
+
+    try {
+      const written = await visualizer.exportPlan(createPlan(), path.join(dir, 'plan'));
+      const html = fs.readFileSync(path.join(dir, 'plan.html'), 'utf8');
+
+      expect(written.map(file => path.basename(file))).toEqual(['plan.mmd', 'plan.dot', 'plan.html']);
+      expect(html).toContain('<title>Orders &lt;v2&gt; - execution plan</title>');
+      expect(html).toContain('<strong>23</strong> min critical path');
+      expect(html).toContain('<svg');
+      expect(html).not.toMatch(/<script|<link|src="http/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    expect(() => visualizer.render(createPlan(), 'png')).toThrow('Unknown export format: png (expected mermaid, dot, html)');
+  });
+
+  test('visualizeLayers prints blueprint names for layers of IDs', () => {
+    const plan = createPlan();
+    const dagBuilder = new DependencyGraphBuilder();
+    plan.blueprints.forEach(bp => dagBuilder.addBlueprint(bp));
+
+    dagBuilder.visualizeLayers(plan.layers);
+
+    const output = console.log.mock.calls.map(([line]) => line).join('\n');
+    expect(output).toContain('    - Build bp-04 (~3 min)');
+    expect(output).toContain('  Sequential: Build bp-03');
+    expect(output).not.toContain('undefined');
+  });
+});
@@ -0,0 +1,329 @@
+const { ResourceLockManager } = require('../../../lib/orchestration/resource-lock-manager');
+const { VirtualClock } = require('../../../lib/orchestration/clock');
+
+const MINUTE = 60 * 1000;
+
+function blueprint(id, tables, access = {}) {
+  return { id, resources: { tables, migrations: [], routes: [], components: [], functions: [], access } };
+}
+
+// Let virtual time pass, firing the timers due on the way
+function advance(clock, ms) {
+  return clock.run(clock.sleep(ms));
+}
+
+function holdersOf(manager, resourceId) {
+  return manager.getLockStatus().activeLocks
+    .filter(lock => lock.resource === resourceId)
+    .map(lock => lock.lockedBy);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('lock leases', () => {
+  let clock;
+  let events;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    events = [];
+  });
+
+  function createManager(options = {}) {
+    return new ResourceLockManager({ clock, onEvent: (type, data) => events.push({ type, data }), ...options });
+  }
+
+  test('an expired lease is reported with its resources and released', async () => {
+    const manager = createManager();
+    await manager.acquireLocks(blueprint('A', ['orders']));
+
+    await advance(clock, 15 * MINUTE + 1);
+
+    expect(events).toEqual([{
+      type: 'lease_expired',
+      data: { blueprintId: 'A', resources: ['table:orders'], expiredAt: new Date(15 * MINUTE).toISOString() }
+    }]);
+    expect(holdersOf(manager, 'table:orders')).toEqual([]);
+  });
+
+  test('renewLocks moves the expiry and replaces the running timeout', async () => {
+    const manager = createManager();
+    await manager.acquireLocks(blueprint('A', ['orders']));
+
+    await advance(clock, 10 * MINUTE);
+    expect(manager.renewLocks('A')).toBe(1);
+    expect(clock.timers).toHaveLength(1);
+
+    await advance(clock, 14 * MINUTE);
+    expect(events).toEqual([]);
+    expect(holdersOf(manager, 'table:orders')).toEqual(['A']);
+
+    await advance(clock, 2 * MINUTE);
+    expect(events.map(event => event.type)).toEqual(['lease_expired']);
+  });
+
+  test('granting locks again does not leave the earlier timeout running', async () => {
+    const manager = createManager();
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    await advance(clock, 10 * MINUTE);
+    await manager.acquireLocks(blueprint('A', ['orders']));
+
+    await advance(clock, 6 * MINUTE);
+
+    expect(events).toEqual([]);
+    expect(holdersOf(manager, 'table:orders')).toEqual(['A']);
+  });
+
+  test('renewing without locks does nothing', () => {
+    const manager = createManager();
+
+    expect(manager.renewLocks('A')).toBe(0);
+    expect(clock.timers).toHaveLength(0);
+  });
+
+  test('a blueprint without resources holds no lease that could expire', async () => {
+    const manager = createManager();
+    await manager.acquireLocks(blueprint('A', []));
+
+    await advance(clock, 20 * MINUTE);
+
+    expect(events).toEqual([]);
+  });
+
+  test('with releaseOnExpiry off, expired locks stay held until the owner releases them', async () => {
+    const manager = createManager({ releaseOnExpiry: false });
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    const granted = manager.waitForLocks(blueprint('B', ['orders']));
+    let grantedAt = null;
+    granted.then(() => { grantedAt = clock.now(); });
+
+    await advance(clock, 20 * MINUTE);
+
+    expect(events.map(event => event.type)).toContain('lease_expired');
+    expect(holdersOf(manager, 'table:orders')).toEqual(['A']);
+    expect(grantedAt).toBeNull();
+
+    manager.releaseLocks('A');
+    await clock.run(granted);
+
+    expect(grantedAt).toBe(20 * MINUTE);
+    expect(holdersOf(manager, 'table:orders')).toEqual(['B']);
+  });
+});
+
+// Let granted and rejected waits run their callbacks
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('waitForLocks fairness', () => {
+  let clock;
+  let manager;
+  let granted;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    manager = new ResourceLockManager({ clock });
+    granted = [];
+  });
+
+  function wait(bp, options) {
+    const waiting = manager.waitForLocks(bp, options);
+    waiting.then(() => granted.push(bp.id), () => {});
+    return waiting;
+  }
+
+  test('grants waiters for a resource in arrival order', async () => {
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    wait(blueprint('B', ['orders']));
+    wait(blueprint('C', ['orders']));
+    wait(blueprint('D', ['orders']));
+
+    for (const holder of ['A', 'B', 'C']) {
+      manager.releaseLocks(holder);
+      await settle();
+    }
+
+    expect(granted).toEqual(['B', 'C', 'D']);
+    expect(holdersOf(manager, 'table:orders')).toEqual(['D']);
+  });
+
+  test('a later blueprint does not take a free resource an earlier waiter needs', async () => {
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    wait(blueprint('B', ['orders', 'users']));
+    wait(blueprint('C', ['users']));
+    await settle();
+
+    expect(granted).toEqual([]);
+    expect(holdersOf(manager, 'table:users')).toEqual([]);
+
+    manager.releaseLocks('A');
+    await settle();
+    expect(granted).toEqual(['B']);
+
+    manager.releaseLocks('B');
+    await settle();
+    expect(granted).toEqual(['B', 'C']);
+  });
+
+  test('waiters for other resources are granted at once', async () => {
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    wait(blueprint('B', ['orders']));
+    wait(blueprint('C', ['users']));
+    await settle();
+
+    expect(granted).toEqual(['C']);
+  });
+
+  test('readers queue behind a waiting writer but share with each other', async () => {
+    const reader = id => blueprint(id, ['orders'], { 'table:orders': 'read' });
+    await manager.acquireLocks(reader('R1'));
+    expect((await manager.acquireLocks(reader('R2'))).success).toBe(true);
+
+    wait(blueprint('W', ['orders']));
+    wait(reader('R3'));
+    wait(reader('R4'));
+    await settle();
+    expect(granted).toEqual([]);
+
+    manager.releaseLocks('R1');
+    manager.releaseLocks('R2');
+    await settle();
+    expect(granted).toEqual(['W']);
+
+    manager.releaseLocks('W');
+    await settle();
+    expect(granted).toEqual(['W', 'R3', 'R4']);
+    expect(holdersOf(manager, 'table:orders')).toEqual(['R3', 'R4']);
+  });
+
+  test('only read is shared: readers are refused while a blueprint alters the table', async () => {
+    await manager.acquireLocks(blueprint('M', ['orders'], { 'table:orders': 'alter' }));
+
+    const refused = await manager.acquireLocks(blueprint('R', ['orders'], { 'table:orders': 'read' }));
+
+    expect(refused).toMatchObject({ success: false, conflicts: [{ resource: 'table:orders', lockedBy: 'M' }] });
+  });
+
+  test('migration locks are exclusive whatever the access modes say', () => {
+    const migration = {
+      id: 'M',
+      resources: {
+        tables: ['orders'],
+        migrations: ['001_orders.sql'],
+        routes: [],
+        components: [],
+        functions: [],
+        access: { 'table:orders': 'create', 'migration:001_orders.sql': 'read' }
+      }
+    };
+
+    expect(manager.extractRequiredLocks(migration).map(lock => [lock.identifier, lock.mode])).toEqual([
+      ['table:orders', 'create'],
+      ['migration:001_orders.sql', 'write']
+    ]);
+  });
+
+  test('a waiter that times out gives its place to the ones behind it', async () => {
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    const timedOut = wait(blueprint('B', ['orders']), { timeout: MINUTE });
+    wait(blueprint('C', ['orders']));
+
+    await expect(clock.run(timedOut)).rejects.toThrow(/Timeout waiting for resource locks after 60s: table:orders \(held by A\)/);
+    manager.releaseLocks('A');
+    await settle();
+
+    expect(granted).toEqual(['C']);
+  });
+
+  test('an aborted waiter leaves the queue', async () => {
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    const controller = new AbortController();
+    const aborted = wait(blueprint('B', ['orders']), { signal: controller.signal });
+
+    controller.abort(new Error('cancelled'));
+
+    await expect(aborted).rejects.toThrow('cancelled');
+    expect(manager.waiters).toEqual([]);
+    expect(manager.waitQueue.size).toBe(0);
+  });
+});
+
+describe('deadlock victims', () => {
+  let clock;
+  let events;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    events = [];
+  });
+
+  // A takes orders, B takes users a minute later, then each waits for the other's table
+  async function deadlock(options = {}) {
+    const manager = new ResourceLockManager({ clock, onEvent: (type, data) => events.push({ type, data }), ...options });
+    await manager.acquireLocks(blueprint('A', ['orders']));
+    await advance(clock, MINUTE);
+    await manager.acquireLocks(blueprint('B', ['users']));
+
+    const waits = {
+      A: manager.waitForLocks(blueprint('A', ['orders', 'users'])),
+      B: manager.waitForLocks(blueprint('B', ['users', 'orders']))
+    };
+    const outcomes = {};
+    for (const [id, waiting] of Object.entries(waits)) {
+      waiting.then(() => { outcomes[id] = 'granted'; }, error => { outcomes[id] = error; });
+    }
+    await settle();
+
+    return { manager, outcomes };
+  }
+
+  test('the youngest blueprint is failed by default and the other proceeds once it releases', async () => {
+    const { manager, outcomes } = await deadlock();
+
+    expect(outcomes.B.message).toMatch(/Deadlock on resource locks: .* \(B chosen as victim\)/);
+    expect(outcomes.B.deadlock).toMatchObject({ victim: 'B', policy: 'youngest' });
+    expect(outcomes.A).toBeUndefined();
+    expect(events.map(event => [event.type, event.data.victim])).toEqual([['deadlock_detected', 'B']]);
+
+    manager.releaseLocks('B');
+    await settle();
+
+    expect(outcomes.A).toBe('granted');
+    expect(holdersOf(manager, 'table:users')).toEqual(['A']);
+  });
+
+  test('fewest-steps fails the blueprint that has done the least', async () => {
+    const steps = { A: 1, B: 4 };
+    const { outcomes } = await deadlock({ deadlockPolicy: 'fewest-steps', completedSteps: id => steps[id] });
+
+    expect(outcomes.A.deadlock).toMatchObject({ victim: 'A', policy: 'fewest-steps' });
+    expect(outcomes.B).toBeUndefined();
+  });
+
+  test('a custom policy picks from the blueprints in the cycle', async () => {
+    const policy = jest.fn(candidates => candidates.find(candidate => candidate.heldResources.includes('table:orders')).blueprintId);
+    const { outcomes } = await deadlock({ deadlockPolicy: policy });
+
+    expect(policy.mock.calls[0][0].map(candidate => [candidate.blueprintId, candidate.startedAt, candidate.heldResources])).toEqual(
+      expect.arrayContaining([['A', 0, ['table:orders']], ['B', MINUTE, ['table:users']]])
+    );
+    expect(outcomes.A.deadlock).toMatchObject({ victim: 'A', policy: 'custom' });
+  });
+
+  test('a policy picking a blueprint outside the cycle is an error', async () => {
+    const { outcomes } = await deadlock({ deadlockPolicy: () => 'Z' });
+
+    expect(outcomes.B.message).toMatch(/Deadlock policy picked Z, which is not waiting in the cycle/);
+  });
+
+  test('an unknown policy name is rejected up front', () => {
+    expect(() => new ResourceLockManager({ deadlockPolicy: 'oldest' })).toThrow(/Unknown deadlock policy "oldest"/);
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { captureWorkspace, diffWorkspace, WorkspaceTracker } = require('../../../lib/orchestration/workspace-snapshot');
+
+function createRepo() {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-snapshot-')));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: root });
+  git('init', '-q');
+  write(root, 'projects/app/a.txt', 'base');
+  write(root, 'shared.ts', 'base');
+  git('add', '.');
+  git('commit', '-qm', 'init');
+  return root;
+}
+
+function write(root, file, content) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+describe('captureWorkspace', () => {
+  let root;
+
+  beforeEach(() => { root = createRepo(); });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('hashes changed files relative to the repository top level from a subdirectory', async () => {
+    write(root, 'projects/app/a.txt', 'changed');
+    write(root, 'projects/app/new.ts', 'new');
+
+    const snapshot = await captureWorkspace(path.join(root, 'projects/app'));
+
+    expect([...snapshot.keys()].sort()).toEqual(['projects/app/a.txt', 'projects/app/new.ts']);
+    expect(snapshot.get('projects/app/a.txt')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('leaves out orchestrator state directories below the top level', async () => {
+    write(root, 'projects/app/.dev-framework/locks/.version', '1');
+    write(root, 'projects/app/.orchestration/active.json', '{}');
+    write(root, '.dev-framework/quarantine/manifest.json', '{}');
+
+    const snapshot = await captureWorkspace(path.join(root, 'projects/app'));
+
+    expect(snapshot.size).toBe(0);
+  });
+
+  test('records deleted files as null and diffs against HEAD', async () => {
+    const before = await captureWorkspace(root);
+    fs.unlinkSync(path.join(root, 'shared.ts'));
+    const after = await captureWorkspace(root);
+
+    expect(after.get('shared.ts')).toBeNull();
+    expect(diffWorkspace(before, after)).toEqual([{ path: 'shared.ts', before: 'HEAD', after: null }]);
+  });
+
+  test('returns null outside a git repository', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'no-git-'));
+    try {
+      expect(await captureWorkspace(dir)).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('WorkspaceTracker', () => {
+  let root;
+
+  beforeEach(() => { root = createRepo(); });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('attributes changes to the agents running and resolves the repository root', async () => {
+    const declared = { A: ['projects/app/a.txt'], B: ['projects/app/b.ts'] };
+    const tracker = new WorkspaceTracker(path.join(root, 'projects/app'), {
+      declares: (id, file) => declared[id].includes(file)
+    });
+
+    await tracker.start('A');
+    await tracker.start('B');
+    write(root, 'projects/app/a.txt', 'by A');
+    write(root, 'shared.ts', 'by A or B');
+    const changesOfA = await tracker.finish('A');
+    write(root, 'projects/app/b.ts', 'by B');
+    await tracker.finish('B');
+
+    expect(tracker.repositoryRoot).toBe(root);
+    expect(changesOfA).toEqual([
+      { path: 'projects/app/a.txt', deleted: false, declared: true, sharedWith: [] },
+      { path: 'shared.ts', deleted: false, declared: false, sharedWith: ['B'] }
+    ]);
+    expect(tracker.undeclaredWrites()).toEqual([{ file: 'shared.ts', blueprints: ['A', 'B'] }]);
+    expect(tracker.overlaps()).toEqual([{ file: 'shared.ts', blueprints: ['A', 'B'], kind: 'possible-overlap' }]);
+  });
+
+  test('reports an overlap when parallel blueprints each changed a file', async () => {
+    const tracker = new WorkspaceTracker(root, { declares: (id, file) => id === 'B' && file === 'shared.ts' });
+
+    await tracker.start('A');
+    write(root, 'shared.ts', 'by A');
+    await tracker.start('B');
+    write(root, 'shared.ts', 'by B');
+    await tracker.finish('A');
+    await tracker.finish('B');
+
+    expect(tracker.overlaps(['B'])).toEqual([{ file: 'shared.ts', blueprints: ['A', 'B'], kind: 'overlap' }]);
+    expect(tracker.overlaps(['A'])).toEqual([{ file: 'shared.ts', blueprints: ['A', 'B'], kind: 'overlap' }]);
+    expect(tracker.overlaps(['C'])).toEqual([]);
+  });
+
+  test('does not flag blueprints that changed a file one after another', async () => {
+    const tracker = new WorkspaceTracker(root, { declares: (id, file) => file === 'shared.ts' });
+
+    await tracker.start('GET');
+    write(root, 'shared.ts', 'GET handler');
+    await tracker.finish('GET');
+    await tracker.start('POST');
+    write(root, 'shared.ts', 'GET and POST handlers');
+    await tracker.finish('POST');
+
+    expect(tracker.changesOf('POST').map(change => change.path)).toEqual(['shared.ts']);
+    expect(tracker.overlaps(['POST'])).toEqual([]);
+    expect(tracker.overlaps()).toEqual([]);
+  });
+
+  test('only reports the pairs that ran in parallel', async () => {
+    const tracker = new WorkspaceTracker(root, { declares: (id, file) => id !== 'A' && file === 'shared.ts' });
+
+    await tracker.start('A');
+    write(root, 'shared.ts', 'by A');
+    await tracker.start('B');
+    write(root, 'shared.ts', 'by B');
+    await tracker.finish('B');
+    await tracker.finish('A');
+    await tracker.start('C');
+    write(root, 'shared.ts', 'by C');
+    await tracker.finish('C');
+
+    expect(tracker.overlaps()).toEqual([{ file: 'shared.ts', blueprints: ['A', 'B'], kind: 'overlap' }]);
+    expect(tracker.overlaps(['C'])).toEqual([]);
+  });
+
+  test('ignores changes made while no agent ran', async () => {
+    const tracker = new WorkspaceTracker(root);
+
+    await tracker.start('A');
+    await tracker.finish('A');
+    write(root, 'shared.ts', 'by the developer');
+    await tracker.start('B');
+    await tracker.finish('B');
+
+    expect(tracker.changesOf('B')).toEqual([]);
+  });
+});
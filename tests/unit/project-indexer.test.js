@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProjectIndexer } = require('../../lib/project-indexer');
+const { BlueprintDecomposer } = require('../../agents/blueprint-decomposer');
+const { ExecutionRunner } = require('../../lib/orchestration/execution-runner');
+
+const fence = '```';
+
+const spec = `# Orders
+
+## Database
+
+${fence}sql
+CREATE TABLE orders (id uuid PRIMARY KEY);
+${fence}
+
+## API
+
+**GET /api/orders**
+
+## UI
+
+${fence}tsx
+export function OrderBadge() { return <span />; }
+export function RefundButton() { return <button />; }
+${fence}
+`;
+
+describe('brownfield project index', () => {
+  let projectPath;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, file), content);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'project-indexer-'));
+
+    write('src/components/OrderBadge.tsx', 'export function OrderBadge() { return null; }\n');
+    write('src/components/OrderRow.tsx', "import { OrderBadge } from './OrderBadge';\nexport const OrderRow = () => OrderBadge();\n");
+    write('src/app/(shop)/orders/page.tsx', "import { OrderRow } from '@/components/OrderRow';\nexport default function Page() { return OrderRow(); }\n");
+    write('src/app/api/orders/route.ts', 'export async function GET() {}\n');
+    write('supabase/migrations/20240101000000_orders.sql', 'CREATE TABLE orders (id uuid PRIMARY KEY);\n');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('indexes routes, exports, imports and migration tables', async () => {
+    const indexer = new ProjectIndexer(projectPath);
+    const index = await indexer.build();
+
+    expect(Object.fromEntries(index.routes)).toEqual({
+      '/orders': 'src/app/(shop)/orders/page.tsx',
+      '/api/orders': 'src/app/api/orders/route.ts'
+    });
+    expect(index.components.get('OrderBadge')).toEqual(['src/components/OrderBadge.tsx']);
+    expect(index.tables.get('orders')).toBe('20240101000000_orders.sql');
+    expect(indexer.dependentsOf(index, 'src/components/OrderBadge.tsx')).toEqual([
+      { path: 'src/components/OrderRow.tsx', kind: 'component', route: null, via: 'src/components/OrderBadge.tsx' },
+      { path: 'src/app/(shop)/orders/page.tsx', kind: 'page', route: '/orders', via: 'src/components/OrderRow.tsx' }
+    ]);
+  });
+
+  test('marks blueprints as create or modify and lists importers to re-verify', async () => {
+    const blueprints = await new BlueprintDecomposer({ granularity: 'fine' })
+      .decomposeSpec({ name: 'orders', content: spec }, projectPath);
+    const byOperation = (operation, key, value) =>
+      blueprints.find(bp => bp.specifications.operation === operation && (!key || bp.specifications[key] === value));
+
+    const route = byOperation('create_api_route');
+    const badge = byOperation('create_component', 'componentName', 'OrderBadge');
+    const button = byOperation('create_component', 'componentName', 'RefundButton');
+
+    expect(route).toMatchObject({ change: 'modify', specifications: { filePath: 'src/app/api/orders/route.ts' } });
+    expect(Object.keys(route.fileHashes)).toEqual(['src/app/api/orders/route.ts']);
+    expect(badge.reverify.map(dep => [dep.path, dep.route])).toEqual([
+      ['src/components/OrderRow.tsx', null],
+      ['src/app/(shop)/orders/page.tsx', '/orders']
+    ]);
+    expect(button).toMatchObject({ change: 'create', fileHashes: {} });
+    expect(byOperation('create_table').existingMigration).toBe('20240101000000_orders.sql');
+  });
+
+  test('the runner reports modified files that changed since planning', async () => {
+    const blueprints = await new BlueprintDecomposer({ granularity: 'fine' })
+      .decomposeSpec({ name: 'orders', content: spec }, projectPath);
+    jest.spyOn(process, 'cwd').mockReturnValue(projectPath);
+
+    write('src/components/OrderBadge.tsx', 'export function OrderBadge() { return "changed"; }\n');
+    fs.rmSync(path.join(projectPath, 'src/app/api/orders/route.ts'));
+
+    const changed = await new ExecutionRunner({ enableResourceLocking: false }).checkModifiedFiles({ blueprints });
+
+    expect(changed.map(c => [c.file, c.reason])).toEqual([
+      ['src/app/api/orders/route.ts', 'deleted'],
+      ['src/components/OrderBadge.tsx', 'modified']
+    ]);
+  });
+});
@@ -0,0 +1,308 @@
+const { SpecParser } = require('../../lib/spec-parser');
+
+const fence = '```';
+
+function spec(...sqlBlocks) {
+  return ['# Feature', '', '## Database', '', ...sqlBlocks.map(sql => `${fence}sql\n${sql}\n${fence}\n`)].join('\n');
+}
+
+describe('SpecParser RPC functions', () => {
+  test('finds schema-qualified and quoted functions through the SQL parser', () => {
+    const parsed = new SpecParser().parse(spec(`
+CREATE OR REPLACE FUNCTION public.place_order(p_customer uuid, p_total numeric DEFAULT 0)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM platform_admin_grants WHERE user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'forbidden';
+  END IF;
+  RETURN gen_random_uuid();
+END;
+$$;
+
+CREATE FUNCTION "CountOrders"() RETURNS integer AS $$ SELECT count(*) FROM orders $$ LANGUAGE sql;`));
+
+    expect(parsed.rpcFunctions.map(f => [f.schema, f.name])).toEqual([['public', 'place_order'], [null, 'CountOrders']]);
+
+    const [placeOrder] = parsed.rpcFunctions;
+    expect(placeOrder).toMatchObject({
+      type: 'rpc',
+      returnType: 'uuid',
+      securityDefiner: true,
+      validatesAdmin: true,
+      validationLogic: 'SELECT 1 FROM platform_admin_grants WHERE user_id = auth.uid()'
+    });
+    expect(placeOrder.parameters.map(p => [p.name, p.type, p.defaultValue])).toEqual([
+      ['p_customer', 'UUID', null],
+      ['p_total', 'NUMERIC', '0']
+    ]);
+    expect(placeOrder.fullDefinition).toMatch(/^CREATE OR REPLACE FUNCTION public\.place_order[\s\S]*\$\$;$/);
+  });
+
+  test('leaves out trigger functions', () => {
+    const parsed = new SpecParser().parse(spec(
+      'CREATE FUNCTION public.touch_updated_at() RETURNS trigger LANGUAGE plpgsql AS $$ BEGIN NEW.updated_at = now(); RETURN NEW; END $$;'
+    ));
+
+    expect(parsed.rpcFunctions).toEqual([]);
+    expect(parsed.database.functions.map(f => f.name)).toEqual(['touch_updated_at']);
+  });
+});
+
+describe('SpecParser RLS policies', () => {
+  const policies = sql => new SpecParser().parse(spec(sql)).rlsPolicies;
+
+  test('keeps restrictive mode, FOR ALL and every role', () => {
+    const [policy] = policies(`CREATE POLICY "Members only" ON public.projects AS RESTRICTIVE FOR ALL TO authenticated, service_role
+  USING (is_member(id)) WITH CHECK (is_member(id));`);
+
+    expect(policy).toMatchObject({
+      name: 'Members only',
+      table: 'projects',
+      schema: 'public',
+      operation: 'ALL',
+      permissive: false,
+      roles: ['authenticated', 'service_role'],
+      role: 'authenticated, service_role',
+      using: 'is_member(id)',
+      withCheck: 'is_member(id)'
+    });
+  });
+
+  test('defaults to a permissive FOR ALL policy for public', () => {
+    const [policy] = policies('CREATE POLICY open ON notes USING (true);');
+
+    expect(policy).toMatchObject({ operation: 'ALL', permissive: true, roles: ['public'], withCheck: null });
+  });
+
+  test('balances nested parentheses and lists the tables and functions each expression uses', () => {
+    const [policy] = policies(`CREATE POLICY team_read ON tasks FOR SELECT
+  USING (team_id IN (SELECT team_id FROM memberships WHERE (user_id = auth.uid())) AND is_active(team_id));`);
+
+    expect(policy.using).toBe('team_id IN (SELECT team_id FROM memberships WHERE (user_id = auth.uid())) AND is_active(team_id)');
+    expect(policy.references).toEqual({ using: ['memberships'], withCheck: [] });
+    expect(policy.referencedTables).toEqual(['memberships']);
+    expect(policy.functions.using).toEqual(expect.arrayContaining(['uid', 'is_active']));
+  });
+});
+
+describe('SpecParser.diff', () => {
+  const base = `
+CREATE TYPE order_status AS ENUM ('pending', 'shipped');
+CREATE TYPE address AS (street text, zip text);
+
+CREATE TABLE public.orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  status order_status NOT NULL DEFAULT 'pending',
+  total numeric NOT NULL
+);
+CREATE INDEX orders_status_idx ON orders (status);
+
+CREATE FUNCTION public.place_order(p_total numeric) RETURNS uuid LANGUAGE plpgsql SECURITY DEFINER AS $$
+BEGIN
+  RETURN gen_random_uuid();
+END;
+$$;
+
+CREATE FUNCTION touch_orders() RETURNS trigger LANGUAGE plpgsql AS $$ BEGIN RETURN NEW; END $$;
+CREATE TRIGGER orders_touch BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION touch_orders();
+
+CREATE VIEW open_orders AS SELECT id, total FROM orders WHERE status = 'pending';`;
+
+  const revise = (...edits) => edits.reduce((sql, [from, to]) => {
+    expect(sql).toContain(from);
+    return sql.replace(from, to);
+  }, base);
+
+  test('reports nothing for an identical revision', () => {
+    const result = new SpecParser().diff(spec(base), spec(base));
+
+    expect(result.changed).toBe(false);
+    expect(result.summary).toEqual({ added: 0, removed: 0, changed: 0 });
+  });
+
+  test('sees added enums and views and a changed function signature', () => {
+    const revised = revise(
+      ['CREATE TYPE address', "CREATE TYPE ship_mode AS ENUM ('ground', 'air');\nCREATE TYPE address"],
+      ['place_order(p_total numeric)', 'place_order(p_total numeric, p_mode ship_mode)']
+    ) + '\nCREATE VIEW big_orders AS SELECT id FROM orders WHERE total > 1000;';
+
+    const result = new SpecParser().diff(spec(base), spec(revised));
+
+    expect(result.changed).toBe(true);
+    expect(result.enums.added.map(e => e.name)).toEqual(['ship_mode']);
+    expect(result.views.added.map(v => v.name)).toEqual(['big_orders']);
+    expect(result.rpcFunctions.changed.map(c => [c.key, c.fields])).toEqual([['place_order', ['parameters', 'fullDefinition']]]);
+    expect(result.summary).toEqual({ added: 2, removed: 0, changed: 1 });
+  });
+
+  test('compares every schema object kind', () => {
+    const revised = revise(
+      ["('pending', 'shipped')", "('pending', 'shipped', 'delivered')"],
+      ['(street text, zip text)', '(street text, zip text, country text)'],
+      ['ON orders (status)', 'ON orders (status, total)'],
+      ['RETURN NEW; END', 'NEW.total = round(NEW.total, 2); RETURN NEW; END'],
+      ['BEFORE UPDATE ON orders', 'BEFORE INSERT OR UPDATE ON orders'],
+      ["WHERE status = 'pending'", "WHERE status <> 'delivered'"]
+    );
+
+    const result = new SpecParser().diff(spec(base), spec(revised));
+    const changed = name => result[name].changed.map(c => [c.key, c.fields]);
+
+    expect(changed('enums')).toEqual([['order_status', ['values']]]);
+    expect(changed('types')).toEqual([['address', ['fields']]]);
+    expect(changed('indexes')).toEqual([['orders_status_idx', ['columns']]]);
+    expect(changed('functions')).toEqual([['touch_orders', ['body']]]);
+    expect(changed('triggers')).toEqual([['orders.orders_touch', ['events']]]);
+    expect(changed('views')).toEqual([['open_orders', ['query']]]);
+    expect(result.summary).toEqual({ added: 0, removed: 0, changed: 6 });
+  });
+
+  test('reports removed objects and counts an RPC function once', () => {
+    const revised = revise(
+      ["CREATE TYPE order_status AS ENUM ('pending', 'shipped');\n", ''],
+      ["CREATE VIEW open_orders AS SELECT id, total FROM orders WHERE status = 'pending';", ''],
+      ['CREATE INDEX orders_status_idx ON orders (status);', '']
+    );
+
+    const result = new SpecParser().diff(spec(base), spec(revised));
+
+    expect(result.enums.removed.map(e => e.name)).toEqual(['order_status']);
+    expect(result.views.removed.map(v => v.name)).toEqual(['open_orders']);
+    expect(result.indexes.removed.map(i => i.name)).toEqual(['orders_status_idx']);
+    expect(result.functions.removed).toEqual([]);
+    expect(result.summary).toEqual({ added: 0, removed: 3, changed: 0 });
+  });
+
+  test('diffs table columns', () => {
+    const revised = revise(['total numeric NOT NULL', 'total numeric(12,2) NOT NULL,\n  note text']);
+
+    const [change] = new SpecParser().diff(spec(base), spec(revised)).tables.changed;
+
+    expect(change.key).toBe('orders');
+    expect(change.fields).toEqual(['columns']);
+    expect(change.columns.added.map(c => c.name)).toEqual(['note']);
+    expect(change.columns.changed.map(c => [c.key, c.fields])).toEqual([['total', ['type']]]);
+  });
+});
+
+describe('SpecParser.diff of policies, endpoints and components', () => {
+  const feature = ({ policy, endpoints, files }) => [
+    spec(`CREATE TABLE orders (id uuid PRIMARY KEY, user_id uuid NOT NULL);\n${policy}`),
+    '## API',
+    '',
+    ...endpoints.map(endpoint => `**${endpoint}**`),
+    '',
+    '## Files to Create',
+    '',
+    ...files.map(file => `- \`${file}\``),
+    ''
+  ].join('\n');
+
+  const base = {
+    policy: 'CREATE POLICY orders_select ON orders FOR SELECT USING (user_id = auth.uid());',
+    endpoints: ['GET /api/orders', 'POST /api/orders'],
+    files: ['src/components/OrderList.tsx', 'src/components/OrderBadge.tsx']
+  };
+
+  test('reports changed policies, added and removed endpoints and components', () => {
+    const result = new SpecParser().diff(feature(base), feature({
+      policy: 'CREATE POLICY orders_select ON orders FOR SELECT TO authenticated USING (user_id = auth.uid());',
+      endpoints: ['GET /api/orders', 'DELETE /api/orders/[id]'],
+      files: ['src/components/OrderList.tsx', 'src/components/OrderTotals.tsx']
+    }));
+
+    expect(result.policies.changed.map(c => [c.key, c.fields])).toEqual([['orders.orders_select', ['roles']]]);
+    expect(result.endpoints.added.map(e => `${e.method} ${e.route}`)).toEqual(['DELETE /api/orders/[id]']);
+    expect(result.endpoints.removed.map(e => `${e.method} ${e.route}`)).toEqual(['POST /api/orders']);
+    expect(result.components.added.map(c => c.name)).toEqual(['OrderTotals']);
+    expect(result.components.removed.map(c => c.name)).toEqual(['OrderBadge']);
+    expect(result.summary).toEqual({ added: 2, removed: 2, changed: 1 });
+  });
+
+  test('ignores whitespace-only edits', () => {
+    const result = new SpecParser().diff(feature(base), feature({
+      ...base,
+      policy: 'CREATE POLICY orders_select ON orders\n  FOR SELECT\n  USING (user_id   = auth.uid());'
+    }));
+
+    expect(result.changed).toBe(false);
+  });
+});
+
+describe('SpecParser structured entries', () => {
+  const frontMatter = (...lines) => ['---', ...lines, '---', '# Orders', ''].join('\n');
+
+  test('front-matter entries keep their lines and declared return types', () => {
+    const parsed = new SpecParser().parse(frontMatter(
+      'tables:',
+      '  - name: orders',
+      '    columns:',
+      '      - name: id',
+      '        type: uuid',
+      'functions:',
+      '  - name: place_order',
+      '    returns: uuid',
+      '  - name: count_orders',
+      '    returnType: integer'
+    ));
+
+    expect(parsed.database.tables.map(t => [t.name, t.line, t.columns.map(c => c.line)])).toEqual([['orders', 3, [5]]]);
+    expect(parsed.rpcFunctions.map(f => [f.name, f.returnType, f.line])).toEqual([
+      ['place_order', 'uuid', 8],
+      ['count_orders', 'integer', 10]
+    ]);
+  });
+
+  test('an entry without a name is a diagnostic at its line, the others still merge', () => {
+    const result = new SpecParser().validate(frontMatter(
+      'tables:',
+      '  - name: orders',
+      '    columns: [{ name: id }]',
+      '  - columns:',
+      '      - name: id',
+      'endpoints:',
+      '  - method: GET'
+    ));
+
+    expect(result.valid).toBe(false);
+    expect(result.diagnostics).toEqual([
+      { severity: 'error', code: 'structured-entry-error', message: 'Structured spec table entries require a name (tables[1])', line: 5, column: 1 },
+      { severity: 'error', code: 'structured-entry-error', message: 'Structured spec endpoint entries require a route (endpoints[0])', line: 8, column: 1 }
+    ]);
+    expect(result.parsed.database.tables.map(t => t.name)).toEqual(['orders']);
+  });
+
+  test('errors in a sibling point at the sibling instead of a spec line', () => {
+    const parser = new SpecParser();
+    parser.parse('# Orders\n', { structured: { services: [{ parameters: [] }] } });
+
+    expect(parser.structuredErrors).toEqual([{
+      message: 'Structured spec service entries require a name (services[0] of the structured sibling)',
+      line: 1,
+      column: 1
+    }]);
+  });
+
+  test('the validate command reports a nameless entry and exits 1', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { spawnSync } = require('child_process');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-parser-'));
+    const specPath = path.join(dir, 'orders.md');
+    fs.writeFileSync(specPath, frontMatter('tables:', '  - columns: [{ name: id }]'));
+
+    try {
+      const result = spawnSync(process.execPath, [require.resolve('../../lib/spec-parser'), 'validate', specPath], { encoding: 'utf8' });
+
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain(`${specPath}:3:1 error [structured-entry-error] Structured spec table entries require a name (tables[0])`);
+      expect(result.stderr).toBe('');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
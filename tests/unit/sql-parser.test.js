@@ -0,0 +1,116 @@
+const { SQLParser } = require('../../lib/sql-parser');
+
+function parse(sql) {
+  return new SQLParser().parse(sql);
+}
+
+function columns(sql) {
+  const { statements, errors } = parse(sql);
+  expect(errors).toEqual([]);
+  return Object.fromEntries(statements[0].columns.map(({ line, ...column }) => [column.name, column]));
+}
+
+describe('SQLParser CREATE TABLE', () => {
+  test('reads quoted schemas, IF NOT EXISTS and table constraints', () => {
+    const { statements } = parse(`
+-- orders; the comment holds a semicolon
+CREATE TABLE IF NOT EXISTS "Sales".orders (
+  code text,
+  customer_id uuid,
+  CONSTRAINT orders_code_key UNIQUE (code, customer_id),
+  FOREIGN KEY (customer_id) REFERENCES customers ON DELETE CASCADE
+);`);
+
+    expect(statements).toHaveLength(1);
+    expect(statements[0]).toMatchObject({ kind: 'table', schema: 'Sales', name: 'orders', ifNotExists: true, line: 3 });
+    expect(statements[0].constraints.map(c => [c.name, c.type, c.columns])).toEqual([
+      ['orders_code_key', 'UNIQUE', ['code', 'customer_id']],
+      ['unnamed', 'FOREIGN KEY', ['customer_id']]
+    ]);
+    expect(statements[0].constraints[1].references).toMatchObject({ table: 'customers', columns: ['id'], onDelete: 'CASCADE' });
+  });
+
+  test('reads column constraints in any order', () => {
+    const parsed = columns(`CREATE TABLE orders (
+      id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+      note text DEFAULT NULL,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      total numeric(12, 2) CONSTRAINT positive CHECK (total > (0)) NOT NULL,
+      code text UNIQUE NULLS NOT DISTINCT DEFERRABLE INITIALLY DEFERRED,
+      tags text[] COLLATE "C",
+      customer_id uuid REFERENCES public.customers (id) ON DELETE SET NULL
+    )`);
+
+    expect(parsed.id).toMatchObject({ type: 'BIGINT', primaryKey: true, nullable: false, generated: 'GENERATED ALWAYS AS IDENTITY' });
+    expect(parsed.note).toMatchObject({ defaultValue: 'NULL', nullable: true });
+    expect(parsed.created_at).toMatchObject({ defaultValue: 'now()', nullable: false });
+    expect(parsed.total).toMatchObject({ type: 'NUMERIC(12, 2)', check: 'total > (0)', nullable: false });
+    expect(parsed.code).toMatchObject({ unique: true, nullable: true });
+    expect(parsed.tags).toMatchObject({ type: 'TEXT[]' });
+    expect(parsed.customer_id.references).toMatchObject({ schema: 'public', table: 'customers', column: 'id', onDelete: 'SET NULL' });
+  });
+
+  test('accepts index parameters on PRIMARY KEY and UNIQUE', () => {
+    const parsed = columns('CREATE TABLE t (id int PRIMARY KEY WITH (fillfactor = 70) USING INDEX TABLESPACE fast, code text UNIQUE WITH (fillfactor = 90))');
+
+    expect(parsed.id.primaryKey).toBe(true);
+    expect(parsed.code.unique).toBe(true);
+  });
+
+  // The error points at the offending token, or at the last one when the definition stops short
+  test.each([
+    ['id int NOT', 'Expected NULL but found end of statement', 'NOT'],
+    ['id int NOT DISTINCT', "Expected NULL but found 'DISTINCT'", 'DISTINCT'],
+    ['id int PRIMARY', 'Expected KEY but found end of statement', 'PRIMARY'],
+    ['id int DEFAULT', 'Column id has no DEFAULT expression', 'DEFAULT'],
+    ['id int GENERATED AS (1) STORED', "Expected ALWAYS or BY DEFAULT after GENERATED but found 'AS'", 'AS'],
+    ['id int NOT NULL bogus', "Unexpected 'bogus' in column id", 'bogus'],
+    ['id int CONSTRAINT id_check', 'Constraint id_check on column id has no definition', 'CONSTRAINT'],
+    ['id int, CONSTRAINT c PRIMARY (id)', "Expected KEY but found '('", '('],
+    ['id int, CONSTRAINT c', 'Expected PRIMARY KEY, UNIQUE, FOREIGN KEY, CHECK or EXCLUDE but found end of constraint', 'c']
+  ])('reports "%s" at its position', (body, message, at) => {
+    const sql = `CREATE TABLE t (${body})`;
+    const column = sql.lastIndexOf(at) + 1;
+
+    const { statements, errors } = parse(`${sql};`);
+
+    expect(statements).toEqual([]);
+    expect(errors).toEqual([{ message: `${message} (line 1, column ${column})`, line: 1, column, sql }]);
+  });
+
+  test('keeps parsing the statements after a malformed one', () => {
+    const { statements, errors } = parse(`
+CREATE TABLE bad (
+  id int NOT
+);
+CREATE TABLE good (id int NOT NULL);`);
+
+    expect(errors.map(e => [e.line, e.column])).toEqual([[3, 10]]);
+    expect(statements.map(s => s.name)).toEqual(['good']);
+  });
+});
+
+describe('SQLParser statements', () => {
+  test('keeps semicolons inside dollar-quoted function bodies', () => {
+    const { statements, errors } = parse(`
+CREATE FUNCTION public.two() RETURNS int LANGUAGE sql AS $body$ SELECT 1; SELECT 2; $body$;
+CREATE INDEX CONCURRENTLY IF NOT EXISTS orders_total_idx ON public.orders USING btree (total) WHERE total > 0;`);
+
+    expect(errors).toEqual([]);
+    expect(statements.map(s => [s.kind, s.name])).toEqual([['function', 'two'], ['index', 'orders_total_idx']]);
+    expect(statements[0]).toMatchObject({ schema: 'public', returnType: 'int', language: 'sql' });
+    expect(statements[1]).toMatchObject({ table: 'orders', columns: ['total'], method: 'btree', where: 'total > 0' });
+  });
+
+  test('reads enums, triggers and views', () => {
+    const { statements, errors } = parse(`
+CREATE TYPE order_status AS ENUM ('pending', 'it''s shipped');
+CREATE TRIGGER orders_touch BEFORE INSERT OR UPDATE OF total ON orders FOR EACH ROW EXECUTE FUNCTION touch();
+CREATE MATERIALIZED VIEW IF NOT EXISTS open_orders AS SELECT o.id FROM orders o JOIN customers c ON c.id = o.customer_id;`);
+
+    expect(errors).toEqual([]);
+    expect(statements[0]).toMatchObject({ kind: 'enum', name: 'order_status', values: ['pending', "it's shipped"] });
+    expect(statements[1]).toMatchObject({ kind: 'trigger', table: 'orders', timing: 'BEFORE', forEach: 'ROW', function: 'touch' });
+    expect(statements[2]).toMatchObject({ kind: 'view', name: 'open_orders', materialized: true });
+  });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestGenerator = require('../../testing-framework/test-generator');
+
+describe('TestGenerator traceability', () => {
+  let testsDir;
+  let generator;
+
+  const feature = {
+    id: 'order-totals',
+    title: 'Order totals component',
+    description: 'A component showing order totals',
+    acceptanceCriteria: [
+      { id: 'AC-1', text: 'Shows totals in $& format', storyId: 'US-1' },
+      { id: 'AC-2', text: "Keeps the user's currency ($1)", storyId: 'US-1' }
+    ]
+  };
+
+  beforeEach(() => {
+    testsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-generator-'));
+    generator = new TestGenerator();
+    generator.testsDir = testsDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(testsDir, { recursive: true, force: true });
+  });
+
+  test('renders requirement text with $ patterns literally', () => {
+    const context = generator.extractContext(feature);
+    const content = generator.generateContent('integration', context, feature);
+
+    expect(content).toContain("it('[AC-1] Shows totals in $& format'");
+    expect(content).toContain("it('[AC-2] Keeps the user\\'s currency ($1)'");
+  });
+
+  test('maps each criterion only to the test files with a test for it', async () => {
+    const context = generator.extractContext(feature);
+    const generated = [];
+    for (const testType of ['integration', 'unit']) {
+      generated.push(await generator.generateTestFile(testType, context, feature, {}));
+    }
+
+    const integration = generated[0].path;
+    expect(generated.map((t) => t.criteria)).toEqual([['AC-1', 'AC-2'], []]);
+    expect(generator.buildTraceability(feature, generated)).toEqual([
+      { id: 'AC-1', text: 'Shows totals in $& format', storyId: 'US-1', tests: [integration] },
+      { id: 'AC-2', text: "Keeps the user's currency ($1)", storyId: 'US-1', tests: [integration] }
+    ]);
+  });
+
+  test('leaves out criteria a template does not render', () => {
+    const generated = [
+      { type: 'integration', path: 'a.integration.test.ts', criteria: ['AC-2'] },
+      { type: 'e2e', path: 'a.e2e.test.ts', criteria: [] }
+    ];
+
+    expect(generator.buildTraceability(feature, generated).map((c) => [c.id, c.tests]))
+      .toEqual([['AC-1', []], ['AC-2', ['a.integration.test.ts']]]);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UnifiedOrchestrator } = require('../../agents/unified-orchestrator');
+
+const invalid = ['---', 'tables:', '  - columns:', '      - name: id', '---', '', '# Orders', ''].join('\n');
+const valid = '# Orders\n';
+
+describe('UnifiedOrchestrator.gateSpecValidation', () => {
+  let tmp;
+  let orchestrator;
+  let agentInvoker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // The state manager writes under the working directory
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'unified-orchestrator-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmp);
+
+    orchestrator = new UnifiedOrchestrator({ maxRetries: 2 });
+    agentInvoker = jest.fn();
+    orchestrator.agentInvoker = agentInvoker;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  const requests = () => agentInvoker.mock.calls.map(([call]) => ({ ...call, prompt: JSON.parse(call.prompt) }));
+
+  test('returns the spec the spec-writer fixed once its diagnostics are cleared', async () => {
+    agentInvoker.mockResolvedValueOnce(valid);
+
+    await expect(orchestrator.gateSpecValidation(invalid)).resolves.toBe(valid);
+
+    expect(requests()).toEqual([expect.objectContaining({
+      subagent_type: 'spec-writer',
+      prompt: {
+        action: 'fix-spec-diagnostics',
+        currentSpec: invalid,
+        diagnostics: [expect.objectContaining({ severity: 'error', code: 'structured-entry-error', line: 3 })]
+      }
+    })]);
+  });
+
+  test('gives up after maxRetries fixes that leave errors', async () => {
+    agentInvoker.mockResolvedValue(invalid);
+
+    await expect(orchestrator.gateSpecValidation(invalid))
+      .rejects.toThrow('Spec failed structural validation after maximum retries');
+
+    expect(agentInvoker).toHaveBeenCalledTimes(2);
+  });
+
+  test('lets a failing spec-writer end the gate', async () => {
+    agentInvoker.mockRejectedValueOnce(new Error('spec-writer crashed'));
+
+    await expect(orchestrator.gateSpecValidation(invalid)).rejects.toThrow('spec-writer crashed');
+
+    expect(agentInvoker).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not call the spec-writer for a valid spec', async () => {
+    await expect(orchestrator.gateSpecValidation(valid)).resolves.toBe(valid);
+
+    expect(agentInvoker).not.toHaveBeenCalled();
+  });
+});